@@ -0,0 +1,94 @@
+const { URL } = require('url');
+const { createUrlFilter } = require('./url-filter');
+const { toOccurrence } = require('./link-extractor');
+
+/**
+ * Fragments that never need a matching element:
+ * "" and "top" (browsers scroll to the top), hash routes ("#/docs", "#!/docs")
+ * and text fragments ("#:~:text=...")
+ */
+const IGNORED_FRAGMENT = /^(top)?$|^[/!]|^:~:/i;
+
+/**
+ * Get a link's fragment (decoded), or null when there's nothing to validate
+ */
+function getFragment(url) {
+  let hash;
+  try {
+    hash = new URL(url).hash.slice(1);
+  } catch (e) {
+    return null;
+  }
+
+  if (IGNORED_FRAGMENT.test(hash)) return null;
+
+  try {
+    return decodeURIComponent(hash);
+  } catch (e) {
+    return hash;
+  }
+}
+
+/**
+ * Normalize a URL the same way the crawler keys pages (no hash, no trailing slash)
+ */
+function pageKey(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    let normalized = parsed.href;
+    if (normalized.endsWith('/') && parsed.pathname !== '/') {
+      normalized = normalized.slice(0, -1);
+    }
+    return normalized;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Find #fragment links that point at crawled pages without a matching id or <a name>
+ *
+ * Only pages we crawled (and that recorded their anchors) can be validated;
+ * fragments on external or failed pages are left alone.
+ *
+ * @param {Array} pages - Crawled pages with links and anchors
+ * @param {Object} options - Scan options (include/exclude patterns are honoured)
+ * @returns {Array} - Missing anchors as { url, fragment, message, occurrences }
+ */
+function findMissingAnchors(pages, options = {}) {
+  const isIncluded = createUrlFilter(options);
+  const anchorsByPage = new Map();
+
+  for (const page of pages) {
+    if (!page.error && page.anchors) {
+      anchorsByPage.set(pageKey(page.url), new Set(page.anchors));
+    }
+  }
+
+  const missing = new Map(); // url -> { url, fragment, message, occurrences }
+
+  for (const page of pages) {
+    for (const link of page.links || []) {
+      const fragment = getFragment(link.url);
+      if (fragment === null || !isIncluded(link.url)) continue;
+
+      const anchors = anchorsByPage.get(pageKey(link.url));
+      if (!anchors || anchors.has(fragment)) continue;
+
+      if (!missing.has(link.url)) {
+        missing.set(link.url, {
+          url: link.url,
+          fragment,
+          message: `Missing anchor #${fragment}`,
+          occurrences: []
+        });
+      }
+      missing.get(link.url).occurrences.push(toOccurrence(page.url, link));
+    }
+  }
+
+  return [...missing.values()];
+}
+
+module.exports = { findMissingAnchors, getFragment, pageKey };
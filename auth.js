@@ -0,0 +1,120 @@
+const axios = require('axios');
+const { URL } = require('url');
+
+const LOGIN_TIMEOUT = 15000; // 15 seconds for the login request
+const REDACTED = '[redacted]';
+
+// Parse "a=1; b=2" (a Cookie header or the start of a Set-Cookie header) into the jar
+function addCookies(jar, header) {
+  for (const pair of header.split(';')) {
+    const separator = pair.indexOf('=');
+    if (separator > 0) {
+      jar.set(pair.slice(0, separator).trim(), pair.slice(separator + 1).trim());
+    }
+  }
+}
+
+/**
+ * Credentials for one scan, scoped to the scanned site's origin
+ *
+ * Requests to any other origin (external links, redirects off-site, another
+ * port, a downgrade to http://) get no auth headers, so credentials never
+ * leak to third parties or go out unencrypted. An http:// site upgraded to
+ * https:// on the default port keeps them.
+ *
+ * @param {string} siteUrl - URL being scanned (its origin is the scope)
+ * @param {Object} auth - The auth scan option (see scan-options.js)
+ * @returns {Object} - { isInScope(url), headersFor(url), login() }
+ */
+function createSiteAuth(siteUrl, auth) {
+  const site = new URL(siteUrl);
+  const cookies = new Map();
+  let loggedIn = false;
+
+  if (auth.cookie) {
+    addCookies(cookies, auth.cookie);
+  }
+
+  function isInScope(url) {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (e) {
+      return false;
+    }
+    if (target.origin === site.origin) return true;
+
+    return site.protocol === 'http:' && target.protocol === 'https:' &&
+      target.hostname === site.hostname && site.port === '' && target.port === '';
+  }
+
+  /**
+   * Headers to add to a request for this URL (none outside the site's origin)
+   */
+  function headersFor(url) {
+    if (!isInScope(url)) {
+      return {};
+    }
+
+    const headers = { ...auth.headers };
+    if (auth.username !== undefined) {
+      headers.Authorization = `Basic ${Buffer.from(`${auth.username}:${auth.password || ''}`).toString('base64')}`;
+    } else if (auth.bearerToken) {
+      headers.Authorization = `Bearer ${auth.bearerToken}`;
+    }
+    if (cookies.size > 0) {
+      headers.Cookie = [...cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+    }
+    return headers;
+  }
+
+  /**
+   * POST the login form (if configured) and keep the session cookies it sets
+   *
+   * @throws {Error} - When the login URL is off-site, fails or sets no cookies
+   */
+  async function login() {
+    if (!auth.login || loggedIn) return;
+
+    const { url, fields } = auth.login;
+    if (!isInScope(url)) {
+      throw new Error(`Login URL must be on ${site.origin}`);
+    }
+
+    console.log(`🔑 Logging in at ${url}...`);
+    const response = await axios.post(url, new URLSearchParams(fields).toString(), {
+      timeout: LOGIN_TIMEOUT,
+      maxRedirects: 0, // The session cookie usually comes with a redirect
+      validateStatus: null,
+      headers: {
+        ...headersFor(url),
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'User-Agent': 'Mozilla/5.0 (compatible; DeadLinkChecker/4.0; +https://github.com/deadlinks)'
+      }
+    });
+
+    if (response.status >= 400) {
+      throw new Error(`Login failed: HTTP ${response.status}`);
+    }
+
+    const setCookies = response.headers['set-cookie'] || [];
+    if (setCookies.length === 0) {
+      throw new Error('Login failed: no session cookie was set');
+    }
+
+    setCookies.forEach(header => addCookies(cookies, header.split(';')[0]));
+    loggedIn = true;
+    console.log(`🔑 Logged in (${setCookies.length} cookie${setCookies.length > 1 ? 's' : ''} set)`);
+  }
+
+  return { isInScope, headersFor, login };
+}
+
+/**
+ * Scan options safe to store or send to the browser (credentials removed)
+ */
+function redactAuth(options) {
+  return options.auth ? { ...options, auth: REDACTED } : options;
+}
+
+module.exports = { createSiteAuth, redactAuth, REDACTED };
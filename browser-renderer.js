@@ -0,0 +1,79 @@
+const RENDER_CONCURRENCY = 4; // Browser tabs rendering at once (each one is heavy)
+const NETWORK_IDLE_TIMEOUT = 5000; // Wait up to 5s after load for network idle
+
+const proxyUrl = process.env.https_proxy || process.env.HTTPS_PROXY || process.env.http_proxy || process.env.HTTP_PROXY;
+const noProxy = process.env.no_proxy || process.env.NO_PROXY;
+
+/**
+ * Launch headless Chromium and return a page loader for crawlWebsite
+ *
+ * The loader returns the same shape as crawler.js fetchPage, with the
+ * rendered DOM (after network idle) as `data`, so links added by client-side
+ * JavaScript are extracted like any other.
+ *
+ * @returns {Promise<Object>} - { loadPage(url, timeout, { signal, auth }), close() }
+ * @throws {Error} - When Playwright or its Chromium build isn't installed
+ */
+async function createBrowserRenderer() {
+  let chromium;
+  try {
+    ({ chromium } = require('playwright'));
+  } catch (e) {
+    throw new Error('Render mode needs Playwright: npm install playwright && npx playwright install chromium');
+  }
+
+  const browser = await chromium.launch({
+    headless: true,
+    proxy: proxyUrl ? { server: proxyUrl, bypass: noProxy } : undefined
+  });
+  const context = await browser.newContext({
+    userAgent: 'Mozilla/5.0 (compatible; DeadLinkChecker/4.0; +https://github.com/deadlinks)'
+  });
+
+  async function loadPage(url, timeout, { signal, auth } = {}) {
+    const page = await context.newPage();
+
+    // Site credentials go on every request the page makes to the site's host
+    if (auth) {
+      await page.route('**/*', (route) => {
+        const request = route.request();
+        route.continue({ headers: { ...request.headers(), ...auth.headersFor(request.url()) } });
+      });
+    }
+
+    // Closing the tab makes a pending goto() reject, like an aborted fetch
+    const closePage = () => page.close().catch(() => {});
+    if (signal) signal.addEventListener('abort', closePage, { once: true });
+
+    try {
+      const response = await page.goto(url, { waitUntil: 'load', timeout });
+
+      // Give client-side rendering a chance to finish; pages that keep
+      // polling never go idle, so use whatever has rendered by then
+      await page.waitForLoadState('networkidle', { timeout: NETWORK_IDLE_TIMEOUT }).catch(() => {});
+
+      const headers = response ? response.headers() : {};
+      const contentType = headers['content-type'] || '';
+
+      return {
+        status: response ? response.status() : 0,
+        statusText: response ? response.statusText() : '',
+        headers,
+        data: contentType.includes('text/html') ? await page.content() : '',
+        request: {
+          responseURL: page.url() // Final URL after redirects
+        }
+      };
+    } finally {
+      if (signal) signal.removeEventListener('abort', closePage);
+      await closePage();
+    }
+  }
+
+  return {
+    loadPage,
+    close: () => browser.close()
+  };
+}
+
+module.exports = { createBrowserRenderer, RENDER_CONCURRENCY };
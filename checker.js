@@ -3,28 +3,32 @@ const http = require('http');
 const https = require('https');
 const dns = require('dns').promises;
 const { URL } = require('url');
-
-// Configuration
-const CONCURRENCY_PER_DOMAIN = 3; // Max 3 concurrent requests per domain
-const DOMAIN_DELAY_MS = 500; // 500ms delay between requests to same domain
-const TIMEOUT = 10000; // 10 seconds
-const MAX_RETRIES = 2; // Retry failed requests twice
-const CIRCUIT_BREAKER_THRESHOLD = 5; // After 5 failures, stop checking domain
+const { proxyAgentFor } = require('./proxy');
+const { DEFAULT_SCAN_OPTIONS } = require('./scan-options');
+const { createUrlFilter } = require('./url-filter');
+const { findMissingAnchors, pageKey } = require('./anchor-checker');
+const { LINK_TYPES, toOccurrence } = require('./link-extractor');
+const { fetchPage } = require('./crawler');
+const { createSoft404Detector, findSoft404Pages, SOFT_404_MESSAGE } = require('./soft-404');
+const { requestThrough } = require('./scan-control');
+const { createRateLimiter, parseRetryAfter } = require('./rate-limiter');
+const { describeRedirect, findPageRedirects, followRedirects } = require('./redirects');
+
+// Configuration (per-scan limits come from scan options)
 const DNS_TIMEOUT = 5000; // 5 seconds for DNS lookup
 
-// Connection pooling
+// Connection pooling (links behind a proxy go through the proxy's agent, see proxy.js)
 const httpAgent = new http.Agent({
   keepAlive: true,
   maxSockets: 100,
   maxFreeSockets: 25,
-  timeout: TIMEOUT
+  timeout: DEFAULT_SCAN_OPTIONS.timeout
 });
-
 const httpsAgent = new https.Agent({
   keepAlive: true,
   maxSockets: 100,
   maxFreeSockets: 25,
-  timeout: TIMEOUT
+  timeout: DEFAULT_SCAN_OPTIONS.timeout
 });
 
 /**
@@ -56,241 +60,425 @@ async function checkDomainDNS(domain) {
   }
 }
 
-/**
- * Delay helper with random jitter
- */
-function delay(ms) {
-  const jitter = Math.random() * 200; // Add 0-200ms random jitter
-  return new Promise(resolve => setTimeout(resolve, ms + jitter));
+// Responses that mean "slow down" rather than "broken"
+function isRateLimited(checkResult) {
+  return checkResult.status === 429 || checkResult.status === 503;
 }
 
 /**
- * Check links for a single domain with rate limiting and circuit breaker
+ * Create a streaming link checker shared by checkLinks and the server pipeline
+ *
+ * Links can be added at any time (e.g. as pages are crawled). Each domain gets
+ * a small pool of workers with a DNS pre-check, an adaptive politeness delay
+ * (see rate-limiter.js) and a circuit breaker, so adding links never floods a
+ * single host. Links answered with 429/503 are retried after the host's
+ * cooldown, up to rateLimitRetries times.
+ *
+ * @param {Set} crawledPages - URLs already crawled (valid, skipped at check time)
+ * @param {Object} callbacks - Optional hooks: onChecked, onBrokenLinkFound,
+ *   onWarningFound, onRedirectFound, onSoft404Found
+ * @param {Object} options - Scan options (concurrencyPerDomain, domainDelayMs,
+ *   timeout, maxRetries, rateLimitRetries, circuitBreakerThreshold,
+ *   redirectChainLimit, include, exclude, soft404Detection - 'all' also
+ *   loads working links to look for soft 404s), plus control (pause/cancel, see scan-control.js), siteAuth
+ *   (credentials from auth.js createSiteAuth), previousChecks (from
+ *   getCompletedChecks() of an interrupted scan, reused instead of re-requesting)
+ *   and checkLocal (returns a check result for links it can answer without a
+ *   request, or null - see fs-crawler.js)
+ * @returns {Object} - Checker with addPageLinks/addLink/idle/getResults/getCompletedChecks/
+ *   waitingForRateLimit (true while a host's Retry-After pause holds up its links)
  */
-async function checkDomainLinks(domain, links, onProgress, onBrokenLinkFound) {
+function createLinkChecker(crawledPages = new Set(), callbacks = {}, options = {}) {
+  const { onChecked, onBrokenLinkFound, onWarningFound, onRedirectFound, onSoft404Found } = callbacks;
+  const {
+    concurrencyPerDomain,
+    domainDelayMs,
+    timeout,
+    maxRetries,
+    rateLimitRetries,
+    circuitBreakerThreshold,
+    redirectChainLimit,
+    include,
+    exclude,
+    soft404Detection
+  } = { ...DEFAULT_SCAN_OPTIONS, ...options };
+  const isIncluded = createUrlFilter({ include, exclude });
+  const { control } = options;
+  const signal = control && control.signal;
+  const auth = options.siteAuth;
+  const previousChecks = new Map((options.previousChecks || []).map(check => [check.url, check.result]));
+  const { checkLocal } = options;
+  const completedChecks = []; // { url, result } for every link requested, in order
+  const rateLimitRetryCounts = new Map(); // url -> retries after 429/503 so far
+  const soft404Detector = soft404Detection === 'all'
+    ? createSoft404Detector(url => requestThrough(control, () => fetchPage(url, timeout, { signal, auth })))
+    : null;
+
+  const entries = new Map(); // url -> { url, occurrences }
+  const domains = new Map(); // domain -> { queue, workers, dns, limiter, consecutiveFailures, circuitBroken }
+  const idleWaiters = [];
+  let activeWorkers = 0;
+
   const results = {
-    checked: 0,
     broken: [],
     warnings: [],
     redirects: [],
-    circuitBroken: false
+    soft404s: [],
+    excluded: []
   };
 
-  let consecutiveFailures = 0;
+  const stats = {
+    queued: 0,
+    checked: 0,
+    skipped: 0,
+    excluded: 0
+  };
 
-  // Process links sequentially with delays (respects rate limits)
-  for (let i = 0; i < links.length; i++) {
-    const [url, occurrences] = links[i];
+  // Crawled pages loaded fine (#fragments on them are validated separately)
+  function isCrawled(url) {
+    return crawledPages.has(url) || crawledPages.has(pageKey(url));
+  }
 
-    // Circuit breaker: if too many consecutive failures, stop
-    if (consecutiveFailures >= CIRCUIT_BREAKER_THRESHOLD) {
-      console.log(`⚠️  Circuit breaker triggered for ${domain} - skipping remaining ${links.length - i} links`);
-      results.circuitBroken = true;
+  function finish(entry, outcome) {
+    if (outcome === 'skipped') {
+      stats.skipped++;
+    } else if (outcome === 'excluded') {
+      stats.skipped++;
+      stats.excluded++;
+    } else {
+      stats.checked++;
+    }
 
-      // Mark remaining as unable to verify
-      for (let j = i; j < links.length; j++) {
-        const [remainingUrl, remainingOcc] = links[j];
-        results.warnings.push({
-          url: remainingUrl,
-          status: 0,
-          message: 'Unable to verify (domain rate limited)',
-          occurrences: remainingOcc.map(o => ({
-            page: o.page,
-            text: o.link.text,
-            type: o.link.type
-          }))
-        });
-      }
-      break;
+    if (onChecked) {
+      onChecked({ url: entry.url, outcome });
     }
+  }
 
-    // Check the URL
-    const checkResult = await checkUrl(url);
-    results.checked++;
+  function recordBroken(entry, status, message, chain = []) {
+    const brokenLinkData = { url: entry.url, status, message, occurrences: entry.occurrences };
+    if (chain.length > 0) {
+      brokenLinkData.chain = chain; // Redirects that led to the error (or went round in a loop)
+    }
+    results.broken.push(brokenLinkData);
+    if (onBrokenLinkFound) {
+      onBrokenLinkFound(brokenLinkData);
+    }
+    finish(entry, 'broken');
+  }
 
-    // Track consecutive failures for circuit breaker
-    if (checkResult.status === 0 || checkResult.message?.includes('ECONNABORTED')) {
-      consecutiveFailures++;
-    } else {
-      consecutiveFailures = 0; // Reset on success or HTTP error
+  function recordWarning(entry, status, message) {
+    const warningData = { url: entry.url, status, message, occurrences: entry.occurrences };
+    results.warnings.push(warningData);
+    if (onWarningFound) {
+      onWarningFound(warningData);
+    }
+    finish(entry, 'warning');
+  }
+
+  function recordResult(entry, checkResult) {
+    if (checkResult.soft404) {
+      const soft404Data = { url: entry.url, status: checkResult.status, message: SOFT_404_MESSAGE, occurrences: entry.occurrences };
+      results.soft404s.push(soft404Data);
+      if (onSoft404Found) {
+        onSoft404Found(soft404Data);
+      }
+      finish(entry, 'soft404');
+      return;
     }
 
-    // Process result
     if (!checkResult.ok) {
       if (checkResult.status === 403 || checkResult.status === 401) {
-        results.warnings.push({
-          url,
-          status: checkResult.status,
-          message: checkResult.message + ' (may be accessible to users)',
-          occurrences: occurrences.map(o => ({
-            page: o.page,
-            text: o.link.text,
-            type: o.link.type
-          }))
-        });
+        recordWarning(entry, checkResult.status, checkResult.message + ' (may be accessible to users)');
       } else {
-        const brokenLinkData = {
-          url,
-          status: checkResult.status,
-          message: checkResult.message,
-          occurrences: occurrences.map(o => ({
-            page: o.page,
-            text: o.link.text,
-            type: o.link.type
-          }))
-        };
-        results.broken.push(brokenLinkData);
-
-        if (onBrokenLinkFound) {
-          onBrokenLinkFound(brokenLinkData);
-        }
+        recordBroken(entry, checkResult.status, checkResult.message, checkResult.redirects);
       }
-    } else if (checkResult.redirected && !isTrivialRedirect(url, checkResult.finalUrl)) {
-      results.redirects.push({
-        url,
-        redirectTo: checkResult.finalUrl,
-        occurrences: occurrences.map(o => ({
-          page: o.page,
-          text: o.link.text,
-          type: o.link.type
-        }))
-      });
+      return;
     }
 
-    // Progress callback
-    if (onProgress) {
-      onProgress({ checked: 1 });
+    const redirect = checkResult.redirected &&
+      describeRedirect(entry.url, checkResult.finalUrl, checkResult.redirects, { redirectChainLimit });
+    if (redirect) {
+      const redirectData = { url: entry.url, ...redirect, occurrences: entry.occurrences };
+      results.redirects.push(redirectData);
+      if (onRedirectFound) {
+        onRedirectFound(redirectData);
+      }
+      finish(entry, 'redirect');
+      return;
     }
 
-    // Respectful delay between requests to same domain
-    if (i < links.length - 1) {
-      await delay(DOMAIN_DELAY_MS);
-    }
+    finish(entry, 'ok');
   }
 
-  return results;
-}
+  // Work through one domain's queue (up to concurrencyPerDomain workers share it)
+  async function runDomain(domain, state) {
+    state.workers++;
+    activeWorkers++;
 
-/**
- * Check all links and images with domain-based rate limiting
- */
-async function checkLinks(pages, crawledPages, onProgress, onBrokenLinkFound) {
-  // Collect all unique links to check
-  const linksToCheck = new Map(); // url -> [{ page, linkData }]
+    try {
+      const dnsResult = await state.dns;
 
-  for (const page of pages) {
-    for (const link of page.links) {
-      if (!linksToCheck.has(link.url)) {
-        linksToCheck.set(link.url, []);
+      while (state.queue.length > 0) {
+        // Paused: hold the queue; cancelled: leave it unchecked
+        if (control) {
+          await control.whenRunning();
+          if (control.cancelled) break;
+        }
+
+        const entry = state.queue.shift();
+
+        // Page may have been crawled after its link was queued
+        if (isCrawled(entry.url)) {
+          finish(entry, 'skipped');
+          continue;
+        }
+
+        if (!dnsResult.exists) {
+          recordBroken(entry, 0, `DNS lookup failed: ${dnsResult.error}`);
+          continue;
+        }
+
+        if (state.circuitBroken) {
+          recordWarning(entry, 0, 'Unable to verify (domain rate limited)');
+          continue;
+        }
+
+        // Respectful delay between requests to same domain
+        await state.limiter.acquire();
+
+        let checkResult = await requestThrough(control, () => checkUrl(entry.url, { timeout, maxRetries, signal, auth }));
+
+        // An aborted request says nothing about the link
+        if (signal && signal.aborted) break;
+
+        // Host is busy: back off, then try the link again after the cooldown
+        if (isRateLimited(checkResult)) {
+          state.limiter.throttled(checkResult.retryAfterMs ?? null);
+          const retries = rateLimitRetryCounts.get(entry.url) || 0;
+          if (retries < rateLimitRetries) {
+            rateLimitRetryCounts.set(entry.url, retries + 1);
+            state.queue.push(entry);
+            continue;
+          }
+
+          // Still saturated after every retry (not saved for resuming, so it's retried then)
+          if (checkResult.status === 429) {
+            recordWarning(entry, 429, 'Rate limited (host still busy after retries)');
+            continue;
+          }
+        } else {
+          state.limiter.succeeded();
+        }
+
+        // Track consecutive failures for circuit breaker
+        if (checkResult.status === 0 || checkResult.message?.includes('ECONNABORTED')) {
+          state.consecutiveFailures++;
+        } else {
+          state.consecutiveFailures = 0; // Reset on success or HTTP error
+        }
+
+        // A working page link may still be the host's "not found" page
+        if (soft404Detector && checkResult.ok && entry.occurrences.some(occ => occ.type === LINK_TYPES.link) &&
+            await soft404Detector.check(entry.url)) {
+          checkResult = { ...checkResult, soft404: true };
+        }
+
+        completedChecks.push({ url: entry.url, result: checkResult });
+        recordResult(entry, checkResult);
+
+        // Circuit breaker: if too many consecutive failures, stop
+        if (state.consecutiveFailures >= circuitBreakerThreshold && !state.circuitBroken) {
+          console.log(`⚠️  Circuit breaker triggered for ${domain} - skipping remaining links`);
+          state.circuitBroken = true;
+        }
+      }
+    } finally {
+      state.workers--;
+      activeWorkers--;
+
+      if (activeWorkers === 0) {
+        idleWaiters.splice(0).forEach(resolve => resolve());
       }
-      linksToCheck.get(link.url).push({
-        page: page.url,
-        link
-      });
     }
   }
 
-  // Filter out internal links we already crawled (they're valid!)
-  const linksToCheckArray = Array.from(linksToCheck.entries());
-  const filteredLinks = linksToCheckArray.filter(([url]) => !crawledPages.has(url));
+  /**
+   * Queue a link found on a page; repeated URLs only add an occurrence
+   */
+  function addLink(link, pageUrl) {
+    const occurrence = toOccurrence(pageUrl, link);
 
-  console.log(`📊 Total unique links: ${linksToCheckArray.length}`);
-  console.log(`✅ Skipping ${linksToCheckArray.length - filteredLinks.length} internal links (already crawled)`);
-  console.log(`🔍 Checking ${filteredLinks.length} external/uncrawled links`);
+    if (entries.has(link.url)) {
+      entries.get(link.url).occurrences.push(occurrence);
+      return;
+    }
 
-  // Group links by domain
-  const domainGroups = new Map(); // domain -> [[url, occurrences], ...]
+    const entry = { url: link.url, occurrences: [occurrence] };
+    entries.set(link.url, entry);
+    stats.queued++;
 
-  for (const [url, occurrences] of filteredLinks) {
-    const domain = getDomain(url);
-    if (!domain) continue;
+    // Excluded by include/exclude rules: reported, never requested
+    if (!isIncluded(link.url)) {
+      results.excluded.push(entry);
+      finish(entry, 'excluded');
+      return;
+    }
 
-    if (!domainGroups.has(domain)) {
-      domainGroups.set(domain, []);
+    // Answered without a request (e.g. a file in a build directory)
+    const localResult = checkLocal && !isCrawled(link.url) ? checkLocal(link.url) : null;
+    if (localResult) {
+      recordResult(entry, localResult);
+      return;
     }
-    domainGroups.get(domain).push([url, occurrences]);
-  }
 
-  console.log(`🌐 Found ${domainGroups.size} unique domains to check`);
-
-  // DNS pre-check: quickly eliminate dead domains
-  console.log(`🔍 Running DNS pre-check on ${domainGroups.size} domains...`);
-  const dnsCheckPromises = Array.from(domainGroups.keys()).map(async (domain) => {
-    const dnsResult = await checkDomainDNS(domain);
-    return { domain, ...dnsResult };
-  });
-
-  const dnsResults = await Promise.all(dnsCheckPromises);
-  const deadDomains = dnsResults.filter(r => !r.exists);
-
-  console.log(`💀 Found ${deadDomains.length} dead domains (DNS failed)`);
-
-  // Remove dead domains and mark their links as broken
-  const deadDomainLinks = [];
-  for (const { domain, error } of deadDomains) {
-    const links = domainGroups.get(domain);
-    for (const [url, occurrences] of links) {
-      deadDomainLinks.push({
-        url,
-        status: 0,
-        message: `DNS lookup failed: ${error}`,
-        occurrences: occurrences.map(o => ({
-          page: o.page,
-          text: o.link.text,
-          type: o.link.type
-        }))
+    // Internal links we already crawled are valid
+    const domain = getDomain(link.url);
+    if (isCrawled(link.url) || !domain) {
+      finish(entry, 'skipped');
+      return;
+    }
+
+    // Checked before the scan was interrupted
+    if (previousChecks.has(link.url)) {
+      const result = previousChecks.get(link.url);
+      completedChecks.push({ url: link.url, result });
+      recordResult(entry, result);
+      return;
+    }
+
+    if (!domains.has(domain)) {
+      domains.set(domain, {
+        queue: [],
+        workers: 0,
+        dns: checkDomainDNS(domain).then((dnsResult) => {
+          if (!dnsResult.exists) {
+            console.log(`💀 DNS lookup failed for ${domain}`);
+          }
+          return dnsResult;
+        }),
+        limiter: createRateLimiter({ delayMs: domainDelayMs }),
+        consecutiveFailures: 0,
+        circuitBroken: false
       });
     }
-    domainGroups.delete(domain);
+
+    const state = domains.get(domain);
+    state.queue.push(entry);
+
+    if (state.workers < concurrencyPerDomain) {
+      runDomain(domain, state);
+    }
   }
 
-  console.log(`✨ ${domainGroups.size} domains remain for HTTP checking`);
+  /**
+   * Queue every link found on a crawled page
+   */
+  function addPageLinks(page) {
+    for (const link of page.links) {
+      addLink(link, page.url);
+    }
+  }
 
-  const results = {
-    summary: {
-      totalPages: pages.length,
-      totalLinks: linksToCheckArray.length,
-      linksChecked: 0,
-      linksSkipped: linksToCheckArray.length - filteredLinks.length,
-      brokenLinks: 0,
-      workingLinks: 0,
-      redirects: 0,
-      warnings: 0
-    },
-    pages: [],
-    brokenLinks: [...deadDomainLinks], // Start with DNS failures
-    redirects: [],
-    warnings: []
+  /**
+   * Resolve once every queued link has been checked
+   */
+  function idle() {
+    if (activeWorkers === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => idleWaiters.push(resolve));
+  }
+
+  // Links are waiting out a host's 429/503 pause (slow, but not stuck)
+  function waitingForRateLimit() {
+    return [...domains.values()].some(state => state.workers > 0 && state.limiter.paused);
+  }
+
+  return {
+    addLink,
+    addPageLinks,
+    idle,
+    waitingForRateLimit,
+    getResults: () => results,
+    getCompletedChecks: () => completedChecks,
+    getStats: () => ({ ...stats, domains: domains.size })
   };
+}
 
-  let checked = deadDomainLinks.length; // Count DNS failures as checked
+/**
+ * Summary counts of a finished check, the same for the CLI (checkLinks) and the web UI (server.js)
+ *
+ * linksChecked counts links that were requested (or answered locally): they
+ * are working unless they came out broken, as a warning, redirect or soft 404.
+ * Links to crawled pages and excluded links are skipped, never checked.
+ *
+ * @param {Object} checker - From createLinkChecker(), once idle
+ * @param {Object} found - pages, totalLinks, and every redirect, missing anchor and soft 404 (crawl included)
+ */
+function summarizeChecks(checker, { pages, totalLinks, redirects, missingAnchors, soft404s }) {
+  const { broken, warnings, excluded } = checker.getResults();
+  const checkedRedirects = checker.getResults().redirects;
+  const checkedSoft404s = checker.getResults().soft404s;
+  const { checked, skipped } = checker.getStats();
 
-  // Wrap progress callback to accumulate counts
-  const wrappedProgress = onProgress ? (delta) => {
-    checked += delta.checked || 0;
-    onProgress({ checked: checked + results.summary.linksSkipped, broken: results.brokenLinks.length });
-  } : null;
+  return {
+    totalPages: pages.length,
+    totalLinks,
+    linksChecked: checked,
+    linksSkipped: skipped,
+    linksExcluded: excluded.length,
+    brokenLinks: broken.length,
+    workingLinks: checked - broken.length - warnings.length - checkedRedirects.length - checkedSoft404s.length,
+    redirects: redirects.length,
+    warnings: warnings.length,
+    missingAnchors: missingAnchors.length,
+    soft404s: soft404s.length
+  };
+}
 
-  // Process ALL domains in parallel (each domain respects its own rate limits internally)
-  console.log(`🚀 Checking links across ${domainGroups.size} domains in parallel...`);
+/**
+ * Check all links and images with domain-based rate limiting
+ */
+async function checkLinks(pages, crawledPages, onProgress, onBrokenLinkFound, options = {}) {
+  const checker = createLinkChecker(crawledPages, {
+    onBrokenLinkFound,
+    onChecked: onProgress ? () => {
+      const { checked, skipped } = checker.getStats();
+      onProgress({ checked: checked + skipped, broken: checker.getResults().broken.length });
+    } : null
+  }, options);
 
-  const domainCheckPromises = Array.from(domainGroups.entries()).map(async ([domain, links]) => {
-    console.log(`   → ${domain}: checking ${links.length} links`);
-    const domainResults = await checkDomainLinks(domain, links, wrappedProgress, onBrokenLinkFound);
+  for (const page of pages) {
+    checker.addPageLinks(page);
+  }
 
-    console.log(`   ✓ ${domain}: ${domainResults.checked} checked, ${domainResults.broken.length} broken${domainResults.circuitBroken ? ' (circuit broken)' : ''}`);
+  const initialStats = checker.getStats();
+  console.log(`📊 Total unique links: ${initialStats.queued}`);
+  console.log(`✅ Skipping ${initialStats.skipped - initialStats.excluded} internal links (already crawled)`);
+  if (initialStats.excluded > 0) {
+    console.log(`🚫 Skipping ${initialStats.excluded} links excluded by URL patterns`);
+  }
+  console.log(`🚀 Checking ${initialStats.queued - initialStats.skipped} links across ${initialStats.domains} domains in parallel...`);
 
-    return domainResults;
-  });
+  await checker.idle();
 
-  const allDomainResults = await Promise.all(domainCheckPromises);
+  const { broken, warnings, excluded } = checker.getResults();
+  const checkedRedirects = checker.getResults().redirects;
+  const missingAnchors = findMissingAnchors(pages, options);
+  const soft404s = [...checker.getResults().soft404s, ...findSoft404Pages(pages, options)];
+  // Links to crawled pages aren't checked again, so their redirects come from the crawl
+  const redirects = [...checkedRedirects, ...findPageRedirects(pages, options)];
 
-  // Merge all results
-  for (const domainResult of allDomainResults) {
-    results.brokenLinks.push(...domainResult.broken);
-    results.redirects.push(...domainResult.redirects);
-    results.warnings.push(...domainResult.warnings);
-  }
+  const results = {
+    summary: summarizeChecks(checker, { pages, totalLinks: checker.getStats().queued, redirects, missingAnchors, soft404s }),
+    pages: [],
+    brokenLinks: broken,
+    redirects,
+    warnings,
+    missingAnchors,
+    soft404s,
+    excluded
+  };
 
   // Organize results by page
   for (const page of pages) {
@@ -318,71 +506,41 @@ async function checkLinks(pages, crawledPages, onProgress, onBrokenLinkFound) {
     });
   }
 
-  results.summary.brokenLinks = results.brokenLinks.length;
-  results.summary.warnings = results.warnings.length;
-  results.summary.linksChecked = checked + results.summary.linksSkipped;
-  results.summary.workingLinks = results.summary.totalLinks - results.brokenLinks.length - results.redirects.length - results.warnings.length;
-  results.summary.redirects = results.redirects.length;
+  console.log(`✓ Checked ${results.summary.linksChecked} links: ${broken.length} broken, ${warnings.length} warnings, ${redirects.length} redirects, ${missingAnchors.length} missing anchors, ${soft404s.length} soft 404s`);
 
   return results;
 }
 
-/**
- * Check if a redirect is trivial (www vs non-www, http vs https)
- */
-function isTrivialRedirect(originalUrl, finalUrl) {
-  try {
-    const orig = new URL(originalUrl);
-    const final = new URL(finalUrl);
-
-    // Normalize for comparison
-    const origHost = orig.hostname.replace(/^www\./, '');
-    const finalHost = final.hostname.replace(/^www\./, '');
-
-    // Same domain, same path = trivial (just www or protocol change)
-    if (origHost === finalHost && orig.pathname === final.pathname) {
-      return true;
-    }
-
-    // Trailing slash difference
-    const origPath = orig.pathname.replace(/\/$/, '');
-    const finalPath = final.pathname.replace(/\/$/, '');
-    if (origHost === finalHost && origPath === finalPath) {
-      return true;
-    }
-
-    return false;
-  } catch (e) {
-    return false;
-  }
-}
-
 /**
  * Check if a single URL is accessible with retry logic and HEAD->GET fallback
  */
-async function checkUrl(url) {
+async function checkUrl(url, { timeout = DEFAULT_SCAN_OPTIONS.timeout, maxRetries = DEFAULT_SCAN_OPTIONS.maxRetries, signal, auth } = {}) {
   // Try with retries and fallback strategies
-  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    if (signal && signal.aborted) {
+      return { ok: false, status: 0, message: 'Cancelled' };
+    }
+
     try {
       // First try HEAD request (fast)
-      const headResult = await checkUrlWithMethod(url, 'HEAD', attempt);
+      const headResult = await checkUrlWithMethod(url, 'HEAD', attempt, timeout, { signal, auth });
 
-      // If HEAD succeeded, return result
-      if (headResult.ok || headResult.status >= 400) {
+      // If HEAD succeeded (or was cancelled), return result
+      if (headResult.ok || headResult.status >= 400 || (signal && signal.aborted)) {
         return headResult;
       }
 
       // If HEAD returned 404/405 (method not allowed), try GET as fallback
       if (headResult.status === 404 || headResult.status === 405 || headResult.status === 0) {
         console.log(`  ↻ HEAD failed for ${url}, trying GET...`);
-        const getResult = await checkUrlWithMethod(url, 'GET', 0); // No retries for GET
+        const getResult = await checkUrlWithMethod(url, 'GET', 0, timeout, { signal, auth }); // No retries for GET
         if (getResult.ok) {
           return getResult;
         }
       }
 
       // Return HEAD result if not retrying
-      if (attempt === MAX_RETRIES) {
+      if (attempt === maxRetries) {
         return headResult;
       }
 
@@ -396,7 +554,7 @@ async function checkUrl(url) {
 
     } catch (error) {
       // Hard timeout or unexpected error
-      if (attempt === MAX_RETRIES) {
+      if (attempt === maxRetries) {
         return {
           ok: false,
           status: 0,
@@ -420,52 +578,74 @@ async function checkUrl(url) {
 
 /**
  * Check URL with specific HTTP method
+ * (`signal` cancels the request, `auth` adds the site's credentials)
  */
-async function checkUrlWithMethod(url, method, attempt) {
-  try {
-    const options = {
-      timeout: TIMEOUT,
-      maxRedirects: 5,
-      validateStatus: null, // Don't throw on any status
-      httpAgent: httpAgent,
-      httpsAgent: httpsAgent,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; DeadLinkChecker/4.0; +https://github.com/deadlinks)'
-      }
-    };
+async function checkUrlWithMethod(url, method, attempt, timeout = DEFAULT_SCAN_OPTIONS.timeout, { signal, auth } = {}) {
+  const options = {
+    timeout: timeout,
+    signal,
+    maxRedirects: 0, // Followed below, one hop at a time (see redirects.js)
+    validateStatus: null, // Don't throw on any status
+    proxy: false // Proxying (and NO_PROXY) is handled by the agents below
+  };
 
-    // For GET, limit response size to avoid downloading huge files
-    if (method === 'GET') {
-      options.maxContentLength = 1024 * 1024; // 1MB max
-      options.responseType = 'stream'; // Stream to avoid loading entire file
-    }
+  // For GET, limit response size to avoid downloading huge files
+  if (method === 'GET') {
+    options.maxContentLength = 1024 * 1024; // 1MB max
+    options.responseType = 'stream'; // Stream to avoid loading entire file
+  }
 
+  // One hop; credentials are looked up per URL, so a redirect to another host never gets them
+  const request = async (hopUrl) => {
+    const headers = {
+      'User-Agent': 'Mozilla/5.0 (compatible; DeadLinkChecker/4.0; +https://github.com/deadlinks)',
+      ...(auth ? auth.headersFor(hopUrl) : {})
+    };
+    const proxyAgent = proxyAgentFor(hopUrl);
+    const agents = { httpAgent: proxyAgent || httpAgent, httpsAgent: proxyAgent || httpsAgent };
     const response = method === 'HEAD'
-      ? await axios.head(url, options)
-      : await axios.get(url, options);
+      ? await axios.head(hopUrl, { ...options, ...agents, headers })
+      : await axios.get(hopUrl, { ...options, ...agents, headers });
 
     // If GET with stream, immediately destroy to stop download
     if (method === 'GET' && response.data && response.data.destroy) {
       response.data.destroy();
     }
+    return response;
+  };
 
-    const redirected = response.request.res?.responseUrl && response.request.res.responseUrl !== url;
+  try {
+    const { response, url: finalUrl, redirects } = await followRedirects(url, request);
+    const retryAfterMs = parseRetryAfter(response.headers['retry-after']);
 
     if (response.status >= 200 && response.status < 400) {
       return {
         ok: true,
         status: response.status,
-        redirected,
-        finalUrl: response.request.res?.responseUrl || url
+        redirected: redirects.length > 0,
+        finalUrl,
+        redirects
       };
     } else {
       return {
         ok: false,
         status: response.status,
-        message: getStatusMessage(response.status)
+        message: getStatusMessage(response.status),
+        redirects,
+        ...(retryAfterMs !== null && { retryAfterMs })
       };
     }
   } catch (error) {
+    // Redirect loops and endless chains end on a redirect that never resolves
+    if (error.redirects) {
+      return {
+        ok: false,
+        status: error.status,
+        message: error.message,
+        redirects: error.redirects
+      };
+    }
+
     // Network errors, timeouts, etc.
     return {
       ok: false,
@@ -484,6 +664,7 @@ function getStatusMessage(status) {
     405: 'Method Not Allowed',
     408: 'Request Timeout',
     410: 'Gone',
+    429: 'Too Many Requests',
     500: 'Internal Server Error',
     502: 'Bad Gateway',
     503: 'Service Unavailable',
@@ -493,38 +674,4 @@ function getStatusMessage(status) {
   return messages[status] || `HTTP ${status}`;
 }
 
-/**
- * Streaming link checker - checks links from a single page immediately
- * Used for pipeline architecture
- */
-async function checkPageLinks(page, crawledPages, onBrokenLinkFound) {
-  const linksToCheck = page.links.filter(link => !crawledPages.has(link.url));
-
-  // Process in batches
-  for (let i = 0; i < linksToCheck.length; i += CONCURRENCY) {
-    const batch = linksToCheck.slice(i, i + CONCURRENCY);
-
-    const checkPromises = batch.map(async (link) => {
-      const checkResult = await checkUrl(link.url);
-
-      if (!checkResult.ok && onBrokenLinkFound) {
-        onBrokenLinkFound({
-          url: link.url,
-          status: checkResult.status,
-          message: checkResult.message,
-          occurrences: [{
-            page: page.url,
-            text: link.text,
-            type: link.type
-          }]
-        });
-      }
-
-      return checkResult;
-    });
-
-    await Promise.all(checkPromises);
-  }
-}
-
-module.exports = { checkLinks, checkPageLinks };
+module.exports = { checkLinks, createLinkChecker, summarizeChecks };
@@ -0,0 +1,164 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { readJSON, writeJSON, createWriteQueue, DEFAULT_DATA_DIR } = require('./json-files');
+
+/**
+ * Checkpoints of running scans, so an interrupted scan can resume
+ *
+ * Layout:
+ *   <dataDir>/checkpoints/<id>/state.json    - scan settings, crawl queue and line counts
+ *   <dataDir>/checkpoints/<id>/pages.jsonl   - crawled pages, one per line
+ *   <dataDir>/checkpoints/<id>/checks.jsonl  - finished link checks, one per line
+ *
+ * Pages and checks only ever grow, so each save appends what's new instead of
+ * rewriting a 10,000-page crawl. state.json is written last and records how
+ * many lines belong to the checkpoint; anything after that is ignored.
+ *
+ * @param {Object} options - dataDir (default ./data)
+ * @returns {Object} - Store with save/load/remove/list
+ */
+function createCheckpointStore(options = {}) {
+  const checkpointsDir = path.join(options.dataDir || DEFAULT_DATA_DIR, 'checkpoints');
+
+  const written = new Map(); // scanId -> { pages, checks } lines saved by this process
+  const queues = new Map(); // scanId -> write queue
+
+  // One write at a time per scan
+  function serialize(scanId, fn) {
+    if (!queues.has(scanId)) {
+      queues.set(scanId, createWriteQueue());
+    }
+    return queues.get(scanId)(fn);
+  }
+
+  function checkpointDir(scanId) {
+    if (!/^[\w-]+$/.test(scanId)) {
+      throw new Error(`Invalid scan id: ${scanId}`);
+    }
+    return path.join(checkpointsDir, scanId);
+  }
+
+  function toLines(items) {
+    return items.map(item => JSON.stringify(item) + '\n').join('');
+  }
+
+  async function readLines(filePath, count) {
+    try {
+      const content = await fs.readFile(filePath, 'utf8');
+      return content.split('\n').filter(Boolean).slice(0, count).map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Save a checkpoint
+   *
+   * @param {string} scanId - Scan id
+   * @param {Object} checkpoint - { scan, crawl, pages, checks }: scan settings,
+   *   crawler state (see crawlWebsite onCheckpoint), crawled pages and finished checks
+   */
+  function save(scanId, { scan, crawl, pages = [], checks = [] }) {
+    return serialize(scanId, async () => {
+      // The first save in this process starts the files over
+      const resuming = written.has(scanId);
+      const counts = written.get(scanId) || { pages: 0, checks: 0 };
+      const newPages = pages.slice(counts.pages);
+      const newChecks = checks.slice(counts.checks);
+      const state = {
+        scan,
+        crawl,
+        pageCount: counts.pages + newPages.length,
+        checkCount: counts.checks + newChecks.length,
+        savedAt: Date.now()
+      };
+
+      const dir = checkpointDir(scanId);
+      await fs.mkdir(dir, { recursive: true });
+
+      const flag = resuming ? 'a' : 'w';
+      await fs.writeFile(path.join(dir, 'pages.jsonl'), toLines(newPages), { flag });
+      await fs.writeFile(path.join(dir, 'checks.jsonl'), toLines(newChecks), { flag });
+
+      await writeJSON(path.join(dir, 'state.json'), state);
+
+      written.set(scanId, { pages: state.pageCount, checks: state.checkCount });
+    });
+  }
+
+  /**
+   * Load a checkpoint, or null if there isn't one
+   *
+   * @returns {Promise<Object|null>} - { scan, crawl, pages, checks, savedAt }
+   */
+  async function load(scanId) {
+    let dir;
+    try {
+      dir = checkpointDir(scanId);
+    } catch (error) {
+      return null;
+    }
+
+    const state = await readJSON(path.join(dir, 'state.json'), null);
+    if (!state) return null;
+
+    return {
+      scan: state.scan,
+      crawl: state.crawl,
+      pages: await readLines(path.join(dir, 'pages.jsonl'), state.pageCount),
+      checks: await readLines(path.join(dir, 'checks.jsonl'), state.checkCount),
+      savedAt: state.savedAt
+    };
+  }
+
+  /**
+   * Delete a checkpoint (e.g. once its scan has finished); resolves to false if there wasn't one
+   */
+  function remove(scanId) {
+    if (!/^[\w-]+$/.test(scanId)) {
+      return Promise.resolve(false);
+    }
+
+    return serialize(scanId, async () => {
+      written.delete(scanId);
+      const dir = checkpointDir(scanId);
+      const existed = await fs.access(dir).then(() => true, () => false);
+      await fs.rm(dir, { recursive: true, force: true });
+      return existed;
+    }).finally(() => queues.delete(scanId));
+  }
+
+  /**
+   * List checkpointed scans as { ...scan, savedAt, pagesCrawled }
+   */
+  async function list() {
+    let ids;
+    try {
+      ids = await fs.readdir(checkpointsDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const checkpoints = [];
+    for (const scanId of ids) {
+      try {
+        const state = JSON.parse(await fs.readFile(path.join(checkpointDir(scanId), 'state.json'), 'utf8'));
+        checkpoints.push({ ...state.scan, savedAt: state.savedAt, pagesCrawled: state.pageCount });
+      } catch (error) {
+        // Not a checkpoint (or not finished writing its first state)
+      }
+    }
+    return checkpoints;
+  }
+
+  return {
+    save,
+    load,
+    remove,
+    list
+  };
+}
+
+module.exports = { createCheckpointStore };
@@ -0,0 +1,359 @@
+#!/usr/bin/env node
+const { smartCrawl } = require('./smart-crawler');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { crawlDirectory } = require('./fs-crawler');
+const { crawlMarkdown } = require('./markdown-crawler');
+const { checkLinks } = require('./checker');
+const { DEFAULT_SCAN_OPTIONS, OPTION_LIMITS, resolveScanOptions } = require('./scan-options');
+const { createSiteAuth } = require('./auth');
+
+// maxPages -> max-pages
+function toFlag(name) {
+  return name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+}
+
+// Numeric scan options by flag name (e.g. "max-pages" -> "maxPages")
+const NUMERIC_FLAGS = new Map(Object.keys(OPTION_LIMITS).map(name => [toFlag(name), name]));
+
+const USAGE = `Usage: dead-links <url> [options]
+       dead-links --dir <path> <base-url> [options]
+       dead-links --markdown <path> [options]
+
+Crawl a website and check every link and image, without the web UI.
+
+Options:
+  --json               Print the full results as JSON instead of a summary
+  --fail-on-warnings   Also exit non-zero on 401/403 warnings, missing #anchors
+                       and soft 404s
+  --ignore-robots      Don't fetch or honour robots.txt (only for sites you own)
+  --render <mode>      Render pages in headless Chromium: off, auto (SPAs only)
+                       or always (default: off, needs Playwright's Chromium)
+  --soft-404 <mode>    Flag pages that answer 200 but look like the site's
+                       "not found" page: off, pages (crawled pages) or all
+                       (also every other linked page, one extra request each)
+                       (default: pages)
+  --include <pattern>  Only crawl and check URLs matching this pattern (repeatable)
+  --exclude <pattern>  Skip URLs matching this pattern, e.g. "/api/" or "?page=" (repeatable)
+                       Patterns match anywhere in the URL, * matches anything,
+                       "regex:<expression>" is a regular expression
+  --dir <path>         Read pages from a static site build directory (e.g. dist/)
+                       instead of crawling; <url> is where it will be deployed.
+                       Links under that URL must exist as files, others are
+                       checked over the network
+  --markdown <path>    Check the Markdown files in a directory (e.g. a git
+                       checkout) instead of a site. Relative links must exist
+                       as files, others are checked over the network
+  -h, --help           Show this help
+
+Authentication (only ever sent to the scanned site's own host):
+  --user <user:password>      HTTP Basic auth
+  --bearer-token <token>      Send "Authorization: Bearer <token>"
+  --cookie <cookie>           Send a Cookie header, e.g. "session=abc123"
+  --header <"Name: value">    Send an extra header (repeatable)
+  --login-url <url>           POST a login form here before crawling and keep
+                              the session cookies it sets
+  --login-field <name=value>  A login form field (repeatable)
+
+Scan options:
+${Object.keys(OPTION_LIMITS).map(name =>
+    `  --${toFlag(name)} <n>`.padEnd(34) + `(default: ${DEFAULT_SCAN_OPTIONS[name]})`).join('\n')}
+
+Exit codes:
+  0  No broken links found
+  1  Broken links found (or warnings, with --fail-on-warnings)
+  2  Invalid arguments or the scan could not run`;
+
+// "Name: value" -> ["Name", "value"]
+function splitPair(text, separator, what, expected) {
+  const index = text.indexOf(separator);
+  if (index <= 0) {
+    throw new Error(`Invalid ${what}: ${text} (expected ${expected})`);
+  }
+  return [text.slice(0, index).trim(), text.slice(index + 1).trim()];
+}
+
+/**
+ * Parse command-line arguments into scan options
+ */
+function parseArgs(argv) {
+  const options = {
+    url: null,
+    dir: null,
+    markdown: null,
+    json: false,
+    failOnWarnings: false,
+    scanOptions: {},
+    help: false
+  };
+
+  // Auth settings are built up from several flags
+  const auth = () => (options.scanOptions.auth = options.scanOptions.auth || {});
+  const loginForm = () => (auth().login = auth().login || { url: undefined, fields: {} });
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const flag = arg.startsWith('--') ? arg.slice(2).split('=')[0] : null;
+
+    // Accept both "--max-pages 500" and "--max-pages=500"
+    const readValue = () => {
+      const value = arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : argv[++i];
+      if (value === undefined || value === '') {
+        throw new Error(`Missing value for --${flag}`);
+      }
+      return value;
+    };
+
+    if (NUMERIC_FLAGS.has(flag)) {
+      options.scanOptions[NUMERIC_FLAGS.get(flag)] = Number(readValue());
+    } else if (flag === 'user') {
+      const value = readValue();
+      const separator = value.indexOf(':');
+      auth().username = separator === -1 ? value : value.slice(0, separator);
+      if (separator !== -1) auth().password = value.slice(separator + 1);
+    } else if (flag === 'bearer-token') {
+      auth().bearerToken = readValue();
+    } else if (flag === 'cookie') {
+      auth().cookie = readValue();
+    } else if (flag === 'header') {
+      const [name, value] = splitPair(readValue(), ':', 'header', '"Name: value"');
+      auth().headers = { ...auth().headers, [name]: value };
+    } else if (flag === 'login-field') {
+      const [name, value] = splitPair(readValue(), '=', 'login field', 'name=value');
+      loginForm().fields[name] = value;
+    } else if (flag === 'login-url') {
+      loginForm().url = readValue();
+    } else if (flag === 'dir') {
+      options.dir = readValue();
+    } else if (flag === 'markdown') {
+      options.markdown = readValue();
+    } else if (flag === 'render') {
+      options.scanOptions.renderMode = readValue();
+    } else if (flag === 'soft-404') {
+      options.scanOptions.soft404Detection = readValue();
+    } else if (flag === 'include' || flag === 'exclude') {
+      options.scanOptions[flag] = [...(options.scanOptions[flag] || []), readValue()];
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--fail-on-warnings') {
+      options.failOnWarnings = true;
+    } else if (arg === '--ignore-robots') {
+      options.scanOptions.ignoreRobots = true;
+    } else if (arg === '-h' || arg === '--help') {
+      options.help = true;
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else if (!options.url) {
+      options.url = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Normalize the target URL the same way POST /api/scan does
+ */
+function normalizeTargetUrl(url) {
+  // Auto-add https:// if no protocol specified
+  if (!url.startsWith('http://') && !url.startsWith('https://')) {
+    url = 'https://' + url;
+  }
+
+  // Throws on invalid URL format
+  new URL(url);
+  return url;
+}
+
+/**
+ * Crawl a site (or a build directory deployed at url, or Markdown files)
+ * and check all of its links
+ */
+async function runScan(url, scanOptions = {}, { dir = null, markdown = null } = {}) {
+  const startTime = Date.now();
+
+  // One set of credentials (and login session) for crawler and checker
+  const options = {
+    ...scanOptions,
+    siteAuth: scanOptions.auth ? createSiteAuth(url, scanOptions.auth) : null
+  };
+
+  let pages, method, warning;
+  if (dir || markdown) {
+    const crawl = dir
+      ? await crawlDirectory(dir, url, null, null, options)
+      : await crawlMarkdown(markdown, null, null, options);
+    pages = crawl.pages;
+    method = dir ? 'filesystem' : 'markdown';
+    options.checkLocal = crawl.checkLocal;
+  } else {
+    ({ pages, method, warning } = await smartCrawl(url, null, null, options));
+  }
+
+  const crawledUrls = new Set(pages.map(p => p.url));
+  const results = await checkLinks(pages, crawledUrls, null, null, options);
+
+  results.summary.method = method;
+  results.summary.elapsedTime = Date.now() - startTime;
+  if (warning) {
+    results.summary.crawlWarning = warning;
+  }
+
+  return results;
+}
+
+// "on https://example.com/page" or "in docs/guide.md:12"
+function describeOccurrence(occ) {
+  return occ.file ? `in ${occ.file}:${occ.line}` : `on ${occ.page}`;
+}
+
+/**
+ * Print a human-readable summary of scan results
+ */
+function printSummary(url, results) {
+  const { summary } = results;
+  const seconds = Math.round(summary.elapsedTime / 1000);
+
+  console.log(`\n💀 Dead Links Must Die - ${url}`);
+  console.log(`   Pages: ${summary.totalPages} | Links: ${summary.totalLinks} | Working: ${summary.workingLinks}`);
+  console.log(`   Redirects: ${summary.redirects} | Warnings: ${summary.warnings} | Broken: ${summary.brokenLinks}`);
+  if (summary.linksExcluded > 0) {
+    console.log(`   Excluded by patterns: ${summary.linksExcluded}`);
+  }
+  console.log(`   Duration: ${seconds}s`);
+
+  if (summary.crawlWarning) {
+    console.log(`⚠️  ${summary.crawlWarning}`);
+  }
+
+  if (results.brokenLinks.length > 0) {
+    console.log(`\n🚫 Broken Links (${results.brokenLinks.length})`);
+    for (const link of results.brokenLinks) {
+      console.log(`  ✗ ${link.url} - ${link.status} ${link.message}`);
+      for (const occ of link.occurrences.slice(0, 3)) {
+        console.log(`      ${describeOccurrence(occ)}`);
+      }
+      if (link.occurrences.length > 3) {
+        console.log(`      ... and ${link.occurrences.length - 3} more`);
+      }
+    }
+  }
+
+  if (results.warnings.length > 0) {
+    console.log(`\n⚠️  Warnings (${results.warnings.length})`);
+    for (const link of results.warnings) {
+      console.log(`  ! ${link.url} - ${link.status} ${link.message}`);
+    }
+  }
+
+  if (results.missingAnchors.length > 0) {
+    console.log(`\n⚓ Missing Anchors (${results.missingAnchors.length})`);
+    for (const link of results.missingAnchors) {
+      console.log(`  # ${link.url} - ${link.message}`);
+      for (const occ of link.occurrences.slice(0, 3)) {
+        console.log(`      ${describeOccurrence(occ)}`);
+      }
+    }
+  }
+
+  if (results.soft404s.length > 0) {
+    console.log(`\n🕵️  Soft 404s (${results.soft404s.length})`);
+    for (const link of results.soft404s) {
+      console.log(`  ? ${link.url} - ${link.message}`);
+      for (const occ of link.occurrences.slice(0, 3)) {
+        console.log(`      ${describeOccurrence(occ)}`);
+      }
+    }
+  }
+
+  if (results.brokenLinks.length === 0) {
+    console.log(`\n✅ No broken links found`);
+  }
+}
+
+/**
+ * Determine the process exit code for a finished scan
+ */
+function getExitCode(results, options) {
+  if (results.brokenLinks.length > 0) return 1;
+  if (options.failOnWarnings &&
+    (results.warnings.length > 0 || results.missingAnchors.length > 0 || results.soft404s.length > 0)) return 1;
+  return 0;
+}
+
+async function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (options.markdown && (options.url || options.dir)) {
+    console.error(`❌ --markdown checks a directory, it doesn't take a URL or --dir\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (!options.url && !options.markdown) {
+    console.error(`❌ URL is required\n\n${USAGE}`);
+    return 2;
+  }
+
+  let url;
+  try {
+    // Markdown results are reported against the directory's file:// URL
+    url = options.markdown
+      ? pathToFileURL(path.resolve(options.markdown)).href
+      : normalizeTargetUrl(options.url);
+  } catch (error) {
+    console.error(`❌ Invalid URL format: ${options.url}`);
+    return 2;
+  }
+
+  let scanOptions;
+  try {
+    scanOptions = resolveScanOptions(options.scanOptions, { allowRegex: true });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 2;
+  }
+
+  // Crawler and checker log their progress to stdout; send it to stderr
+  // so stdout only carries the report (keeps --json output parseable)
+  const log = console.log;
+  console.log = console.error;
+
+  let results;
+  try {
+    results = await runScan(url, scanOptions, { dir: options.dir, markdown: options.markdown });
+  } catch (error) {
+    console.error(`❌ Scan failed: ${error.message}`);
+    return 2;
+  } finally {
+    console.log = log;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ url, ...results }, null, 2));
+  } else {
+    printSummary(url, results);
+  }
+
+  return getExitCode(results, options);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { parseArgs, normalizeTargetUrl, getExitCode, main };
@@ -2,40 +2,33 @@ const https = require('https');
 const http = require('http');
 const cheerio = require('cheerio');
 const { URL } = require('url');
+const { proxyAgentFor } = require('./proxy');
+const { createRobotsCache } = require('./robots');
+const { DEFAULT_SCAN_OPTIONS } = require('./scan-options');
+const { createUrlFilter } = require('./url-filter');
+const { LINK_TYPES, extractLinks, extractAnchors, isPageLink } = require('./link-extractor');
+const { createSoft404Detector } = require('./soft-404');
+const { requestThrough } = require('./scan-control');
+const { followRedirects } = require('./redirects');
 
-// Proxy configuration from environment variables
-const { HttpsProxyAgent } = require('https-proxy-agent');
-const { HttpProxyAgent } = require('http-proxy-agent');
-const proxyUrl = process.env.https_proxy || process.env.HTTPS_PROXY || process.env.http_proxy || process.env.HTTP_PROXY;
-const noProxy = (process.env.no_proxy || process.env.NO_PROXY || '').split(',').map(h => h.trim().toLowerCase());
-
-// Check if a hostname should bypass the proxy
-function shouldBypassProxy(hostname) {
-  if (!proxyUrl) return true;
-  const lowerHost = hostname.toLowerCase();
-  return noProxy.some(pattern => {
-    if (pattern === lowerHost) return true;
-    if (pattern.startsWith('*') && lowerHost.endsWith(pattern.slice(1))) return true;
-    if (pattern.startsWith('.') && lowerHost.endsWith(pattern)) return true;
-    return false;
-  });
-}
+const CHECKPOINT_INTERVAL = 100; // Report crawl state for checkpoints every 100 pages
 
 // Create a native HTTP(S) GET function that doesn't trigger bot detection like axios does
-async function fetchPage(url, timeout = 12000, redirectCount = 0) {
-  if (redirectCount > 5) {
-    throw new Error('Too many redirects');
-  }
+// (`signal` cancels the request, `auth` adds the site's credentials, see auth.js).
+// Redirects are followed hop by hop and kept as `redirects` (see redirects.js).
+async function fetchPage(url, timeout = 12000, { signal, auth } = {}) {
+  const { response, redirects } = await followRedirects(url, hopUrl => requestPage(hopUrl, timeout, { signal, auth }));
+  return { ...response, redirects };
+}
 
+// One GET request, without following redirects
+function requestPage(url, timeout, { signal, auth }) {
   return new Promise((resolve, reject) => {
     const parsedUrl = new URL(url);
     const isHttps = parsedUrl.protocol === 'https:';
     const lib = isHttps ? https : http;
 
-    const useProxy = !shouldBypassProxy(parsedUrl.hostname);
-    const agent = useProxy && proxyUrl
-      ? (isHttps ? new HttpsProxyAgent(proxyUrl) : new HttpProxyAgent(proxyUrl))
-      : undefined;
+    const agent = proxyAgentFor(url);
 
     const options = {
       hostname: parsedUrl.hostname,
@@ -46,38 +39,40 @@ async function fetchPage(url, timeout = 12000, redirectCount = 0) {
       headers: {
         'User-Agent': 'Mozilla/5.0 (compatible; DeadLinkChecker/4.0; +https://github.com/deadlinks)',
         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Host': parsedUrl.hostname
+        'Host': parsedUrl.hostname,
+        ...(auth ? auth.headersFor(url) : {}) // Checked on every hop, so redirects off-site drop them
       },
-      timeout: timeout
+      timeout: timeout,
+      signal
     };
 
     const req = lib.request(options, (res) => {
-      // Handle redirects manually
+      const response = {
+        status: res.statusCode,
+        statusText: res.statusMessage,
+        headers: res.headers,
+        data: '',
+        request: {
+          responseURL: url // Final URL after redirects
+        }
+      };
+
+      // Redirects are followed by the caller: drain the response to free up resources
       if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        const redirectUrl = new URL(res.headers.location, url).href;
-        // Drain the response to free up resources
         res.resume();
-        fetchPage(redirectUrl, timeout, redirectCount + 1).then(resolve).catch(reject);
+        resolve(response);
         return;
       }
 
-      let data = '';
       res.setEncoding('utf8');
+      res.on('error', reject); // Aborted mid-response
 
       res.on('data', (chunk) => {
-        data += chunk;
+        response.data += chunk;
       });
 
       res.on('end', () => {
-        resolve({
-          status: res.statusCode,
-          statusText: res.statusMessage,
-          headers: res.headers,
-          data: data,
-          request: {
-            responseURL: url // Store final URL after redirects
-          }
-        });
+        resolve(response);
       });
     });
 
@@ -94,20 +89,46 @@ async function fetchPage(url, timeout = 12000, redirectCount = 0) {
   });
 }
 
-// Configuration
-const CRAWL_CONCURRENCY = 20; // Crawl 20 pages simultaneously (reduced to avoid rate limits)
-const CRAWL_TIMEOUT = 12000; // 12 seconds per page (increased for reliability)
-const MAX_PAGES = 10000; // Much higher limit (10k pages)
-
 /**
  * Crawl a website and discover all pages, links, and images with massive parallelization
+ *
+ * @param {string} startUrl - URL to start crawling
+ * @param {function} onProgress - Progress callback
+ * @param {function} onPageCrawled - Page crawled callback
+ * @param {Object} options - Scan options (crawlConcurrency, crawlTimeout, maxPages, ignoreRobots,
+ *   include, exclude, soft404Detection), plus getRobots (shared robots.txt lookup), loadPage
+ *   (replaces fetchPage, e.g. to render pages in a browser), siteAuth
+ *   (credentials from auth.js createSiteAuth), control
+ *   (pause/cancel, see scan-control.js), onCheckpoint (called with the crawl
+ *   state every 100 pages and at the end) and resumeFrom (a state passed to
+ *   onCheckpoint by an earlier, interrupted crawl)
  */
-async function crawlWebsite(startUrl, onProgress, onPageCrawled) {
-  let baseUrl = new URL(startUrl); // Changed to 'let' so we can update it after redirects
-  const visited = new Set();
-  const toVisit = [startUrl];
+async function crawlWebsite(startUrl, onProgress, onPageCrawled, options = {}) {
+  const { crawlConcurrency, crawlTimeout, maxPages, include, exclude, soft404Detection } = { ...DEFAULT_SCAN_OPTIONS, ...options };
+  const isIncluded = createUrlFilter({ include, exclude });
+  const loadPage = options.loadPage || fetchPage;
+  const { control, siteAuth } = options;
+  const requestOptions = { signal: control && control.signal, auth: siteAuth };
+  const excluded = new Set(); // Internal pages not followed because of include/exclude rules
+  const { resumeFrom } = options;
+  let baseUrl = new URL(resumeFrom ? resumeFrom.baseUrl : startUrl); // Changed to 'let' so we can update it after redirects
+  const visited = new Set(resumeFrom ? resumeFrom.visited : []);
+  const toVisit = resumeFrom ? [...resumeFrom.toVisit] : [startUrl];
   const pages = [];
   const crawling = new Set(); // Track pages currently being crawled
+  const disallowed = new Set(); // Pages robots.txt keeps us out of (they don't count toward maxPages)
+  let checkingRobots = 0; // Pages being crawled that aren't counted yet
+
+  // robots.txt: honour Disallow/Allow and Crawl-delay unless told to ignore it
+  const getRobots = options.ignoreRobots ? null
+    : (options.getRobots || createRobotsCache(url => requestThrough(control, () => fetchPage(url, crawlTimeout, requestOptions))));
+  const startRobots = getRobots ? await getRobots(startUrl) : null;
+  const crawlDelayMs = startRobots && startRobots.crawlDelay ? startRobots.crawlDelay * 1000 : 0;
+  let nextFetchAt = 0;
+
+  // Pages that answer 200 but look like the site's "not found" page get soft404: true
+  const soft404Detector = soft404Detection === 'off' ? null
+    : createSoft404Detector(url => requestThrough(control, () => loadPage(url, crawlTimeout, requestOptions)));
 
   // Normalize URL (remove fragments, trailing slashes)
   function normalizeUrl(url) {
@@ -134,29 +155,34 @@ async function crawlWebsite(startUrl, onProgress, onPageCrawled) {
     }
   }
 
-  // Convert relative URL to absolute
-  function toAbsoluteUrl(url, currentPage) {
-    try {
-      return new URL(url, currentPage).href;
-    } catch (e) {
-      return null;
-    }
-  }
-
   // Crawl a single page
   async function crawlPage(url) {
     const normalizedUrl = normalizeUrl(url);
 
-    if (!normalizedUrl || visited.has(normalizedUrl) || crawling.has(normalizedUrl)) {
+    if (!normalizedUrl || visited.has(normalizedUrl) || crawling.has(normalizedUrl) || disallowed.has(normalizedUrl)) {
       return null;
     }
 
-    visited.add(normalizedUrl);
     crawling.add(normalizedUrl);
 
+    // robots.txt first, so a disallowed page isn't counted
+    if (getRobots) {
+      checkingRobots++;
+      const robots = await getRobots(normalizedUrl);
+      checkingRobots--;
+      if (!robots.isAllowed(normalizedUrl)) {
+        disallowed.add(normalizedUrl);
+        crawling.delete(normalizedUrl);
+        return null;
+      }
+    }
+
+    visited.add(normalizedUrl);
+
     try {
       // Fetch the page using native https (avoids axios bot detection issues)
-      const response = await fetchPage(normalizedUrl, CRAWL_TIMEOUT);
+      // or the browser renderer in render mode
+      const response = await requestThrough(control, () => loadPage(normalizedUrl, crawlTimeout, requestOptions));
 
       // Update baseUrl if we got redirected (important for following internal links!)
       // Check multiple possible locations for the final URL after redirects
@@ -186,61 +212,42 @@ async function crawlWebsite(startUrl, onProgress, onPageCrawled) {
       const html = response.data;
       const $ = cheerio.load(html);
 
-      const links = [];
-      const images = [];
-      const newInternalLinks = [];
-
-      // Extract all links
-      $('a[href]').each((i, elem) => {
-        const href = $(elem).attr('href');
-        if (!href) return;
-
-        const absoluteUrl = toAbsoluteUrl(href, normalizedUrl);
-        if (!absoluteUrl) return;
-
-        const text = $(elem).text().trim().substring(0, 100);
-        links.push({
-          url: absoluteUrl,
-          text: text || '(no text)',
-          type: 'link'
-        });
-
-        // Add internal links to crawl queue
-        if (isInternalUrl(absoluteUrl)) {
-          const normalized = normalizeUrl(absoluteUrl);
-          if (normalized && !visited.has(normalized) && !crawling.has(normalized)) {
-            if (!toVisit.includes(absoluteUrl)) {
-              toVisit.push(absoluteUrl);
-              newInternalLinks.push(absoluteUrl);
-            }
-          }
-        }
-      });
-
-      // Extract all images
-      $('img[src]').each((i, elem) => {
-        const src = $(elem).attr('src');
-        if (!src) return;
+      const links = extractLinks($, normalizedUrl);
 
-        const absoluteUrl = toAbsoluteUrl(src, normalizedUrl);
-        if (!absoluteUrl) return;
+      // Add internal page links to crawl queue (unless include/exclude rules say otherwise)
+      for (const link of links) {
+        if (!isPageLink(link) || !isInternalUrl(link.url)) continue;
 
-        const alt = $(elem).attr('alt') || '(no alt text)';
-        images.push({
-          url: absoluteUrl,
-          text: alt,
-          type: 'image'
-        });
-      });
+        const normalized = normalizeUrl(link.url);
+        if (normalized && !isIncluded(link.url)) {
+          excluded.add(normalized);
+        } else if (normalized && !visited.has(normalized) && !crawling.has(normalized) && !disallowed.has(normalized)) {
+          if (!toVisit.includes(link.url)) {
+            toVisit.push(link.url);
+          }
+        }
+      }
 
       const pageData = {
         url: normalizedUrl,
         title: $('title').text() || 'Untitled',
-        links: [...links, ...images],
-        linksCount: links.length,
-        imagesCount: images.length
+        links,
+        linksCount: links.filter(link => link.type === LINK_TYPES.link).length,
+        imagesCount: links.filter(link => link.type === LINK_TYPES.image).length,
+        anchors: extractAnchors($) // ids and named anchors, for #fragment checks
       };
 
+      // Hops taken to get here, for reporting links to redirected pages
+      if (response.redirects && response.redirects.length > 0) {
+        pageData.redirects = response.redirects;
+      }
+
+      if (soft404Detector && response.status >= 200 && response.status < 300 &&
+          await soft404Detector.isSoft404(normalizedUrl, html)) {
+        console.log(`  🕵️  Soft 404: ${normalizedUrl}`);
+        pageData.soft404 = true;
+      }
+
       pages.push(pageData);
       crawling.delete(normalizedUrl);
 
@@ -252,6 +259,15 @@ async function crawlWebsite(startUrl, onProgress, onPageCrawled) {
       return pageData;
 
     } catch (error) {
+      // Aborted by cancelling the scan - not a broken page. Queue it again
+      // so the checkpoint of an interrupted scan still has it to crawl.
+      if (control && control.cancelled) {
+        crawling.delete(normalizedUrl);
+        visited.delete(normalizedUrl);
+        toVisit.unshift(normalizedUrl);
+        return null;
+      }
+
       // Page failed to load
       console.error(`Error crawling ${normalizedUrl}:`, error.message);
       const pageData = {
@@ -274,8 +290,42 @@ async function crawlWebsite(startUrl, onProgress, onPageCrawled) {
     }
   }
 
+  // Snapshot what's been crawled and what's left (pages still loading go back in the queue)
+  let lastCheckpointAt = 0;
+  function checkpoint() {
+    if (!options.onCheckpoint) return;
+    lastCheckpointAt = pages.length;
+    options.onCheckpoint({
+      baseUrl: baseUrl.href,
+      visited: [...visited].filter(url => !crawling.has(url)),
+      toVisit: [...crawling, ...toVisit],
+      pages: pages.slice()
+    });
+  }
+
+  // Pick up an interrupted crawl: earlier pages count as crawled again
+  if (resumeFrom) {
+    console.log(`♻️  Resuming crawl: ${resumeFrom.pages.length} pages done, ${toVisit.length} queued`);
+    for (const page of resumeFrom.pages) {
+      pages.push(page);
+      if (onPageCrawled) {
+        onPageCrawled(page);
+      }
+    }
+    lastCheckpointAt = pages.length;
+  }
+
   // Main crawling loop with parallel processing
   while (toVisit.length > 0 || crawling.size > 0) {
+    // Paused: let current pages finish but start no new ones
+    if (control) {
+      await control.whenRunning();
+      if (control.cancelled) {
+        console.log(`🛑 Crawl cancelled`);
+        break;
+      }
+    }
+
     // Update progress
     if (onProgress) {
       onProgress({
@@ -284,14 +334,28 @@ async function crawlWebsite(startUrl, onProgress, onPageCrawled) {
       });
     }
 
+    if (pages.length - lastCheckpointAt >= CHECKPOINT_INTERVAL) {
+      checkpoint();
+    }
+
     // Check if we hit the limit
-    if (visited.size >= MAX_PAGES) {
-      console.log(`Reached page limit (${MAX_PAGES}), stopping crawl`);
+    if (visited.size >= maxPages) {
+      console.log(`Reached page limit (${maxPages}), stopping crawl`);
       break;
     }
 
     // Get next batch to crawl
-    const batchSize = Math.min(CRAWL_CONCURRENCY - crawling.size, toVisit.length);
+    // (never start more pages than the limit allows)
+    let batchSize = Math.min(crawlConcurrency - crawling.size, toVisit.length, maxPages - visited.size - checkingRobots);
+
+    // Honour robots.txt Crawl-delay: one page at a time, spaced out
+    if (crawlDelayMs) {
+      batchSize = Date.now() < nextFetchAt ? 0 : Math.min(batchSize, 1 - crawling.size);
+      if (batchSize > 0) {
+        nextFetchAt = Date.now() + crawlDelayMs;
+      }
+    }
+
     if (batchSize <= 0) {
       // Wait a bit for current crawls to complete
       await new Promise(resolve => setTimeout(resolve, 100));
@@ -315,6 +379,8 @@ async function crawlWebsite(startUrl, onProgress, onPageCrawled) {
     await new Promise(resolve => setTimeout(resolve, 100));
   }
 
+  checkpoint();
+
   // Update final progress
   if (onProgress) {
     onProgress({
@@ -324,8 +390,14 @@ async function crawlWebsite(startUrl, onProgress, onPageCrawled) {
   }
 
   console.log(`✅ Crawled ${pages.length} pages, found ${visited.size} unique URLs`);
+  if (disallowed.size > 0) {
+    console.log(`🤖 Skipped ${disallowed.size} pages disallowed by robots.txt`);
+  }
+  if (excluded.size > 0) {
+    console.log(`🚫 Skipped ${excluded.size} pages excluded by URL patterns`);
+  }
 
   return { pages, crawledUrls: visited };
 }
 
-module.exports = { crawlWebsite };
+module.exports = { crawlWebsite, fetchPage };
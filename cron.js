@@ -0,0 +1,130 @@
+/**
+ * Cron expressions for scheduled scans
+ *
+ * Standard five fields, in server local time:
+ *   minute (0-59) hour (0-23) day-of-month (1-31) month (1-12) day-of-week (0-7, 0 and 7 are Sunday)
+ *
+ * Each field takes *, numbers, ranges (1-5), lists (1,15) and steps (0-59/15, 9-17/2).
+ * @hourly, @daily, @weekly, @monthly and @yearly are shorthands.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const SHORTHANDS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *'
+};
+
+const MAX_SEARCH_DAYS = 5 * 366; // "0 0 29 2 *" only matches in leap years
+
+// Parse one field into the set of values it matches
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+
+    const [, range, start, end, step] = match;
+    const from = range === '*' ? min : Number(start);
+    const to = range === '*' ? max : Number(end ?? (step ? max : start));
+    const by = step ? Number(step) : 1;
+
+    if (from < min || to > max || from > to || by < 1) {
+      throw new Error(`Invalid cron ${name}: ${part} (must be ${min}-${max})`);
+    }
+
+    for (let value = from; value <= to; value += by) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ *
+ * @param {string} expression - e.g. "0 2 * * *" (every night at 2am)
+ * @returns {Object} - Parsed schedule for nextCronRun()
+ * @throws {Error} - When the expression is invalid
+ */
+function parseCron(expression) {
+  if (typeof expression !== 'string') {
+    throw new Error('Cron expression must be a string');
+  }
+
+  const trimmed = expression.trim();
+  const fields = (SHORTHANDS[trimmed] || trimmed).split(/\s+/);
+  if (fields.length !== FIELDS.length) {
+    throw new Error(`Cron expression needs 5 fields (minute hour day month weekday): ${trimmed}`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseField(field, FIELDS[i]));
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Like cron: when both day fields are restricted, either one matching is enough
+    anyDay: fields[2] !== '*' && fields[4] !== '*'
+  };
+}
+
+function matchesDay(cron, date) {
+  const day = cron.days.has(date.getDate());
+  const weekday = cron.weekdays.has(date.getDay());
+  return cron.anyDay ? day || weekday : day && weekday;
+}
+
+/**
+ * Find the first time after `after` that a parsed cron expression matches
+ *
+ * @param {Object} cron - From parseCron()
+ * @param {Date|number} after - Start searching after this time
+ * @returns {Date|null} - Next run, or null if it never matches (e.g. "0 0 31 2 *")
+ */
+function nextCronRun(cron, after) {
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = date.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+  // Skip whole months, days and hours that can't match
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+module.exports = { parseCron, nextCronRun };
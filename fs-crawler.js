@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const { URL } = require('url');
+const { DEFAULT_SCAN_OPTIONS } = require('./scan-options');
+const { createUrlFilter } = require('./url-filter');
+const { pageKey } = require('./anchor-checker');
+const { LINK_TYPES, extractLinks, extractAnchors } = require('./link-extractor');
+
+const HTML_FILE = /\.html?$/i;
+
+/**
+ * List every file under a directory as a relative path with "/" separators
+ * (symlinks are skipped so a link loop can't hang the walk)
+ *
+ * @param {string} dir - Directory to walk
+ * @param {Object} options - skipDirectory(name) to leave a subdirectory out
+ * @returns {Promise<Array<string>>} - Relative paths, sorted
+ */
+async function listFiles(dir, { skipDirectory = () => false } = {}) {
+  const files = [];
+
+  async function walk(prefix) {
+    const entries = await fs.promises.readdir(path.join(dir, prefix), { withFileTypes: true });
+
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory() && !skipDirectory(entry.name)) {
+        await walk(relativePath);
+      } else if (entry.isFile()) {
+        files.push(relativePath);
+      }
+    }
+  }
+
+  await walk('');
+  return files;
+}
+
+/**
+ * Map URLs under a base URL to files in a build directory, the way a static
+ * file server would: "/guide/" is guide/index.html, "/guide" is guide,
+ * guide.html or guide/index.html
+ *
+ * @param {Array<string>} files - Relative file paths (from listFiles)
+ * @param {string} baseUrl - URL the directory is deployed at
+ * @returns {Object} - { urlFor(file), fileFor(url), isLocal(url), expectedFile(url) }
+ */
+function createFileMap(files, baseUrl) {
+  const base = new URL(baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+  const fileSet = new Set(files);
+
+  // Path below the base URL ("" for the base itself), or null for other URLs
+  function relativePath(url) {
+    try {
+      const parsed = new URL(url);
+      if (parsed.origin !== base.origin) return null;
+      if (`${parsed.pathname}/` === base.pathname) return '';
+      if (!parsed.pathname.startsWith(base.pathname)) return null;
+      return decodeURIComponent(parsed.pathname.slice(base.pathname.length));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Files that could serve a path, most specific first
+  function candidates(relative) {
+    if (relative === '' || relative.endsWith('/')) {
+      return [`${relative}index.html`];
+    }
+    return [relative, `${relative}.html`, `${relative}/index.html`];
+  }
+
+  return {
+    urlFor(file) {
+      const urlPath = file.replace(/(^|\/)index\.html$/i, '$1');
+      return new URL(urlPath.split('/').map(encodeURIComponent).join('/'), base).href;
+    },
+
+    fileFor(url) {
+      const relative = relativePath(url);
+      if (relative === null) return null;
+      return candidates(relative).find(file => fileSet.has(file)) || null;
+    },
+
+    isLocal(url) {
+      return relativePath(url) !== null;
+    },
+
+    // What a link should have pointed at, for "not found" messages
+    expectedFile(url) {
+      const relative = relativePath(url);
+      return relative === null ? null : candidates(relative)[0];
+    }
+  };
+}
+
+/**
+ * Crawl a static site build directory (e.g. dist/) without an HTTP server
+ *
+ * Every HTML file is read from disk as if it were served at baseUrl, so
+ * relative links resolve against the file tree. Links under baseUrl are
+ * looked up as files instead of requested: pass the returned checkLocal to
+ * the link checker and links to missing files come back as 404s, while
+ * external links are still checked over the network.
+ *
+ * @param {string} dir - Build directory
+ * @param {string} baseUrl - URL the directory is deployed at
+ * @param {function} onProgress - Progress callback
+ * @param {function} onPageCrawled - Page crawled callback
+ * @param {Object} options - Scan options (maxPages, include, exclude), plus
+ *   control (pause/cancel, see scan-control.js)
+ * @returns {Promise<Object>} - { pages, crawledUrls, checkLocal }
+ */
+async function crawlDirectory(dir, baseUrl, onProgress, onPageCrawled, options = {}) {
+  const { maxPages, include, exclude } = { ...DEFAULT_SCAN_OPTIONS, ...options };
+  const { control } = options;
+  const isIncluded = createUrlFilter({ include, exclude });
+
+  const stats = await fs.promises.stat(dir).catch(() => null);
+  if (!stats || !stats.isDirectory()) {
+    throw new Error(`Not a directory: ${dir}`);
+  }
+
+  console.log(`\n📁 Crawling ${path.resolve(dir)} as ${baseUrl}`);
+
+  const files = await listFiles(dir);
+  const fileMap = createFileMap(files, baseUrl);
+  const htmlFiles = files.filter(file => HTML_FILE.test(file));
+  const pages = [];
+  const crawledUrls = new Set();
+  let excludedCount = 0;
+
+  for (const file of htmlFiles) {
+    if (control) {
+      await control.whenRunning();
+      if (control.cancelled) {
+        console.log(`🛑 Crawl cancelled`);
+        break;
+      }
+    }
+
+    if (pages.length >= maxPages) {
+      console.log(`Reached page limit (${maxPages}), stopping crawl`);
+      break;
+    }
+
+    // Links resolve against the served URL ("guide/" for guide/index.html)
+    const servedUrl = fileMap.urlFor(file);
+    if (!isIncluded(servedUrl)) {
+      excludedCount++;
+      continue;
+    }
+
+    const url = pageKey(servedUrl);
+    crawledUrls.add(url);
+
+    let pageData;
+    try {
+      const $ = cheerio.load(await fs.promises.readFile(path.join(dir, file), 'utf8'));
+      const links = extractLinks($, servedUrl);
+      pageData = {
+        url,
+        file,
+        title: $('title').text() || 'Untitled',
+        links,
+        linksCount: links.filter(link => link.type === LINK_TYPES.link).length,
+        imagesCount: links.filter(link => link.type === LINK_TYPES.image).length,
+        anchors: extractAnchors($)
+      };
+    } catch (error) {
+      console.error(`Error reading ${file}:`, error.message);
+      pageData = {
+        url,
+        file,
+        title: 'Error loading page',
+        links: [],
+        linksCount: 0,
+        imagesCount: 0,
+        error: error.message
+      };
+    }
+
+    pages.push(pageData);
+    if (onPageCrawled) {
+      onPageCrawled(pageData);
+    }
+    if (onProgress) {
+      onProgress({ pagesFound: htmlFiles.length - excludedCount, pagesCrawled: pages.length });
+    }
+  }
+
+  console.log(`✅ Read ${pages.length} pages from ${files.length} files`);
+  if (excludedCount > 0) {
+    console.log(`🚫 Skipped ${excludedCount} pages excluded by URL patterns`);
+  }
+
+  /**
+   * Check result for a link under baseUrl (null for anything else,
+   * which the checker requests as usual)
+   */
+  function checkLocal(url) {
+    if (!fileMap.isLocal(url)) return null;
+    if (fileMap.fileFor(url)) {
+      return { ok: true, status: 200 };
+    }
+    return { ok: false, status: 404, message: `File not found: ${fileMap.expectedFile(url)}` };
+  }
+
+  return { pages, crawledUrls, checkLocal };
+}
+
+module.exports = { crawlDirectory, createFileMap, listFiles };
@@ -0,0 +1,244 @@
+/**
+ * Standalone HTML report: one file with inline CSS, JS and data
+ *
+ * Nothing is loaded from the server or the network, so the report still
+ * works when it's emailed and opened offline. Search and grouping (by error
+ * type, page and link type) work like the results page.
+ */
+
+const REPORT_CSS = `
+  * { box-sizing: border-box; }
+  body { margin: 0; padding: 2rem 1rem; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5fa; color: #1f2937; line-height: 1.5; }
+  main { max-width: 960px; margin: 0 auto; }
+  h1 { margin: 0 0 0.25rem; font-size: 1.75rem; }
+  h2 { margin: 2rem 0 0.75rem; font-size: 1.25rem; }
+  .meta { color: #6b7280; margin: 0 0 1.5rem; word-break: break-all; }
+  .summary { display: grid; grid-template-columns: repeat(auto-fill, minmax(140px, 1fr)); gap: 0.75rem; }
+  .stat { background: #fff; border: 1px solid #e5e7eb; border-radius: 10px; padding: 0.75rem 1rem; }
+  .stat-value { display: block; font-size: 1.5rem; font-weight: 700; }
+  .stat-label { color: #6b7280; font-size: 0.875rem; }
+  .stat.error .stat-value { color: #dc2626; }
+  .stat.warning .stat-value { color: #d97706; }
+  .controls { display: flex; flex-wrap: wrap; gap: 0.75rem; margin-bottom: 1rem; }
+  .controls input, .controls select { padding: 0.5rem 0.75rem; font-size: 0.95rem; border: 1px solid #d1d5db; border-radius: 8px; background: #fff; }
+  .controls input { flex: 1; min-width: 200px; }
+  .count { color: #6b7280; font-size: 0.875rem; margin-bottom: 0.75rem; }
+  .link-item { background: #fff; border: 1px solid #e5e7eb; border-left: 4px solid #dc2626; border-radius: 10px; padding: 0.75rem 1rem; margin-bottom: 0.75rem; }
+  .link-item.warning { border-left-color: #d97706; }
+  .link-url { display: block; font-weight: 600; word-break: break-all; }
+  .link-status { display: inline-block; margin: 0.25rem 0; padding: 0.125rem 0.5rem; border-radius: 4px; background: #dc2626; color: #fff; font-size: 0.8rem; font-weight: 600; }
+  .link-item.warning .link-status { background: #d97706; }
+  .occurrence { margin-left: 1rem; font-size: 0.875rem; color: #4b5563; word-break: break-all; }
+  .occurrence-page { color: #6d28d9; }
+  details.group { margin-bottom: 1rem; }
+  details.group > summary { cursor: pointer; display: flex; justify-content: space-between; gap: 1rem; background: #fff; border: 1px solid #e5e7eb; border-radius: 10px; padding: 0.75rem 1rem; margin-bottom: 0.5rem; font-weight: 600; word-break: break-all; }
+  .badge { flex-shrink: 0; background: #ede9fe; color: #6d28d9; border-radius: 999px; padding: 0 0.6rem; }
+  .empty { color: #6b7280; font-style: italic; }
+  footer { margin-top: 3rem; color: #9ca3af; font-size: 0.8rem; text-align: center; }
+  @media print { .controls { display: none; } details.group > summary { border: none; } }
+`;
+
+/**
+ * Runs in the browser that opens the report (inlined with toString(),
+ * so it must not use anything from this module)
+ */
+function reportScript() {
+  // Same labels as the results page (public/app.js)
+  const LINK_TYPE_LABELS = {
+    'link': '🔗 Link',
+    'image': '🖼️ Image',
+    'stylesheet': '🎨 Stylesheet',
+    'script': '📜 Script',
+    'media': '🎬 Media',
+    'iframe': '🪟 Iframe',
+    'form': '📝 Form',
+    'meta-refresh': '↪️ Meta Refresh',
+    'og-image': '🌐 Open Graph Image'
+  };
+
+  const data = JSON.parse(document.getElementById('report-data').textContent);
+  const searchBox = document.getElementById('search-box');
+  const groupBySelect = document.getElementById('group-by-select');
+  const container = document.getElementById('broken-links-container');
+  const countEl = document.getElementById('results-count');
+
+  function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' })[c]);
+  }
+
+  function linkTypeKey(type) {
+    return LINK_TYPE_LABELS[type] ? type : 'link';
+  }
+
+  function occurrenceHtml(occ, { showPage = true, showType = true } = {}) {
+    return `
+      <div class="occurrence">
+        ${showPage ? `• <span class="occurrence-page">${escapeHtml(occ.page)}</span>` : ''}
+        ${showType ? LINK_TYPE_LABELS[linkTypeKey(occ.type)] : ''}
+        ${occ.text ? `- "${escapeHtml(occ.text)}"` : ''}
+      </div>`;
+  }
+
+  function linkHtml(link, options = {}) {
+    return `
+      <div class="link-item">
+        <span class="link-url">${escapeHtml(link.url)}</span>
+        ${options.showStatus === false ? '' : `<span class="link-status">${escapeHtml(link.status)} - ${escapeHtml(link.message)}</span>`}
+        ${link.occurrences.map(occ => occurrenceHtml(occ, options)).join('')}
+      </div>`;
+  }
+
+  function groupHtml(title, links, options) {
+    return `
+      <details class="group" open>
+        <summary><span>${escapeHtml(title)}</span><span class="badge">${links.length}</span></summary>
+        ${links.map(link => linkHtml(link, options)).join('')}
+      </details>`;
+  }
+
+  // Group links into { key: [links] }, in order of first appearance
+  function groupLinks(links, keysFor) {
+    const groups = new Map();
+    links.forEach(link => {
+      keysFor(link).forEach(([key, groupedLink]) => {
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(groupedLink);
+      });
+    });
+    return groups;
+  }
+
+  function render() {
+    const term = searchBox.value.trim().toLowerCase();
+    const links = data.brokenLinks.filter(link => !term ||
+      link.url.toLowerCase().includes(term) ||
+      String(link.message || '').toLowerCase().includes(term) ||
+      link.occurrences.some(occ => occ.page.toLowerCase().includes(term)));
+
+    countEl.textContent = links.length === data.brokenLinks.length
+      ? `Showing all ${links.length} broken link${links.length === 1 ? '' : 's'}`
+      : `Showing ${links.length} of ${data.brokenLinks.length} broken links`;
+
+    if (links.length === 0) {
+      container.innerHTML = `<p class="empty">${data.brokenLinks.length === 0 ? 'No broken links found 🎉' : 'No broken links match your search.'}</p>`;
+      return;
+    }
+
+    const groupBy = groupBySelect.value;
+    let groups;
+    let options = {};
+
+    if (groupBy === 'error-type') {
+      groups = groupLinks(links, link => [[`${link.status} - ${link.message}`, link]]);
+      options = { showStatus: false };
+    } else if (groupBy === 'page') {
+      // One entry per occurrence, under the page it was found on
+      groups = groupLinks(links, link => link.occurrences.map(occ => [occ.page, { ...link, occurrences: [occ] }]));
+      options = { showPage: false };
+    } else if (groupBy === 'link-type') {
+      // A link shows up under every type it was used as (e.g. both <a> and <img>)
+      groups = groupLinks(links, link => [...new Set(link.occurrences.map(occ => linkTypeKey(occ.type)))]
+        .map(type => [LINK_TYPE_LABELS[type], { ...link, occurrences: link.occurrences.filter(occ => linkTypeKey(occ.type) === type) }]));
+      options = { showType: false };
+    }
+
+    container.innerHTML = groups
+      ? [...groups].map(([title, grouped]) => groupHtml(title, grouped, options)).join('')
+      : links.map(link => linkHtml(link)).join('');
+  }
+
+  searchBox.addEventListener('input', render);
+  groupBySelect.addEventListener('change', render);
+  render();
+}
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' })[c]);
+}
+
+// Static list of warnings, missing anchors or soft 404s (not searchable, usually short)
+function staticSection(title, links, describe) {
+  if (!links || links.length === 0) return '';
+
+  return `
+    <h2>${title} (${links.length})</h2>
+    ${links.map(link => `
+      <div class="link-item warning">
+        <span class="link-url">${escapeHtml(link.url)}</span>
+        <span class="link-status">${escapeHtml(describe(link))}</span>
+        ${link.occurrences.map(occ => `<div class="occurrence">• <span class="occurrence-page">${escapeHtml(occ.page)}</span>${occ.text ? ` - "${escapeHtml(occ.text)}"` : ''}</div>`).join('')}
+      </div>`).join('')}`;
+}
+
+/**
+ * Render a finished scan as a self-contained HTML page
+ *
+ * @param {Object} scan - Finished scan (with results)
+ * @returns {string} - HTML document
+ */
+function toHTMLReport(scan) {
+  const { results } = scan;
+  const { summary } = results;
+  const date = new Date(scan.startedAt).toUTCString();
+  const partial = ['cancelled', 'interrupted'].includes(scan.status);
+  const title = partial ? `Dead link report (${scan.status}, partial results)` : 'Dead link report';
+
+  // Only what the script needs; "<" escaped so the data can't close the script tag
+  const data = JSON.stringify({ brokenLinks: results.brokenLinks }).replace(/</g, '\\u003c');
+
+  const stats = [
+    ['Pages', summary.totalPages],
+    ['Links', summary.totalLinks],
+    ['Working', summary.workingLinks],
+    ['Redirects', summary.redirects],
+    ['Warnings', summary.warnings, 'warning'],
+    ['Missing anchors', summary.missingAnchors, 'warning'],
+    ['Soft 404s', summary.soft404s, 'warning'],
+    ['Broken', summary.brokenLinks, 'error']
+  ];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(`${title}: ${scan.url}`)}</title>
+  <style>${REPORT_CSS}</style>
+</head>
+<body>
+  <main>
+    <h1>💀 ${escapeHtml(title)}</h1>
+    <p class="meta">${escapeHtml(scan.url)} · scanned ${escapeHtml(date)}</p>
+
+    <div class="summary">
+      ${stats.map(([label, value, kind]) => `
+      <div class="stat${kind ? ` ${kind}` : ''}"><span class="stat-value">${escapeHtml(value ?? 0)}</span><span class="stat-label">${label}</span></div>`).join('')}
+    </div>
+
+    <h2>🚫 Broken Links</h2>
+    <div class="controls">
+      <input type="search" id="search-box" placeholder="🔍 Search broken links...">
+      <select id="group-by-select">
+        <option value="none">View: All Broken Links</option>
+        <option value="error-type">Group by Error Type</option>
+        <option value="page">Group by Page</option>
+        <option value="link-type">Group by Type (Link/Image/Script...)</option>
+      </select>
+    </div>
+    <div class="count" id="results-count"></div>
+    <div id="broken-links-container"></div>
+
+    ${staticSection('⚠️ Warnings', results.warnings, link => `${link.status} - ${link.message}`)}
+    ${staticSection('⚓ Missing Anchors', results.missingAnchors, link => link.message)}
+    ${staticSection('🕵️ Soft 404s', results.soft404s, link => link.message)}
+
+    <footer>Generated by Dead Links Must Die · scan ${escapeHtml(scan.id)}</footer>
+  </main>
+  <script type="application/json" id="report-data">${data}</script>
+  <script>(${reportScript.toString()})();</script>
+</body>
+</html>
+`;
+}
+
+module.exports = { toHTMLReport };
@@ -0,0 +1,52 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * JSON files under the data directory, shared by the stores
+ * (scan-store.js, checkpoint-store.js, list-store.js)
+ */
+
+// Configuration
+const DEFAULT_DATA_DIR = path.join(__dirname, 'data');
+
+/**
+ * Read a JSON file
+ *
+ * @param {string} filePath - File to read
+ * @param {*} fallback - Returned when the file doesn't exist
+ */
+async function readJSON(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+/**
+ * Write a JSON file via temp file + rename, so a crash never leaves half a file
+ * (the directory must exist)
+ */
+async function writeJSON(filePath, data) {
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(data));
+  await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * Run writes one at a time, in order, so concurrent read-modify-write
+ * updates don't clobber each other
+ *
+ * @returns {function} - serialize(fn): runs fn after earlier writes, resolves to its result
+ */
+function createWriteQueue() {
+  let queue = Promise.resolve();
+  return (fn) => {
+    const result = queue.then(fn);
+    queue = result.catch(() => {}); // A failed write doesn't block the next
+    return result;
+  };
+}
+
+module.exports = { readJSON, writeJSON, createWriteQueue, DEFAULT_DATA_DIR };
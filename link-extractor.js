@@ -0,0 +1,197 @@
+const cheerio = require('cheerio');
+const { URL } = require('url');
+
+/**
+ * Link types set on every extracted link (shown and grouped in the UI)
+ */
+const LINK_TYPES = {
+  link: 'link', // <a href>
+  image: 'image', // <img src/srcset>, <picture><source srcset>, <video poster>
+  stylesheet: 'stylesheet', // <link rel=stylesheet>
+  script: 'script', // <script src>
+  media: 'media', // <video/audio src>, <source src>
+  iframe: 'iframe', // <iframe src>
+  form: 'form', // <form action> (GET forms)
+  metaRefresh: 'meta-refresh', // <meta http-equiv=refresh>
+  ogImage: 'og-image' // <meta property=og:image>
+};
+
+/**
+ * Parse a srcset attribute into its candidate URLs
+ * Follows the HTML spec: URLs are split on whitespace, descriptors run to the next comma
+ */
+function parseSrcset(srcset) {
+  const urls = [];
+  let position = 0;
+
+  while (position < srcset.length) {
+    // Skip whitespace and commas between candidates
+    while (position < srcset.length && /[\s,]/.test(srcset[position])) position++;
+    if (position >= srcset.length) break;
+
+    let end = position;
+    while (end < srcset.length && !/\s/.test(srcset[end])) end++;
+
+    let url = srcset.slice(position, end);
+    position = end;
+
+    if (url.endsWith(',')) {
+      // "a.jpg, b.jpg" - no descriptor
+      url = url.replace(/,+$/, '');
+    } else {
+      // Skip descriptors ("2x", "640w") up to the next comma
+      const comma = srcset.indexOf(',', position);
+      position = comma === -1 ? srcset.length : comma + 1;
+    }
+
+    if (url) urls.push(url);
+  }
+
+  return urls;
+}
+
+/**
+ * Get the target URL from a meta refresh value like "5; url=/new-page"
+ */
+function parseMetaRefresh(content) {
+  const match = content.match(/url\s*=\s*['"]?([^'"]+)['"]?/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Extract every checkable URL from an HTML page
+ *
+ * @param {string|Function} source - HTML string or an already loaded cheerio root
+ * @param {string} pageUrl - URL of the page (for resolving relative URLs)
+ * @returns {Array} - Links as { url, text, type }
+ */
+function extractLinks(source, pageUrl) {
+  const $ = typeof source === 'string' ? cheerio.load(source) : source;
+  const links = [];
+
+  // Convert relative URL to absolute
+  function toAbsoluteUrl(url, base) {
+    try {
+      return new URL(url, base).href;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Relative URLs resolve against <base href> when the page has one
+  const baseHref = $('base[href]').attr('href');
+  const baseUrl = (baseHref && toAbsoluteUrl(baseHref, pageUrl)) || pageUrl;
+
+  function add(url, text, type) {
+    if (!url || !url.trim()) return;
+
+    const absoluteUrl = toAbsoluteUrl(url.trim(), baseUrl);
+    if (!absoluteUrl) return;
+
+    links.push({ url: absoluteUrl, text, type });
+  }
+
+  // Add src plus every srcset candidate once per element
+  function addImageSources(elem, text) {
+    const sources = new Set();
+    const src = $(elem).attr('src');
+    if (src) sources.add(src.trim());
+    for (const candidate of parseSrcset($(elem).attr('srcset') || '')) {
+      sources.add(candidate);
+    }
+    sources.forEach(url => add(url, text, LINK_TYPES.image));
+  }
+
+  $('a[href]').each((i, elem) => {
+    const text = $(elem).text().trim().substring(0, 100);
+    add($(elem).attr('href'), text || '(no text)', LINK_TYPES.link);
+  });
+
+  $('img[src], img[srcset]').each((i, elem) => {
+    addImageSources(elem, $(elem).attr('alt') || '(no alt text)');
+  });
+
+  // <picture><source srcset> are images, <video/audio><source src> are media
+  $('source[srcset]').each((i, elem) => {
+    addImageSources(elem, '(picture source)');
+  });
+
+  $('video[src], audio[src], source[src]').each((i, elem) => {
+    if ($(elem).is('source') && $(elem).attr('srcset')) return; // Handled above
+    add($(elem).attr('src'), `(${elem.tagName} source)`, LINK_TYPES.media);
+  });
+
+  $('video[poster]').each((i, elem) => {
+    add($(elem).attr('poster'), '(video poster)', LINK_TYPES.image);
+  });
+
+  $('link[href]').filter((i, elem) => /(^|\s)stylesheet(\s|$)/i.test($(elem).attr('rel') || '')).each((i, elem) => {
+    add($(elem).attr('href'), '(stylesheet)', LINK_TYPES.stylesheet);
+  });
+
+  $('script[src]').each((i, elem) => {
+    add($(elem).attr('src'), '(script)', LINK_TYPES.script);
+  });
+
+  $('iframe[src]').each((i, elem) => {
+    add($(elem).attr('src'), $(elem).attr('title') || '(iframe)', LINK_TYPES.iframe);
+  });
+
+  // Only GET forms: POST endpoints usually reject the HEAD/GET we check with
+  $('form[action]').each((i, elem) => {
+    const method = ($(elem).attr('method') || 'get').toLowerCase();
+    if (method !== 'get') return;
+    add($(elem).attr('action'), '(form action)', LINK_TYPES.form);
+  });
+
+  $('meta[http-equiv]').filter((i, elem) => ($(elem).attr('http-equiv') || '').toLowerCase() === 'refresh').each((i, elem) => {
+    add(parseMetaRefresh($(elem).attr('content') || ''), '(meta refresh)', LINK_TYPES.metaRefresh);
+  });
+
+  $('meta[property="og:image"], meta[property="og:image:url"]').each((i, elem) => {
+    add($(elem).attr('content'), '(og:image)', LINK_TYPES.ogImage);
+  });
+
+  return links;
+}
+
+/**
+ * Collect the fragment targets on a page: element ids and <a name> anchors
+ *
+ * @param {string|Function} source - HTML string or an already loaded cheerio root
+ * @returns {Array<string>} - Anchor names (unique)
+ */
+function extractAnchors(source) {
+  const $ = typeof source === 'string' ? cheerio.load(source) : source;
+  const anchors = new Set();
+
+  $('[id]').each((i, elem) => {
+    anchors.add($(elem).attr('id'));
+  });
+
+  $('a[name]').each((i, elem) => {
+    anchors.add($(elem).attr('name'));
+  });
+
+  return [...anchors];
+}
+
+/**
+ * Whether a link leads to another page the crawler should follow
+ */
+function isPageLink(link) {
+  return link.type === LINK_TYPES.link || link.type === LINK_TYPES.metaRefresh;
+}
+
+/**
+ * Where a link was found, as listed in a result's occurrences: the page URL,
+ * or file and line for links from Markdown sources
+ */
+function toOccurrence(pageUrl, link) {
+  if (link.file) {
+    return { file: link.file, line: link.line, text: link.text, type: link.type };
+  }
+  return { page: pageUrl, text: link.text, type: link.type };
+}
+
+module.exports = { LINK_TYPES, extractLinks, extractAnchors, isPageLink, parseSrcset, toOccurrence };
@@ -0,0 +1,89 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { readJSON, writeJSON, createWriteQueue, DEFAULT_DATA_DIR } = require('./json-files');
+
+/**
+ * A small list of records with ids (schedules, webhooks), stored in <dataDir>/<name>.json
+ *
+ * @param {Object} options - name (file name without .json) and dataDir (default ./data)
+ * @returns {Object} - Store with list/save/update/remove
+ */
+function createListStore(options) {
+  const dataDir = options.dataDir || DEFAULT_DATA_DIR;
+  const filePath = path.join(dataDir, `${options.name}.json`);
+
+  // Background updates and the API write one at a time
+  const serialize = createWriteQueue();
+
+  function readAll() {
+    return readJSON(filePath, []);
+  }
+
+  async function writeAll(records) {
+    await fs.mkdir(dataDir, { recursive: true });
+    await writeJSON(filePath, records);
+  }
+
+  /**
+   * All records, oldest first
+   */
+  function list() {
+    return readAll();
+  }
+
+  /**
+   * Add a record, or replace the one with the same id
+   */
+  function save(record) {
+    return serialize(async () => {
+      const records = await readAll();
+      const index = records.findIndex(existing => existing.id === record.id);
+      if (index === -1) {
+        records.push(record);
+      } else {
+        records[index] = record;
+      }
+      await writeAll(records);
+    });
+  }
+
+  /**
+   * Update a record in place; resolves to the updated record, or null if
+   * it was deleted in the meantime
+   */
+  function update(id, changes) {
+    return serialize(async () => {
+      const records = await readAll();
+      const record = records.find(existing => existing.id === id);
+      if (!record) return null;
+
+      Object.assign(record, changes);
+      await writeAll(records);
+      return record;
+    });
+  }
+
+  /**
+   * Delete a record; resolves to false if it didn't exist
+   */
+  function remove(id) {
+    return serialize(async () => {
+      const records = await readAll();
+      const remaining = records.filter(record => record.id !== id);
+      if (remaining.length === records.length) {
+        return false;
+      }
+      await writeAll(remaining);
+      return true;
+    });
+  }
+
+  return {
+    list,
+    save,
+    update,
+    remove
+  };
+}
+
+module.exports = { createListStore };
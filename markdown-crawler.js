@@ -0,0 +1,343 @@
+const fs = require('fs');
+const path = require('path');
+const { URL, pathToFileURL, fileURLToPath } = require('url');
+const { DEFAULT_SCAN_OPTIONS } = require('./scan-options');
+const { createUrlFilter } = require('./url-filter');
+const { LINK_TYPES } = require('./link-extractor');
+const { listFiles } = require('./fs-crawler');
+
+const MARKDOWN_FILE = /\.(md|markdown)$/i;
+const SKIPPED_DIRECTORIES = new Set(['node_modules']); // Hidden ones (.git, ...) are skipped too
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const ATX_HEADING = /^ {0,3}#{1,6}\s+(.*?)(?:\s+#+)?\s*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)\s*$/;
+const LINK_TITLE = String.raw`(?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?`;
+
+// [label]: destination "title"
+const REFERENCE_DEFINITION = new RegExp(String.raw`^ {0,3}\[([^\]]+)\]:\s*(?:<([^>]*)>|(\S+))${LINK_TITLE}\s*$`);
+// [text](destination "title") and ![alt](destination); text may hold one level of
+// [brackets] (e.g. an image inside a link) and destinations one level of (parens)
+const INLINE_LINK = new RegExp(String.raw`(!?)\[((?:[^[\]]|\[[^[\]]*\])*)\]\(\s*(?:<([^>]*)>|((?:[^()\s]|\([^()\s]*\))*))${LINK_TITLE}\s*\)`, 'g');
+// [text][label], [text][] and ![alt][label]
+const REFERENCE_LINK = /(!?)\[((?:[^[\]]|\[[^[\]]*\])*)\]\[([^\]]*)\]/g;
+// [label] on its own - only a link when the label is defined
+const SHORTCUT_LINK = /(!?)\[([^[\]]+)\](?![[(:])/g;
+// <https://example.com>
+const AUTOLINK = /<((?:https?|ftp):\/\/[^\s<>]+)>/gi;
+// https://example.com in running text (GitHub links these too)
+const BARE_URL = /https?:\/\/[^\s<>()[\]"'`]+/gi;
+// <a name="..."> and id="..." in inline HTML
+const HTML_ANCHOR = /<[a-z][^>]*?\s(?:id|name)\s*=\s*["']([^"']+)["']/gi;
+
+// Reference labels match case-insensitively with whitespace collapsed
+function normalizeLabel(label) {
+  return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Blank out a match so later patterns don't find links inside it again
+function blank(text) {
+  return ' '.repeat(text.length);
+}
+
+/**
+ * Split a document into lines outside fenced code blocks, as { text, line }
+ */
+function proseLines(source) {
+  const lines = [];
+  let fence = null;
+
+  source.split(/\r?\n/).forEach((text, index) => {
+    const match = text.match(FENCE);
+    if (fence) {
+      if (match && match[1][0] === fence[0] && match[1].length >= fence.length && !text.slice(match[0].length).trim()) {
+        fence = null;
+      }
+    } else if (match) {
+      fence = match[1];
+    } else {
+      lines.push({ text, line: index + 1 });
+    }
+  });
+
+  return lines;
+}
+
+/**
+ * Resolve a link destination the way GitHub does: relative to the file,
+ * or to the repository root when it starts with "/"
+ */
+function resolveDestination(destination, fileUrl, rootUrl) {
+  if (!destination) return null;
+  try {
+    if (destination.startsWith('/') && !destination.startsWith('//')) {
+      return new URL(`.${destination}`, rootUrl).href;
+    }
+    return new URL(destination, fileUrl).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Extract every link and image from a Markdown document: inline and
+ * reference-style links and images, <autolinks> and bare URLs
+ * (fenced code and `code spans` are ignored)
+ *
+ * @param {string} source - Markdown text
+ * @param {string} fileUrl - URL of the file (for resolving relative links)
+ * @param {string} rootUrl - URL of the repository root (for "/" links)
+ * @returns {Array} - Links as { url, text, type, line }
+ */
+function extractMarkdownLinks(source, fileUrl, rootUrl = fileUrl) {
+  const lines = proseLines(source);
+  const links = [];
+  const definitions = new Map(); // label -> { destination, line, used }
+
+  for (const { text, line } of lines) {
+    const match = text.match(REFERENCE_DEFINITION);
+    if (match && !definitions.has(normalizeLabel(match[1]))) {
+      definitions.set(normalizeLabel(match[1]), { destination: match[2] ?? match[3], line, used: false });
+    }
+  }
+
+  function add(destination, text, isImage, line) {
+    const url = resolveDestination(destination.trim(), fileUrl, rootUrl);
+    if (!url) return;
+
+    const label = text.trim().substring(0, 100);
+    links.push(isImage
+      ? { url, text: label || '(no alt text)', type: LINK_TYPES.image, line }
+      : { url, text: label || '(no text)', type: LINK_TYPES.link, line });
+  }
+
+  function addReference(label, text, isImage, line) {
+    const definition = definitions.get(normalizeLabel(label));
+    if (!definition) return false;
+    definition.used = true;
+    add(definition.destination, text, isImage, line);
+    return true;
+  }
+
+  function scan(text, line) {
+    text = text.replace(INLINE_LINK, (match, bang, label, angled, plain) => {
+      if (label.includes('[')) scan(label, line); // [![badge](image.svg)](https://...)
+      add(angled ?? plain, label, bang === '!', line);
+      return blank(match);
+    });
+
+    text = text.replace(REFERENCE_LINK, (match, bang, label, reference) => {
+      if (label.includes('[')) scan(label, line);
+      return addReference(reference || label, label, bang === '!', line) ? blank(match) : match;
+    });
+
+    text = text.replace(SHORTCUT_LINK, (match, bang, label) =>
+      addReference(label, label, bang === '!', line) ? blank(match) : match);
+
+    text = text.replace(AUTOLINK, (match, url) => {
+      add(url, url, false, line);
+      return blank(match);
+    });
+
+    for (const [url] of text.matchAll(BARE_URL)) {
+      const trimmed = url.replace(/[.,:;!?*_~]+$/, ''); // Sentence punctuation isn't part of the URL
+      add(trimmed, trimmed, false, line);
+    }
+  }
+
+  for (const { text, line } of lines) {
+    if (REFERENCE_DEFINITION.test(text)) continue;
+
+    const prose = text
+      .replace(/\\[\\[\]()<>`]/g, '  ') // Escaped characters
+      .replace(/(`+)[^`].*?\1/g, blank) // Code spans
+      .replace(/<!--.*?-->/g, blank); // Comments
+    scan(prose, line);
+  }
+
+  // Definitions nobody uses can still rot
+  for (const { destination, line, used } of definitions.values()) {
+    if (!used) add(destination, '(reference definition)', false, line);
+  }
+
+  return links.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Heading anchor the way GitHub generates it ("## Getting Started!" -> getting-started)
+ */
+function headingSlug(heading) {
+  return heading
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1') // Links keep their text
+    .replace(/<[^>]+>/g, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s_-]/gu, '')
+    .replace(/\s/g, '-');
+}
+
+/**
+ * Collect the #fragment targets in a Markdown document: heading slugs
+ * (repeats get -1, -2, ... like on GitHub) and ids/names in inline HTML
+ *
+ * @param {string} source - Markdown text
+ * @returns {Array<string>} - Anchor names (unique)
+ */
+function extractMarkdownAnchors(source) {
+  const anchors = new Set();
+  const slugCounts = new Map();
+  const lines = proseLines(source);
+
+  function addHeading(heading) {
+    const slug = headingSlug(heading);
+    const count = slugCounts.get(slug) || 0;
+    slugCounts.set(slug, count + 1);
+    anchors.add(count === 0 ? slug : `${slug}-${count}`);
+  }
+
+  lines.forEach(({ text, line }, index) => {
+    const atx = text.match(ATX_HEADING);
+    const previous = lines[index - 1];
+    if (atx) {
+      addHeading(atx[1]);
+    } else if (SETEXT_UNDERLINE.test(text) && previous && previous.line === line - 1 &&
+               previous.text.trim() && !ATX_HEADING.test(previous.text)) {
+      addHeading(previous.text);
+    }
+
+    for (const [, name] of text.matchAll(HTML_ANCHOR)) {
+      anchors.add(name);
+    }
+  });
+
+  return [...anchors];
+}
+
+/**
+ * Check the Markdown files in a directory (e.g. a git checkout) instead of a site
+ *
+ * Every .md file becomes a "page" at its file:// URL. Links to other files
+ * resolve against the directory tree: pass the returned checkLocal to the
+ * link checker and links to missing files come back as 404s, while external
+ * links are checked over the network. Links in results are located by
+ * file and line (occurrences have { file, line } instead of page).
+ *
+ * @param {string} dir - Directory to search for Markdown files (hidden
+ *   directories and node_modules are skipped)
+ * @param {function} onProgress - Progress callback
+ * @param {function} onPageCrawled - Page crawled callback
+ * @param {Object} options - Scan options (maxPages, include, exclude), plus
+ *   control (pause/cancel, see scan-control.js)
+ * @returns {Promise<Object>} - { pages, crawledUrls, checkLocal }
+ */
+async function crawlMarkdown(dir, onProgress, onPageCrawled, options = {}) {
+  const { maxPages, include, exclude } = { ...DEFAULT_SCAN_OPTIONS, ...options };
+  const { control } = options;
+  const isIncluded = createUrlFilter({ include, exclude });
+
+  const stats = await fs.promises.stat(dir).catch(() => null);
+  if (!stats || !stats.isDirectory()) {
+    throw new Error(`Not a directory: ${dir}`);
+  }
+
+  const root = path.resolve(dir);
+  const rootUrl = pathToFileURL(root.endsWith(path.sep) ? root : `${root}${path.sep}`).href;
+  console.log(`\n📝 Checking Markdown files in ${root}`);
+
+  const files = await listFiles(root, {
+    skipDirectory: name => name.startsWith('.') || SKIPPED_DIRECTORIES.has(name)
+  });
+  const markdownFiles = files.filter(file => MARKDOWN_FILE.test(file));
+  const pages = [];
+  const crawledUrls = new Set();
+  let excludedCount = 0;
+
+  for (const file of markdownFiles) {
+    if (control) {
+      await control.whenRunning();
+      if (control.cancelled) {
+        console.log(`🛑 Crawl cancelled`);
+        break;
+      }
+    }
+
+    if (pages.length >= maxPages) {
+      console.log(`Reached page limit (${maxPages}), stopping crawl`);
+      break;
+    }
+
+    const url = new URL(file.split('/').map(encodeURIComponent).join('/'), rootUrl).href;
+    if (!isIncluded(url)) {
+      excludedCount++;
+      continue;
+    }
+    crawledUrls.add(url);
+
+    let pageData;
+    try {
+      const source = await fs.promises.readFile(path.join(root, file), 'utf8');
+      const links = extractMarkdownLinks(source, url, rootUrl).map(link => ({ ...link, file }));
+      pageData = {
+        url,
+        file,
+        title: file,
+        links,
+        linksCount: links.filter(link => link.type === LINK_TYPES.link).length,
+        imagesCount: links.filter(link => link.type === LINK_TYPES.image).length,
+        anchors: extractMarkdownAnchors(source)
+      };
+    } catch (error) {
+      console.error(`Error reading ${file}:`, error.message);
+      pageData = {
+        url,
+        file,
+        title: 'Error loading page',
+        links: [],
+        linksCount: 0,
+        imagesCount: 0,
+        error: error.message
+      };
+    }
+
+    pages.push(pageData);
+    if (onPageCrawled) {
+      onPageCrawled(pageData);
+    }
+    if (onProgress) {
+      onProgress({ pagesFound: markdownFiles.length - excludedCount, pagesCrawled: pages.length });
+    }
+  }
+
+  console.log(`✅ Read ${pages.length} Markdown files`);
+  if (excludedCount > 0) {
+    console.log(`🚫 Skipped ${excludedCount} files excluded by URL patterns`);
+  }
+
+  /**
+   * Check result for a file:// link (null for anything else, which the
+   * checker requests as usual)
+   */
+  function checkLocal(url) {
+    if (!url.startsWith('file:')) return null;
+
+    let filePath;
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      parsed.search = '';
+      filePath = fileURLToPath(parsed);
+    } catch (e) {
+      return { ok: false, status: 404, message: `Invalid file path: ${url}` };
+    }
+
+    // Links to directories are fine too (GitHub lists their contents)
+    if (fs.existsSync(filePath)) {
+      return { ok: true, status: 200 };
+    }
+    return { ok: false, status: 404, message: `File not found: ${path.relative(root, filePath).split(path.sep).join('/')}` };
+  }
+
+  return { pages, crawledUrls, checkLocal };
+}
+
+module.exports = { crawlMarkdown, extractMarkdownLinks, extractMarkdownAnchors };
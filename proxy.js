@@ -0,0 +1,38 @@
+const { URL } = require('url');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { HttpProxyAgent } = require('http-proxy-agent');
+
+// Proxy configuration from environment variables
+const proxyUrl = process.env.https_proxy || process.env.HTTPS_PROXY || process.env.http_proxy || process.env.HTTP_PROXY;
+const noProxy = (process.env.no_proxy || process.env.NO_PROXY || '').split(',').map(h => h.trim().toLowerCase());
+
+// One agent per protocol, so proxied requests share connections too
+const proxyAgents = {};
+
+// Check if a hostname should bypass the proxy
+function shouldBypassProxy(hostname) {
+  if (!proxyUrl) return true;
+  const lowerHost = hostname.toLowerCase();
+  return noProxy.some(pattern => {
+    if (pattern === lowerHost) return true;
+    if (pattern.startsWith('*') && lowerHost.endsWith(pattern.slice(1))) return true;
+    if (pattern.startsWith('.') && lowerHost.endsWith(pattern)) return true;
+    return false;
+  });
+}
+
+/**
+ * Proxy agent for a URL, or undefined when it goes direct
+ * (no proxy configured, or the host is in NO_PROXY)
+ */
+function proxyAgentFor(url) {
+  const { protocol, hostname } = new URL(url);
+  if (shouldBypassProxy(hostname)) return undefined;
+
+  if (!proxyAgents[protocol]) {
+    proxyAgents[protocol] = protocol === 'https:' ? new HttpsProxyAgent(proxyUrl) : new HttpProxyAgent(proxyUrl);
+  }
+  return proxyAgents[protocol];
+}
+
+module.exports = { proxyAgentFor, shouldBypassProxy };
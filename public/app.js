@@ -1,11 +1,19 @@
 // DOM Elements
 const scanForm = document.getElementById('scan-form');
 const urlInput = document.getElementById('url-input');
+const scanOptionInputs = document.querySelectorAll('#scan-options [data-option]');
+const authInputs = document.querySelectorAll('#scan-options [data-auth]');
 const scanButton = document.getElementById('scan-button');
 const inputSection = document.getElementById('input-section');
 const progressSection = document.getElementById('progress-section');
 const resultsSection = document.getElementById('results-section');
 const errorSection = document.getElementById('error-section');
+const historySection = document.getElementById('history-section');
+const historyContainer = document.getElementById('history-container');
+const diffSection = document.getElementById('diff-section');
+const schedulesContainer = document.getElementById('schedules-container');
+const scheduleCronInput = document.getElementById('schedule-cron');
+const scheduleButton = document.getElementById('schedule-button');
 
 // Progress elements
 const stageText = document.getElementById('stage-text');
@@ -17,6 +25,8 @@ const brokenCountEl = document.getElementById('broken-count');
 const progressBar = document.getElementById('progress-bar');
 const etaText = document.getElementById('eta-text');
 const elapsedTimeEl = document.getElementById('elapsed-time');
+const pauseButton = document.getElementById('pause-button');
+const cancelButton = document.getElementById('cancel-button');
 const errorDashboardSection = document.getElementById('error-dashboard-section');
 const error404El = document.getElementById('error-404');
 const errorTimeoutEl = document.getElementById('error-timeout');
@@ -25,6 +35,8 @@ const errorDnsEl = document.getElementById('error-dns');
 const error403El = document.getElementById('error-403');
 const error500El = document.getElementById('error-500');
 const error401El = document.getElementById('error-401');
+const errorAnchorEl = document.getElementById('error-anchor');
+const errorSoft404El = document.getElementById('error-soft404');
 const errorOtherEl = document.getElementById('error-other');
 const liveBrokenLinksSection = document.getElementById('live-broken-links-section');
 const liveBrokenLinksContainer = document.getElementById('live-broken-links-container');
@@ -36,18 +48,35 @@ const dashWorking = document.getElementById('dash-working');
 const dashBroken = document.getElementById('dash-broken');
 
 // Results elements
+const resultsTitle = document.getElementById('results-title');
 const resultElapsed = document.getElementById('result-elapsed');
 const resultPages = document.getElementById('result-pages');
 const resultLinks = document.getElementById('result-links');
 const resultWorking = document.getElementById('result-working');
 const resultRedirects = document.getElementById('result-redirects');
 const resultWarnings = document.getElementById('result-warnings');
+const resultAnchors = document.getElementById('result-anchors');
+const resultSoft404s = document.getElementById('result-soft404s');
+const resultExcluded = document.getElementById('result-excluded');
 const resultBroken = document.getElementById('result-broken');
 const brokenLinksContainer = document.getElementById('broken-links-container');
 const warningsContainer = document.getElementById('warnings-container');
+const anchorsContainer = document.getElementById('anchors-container');
+const soft404sContainer = document.getElementById('soft404s-container');
 const redirectsContainer = document.getElementById('redirects-container');
 const pagesContainer = document.getElementById('pages-container');
 const newScanButton = document.getElementById('new-scan-button');
+const exportJunitLink = document.getElementById('export-junit-link');
+const exportSarifLink = document.getElementById('export-sarif-link');
+const exportHtmlLink = document.getElementById('export-html-link');
+
+// Diff elements
+const diffSubtitle = document.getElementById('diff-subtitle');
+const diffNewEl = document.getElementById('diff-new');
+const diffStillEl = document.getElementById('diff-still');
+const diffFixedEl = document.getElementById('diff-fixed');
+const diffContainer = document.getElementById('diff-container');
+const diffBackButton = document.getElementById('diff-back-button');
 
 // Error elements
 const errorMessage = document.getElementById('error-message');
@@ -55,12 +84,91 @@ const retryButton = document.getElementById('retry-button');
 
 // State
 let currentEventSource = null;
+let currentScanId = null;
+let currentScanStatus = null;
 let displayedBrokenLinks = 0; // Track how many broken links we've already displayed
+let currentScan = null; // The running scan as last reported, kept up to date by progress events
+let progressRenderPending = false;
+let historyScans = []; // Scans in the history list, looked up by id (URLs never go into onclick handlers)
 
 // Event Listeners
 scanForm.addEventListener('submit', handleScanSubmit);
 newScanButton.addEventListener('click', resetToInput);
 retryButton.addEventListener('click', resetToInput);
+diffBackButton.addEventListener('click', resetToInput);
+pauseButton.addEventListener('click', togglePause);
+cancelButton.addEventListener('click', cancelScan);
+scheduleButton.addEventListener('click', addSchedule);
+
+// Report links (e.g. from webhooks) open a scan directly: /?scan=<id>
+// Otherwise load past scans on startup
+const linkedScanId = new URLSearchParams(window.location.search).get('scan');
+if (linkedScanId) {
+  viewScan(linkedScanId);
+} else {
+  loadHistory();
+  loadSchedules();
+}
+
+// Collect advanced scan options (blank fields use the server defaults)
+function getScanOptions() {
+  const options = {};
+  scanOptionInputs.forEach(input => {
+    if (input.type === 'checkbox') {
+      options[input.dataset.option] = input.checked;
+    } else if (input.tagName === 'SELECT') {
+      options[input.dataset.option] = input.value;
+    } else if (input.tagName === 'TEXTAREA') {
+      const patterns = input.value.split('\n').map(line => line.trim()).filter(Boolean);
+      if (patterns.length > 0) {
+        options[input.dataset.option] = patterns;
+      }
+    } else if (input.value !== '') {
+      options[input.dataset.option] = Number(input.value);
+    }
+  });
+
+  const auth = getAuthOptions();
+  if (auth) {
+    options.auth = auth;
+  }
+  return options;
+}
+
+// "Name: value" lines -> { Name: 'value' }
+function parsePairs(text, separator) {
+  const pairs = {};
+  text.split('\n').forEach(line => {
+    const index = line.indexOf(separator);
+    if (index > 0) {
+      pairs[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+    }
+  });
+  return pairs;
+}
+
+function getAuthOptions() {
+  const values = {};
+  authInputs.forEach(input => {
+    values[input.dataset.auth] = input.value.trim();
+  });
+
+  const auth = {};
+  ['username', 'password', 'bearerToken', 'cookie'].forEach(name => {
+    if (values[name]) auth[name] = values[name];
+  });
+
+  const headers = parsePairs(values.headers, ':');
+  if (Object.keys(headers).length > 0) {
+    auth.headers = headers;
+  }
+
+  if (values.loginUrl) {
+    auth.login = { url: values.loginUrl, fields: parsePairs(values.loginFields, '=') };
+  }
+
+  return Object.keys(auth).length > 0 ? auth : null;
+}
 
 async function handleScanSubmit(e) {
   e.preventDefault();
@@ -77,7 +185,7 @@ async function handleScanSubmit(e) {
     const response = await fetch('/api/scan', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ url })
+      body: JSON.stringify({ url, options: getScanOptions() })
     });
 
     if (!response.ok) {
@@ -86,9 +194,11 @@ async function handleScanSubmit(e) {
     }
 
     const { scanId } = await response.json();
+    currentScanId = scanId;
 
     // Show progress section
     inputSection.classList.add('hidden');
+    historySection.classList.add('hidden');
     progressSection.classList.remove('hidden');
 
     // Connect to SSE for progress updates
@@ -101,31 +211,149 @@ async function handleScanSubmit(e) {
   }
 }
 
+// How each progress event updates the running scan (see the server's scan-events.js)
+const PROGRESS_EVENT_HANDLERS = {
+  'snapshot': (scan) => {
+    // Everything is re-sent, so the live broken links list starts over
+    currentScan = scan;
+    liveBrokenLinksContainer.innerHTML = '';
+    displayedBrokenLinks = 0;
+  },
+  'stage-changed': ({ status, stage }) => {
+    currentScan.status = status;
+    currentScan.progress.stage = stage;
+  },
+  'crawl-progress': (progress) => {
+    Object.assign(currentScan.progress, progress);
+  },
+  'page-crawled': ({ totalLinks }) => {
+    currentScan.progress.totalLinks = totalLinks;
+  },
+  'link-checked': ({ linksChecked, eta, elapsedTime }) => {
+    Object.assign(currentScan.progress, { linksChecked, eta, elapsedTime });
+  },
+  'broken-found': ({ link, brokenLinks }) => {
+    currentScan.liveBrokenLinks.push(link);
+    currentScan.progress.brokenLinks = brokenLinks;
+  },
+  'breakdown-changed': ({ errorBreakdown }) => {
+    currentScan.errorBreakdown = errorBreakdown;
+  },
+  'queue-changed': ({ queuePosition }) => {
+    currentScan.queuePosition = queuePosition;
+  },
+  'scan-finished': (scan) => {
+    currentScan = scan;
+  }
+};
+
 function connectToProgress(scanId) {
+  currentScan = null;
+
+  // On a dropped connection EventSource reconnects by itself, sending the
+  // last event id, so only missed events are replayed
   currentEventSource = new EventSource(`/api/scan/${scanId}/progress`);
 
-  currentEventSource.onmessage = (event) => {
-    const data = JSON.parse(event.data);
-    updateProgress(data);
+  for (const [type, handler] of Object.entries(PROGRESS_EVENT_HANDLERS)) {
+    currentEventSource.addEventListener(type, (event) => {
+      handler(JSON.parse(event.data));
+      handleScanUpdate(currentScan);
+    });
+  }
 
-    if (data.status === 'completed') {
-      currentEventSource.close();
-      showResults(data);
-    } else if (data.status === 'error') {
-      currentEventSource.close();
-      showError(data.error || 'Scan failed');
+  currentEventSource.onerror = (error) => {
+    // Closed for good (e.g. the scan is no longer running): fall back to the saved scan
+    if (currentEventSource.readyState === EventSource.CLOSED) {
+      console.error('SSE error:', error);
+      loadFinishedScan(scanId);
     }
   };
+}
 
-  currentEventSource.onerror = (error) => {
-    console.error('SSE error:', error);
+function handleScanUpdate(scan) {
+  const finished = ['completed', 'cancelled', 'interrupted'].includes(scan.status);
+  if (finished && !scan.results) {
+    // Taken out of the queue before it started: nothing to show
     currentEventSource.close();
-  };
+    resetToInput();
+  } else if (finished) {
+    currentEventSource.close();
+    updateProgress(scan);
+    showResults(scan);
+  } else if (scan.status === 'error') {
+    currentEventSource.close();
+    showError(scan.error || 'Scan failed');
+  } else {
+    scheduleProgressRender();
+  }
+}
+
+// Events can arrive hundreds of times a second: redraw at most once per frame
+function scheduleProgressRender() {
+  if (progressRenderPending) return;
+  progressRenderPending = true;
+  requestAnimationFrame(() => {
+    progressRenderPending = false;
+    if (currentScan) {
+      updateProgress(currentScan);
+    }
+  });
+}
+
+async function loadFinishedScan(scanId) {
+  try {
+    const response = await fetch(`/api/scan/${scanId}`);
+    const scan = await response.json();
+    if (!response.ok) {
+      throw new Error(scan.error || 'Scan not found');
+    }
+    currentScan = scan;
+    handleScanUpdate(scan);
+  } catch (error) {
+    showError(error.message);
+  }
+}
+
+// Pause or resume the running scan
+async function togglePause() {
+  const action = currentScanStatus === 'paused' ? 'resume' : 'pause';
+  await controlScan(`/api/scan/${currentScanId}/${action}`, 'POST');
+}
+
+async function cancelScan() {
+  if (!confirm('Cancel this scan? Links checked so far are kept.')) return;
+  await controlScan(`/api/scan/${currentScanId}`, 'DELETE');
+}
+
+async function controlScan(endpoint, method) {
+  pauseButton.disabled = true;
+  cancelButton.disabled = true;
+
+  try {
+    const response = await fetch(endpoint, { method });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Request failed');
+    }
+    updateScanControls(data.status);
+  } catch (error) {
+    alert(`Failed to update scan: ${error.message}`);
+    updateScanControls(currentScanStatus);
+  }
+}
+
+function updateScanControls(status) {
+  currentScanStatus = status;
+  pauseButton.textContent = status === 'paused' ? '▶️ Resume' : '⏸️ Pause';
+  pauseButton.disabled = status !== 'scanning' && status !== 'paused';
+  cancelButton.disabled = status !== 'scanning' && status !== 'paused' && status !== 'queued';
 }
 
 function updateProgress(data) {
   const { progress } = data;
 
+  updateScanControls(data.status);
+
   // Update stage
   const stageMessages = {
     initializing: '🔍 Initializing scan...',
@@ -136,7 +364,14 @@ function updateProgress(data) {
     completed: '✅ Scan complete!'
   };
 
-  stageText.textContent = stageMessages[progress.stage] || progress.stage;
+  const statusMessages = {
+    paused: '⏸️ Paused',
+    cancelling: '🛑 Cancelling...',
+    interrupting: '💾 Server shutting down, saving scan...',
+    queued: `⏳ Queued: #${data.queuePosition} in line, starts when a running scan finishes`
+  };
+
+  stageText.textContent = statusMessages[data.status] || stageMessages[progress.stage] || progress.stage;
 
   // Update stats
   pagesFoundEl.textContent = progress.pagesFound || 0;
@@ -198,6 +433,8 @@ function updateProgress(data) {
     error403El.textContent = breakdown['403'] || 0;
     error500El.textContent = breakdown['500'] || 0;
     error401El.textContent = breakdown['401'] || 0;
+    errorAnchorEl.textContent = breakdown['MISSING_ANCHOR'] || 0;
+    errorSoft404El.textContent = breakdown['SOFT_404'] || 0;
     errorOtherEl.textContent = breakdown['OTHER'] || 0;
   }
 
@@ -241,6 +478,12 @@ function showResults(data) {
 
   const { results, progress } = data;
 
+  const titles = {
+    cancelled: '🛑 Scan Cancelled (partial results)',
+    interrupted: '💾 Scan Interrupted (partial results, resume it from the history)'
+  };
+  resultsTitle.textContent = titles[data.status] || '✅ Scan Complete!';
+
   // Calculate final elapsed time
   const elapsedSeconds = Math.floor((progress.elapsedTime || 0) / 1000);
   let elapsedText;
@@ -265,10 +508,18 @@ function showResults(data) {
   resultWorking.textContent = results.summary.workingLinks;
   resultRedirects.textContent = results.summary.redirects;
   resultWarnings.textContent = results.summary.warnings || 0;
+  resultAnchors.textContent = results.summary.missingAnchors || 0;
+  resultSoft404s.textContent = results.summary.soft404s || 0;
+  resultExcluded.textContent = results.summary.linksExcluded || 0;
   resultBroken.textContent = results.summary.brokenLinks;
 
   // Setup enhanced visualization controls and render broken links
   setupResultsControls(results);
+
+  // Reports are generated by the server
+  exportJunitLink.href = `/api/scan/${encodeURIComponent(data.id)}/report?format=junit`;
+  exportSarifLink.href = `/api/scan/${encodeURIComponent(data.id)}/report?format=sarif`;
+  exportHtmlLink.href = `/api/scan/${encodeURIComponent(data.id)}/report?format=html`;
   renderBrokenLinks(results.brokenLinks || [], 'none');
 
   // Show warnings (403/401)
@@ -297,16 +548,72 @@ function showResults(data) {
     warningsContainer.innerHTML = warningsHtml;
   }
 
+  // Show links to #anchors that don't exist on the target page
+  if (results.missingAnchors && results.missingAnchors.length > 0) {
+    const anchorsHtml = `
+      <div class="results-group">
+        <h3>⚓ Missing Anchors (${results.missingAnchors.length})</h3>
+        <p class="group-description">These links point to a #fragment that no element on the target page has as its id or name. The page loads, but visitors won't land on the right section.</p>
+        ${results.missingAnchors.map(link => `
+          <div class="link-item warning">
+            <span class="link-url">${escapeHtml(link.url)}</span>
+            <span class="link-status">${escapeHtml(link.message)}</span>
+            <div class="occurrences">
+              <div class="occurrences-title">Found on ${link.occurrences.length} page${link.occurrences.length > 1 ? 's' : ''}:</div>
+              ${link.occurrences.slice(0, 3).map(occ => `
+                <div class="occurrence">
+                  • <span class="occurrence-page">${escapeHtml(occ.page)}</span>
+                  ${occ.text ? `- "${escapeHtml(occ.text)}"` : ''}
+                </div>
+              `).join('')}
+              ${link.occurrences.length > 3 ? `<div class="occurrence">... and ${link.occurrences.length - 3} more</div>` : ''}
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+    anchorsContainer.innerHTML = anchorsHtml;
+  }
+
+  // Show pages that answer 200 but look like the site's "not found" page
+  if (results.soft404s && results.soft404s.length > 0) {
+    const soft404sHtml = `
+      <div class="results-group">
+        <h3>🕵️ Soft 404s (${results.soft404s.length})</h3>
+        <p class="group-description">These links return 200 OK, but the page looks just like the site's "not found" page. The content is probably gone even though the server doesn't say so.</p>
+        ${results.soft404s.map(link => `
+          <div class="link-item warning">
+            <span class="link-url">${escapeHtml(link.url)}</span>
+            <span class="link-status">${escapeHtml(link.message)}</span>
+            <div class="occurrences">
+              <div class="occurrences-title">Found on ${link.occurrences.length} page${link.occurrences.length > 1 ? 's' : ''}:</div>
+              ${link.occurrences.slice(0, 3).map(occ => `
+                <div class="occurrence">
+                  • <span class="occurrence-page">${escapeHtml(occ.page)}</span>
+                  ${occ.text ? `- "${escapeHtml(occ.text)}"` : ''}
+                </div>
+              `).join('')}
+              ${link.occurrences.length > 3 ? `<div class="occurrence">... and ${link.occurrences.length - 3} more</div>` : ''}
+            </div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+    soft404sContainer.innerHTML = soft404sHtml;
+  }
+
   // Show redirects
   if (results.redirects.length > 0) {
     const redirectsHtml = `
       <div class="results-group">
         <h3>🔄 Redirects (${results.redirects.length})</h3>
-        <p class="group-description">These URLs redirect to different locations. Consider updating links to point directly to the final destination. (Trivial redirects like www vs non-www are filtered out.)</p>
+        <p class="group-description">These URLs redirect to different locations. Consider updating links to point directly to the final destination, especially permanent redirects. Loops, long chains and HTTPS → HTTP downgrades are flagged. (Trivial redirects like www vs non-www are filtered out.)</p>
         ${results.redirects.map(link => `
           <div class="link-item redirect">
             <span class="link-url">${escapeHtml(link.url)}</span>
             <span class="link-status">Redirects to: ${escapeHtml(link.redirectTo)}</span>
+            ${renderRedirectIssues(link.issues)}
+            ${renderRedirectChain(link.chain)}
             <div class="occurrences">
               <div class="occurrences-title">Found on ${link.occurrences.length} page${link.occurrences.length > 1 ? 's' : ''}:</div>
               ${link.occurrences.slice(0, 3).map(occ => `
@@ -347,6 +654,8 @@ function showResults(data) {
 
 function showError(message) {
   inputSection.classList.add('hidden');
+  historySection.classList.add('hidden');
+  diffSection.classList.add('hidden');
   progressSection.classList.add('hidden');
   resultsSection.classList.add('hidden');
   errorSection.classList.remove('hidden');
@@ -359,8 +668,11 @@ function resetToInput() {
   progressSection.classList.add('hidden');
   resultsSection.classList.add('hidden');
   errorSection.classList.add('hidden');
+  diffSection.classList.add('hidden');
 
   // Reset form
+  currentScanId = null;
+  updateScanControls(null);
   urlInput.value = '';
   scanButton.disabled = false;
   scanButton.innerHTML = '<span class="button-text">Start Scan</span>';
@@ -368,6 +680,8 @@ function resetToInput() {
   // Clear results
   brokenLinksContainer.innerHTML = '';
   warningsContainer.innerHTML = '';
+  anchorsContainer.innerHTML = '';
+  soft404sContainer.innerHTML = '';
   redirectsContainer.innerHTML = '';
   pagesContainer.innerHTML = '';
 
@@ -375,12 +689,263 @@ function resetToInput() {
   liveBrokenLinksContainer.innerHTML = '';
   liveBrokenLinksSection.classList.add('hidden');
   displayedBrokenLinks = 0;
+  currentScan = null;
 
   // Close SSE connection if active
   if (currentEventSource) {
     currentEventSource.close();
     currentEventSource = null;
   }
+
+  // Refresh history (the scan we just left is in it now)
+  loadHistory();
+  loadSchedules();
+}
+
+// ======================================
+// SCAN HISTORY
+// ======================================
+
+async function loadHistory() {
+  try {
+    const response = await fetch('/api/scans?limit=20');
+    if (!response.ok) return;
+
+    const { scans } = await response.json();
+    renderHistory(scans);
+  } catch (error) {
+    console.error('Failed to load scan history:', error);
+  }
+}
+
+function renderHistory(scans) {
+  historyScans = scans || [];
+  if (!scans || scans.length === 0) {
+    historySection.classList.add('hidden');
+    historyContainer.innerHTML = '';
+    return;
+  }
+
+  historySection.classList.remove('hidden');
+  historyContainer.innerHTML = scans.map((scan, index) => {
+    // Scans are newest first, so the previous run of this site comes later
+    const previous = scan.status === 'completed'
+      ? scans.slice(index + 1).find(s => s.url === scan.url && s.status === 'completed')
+      : null;
+    const date = new Date(scan.startedAt).toLocaleString();
+    const stats = scan.summary
+      ? `${scan.summary.totalPages} pages | ${scan.summary.totalLinks} links | <span class="broken">${scan.summary.brokenLinks} broken</span>`
+      : escapeHtml(scan.status);
+    const interrupted = scan.summary && scan.status === 'interrupted' ? ' | interrupted' : '';
+
+    return `
+      <div class="history-item">
+        <div class="history-info">
+          <div class="history-url">${escapeHtml(scan.url)}</div>
+          <div class="history-meta">${escapeHtml(date)} | ${stats}${interrupted}</div>
+        </div>
+        <div class="history-actions">
+          ${scan.summary ? `<button class="export-button" onclick="viewScan('${escapeHtml(scan.id)}')">View</button>` : ''}
+          ${scan.status === 'interrupted' ? `<button class="export-button" onclick="resumeScan('${escapeHtml(scan.id)}')">Resume</button>` : ''}
+          ${previous ? `<button class="export-button" onclick="viewDiff('${escapeHtml(previous.id)}', '${escapeHtml(scan.id)}')">Changes</button>` : ''}
+          <button class="export-button" onclick="deleteScan('${escapeHtml(scan.id)}')">Delete</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+async function viewScan(scanId) {
+  try {
+    const response = await fetch(`/api/scan/${scanId}`);
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to load scan');
+    }
+
+    const scan = await response.json();
+    urlInput.value = scan.url;
+    inputSection.classList.add('hidden');
+    historySection.classList.add('hidden');
+    showResults(scan);
+  } catch (error) {
+    showError(error.message);
+  }
+}
+
+async function viewDiff(baseId, compareId) {
+  try {
+    const response = await fetch(`/api/scans/${baseId}/diff/${compareId}`);
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to compare scans');
+    }
+
+    showDiff(await response.json());
+  } catch (error) {
+    showError(error.message);
+  }
+}
+
+function showDiff(diff) {
+  inputSection.classList.add('hidden');
+  historySection.classList.add('hidden');
+  diffSection.classList.remove('hidden');
+
+  const baseDate = new Date(diff.base.startedAt).toLocaleString();
+  const compareDate = new Date(diff.compare.startedAt).toLocaleString();
+  diffSubtitle.textContent = `${diff.compare.url}: ${baseDate} → ${compareDate}`;
+
+  diffNewEl.textContent = diff.summary.newBroken;
+  diffStillEl.textContent = diff.summary.stillBroken;
+  diffFixedEl.textContent = diff.summary.fixed;
+
+  diffContainer.innerHTML = [
+    renderDiffGroup('🆕 Newly Broken', 'These links broke since the previous scan.', diff.newBroken, ''),
+    renderDiffGroup('✅ Fixed', 'These links were broken in the previous scan and are fine (or gone) now.', diff.fixed, 'fixed'),
+    renderDiffGroup('🔁 Still Broken', 'These links were already broken in the previous scan.', diff.stillBroken, 'warning')
+  ].join('');
+}
+
+function renderDiffGroup(title, description, links, itemClass) {
+  if (links.length === 0) return '';
+
+  return `
+    <div class="results-group">
+      <h3>${title} (${links.length})</h3>
+      <p class="group-description">${description}</p>
+      ${links.map(link => `
+        <div class="link-item ${itemClass}">
+          <span class="link-url">${escapeHtml(link.url)}</span>
+          <span class="link-status">${escapeHtml(link.status)} - ${escapeHtml(link.message)}</span>
+          <div class="occurrences">
+            <div class="occurrences-title">On ${link.occurrences.length} page${link.occurrences.length > 1 ? 's' : ''}:</div>
+            ${link.occurrences.slice(0, 3).map(occ => `
+              <div class="occurrence">
+                • <span class="occurrence-page">${escapeHtml(occ.page)}</span>
+              </div>
+            `).join('')}
+            ${link.occurrences.length > 3 ? `<div class="occurrence">... and ${link.occurrences.length - 3} more</div>` : ''}
+          </div>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+// Carry on with a scan that stopped before finishing (from its last checkpoint)
+async function resumeScan(scanId) {
+  const { url } = historyScans.find(scan => scan.id === scanId);
+
+  // Credentials aren't saved with the scan, so send them again
+  const response = await fetch(`/api/scan/${scanId}/resume`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ auth: getAuthOptions() })
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    alert(error.error || 'Failed to resume scan');
+    return;
+  }
+
+  currentScanId = scanId;
+  urlInput.value = url;
+  inputSection.classList.add('hidden');
+  historySection.classList.add('hidden');
+  progressSection.classList.remove('hidden');
+  connectToProgress(scanId);
+}
+
+async function deleteScan(scanId) {
+  if (!confirm('Delete this scan from history?')) return;
+
+  const response = await fetch(`/api/scans/${scanId}`, { method: 'DELETE' });
+  if (!response.ok) {
+    const error = await response.json();
+    alert(error.error || 'Failed to delete scan');
+    return;
+  }
+
+  loadHistory();
+}
+
+async function loadSchedules() {
+  try {
+    const response = await fetch('/api/schedules');
+    if (!response.ok) return;
+
+    const { schedules } = await response.json();
+    renderSchedules(schedules);
+  } catch (error) {
+    console.error('Failed to load schedules:', error);
+  }
+}
+
+function renderSchedules(schedules) {
+  if (!schedules || schedules.length === 0) {
+    schedulesContainer.innerHTML = '<p class="help-text">No scheduled scans yet</p>';
+    return;
+  }
+
+  schedulesContainer.innerHTML = schedules.map(schedule => {
+    const next = schedule.nextRunAt ? new Date(schedule.nextRunAt).toLocaleString() : 'never';
+    let last = 'not run yet';
+    if (schedule.lastRun) {
+      const at = new Date(schedule.lastRun.at).toLocaleString();
+      last = schedule.lastRun.skipped ? `skipped ${at} (still running)` : `ran ${at}`;
+    }
+
+    return `
+      <div class="history-item">
+        <div class="history-info">
+          <div class="history-url">${escapeHtml(schedule.url)}</div>
+          <div class="history-meta"><code>${escapeHtml(schedule.cron)}</code> | next ${escapeHtml(next)} | ${escapeHtml(last)}</div>
+        </div>
+        <div class="history-actions">
+          <button class="export-button" onclick="deleteSchedule('${escapeHtml(schedule.id)}')">Delete</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+async function addSchedule() {
+  const url = urlInput.value.trim();
+  const cron = scheduleCronInput.value.trim();
+  if (!url || !cron) {
+    alert('Enter a URL and a cron schedule');
+    return;
+  }
+
+  // Credentials are never saved, so schedules run without them
+  const { auth, ...options } = getScanOptions();
+  const response = await fetch('/api/schedules', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ url, cron, options })
+  });
+  if (!response.ok) {
+    const error = await response.json();
+    alert(error.error || 'Failed to add schedule');
+    return;
+  }
+
+  scheduleCronInput.value = '';
+  loadSchedules();
+}
+
+async function deleteSchedule(scheduleId) {
+  if (!confirm('Delete this schedule? Scans it already ran stay in history.')) return;
+
+  const response = await fetch(`/api/schedules/${scheduleId}`, { method: 'DELETE' });
+  if (!response.ok) {
+    const error = await response.json();
+    alert(error.error || 'Failed to delete schedule');
+    return;
+  }
+
+  loadSchedules();
 }
 
 function escapeHtml(text) {
@@ -491,12 +1056,13 @@ function renderBrokenLinks(brokenLinks, groupBy = 'none') {
           <div class="link-item">
             <span class="link-url">${escapeHtml(link.url)}</span>
             <span class="link-status">${escapeHtml(link.status)} - ${escapeHtml(link.message)}</span>
+            ${renderRedirectChain(link.chain)}
             <div class="occurrences">
               <div class="occurrences-title">Found on ${link.occurrences.length} page${link.occurrences.length > 1 ? 's' : ''}:</div>
               ${link.occurrences.slice(0, 3).map(occ => `
                 <div class="occurrence">
                   • <span class="occurrence-page">${escapeHtml(occ.page)}</span>
-                  ${occ.type === 'image' ? '🖼️ Image' : '🔗 Link'}
+                  ${linkTypeLabel(occ.type)}
                   ${occ.text ? `- "${escapeHtml(occ.text)}"` : ''}
                 </div>
               `).join('')}
@@ -549,7 +1115,7 @@ function renderGroupedByErrorType(brokenLinks, container) {
                 ${link.occurrences.slice(0, 3).map(occ => `
                   <div class="occurrence">
                     • <span class="occurrence-page">${escapeHtml(occ.page)}</span>
-                    ${occ.type === 'image' ? '🖼️ Image' : '🔗 Link'}
+                    ${linkTypeLabel(occ.type)}
                   </div>
                 `).join('')}
                 ${link.occurrences.length > 3 ? `<div class="occurrence">... and ${link.occurrences.length - 3} more</div>` : ''}
@@ -594,7 +1160,7 @@ function renderGroupedByPage(brokenLinks, container) {
               <span class="link-url">${escapeHtml(link.url)}</span>
               <span class="link-status">${escapeHtml(link.status)} - ${escapeHtml(link.message)}</span>
               <div class="occurrence">
-                ${link.currentOccurrence.type === 'image' ? '🖼️ Image' : '🔗 Link'}
+                ${linkTypeLabel(link.currentOccurrence.type)}
                 ${link.currentOccurrence.text ? `- "${escapeHtml(link.currentOccurrence.text)}"` : ''}
               </div>
             </div>
@@ -607,54 +1173,82 @@ function renderGroupedByPage(brokenLinks, container) {
   container.innerHTML = '<div class="results-group"><h3>🚫 Broken Links - Grouped by Page</h3></div>' + html;
 }
 
+// Labels for the link types set by the server's link extractor
+const LINK_TYPE_LABELS = {
+  'link': '🔗 Link',
+  'image': '🖼️ Image',
+  'stylesheet': '🎨 Stylesheet',
+  'script': '📜 Script',
+  'media': '🎬 Media',
+  'iframe': '🪟 Iframe',
+  'form': '📝 Form',
+  'meta-refresh': '↪️ Meta Refresh',
+  'og-image': '🌐 Open Graph Image'
+};
+
+// Unknown or missing types (e.g. older scans) count as plain links
+function linkTypeKey(type) {
+  return LINK_TYPE_LABELS[type] ? type : 'link';
+}
+
+function linkTypeLabel(type) {
+  return LINK_TYPE_LABELS[linkTypeKey(type)];
+}
+
+// Labels for the redirect chain issues set by the server's redirects.js
+const REDIRECT_ISSUE_LABELS = {
+  'loop': '🔁 Redirect loop',
+  'long-chain': '⛓️ Long chain',
+  'downgrade': '🔓 HTTPS → HTTP',
+  'permanent': '📌 Permanent - update the link'
+};
+
+function renderRedirectIssues(issues) {
+  return (issues || []).map(issue => `<span class="redirect-issue">${REDIRECT_ISSUE_LABELS[issue] || escapeHtml(issue)}</span>`).join('');
+}
+
+// Every hop of a redirect chain, e.g. "301 http://a.com/ → https://a.com/"
+function renderRedirectChain(chain) {
+  if (!chain || chain.length === 0) return '';
+
+  return `
+    <ol class="redirect-chain">
+      ${chain.map(hop => `
+        <li><span class="redirect-hop-status">${escapeHtml(hop.status)}</span> ${escapeHtml(hop.url)} → ${escapeHtml(hop.location)}</li>
+      `).join('')}
+    </ol>
+  `;
+}
+
 function renderGroupedByLinkType(brokenLinks, container) {
-  const imageLinks = [];
-  const regularLinks = [];
+  const groups = {};
 
+  // A link shows up under every type it was used as (e.g. both <a> and <img>)
   brokenLinks.forEach(link => {
-    const hasImage = link.occurrences.some(occ => occ.type === 'image');
-    if (hasImage) {
-      imageLinks.push(link);
-    } else {
-      regularLinks.push(link);
-    }
+    const types = new Set(link.occurrences.map(occ => linkTypeKey(occ.type)));
+    types.forEach(type => {
+      if (!groups[type]) {
+        groups[type] = [];
+      }
+      groups[type].push({
+        ...link,
+        occurrences: link.occurrences.filter(occ => linkTypeKey(occ.type) === type)
+      });
+    });
   });
 
-  const html = `
-    <div class="results-group"><h3>🚫 Broken Links - Grouped by Type</h3></div>
-    ${regularLinks.length > 0 ? `
-      <div class="group-container">
-        <div class="group-header" onclick="toggleGroup('group-regular-links')">
-          <span class="group-title">🔗 Regular Links</span>
-          <span class="group-badge">${regularLinks.length}</span>
-        </div>
-        <div class="group-content" id="group-regular-links">
-          ${regularLinks.map(link => `
-            <div class="link-item">
-              <span class="link-url">${escapeHtml(link.url)}</span>
-              <span class="link-status">${escapeHtml(link.status)} - ${escapeHtml(link.message)}</span>
-              <div class="occurrences">
-                <div class="occurrences-title">Found on ${link.occurrences.length} page${link.occurrences.length > 1 ? 's' : ''}:</div>
-                ${link.occurrences.slice(0, 3).map(occ => `
-                  <div class="occurrence">
-                    • <span class="occurrence-page">${escapeHtml(occ.page)}</span>
-                  </div>
-                `).join('')}
-                ${link.occurrences.length > 3 ? `<div class="occurrence">... and ${link.occurrences.length - 3} more</div>` : ''}
-              </div>
-            </div>
-          `).join('')}
-        </div>
-      </div>
-    ` : ''}
-    ${imageLinks.length > 0 ? `
+  // Keep the label order (links first, then images, ...)
+  const html = Object.keys(LINK_TYPE_LABELS).filter(type => groups[type]).map(type => {
+    const links = groups[type];
+    const groupId = `group-type-${type}`;
+    return `
       <div class="group-container">
-        <div class="group-header" onclick="toggleGroup('group-image-links')">
-          <span class="group-title">🖼️ Images</span>
-          <span class="group-badge">${imageLinks.length}</span>
+        <div class="group-header" onclick="toggleGroup('${groupId}')">
+          <span class="group-title">${linkTypeLabel(type)}</span>
+          <span class="group-badge">${links.length}</span>
         </div>
-        <div class="group-content" id="group-image-links">
-          ${imageLinks.map(link => `
+        <div class="group-content" id="${groupId}">
+          ${links.map(link => `
             <div class="link-item">
               <span class="link-url">${escapeHtml(link.url)}</span>
               <span class="link-status">${escapeHtml(link.status)} - ${escapeHtml(link.message)}</span>
@@ -663,7 +1257,7 @@ function renderGroupedByLinkType(brokenLinks, container) {
                 ${link.occurrences.slice(0, 3).map(occ => `
                   <div class="occurrence">
                     • <span class="occurrence-page">${escapeHtml(occ.page)}</span>
-                    ${occ.text ? `- Alt: "${escapeHtml(occ.text)}"` : ''}
+                    ${occ.text ? `- "${escapeHtml(occ.text)}"` : ''}
                   </div>
                 `).join('')}
                 ${link.occurrences.length > 3 ? `<div class="occurrence">... and ${link.occurrences.length - 3} more</div>` : ''}
@@ -672,10 +1266,10 @@ function renderGroupedByLinkType(brokenLinks, container) {
           `).join('')}
         </div>
       </div>
-    ` : ''}
-  `;
+    `;
+  }).join('');
 
-  container.innerHTML = html;
+  container.innerHTML = '<div class="results-group"><h3>🚫 Broken Links - Grouped by Type</h3></div>' + html;
 }
 
 function toggleGroup(groupId) {
@@ -754,5 +1348,8 @@ function downloadFile(content, filename, mimeType) {
   URL.revokeObjectURL(url);
 }
 
-// Make toggleGroup available globally
+// Make inline onclick handlers available globally
 window.toggleGroup = toggleGroup;
+window.viewScan = viewScan;
+window.viewDiff = viewDiff;
+window.deleteScan = deleteScan;
@@ -0,0 +1,97 @@
+/**
+ * Adaptive politeness for one host
+ *
+ * Requests are spaced out by a delay that starts at the scan's domainDelayMs.
+ * A 429/503 doubles it and pauses the whole host (for as long as Retry-After
+ * asks, when the response says); successful responses ease it back down.
+ */
+
+const MIN_BACKOFF_MS = 1000; // First backoff when the normal delay is 0
+const MAX_DELAY_MS = 60000; // Never space requests more than a minute apart
+const MAX_RETRY_AFTER_MS = 120000; // Longer Retry-After values are capped
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Parse a Retry-After header: seconds ("120") or an HTTP date
+ *
+ * @returns {number|null} - Milliseconds to wait, or null when missing or invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) * 1000;
+  }
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Create the rate limiter for one host
+ *
+ * @param {Object} options - delayMs (normal delay between requests)
+ * @returns {Object} - { acquire(), throttled(retryAfterMs), succeeded(), delayMs, paused }
+ */
+function createRateLimiter({ delayMs: baseDelayMs = 0 } = {}) {
+  let delayMs = baseDelayMs;
+  let nextRequestAt = 0;
+  let pausedUntil = 0;
+
+  return {
+    get delayMs() {
+      return delayMs;
+    },
+
+    // True while the host has asked us to back off
+    get paused() {
+      return Date.now() < pausedUntil;
+    },
+
+    /**
+     * Resolve when the next request may start
+     * (each caller reserves its own start slot before waiting)
+     */
+    async acquire() {
+      for (;;) {
+        const now = Date.now();
+        if (now < pausedUntil) {
+          await sleep(pausedUntil - now);
+          continue;
+        }
+
+        const startAt = Math.max(now, nextRequestAt);
+        nextRequestAt = startAt + delayMs;
+        if (startAt > now) {
+          await sleep(startAt - now);
+        }
+
+        // The host asked us to back off while we were waiting for our slot
+        if (Date.now() >= pausedUntil) return;
+      }
+    },
+
+    /**
+     * The host answered 429/503: slow down and pause it
+     *
+     * @param {number|null} retryAfterMs - From the Retry-After header, if any
+     */
+    throttled(retryAfterMs = null) {
+      delayMs = Math.min(Math.max(delayMs * 2, MIN_BACKOFF_MS), MAX_DELAY_MS);
+      const pauseMs = retryAfterMs === null ? delayMs : Math.min(retryAfterMs, MAX_RETRY_AFTER_MS);
+      pausedUntil = Math.max(pausedUntil, Date.now() + pauseMs);
+      nextRequestAt = Math.max(nextRequestAt, pausedUntil);
+    },
+
+    /**
+     * The host answered normally: ease the delay back towards the normal one
+     */
+    succeeded() {
+      delayMs = Math.max(baseDelayMs, Math.floor(delayMs / 2));
+    }
+  };
+}
+
+module.exports = { createRateLimiter, parseRetryAfter };
@@ -0,0 +1,195 @@
+/**
+ * Redirect chains: following them hop by hop, and what's wrong with them
+ *
+ * Both the crawler (native http) and the link checker (axios) follow
+ * redirects themselves with followRedirects(), so every link keeps its full
+ * chain as [{ url, status, location }], one entry per redirect response.
+ */
+const { URL } = require('url');
+const { createUrlFilter } = require('./url-filter');
+const { pageKey } = require('./anchor-checker');
+const { toOccurrence } = require('./link-extractor');
+
+const MAX_REDIRECTS = 10; // Give up after this many hops (browsers allow 20)
+const PERMANENT_STATUSES = [301, 308];
+
+// What's wrong with a chain, by issue id
+const REDIRECT_ISSUES = {
+  loop: 'Redirect loop',
+  'long-chain': 'Long redirect chain',
+  downgrade: 'Redirects from HTTPS to HTTP',
+  permanent: 'Permanent redirect (update the link)'
+};
+
+function isRedirect(status) {
+  return status >= 300 && status < 400;
+}
+
+/**
+ * Request a URL and follow its redirects, recording each hop
+ *
+ * A loop or too many hops throws an error with code REDIRECT_LOOP or
+ * TOO_MANY_REDIRECTS, the chain so far as `redirects` and the last
+ * redirect's status as `status`.
+ *
+ * @param {string} url - URL to request
+ * @param {function} request - (url) => Promise<{ status, headers }>, one request without following redirects
+ * @param {number} maxRedirects - Hops to follow before giving up
+ * @returns {Promise<Object>} - { response, url (final URL), redirects (hops) }
+ */
+async function followRedirects(url, request, maxRedirects = MAX_REDIRECTS) {
+  const redirects = [];
+  const seen = new Set([url]);
+  let currentUrl = url;
+
+  for (;;) {
+    const response = await request(currentUrl);
+    const location = response.headers && response.headers.location;
+    if (!isRedirect(response.status) || !location) {
+      return { response, url: currentUrl, redirects };
+    }
+
+    const nextUrl = new URL(location, currentUrl).href;
+    redirects.push({ url: currentUrl, status: response.status, location: nextUrl });
+
+    if (seen.has(nextUrl)) {
+      throw redirectError('REDIRECT_LOOP', 'Redirect loop', redirects);
+    }
+    if (redirects.length > maxRedirects) {
+      throw redirectError('TOO_MANY_REDIRECTS', 'Too many redirects', redirects);
+    }
+    seen.add(nextUrl);
+    currentUrl = nextUrl;
+  }
+}
+
+function redirectError(code, message, redirects) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = redirects[redirects.length - 1].status;
+  error.redirects = redirects;
+  return error;
+}
+
+/**
+ * Find what's wrong with a redirect chain
+ *
+ * @param {Array} redirects - Hops from followRedirects()
+ * @param {Object} options - redirectChainLimit (longer chains are flagged)
+ * @returns {Array<string>} - Issue ids (keys of REDIRECT_ISSUES)
+ */
+function analyzeRedirectChain(redirects, { redirectChainLimit = Infinity } = {}) {
+  if (!redirects || redirects.length === 0) return [];
+
+  const issues = [];
+  const urls = new Set(redirects.map(hop => hop.url));
+
+  if (urls.has(redirects[redirects.length - 1].location)) {
+    issues.push('loop');
+  }
+  if (redirects.length > redirectChainLimit) {
+    issues.push('long-chain');
+  }
+  if (redirects.some(hop => hop.url.startsWith('https:') && hop.location.startsWith('http:'))) {
+    issues.push('downgrade');
+  }
+  // The link itself points at a URL that has moved for good
+  if (PERMANENT_STATUSES.includes(redirects[0].status)) {
+    issues.push('permanent');
+  }
+
+  return issues;
+}
+
+/**
+ * Check if a redirect is trivial (www vs non-www, http vs https)
+ */
+function isTrivialRedirect(originalUrl, finalUrl) {
+  try {
+    const orig = new URL(originalUrl);
+    const final = new URL(finalUrl);
+
+    // Normalize for comparison
+    const origHost = orig.hostname.replace(/^www\./, '');
+    const finalHost = final.hostname.replace(/^www\./, '');
+
+    // Same domain, same path = trivial (just www or protocol change)
+    if (origHost === finalHost && orig.pathname === final.pathname) {
+      return true;
+    }
+
+    // Trailing slash difference
+    const origPath = orig.pathname.replace(/\/$/, '');
+    const finalPath = final.pathname.replace(/\/$/, '');
+    if (origHost === finalHost && origPath === finalPath) {
+      return true;
+    }
+
+    return false;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Should a redirect be reported? Trivial ones are left out unless their
+ * chain is long or downgrades to HTTP.
+ *
+ * @returns {Object|null} - { redirectTo, chain, issues } or null
+ */
+function describeRedirect(url, finalUrl, redirects = [], options = {}) {
+  const issues = analyzeRedirectChain(redirects, options);
+  const serious = issues.some(issue => issue !== 'permanent');
+  if (isTrivialRedirect(url, finalUrl) && !serious) return null;
+
+  return { redirectTo: finalUrl, chain: redirects, issues };
+}
+
+/**
+ * Find links to crawled pages that redirected while being crawled (the
+ * link checker skips those links, so their chains come from the crawl)
+ *
+ * @param {Array} pages - Crawled pages (with redirects, from the crawler)
+ * @param {Object} options - Scan options (include/exclude, redirectChainLimit)
+ * @returns {Array} - Redirects as { url, redirectTo, chain, issues, occurrences }
+ */
+function findPageRedirects(pages, options = {}) {
+  const isIncluded = createUrlFilter(options);
+  const redirectedPages = new Map(); // pageKey -> page
+  for (const page of pages) {
+    if (page.redirects && page.redirects.length > 0) {
+      redirectedPages.set(pageKey(page.url), page);
+    }
+  }
+  const found = new Map(); // url -> { url, redirectTo, chain, issues, occurrences }
+
+  if (redirectedPages.size === 0) return [];
+
+  for (const page of pages) {
+    for (const link of page.links || []) {
+      const target = redirectedPages.get(pageKey(link.url));
+      if (!target || !isIncluded(link.url)) continue;
+
+      if (!found.has(link.url)) {
+        const finalUrl = target.redirects[target.redirects.length - 1].location;
+        const redirect = describeRedirect(target.url, finalUrl, target.redirects, options);
+        found.set(link.url, redirect && { url: link.url, ...redirect, occurrences: [] });
+      }
+      if (found.get(link.url)) {
+        found.get(link.url).occurrences.push(toOccurrence(page.url, link));
+      }
+    }
+  }
+
+  return [...found.values()].filter(Boolean);
+}
+
+module.exports = {
+  analyzeRedirectChain,
+  describeRedirect,
+  findPageRedirects,
+  followRedirects,
+  isTrivialRedirect,
+  MAX_REDIRECTS,
+  REDIRECT_ISSUES
+};
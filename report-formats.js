@@ -0,0 +1,213 @@
+/**
+ * Scan reports for CI systems (JUnit XML and SARIF) and people (HTML)
+ *
+ * All are built from a finished scan (server scan object with `results`).
+ */
+const { toHTMLReport } = require('./html-report');
+
+const TOOL_NAME = 'Dead Links Must Die';
+const TOOL_URI = 'https://github.com/shyamvalsan/dead-links-must-die';
+
+// Characters XML 1.0 can't contain at all, even escaped
+const INVALID_XML_CHARS = /[^\t\n\r\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+// e.g. "404 Not Found" (status is an error code like ENOTFOUND for network failures)
+function describeStatus(link) {
+  return [link.status, link.message].filter(part => part !== undefined && part !== null && part !== '').join(' ');
+}
+
+// Broken links found on each page, as { link, occurrence } pairs
+function brokenLinksByPage(brokenLinks) {
+  const byPage = new Map();
+  for (const link of brokenLinks) {
+    for (const occurrence of link.occurrences) {
+      if (!byPage.has(occurrence.page)) {
+        byPage.set(occurrence.page, []);
+      }
+      byPage.get(occurrence.page).push({ link, occurrence });
+    }
+  }
+  return byPage;
+}
+
+/**
+ * JUnit XML: one testcase per crawled page, one failure per broken link on it
+ *
+ * @param {Object} scan - Finished scan
+ * @returns {string} - XML document
+ */
+function toJUnit(scan) {
+  const { results } = scan;
+  const byPage = brokenLinksByPage(results.brokenLinks);
+
+  // Every crawled page, plus any page only known from an occurrence
+  const pageUrls = [...new Set([...results.pages.map(page => page.url), ...byPage.keys()])];
+
+  const failures = byPage.size; // Pages with at least one broken link
+  const suiteName = escapeXml(scan.url);
+  const time = seconds(scan.completedAt - scan.startedAt);
+  const timestamp = new Date(scan.startedAt).toISOString().replace(/\.\d{3}Z$/, '');
+
+  const testcases = pageUrls.map(pageUrl => {
+    const found = byPage.get(pageUrl) || [];
+    const attributes = `classname="${suiteName}" name="${escapeXml(pageUrl)}" time="0"`;
+    if (found.length === 0) {
+      return `    <testcase ${attributes}/>`;
+    }
+
+    const failureElements = found.map(({ link, occurrence }) => {
+      const status = describeStatus(link);
+      const details = [
+        `Broken ${occurrence.type || 'link'}: ${link.url}`,
+        `Status: ${status}`,
+        occurrence.text ? `Link text: ${occurrence.text}` : null
+      ].filter(Boolean).join('\n');
+      return `      <failure message="${escapeXml(`${status}: ${link.url}`)}" type="${escapeXml(link.status)}">${escapeXml(details)}</failure>`;
+    });
+
+    return [`    <testcase ${attributes}>`, ...failureElements, '    </testcase>'].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(TOOL_NAME)}" tests="${pageUrls.length}" failures="${failures}" errors="0" time="${time}">`,
+    `  <testsuite name="${suiteName}" tests="${pageUrls.length}" failures="${failures}" errors="0" skipped="0" time="${time}" timestamp="${timestamp}">`,
+    ...testcases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+const SARIF_RULES = [
+  {
+    id: 'broken-link',
+    name: 'BrokenLink',
+    shortDescription: { text: 'Broken link' },
+    fullDescription: { text: 'A link, image or other resource on the page returns an error or can\'t be reached.' },
+    defaultConfiguration: { level: 'error' }
+  },
+  {
+    id: 'link-warning',
+    name: 'LinkWarning',
+    shortDescription: { text: 'Link needs checking' },
+    fullDescription: { text: 'A link returned 401/403 or similar, so it may work for visitors but couldn\'t be verified.' },
+    defaultConfiguration: { level: 'warning' }
+  },
+  {
+    id: 'missing-anchor',
+    name: 'MissingAnchor',
+    shortDescription: { text: 'Missing #anchor' },
+    fullDescription: { text: 'A link points at a #fragment that doesn\'t exist on the target page.' },
+    defaultConfiguration: { level: 'warning' }
+  },
+  {
+    id: 'soft-404',
+    name: 'Soft404',
+    shortDescription: { text: 'Soft 404' },
+    fullDescription: { text: 'A link\'s target returns 200 OK but looks like the site\'s "not found" page.' },
+    defaultConfiguration: { level: 'warning' }
+  }
+];
+
+// One SARIF result per occurrence, located on the page the link was found on
+function sarifResults(links, ruleId, level, describe) {
+  const ruleIndex = SARIF_RULES.findIndex(rule => rule.id === ruleId);
+  const results = [];
+  for (const link of links) {
+    for (const occurrence of link.occurrences) {
+      results.push({
+        ruleId,
+        ruleIndex,
+        level,
+        message: { text: describe(link) },
+        locations: [{
+          physicalLocation: { artifactLocation: { uri: occurrence.page } }
+        }],
+        partialFingerprints: { linkUrl: link.url },
+        properties: {
+          url: link.url,
+          status: link.status ?? null,
+          linkType: occurrence.type || null,
+          linkText: occurrence.text || null
+        }
+      });
+    }
+  }
+  return results;
+}
+
+/**
+ * SARIF 2.1.0 log: broken links as errors; warnings, missing anchors and soft 404s as warnings
+ *
+ * @param {Object} scan - Finished scan
+ * @returns {Object} - SARIF log (serialize with JSON.stringify)
+ */
+function toSARIF(scan) {
+  const { results } = scan;
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          informationUri: TOOL_URI,
+          rules: SARIF_RULES
+        }
+      },
+      invocations: [{
+        executionSuccessful: scan.status === 'completed',
+        startTimeUtc: new Date(scan.startedAt).toISOString(),
+        endTimeUtc: new Date(scan.completedAt || Date.now()).toISOString()
+      }],
+      properties: { scanId: scan.id, site: scan.url, summary: results.summary },
+      results: [
+        ...sarifResults(results.brokenLinks, 'broken-link', 'error',
+          link => `Broken link to ${link.url} (${describeStatus(link)})`),
+        ...sarifResults(results.warnings || [], 'link-warning', 'warning',
+          link => `Link to ${link.url} couldn't be verified (${describeStatus(link)})`),
+        ...sarifResults(results.missingAnchors || [], 'missing-anchor', 'warning',
+          link => `${link.message} on ${link.url}`),
+        ...sarifResults(results.soft404s || [], 'soft-404', 'warning',
+          link => `Link to ${link.url} ${link.message.charAt(0).toLowerCase()}${link.message.slice(1)}`)
+      ]
+    }]
+  };
+}
+
+// Report formats for GET /api/scan/:scanId/report?format=
+const REPORT_FORMATS = {
+  junit: {
+    contentType: 'application/xml',
+    extension: 'xml',
+    render: toJUnit
+  },
+  sarif: {
+    contentType: 'application/sarif+json',
+    extension: 'sarif',
+    render: scan => JSON.stringify(toSARIF(scan), null, 2)
+  },
+  html: {
+    contentType: 'text/html',
+    extension: 'html',
+    render: toHTMLReport
+  }
+};
+
+module.exports = { toJUnit, toSARIF, REPORT_FORMATS };
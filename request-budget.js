@@ -0,0 +1,63 @@
+/**
+ * Outbound request budget shared by every running scan
+ *
+ * Each scan keeps its own concurrency settings; the budget caps how many
+ * requests all of them together have in flight, so simultaneous scans can't
+ * exhaust sockets and memory. Waiting requests start first come, first served.
+ */
+
+const DEFAULT_MAX_REQUESTS = 100; // Same as the checker's socket pool
+
+/**
+ * Create a request budget
+ *
+ * @param {Object} options - maxRequests (in flight at once, across all scans)
+ * @returns {Object} - { maxRequests, active, waiting, acquire() }
+ */
+function createRequestBudget({ maxRequests = DEFAULT_MAX_REQUESTS } = {}) {
+  let active = 0;
+  const waiters = [];
+
+  function release() {
+    const next = waiters.shift();
+    if (next) {
+      next(); // The slot passes straight to the next request
+    } else {
+      active--;
+    }
+  }
+
+  return {
+    maxRequests,
+
+    get active() {
+      return active;
+    },
+
+    get waiting() {
+      return waiters.length;
+    },
+
+    /**
+     * Wait for a free slot
+     *
+     * @returns {Promise<function>} - Call it once the request is done to free the slot
+     */
+    async acquire() {
+      if (active < maxRequests) {
+        active++;
+      } else {
+        await new Promise(resolve => waiters.push(resolve));
+      }
+
+      let released = false;
+      return () => {
+        if (released) return;
+        released = true;
+        release();
+      };
+    }
+  };
+}
+
+module.exports = { createRequestBudget, DEFAULT_MAX_REQUESTS };
@@ -0,0 +1,168 @@
+const { URL } = require('url');
+
+// Product token matched against robots.txt User-agent lines
+// (our full User-Agent is "Mozilla/5.0 (compatible; DeadLinkChecker/4.0; ...)")
+const ROBOTS_USER_AGENT = 'DeadLinkChecker';
+const MAX_CRAWL_DELAY = 60; // Never wait more than 60s between pages
+
+/**
+ * Rules that allow everything (no robots.txt, or robots.txt ignored)
+ */
+function allowAll() {
+  return {
+    isAllowed: () => true,
+    crawlDelay: null,
+    sitemaps: []
+  };
+}
+
+/**
+ * Convert a robots.txt path pattern (supports * and $) into a RegExp
+ */
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Parse robots.txt content into the rules that apply to our user agent
+ *
+ * Follows RFC 9309: the most specific matching rule (longest pattern) wins,
+ * and Allow wins a tie. Groups naming our agent take precedence over "*".
+ *
+ * @param {string} text - robots.txt content
+ * @param {string} userAgent - Product token to match (default: DeadLinkChecker)
+ * @returns {Object} - { isAllowed(url), crawlDelay (seconds or null), sitemaps }
+ */
+function parseRobotsTxt(text, userAgent = ROBOTS_USER_AGENT) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (key === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    if (key === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if ((key === 'allow' || key === 'disallow') && value) {
+      current.rules.push({ allow: key === 'allow', length: value.length, regex: patternToRegExp(value) });
+    } else if (key === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!Number.isNaN(seconds) && seconds >= 0 && current.crawlDelay === null) {
+        current.crawlDelay = seconds;
+      }
+    }
+  }
+
+  // Pick our own groups if any (the exact product token, ignoring case and
+  // any version, so "User-agent: link" isn't us), otherwise the wildcard groups
+  const agent = userAgent.toLowerCase();
+  let applicable = groups.filter(g => g.agents.some(a => a.split('/')[0].trim() === agent));
+  if (applicable.length === 0) {
+    applicable = groups.filter(g => g.agents.includes('*'));
+  }
+
+  const rules = applicable.flatMap(g => g.rules);
+  const delays = applicable.map(g => g.crawlDelay).filter(d => d !== null);
+  const crawlDelay = delays.length > 0 ? Math.min(delays[0], MAX_CRAWL_DELAY) : null;
+
+  function isAllowed(url) {
+    let path;
+    try {
+      const parsed = new URL(url);
+      path = parsed.pathname + parsed.search;
+    } catch (e) {
+      return true;
+    }
+
+    let match = null;
+    for (const rule of rules) {
+      if (!rule.regex.test(path)) continue;
+      if (!match || rule.length > match.length || (rule.length === match.length && rule.allow)) {
+        match = rule;
+      }
+    }
+
+    return !match || match.allow;
+  }
+
+  return { isAllowed, crawlDelay, sitemaps };
+}
+
+/**
+ * Fetch and parse robots.txt for a site
+ * Missing or unreachable robots.txt means everything is allowed
+ *
+ * @param {string} siteUrl - Any URL on the site
+ * @param {function} fetcher - async (url) => ({ status, data })
+ */
+async function loadRobotsTxt(siteUrl, fetcher) {
+  const robotsUrl = new URL('/robots.txt', siteUrl).href;
+
+  try {
+    const { status, data } = await fetcher(robotsUrl);
+
+    if (status >= 200 && status < 300) {
+      const robots = parseRobotsTxt(data);
+      console.log(`🤖 Loaded ${robotsUrl}${robots.crawlDelay ? ` (crawl-delay ${robots.crawlDelay}s)` : ''}`);
+      return robots;
+    }
+  } catch (error) {
+    console.log(`⚠️  Could not fetch ${robotsUrl}: ${error.message}`);
+  }
+
+  return allowAll();
+}
+
+/**
+ * Create a per-origin robots.txt lookup so each host is only fetched once
+ *
+ * @param {function} fetcher - async (url) => ({ status, data })
+ * @returns {function} - async (url) => robots rules for that URL's origin
+ */
+function createRobotsCache(fetcher) {
+  const cache = new Map();
+
+  return (url) => {
+    const origin = new URL(url).origin;
+    if (!cache.has(origin)) {
+      cache.set(origin, loadRobotsTxt(origin, fetcher));
+    }
+    return cache.get(origin);
+  };
+}
+
+module.exports = {
+  ROBOTS_USER_AGENT,
+  parseRobotsTxt,
+  loadRobotsTxt,
+  createRobotsCache,
+  allowAll
+};
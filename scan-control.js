@@ -0,0 +1,129 @@
+/**
+ * Pause, resume and cancel switch for a running scan
+ *
+ * The crawler and link checker wait on `whenRunning()` before each new
+ * request, so pausing lets in-flight requests finish but starts nothing new.
+ * Cancelling also aborts in-flight requests through `signal`. Every outbound
+ * request (pages, links, robots.txt, sitemaps, soft 404 probes, the login)
+ * runs through `request()`, which waits for a slot in the request budget
+ * shared by all scans and tracks them, so a shutdown can pause a scan and
+ * wait for `whenIdle()`.
+ *
+ * @param {Object} options - requestBudget (see request-budget.js, optional)
+ * @returns {Object} - { signal, paused, cancelled, inFlight, pause(), resume(),
+ *   cancel(), whenRunning(), request(fn), track(promise), whenIdle() }
+ */
+function createScanControl({ requestBudget = null } = {}) {
+  const abortController = new AbortController();
+  let paused = false;
+  let resumeWaiters = [];
+  let inFlight = 0;
+  let idleWaiters = [];
+
+  function release() {
+    resumeWaiters.forEach(resolve => resolve());
+    resumeWaiters = [];
+  }
+
+  // Count a request as in flight until it settles
+  function track(promise) {
+    inFlight++;
+    const done = () => {
+      inFlight--;
+      if (inFlight === 0) {
+        idleWaiters.forEach(resolve => resolve());
+        idleWaiters = [];
+      }
+    };
+    return promise.then(
+      result => { done(); return result; },
+      error => { done(); throw error; }
+    );
+  }
+
+  return {
+    signal: abortController.signal,
+
+    get paused() {
+      return paused;
+    },
+
+    get cancelled() {
+      return abortController.signal.aborted;
+    },
+
+    get inFlight() {
+      return inFlight;
+    },
+
+    pause() {
+      if (!abortController.signal.aborted) {
+        paused = true;
+      }
+    },
+
+    resume() {
+      paused = false;
+      release();
+    },
+
+    cancel() {
+      paused = false;
+      abortController.abort();
+      release(); // Waiters see `cancelled` and stop
+    },
+
+    /**
+     * Resolve once new requests may start: immediately unless paused
+     */
+    whenRunning() {
+      if (!paused) {
+        return Promise.resolve();
+      }
+      return new Promise(resolve => resumeWaiters.push(resolve));
+    },
+
+    /**
+     * Make a request once the request budget has a free slot
+     * (it counts as in flight while waiting for the slot too)
+     *
+     * @param {function} fn - () => Promise, starts the request
+     * @returns {Promise} - The request's result
+     */
+    request(fn) {
+      return track((async () => {
+        const releaseSlot = requestBudget ? await requestBudget.acquire() : null;
+        try {
+          return await fn();
+        } finally {
+          if (releaseSlot) releaseSlot();
+        }
+      })());
+    },
+
+    track,
+
+    /**
+     * Resolve once no tracked request is in flight
+     */
+    whenIdle() {
+      if (inFlight === 0) {
+        return Promise.resolve();
+      }
+      return new Promise(resolve => idleWaiters.push(resolve));
+    }
+  };
+}
+
+/**
+ * Make a request through a scan's control (see request() above), or straight
+ * away when there is none, e.g. from the CLI
+ *
+ * @param {Object|null} control - From createScanControl()
+ * @param {function} fn - () => Promise, starts the request
+ */
+function requestThrough(control, fn) {
+  return control ? control.request(fn) : fn();
+}
+
+module.exports = { createScanControl, requestThrough };
@@ -0,0 +1,84 @@
+/**
+ * Compare the broken links of two scans of the same site
+ *
+ * Every broken link occurrence is keyed by URL + page it was found on, so a
+ * link that is still broken but now also appears on a new page shows up under
+ * both "still broken" (old page) and "new" (new page).
+ *
+ * @param {Object} baseScan - Older scan (with results)
+ * @param {Object} compareScan - Newer scan (with results)
+ * @returns {Object} - { summary, newBroken, stillBroken, fixed }
+ */
+function diffScans(baseScan, compareScan) {
+  const baseKeys = occurrenceKeys(baseScan.results.brokenLinks);
+  const compareKeys = occurrenceKeys(compareScan.results.brokenLinks);
+
+  const newBroken = filterOccurrences(compareScan.results.brokenLinks, key => !baseKeys.has(key));
+  const stillBroken = filterOccurrences(compareScan.results.brokenLinks, key => baseKeys.has(key));
+  const fixed = filterOccurrences(baseScan.results.brokenLinks, key => !compareKeys.has(key));
+
+  return {
+    base: scanInfo(baseScan),
+    compare: scanInfo(compareScan),
+    summary: {
+      newBroken: countOccurrences(newBroken),
+      stillBroken: countOccurrences(stillBroken),
+      fixed: countOccurrences(fixed)
+    },
+    newBroken,
+    stillBroken,
+    fixed
+  };
+}
+
+function occurrenceKey(url, page) {
+  return `${url}\n${page}`;
+}
+
+function occurrenceKeys(brokenLinks) {
+  const keys = new Set();
+  for (const link of brokenLinks) {
+    for (const occ of link.occurrences) {
+      keys.add(occurrenceKey(link.url, occ.page));
+    }
+  }
+  return keys;
+}
+
+// Keep broken links (same shape as results.brokenLinks) with only the matching occurrences
+function filterOccurrences(brokenLinks, predicate) {
+  const filtered = [];
+  for (const link of brokenLinks) {
+    const occurrences = link.occurrences.filter(occ => predicate(occurrenceKey(link.url, occ.page)));
+    if (occurrences.length > 0) {
+      filtered.push({ ...link, occurrences });
+    }
+  }
+  return filtered;
+}
+
+function countOccurrences(brokenLinks) {
+  return brokenLinks.reduce((total, link) => total + link.occurrences.length, 0);
+}
+
+function scanInfo(scan) {
+  return {
+    id: scan.id,
+    url: scan.url,
+    startedAt: scan.startedAt,
+    completedAt: scan.completedAt
+  };
+}
+
+/**
+ * Check whether two scan URLs point at the same site (origin)
+ */
+function isSameSite(urlA, urlB) {
+  try {
+    return new URL(urlA).origin === new URL(urlB).origin;
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = { diffScans, isSameSite };
@@ -0,0 +1,79 @@
+/**
+ * Incremental progress events for a running scan
+ *
+ * Instead of re-sending the whole scan, the server emits small typed events
+ * (page-crawled, link-checked, broken-found, stage-changed...) and streams
+ * them as Server-Sent Events. Each scan keeps its recent events, so a client
+ * that reconnects with the last id it saw (Last-Event-ID) only gets what it
+ * missed. When those events are gone, it gets a fresh snapshot instead.
+ */
+const crypto = require('crypto');
+
+const MAX_EVENTS = 5000; // Events kept per scan for clients that reconnect
+
+/**
+ * Create the event log for one scan
+ *
+ * Ids look like "<log>-<n>": a client holding an id from another log (e.g.
+ * from before an interrupted scan was resumed) can't resume from it.
+ *
+ * @param {Object} options - maxEvents (older events are dropped)
+ * @returns {Object} - { lastId, emit(type, data), since(lastEventId), subscribe(listener) }
+ */
+function createEventLog({ maxEvents = MAX_EVENTS } = {}) {
+  const logId = crypto.randomBytes(4).toString('hex');
+  const events = []; // { id, seq, type, data }, oldest first
+  const listeners = new Set();
+  let seq = 0;
+
+  return {
+    get lastId() {
+      return `${logId}-${seq}`;
+    },
+
+    emit(type, data) {
+      seq++;
+      const event = { id: `${logId}-${seq}`, seq, type, data };
+      events.push(event);
+      if (events.length > maxEvents) {
+        events.shift();
+      }
+      for (const listener of listeners) {
+        listener(event);
+      }
+      return event;
+    },
+
+    /**
+     * Events after lastEventId, or null when it can't be resumed from
+     * (unknown id, another log, or events already dropped)
+     */
+    since(lastEventId) {
+      const match = /^([a-z0-9]+)-(\d+)$/.exec(String(lastEventId || ''));
+      if (!match || match[1] !== logId) return null;
+
+      const lastSeq = Number(match[2]);
+      if (lastSeq > seq) return null;
+
+      const firstSeq = events.length > 0 ? events[0].seq : seq + 1;
+      if (lastSeq < firstSeq - 1) return null;
+
+      return events.slice(lastSeq - firstSeq + 1);
+    },
+
+    // Call listener(event) for every new event; returns an unsubscribe function
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
+
+/**
+ * Format an event for a text/event-stream response
+ */
+function formatEvent({ id, type, data }) {
+  return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+module.exports = { createEventLog, formatEvent, MAX_EVENTS };
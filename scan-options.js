@@ -0,0 +1,207 @@
+/**
+ * Per-scan settings for the crawler and link checker
+ *
+ * Defaults suit a typical public site. A small staging site can use a short
+ * domain delay, a large docs site a higher page limit.
+ */
+const { compilePattern, REGEX_PREFIX } = require('./url-filter');
+
+const DEFAULT_SCAN_OPTIONS = {
+  // Crawler
+  crawlConcurrency: 20, // Crawl 20 pages simultaneously (reduced to avoid rate limits)
+  crawlTimeout: 12000, // 12 seconds per page (increased for reliability)
+  maxPages: 10000, // Much higher limit (10k pages)
+  ignoreRobots: false, // Only for sites you own
+  renderMode: 'off', // Render pages in headless Chromium: 'off', 'auto' (SPAs only) or 'always'
+  soft404Detection: 'pages', // Flag 200 pages that look like the host's "not found" page: 'off', 'pages' (crawled pages) or 'all' (also every other linked page)
+
+  // URL patterns (globs or regex:...), applied when crawling and checking
+  include: [], // Only crawl/check URLs matching one of these (empty = everything)
+  exclude: [], // Never crawl/check URLs matching any of these
+
+  // Credentials, only ever sent to the scanned site's own host (see auth.js):
+  // { username, password } or { bearerToken }, plus cookie, headers and
+  // login: { url, fields } to POST a login form before crawling
+  auth: null,
+
+  // Link checker
+  concurrencyPerDomain: 3, // Max 3 concurrent requests per domain
+  domainDelayMs: 500, // 500ms delay between requests to same domain
+  timeout: 10000, // 10 seconds
+  maxRetries: 2, // Retry failed requests twice
+  rateLimitRetries: 3, // Retry links answered with 429/503 three times, after the host's cooldown
+  redirectChainLimit: 3, // Flag links that take more than 3 redirects to arrive
+  circuitBreakerThreshold: 5 // After 5 failures, stop checking domain
+};
+
+const MAX_PATTERNS = 100;
+
+// Allowed values for string options
+const OPTION_CHOICES = {
+  renderMode: ['off', 'auto', 'always'],
+  soft404Detection: ['off', 'pages', 'all']
+};
+
+// Allowed ranges for numeric options (all integers)
+const OPTION_LIMITS = {
+  crawlConcurrency: { min: 1, max: 100 },
+  crawlTimeout: { min: 1000, max: 120000 },
+  maxPages: { min: 1, max: 100000 },
+  concurrencyPerDomain: { min: 1, max: 20 },
+  domainDelayMs: { min: 0, max: 60000 },
+  timeout: { min: 1000, max: 120000 },
+  maxRetries: { min: 0, max: 5 },
+  rateLimitRetries: { min: 0, max: 10 },
+  redirectChainLimit: { min: 1, max: 10 },
+  circuitBreakerThreshold: { min: 1, max: 100 }
+};
+
+/**
+ * Validate user-supplied scan options and fill in defaults
+ *
+ * @param {Object} input - Partial options (e.g. from the POST /api/scan body)
+ * @param {Object} settings - allowRegex: accept "regex:" patterns. Only the CLI
+ *   does: a catastrophic regex sent to the server would stall every scan
+ * @returns {Object} - Complete options
+ * @throws {Error} - When an option is unknown or out of range
+ */
+function resolveScanOptions(input, { allowRegex = false } = {}) {
+  if (input === undefined || input === null) {
+    return { ...DEFAULT_SCAN_OPTIONS };
+  }
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Scan options must be an object');
+  }
+
+  const options = { ...DEFAULT_SCAN_OPTIONS };
+
+  for (const [name, value] of Object.entries(input)) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_SCAN_OPTIONS, name)) {
+      throw new Error(`Unknown scan option: ${name}`);
+    }
+
+    // Treat null/undefined as "use the default"
+    if (value === undefined || value === null) continue;
+
+    if (name === 'auth') {
+      options.auth = validateAuth(value);
+      continue;
+    }
+
+    if (Array.isArray(DEFAULT_SCAN_OPTIONS[name])) {
+      options[name] = validatePatterns(name, value, allowRegex);
+      continue;
+    }
+
+    if (OPTION_CHOICES[name]) {
+      if (!OPTION_CHOICES[name].includes(value)) {
+        throw new Error(`${name} must be one of: ${OPTION_CHOICES[name].join(', ')}`);
+      }
+      options[name] = value;
+      continue;
+    }
+
+    if (typeof DEFAULT_SCAN_OPTIONS[name] === 'boolean') {
+      if (typeof value !== 'boolean') {
+        throw new Error(`${name} must be true or false`);
+      }
+      options[name] = value;
+      continue;
+    }
+
+    const { min, max } = OPTION_LIMITS[name];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new Error(`${name} must be an integer between ${min} and ${max}`);
+    }
+    options[name] = value;
+  }
+
+  return options;
+}
+
+// Patterns must be a list of non-empty strings that compile
+function validatePatterns(name, value, allowRegex) {
+  if (!Array.isArray(value) || value.length > MAX_PATTERNS ||
+      !value.every(pattern => typeof pattern === 'string' && pattern.trim() !== '')) {
+    throw new Error(`${name} must be a list of up to ${MAX_PATTERNS} patterns`);
+  }
+
+  const patterns = value.map(pattern => pattern.trim());
+  for (const pattern of patterns) {
+    if (!allowRegex && pattern.startsWith(REGEX_PREFIX)) {
+      throw new Error(`${name}: ${REGEX_PREFIX} patterns are only allowed from the command line`);
+    }
+    try {
+      compilePattern(pattern);
+    } catch (e) {
+      throw new Error(`${name}: ${e.message}`);
+    }
+  }
+  return patterns;
+}
+
+const AUTH_SETTINGS = ['username', 'password', 'bearerToken', 'cookie', 'headers', 'login'];
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+// An object of non-empty names to single-line string values
+function isStringMap(value, namePattern = /./) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    Object.entries(value).every(([key, entry]) =>
+      namePattern.test(key) && typeof entry === 'string' && !/[\r\n]/.test(entry));
+}
+
+// Credentials must be plain strings; login needs an http(s) URL and form fields
+function validateAuth(value) {
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('auth must be an object');
+  }
+
+  const auth = {};
+  for (const [name, setting] of Object.entries(value)) {
+    if (!AUTH_SETTINGS.includes(name)) {
+      throw new Error(`Unknown auth setting: ${name}`);
+    }
+    if (setting === undefined || setting === null || setting === '') continue;
+    auth[name] = setting;
+  }
+
+  for (const name of ['username', 'password', 'bearerToken', 'cookie']) {
+    if (auth[name] !== undefined && (typeof auth[name] !== 'string' || /[\r\n]/.test(auth[name]))) {
+      throw new Error(`auth.${name} must be a single-line string`);
+    }
+  }
+
+  if (auth.password !== undefined && auth.username === undefined) {
+    throw new Error('auth.password needs auth.username');
+  }
+
+  if (auth.username !== undefined && auth.bearerToken !== undefined) {
+    throw new Error('Use either auth.username/password or auth.bearerToken, not both');
+  }
+
+  if (auth.headers !== undefined && !isStringMap(auth.headers, HEADER_NAME)) {
+    throw new Error('auth.headers must map header names to values');
+  }
+
+  if (auth.login !== undefined) {
+    const { url, fields } = auth.login;
+    let protocol;
+    try {
+      protocol = new URL(url).protocol;
+    } catch (e) {
+      protocol = null;
+    }
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      throw new Error('auth.login.url must be an http(s) URL');
+    }
+    if (!isStringMap(fields || {})) {
+      throw new Error('auth.login.fields must map form field names to values');
+    }
+    auth.login = { url, fields: fields || {} };
+  }
+
+  return Object.keys(auth).length > 0 ? auth : null;
+}
+
+module.exports = { DEFAULT_SCAN_OPTIONS, OPTION_LIMITS, OPTION_CHOICES, resolveScanOptions };
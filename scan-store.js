@@ -0,0 +1,173 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { readJSON, writeJSON, createWriteQueue, DEFAULT_DATA_DIR } = require('./json-files');
+
+// Configuration
+const DEFAULT_MAX_SCANS = 100; // Keep at most 100 scans
+const DEFAULT_MAX_AGE_DAYS = 30; // Delete scans older than 30 days
+
+/**
+ * Build the index entry (list view) for a scan
+ */
+function toIndexEntry(scan) {
+  return {
+    id: scan.id,
+    url: scan.url,
+    status: scan.status,
+    startedAt: scan.startedAt,
+    completedAt: scan.completedAt || null,
+    summary: scan.results ? scan.results.summary : null
+  };
+}
+
+/**
+ * Persistent scan history stored as JSON files under a data directory
+ *
+ * Layout:
+ *   <dataDir>/index.json        - summaries of all stored scans (newest first)
+ *   <dataDir>/scans/<id>.json   - full scan record including results
+ *
+ * @param {Object} options - dataDir, maxScans and maxAgeDays (0 disables a limit)
+ * @returns {Object} - Store with saveScan/getScan/listScans/deleteScan/applyRetention
+ */
+function createScanStore(options = {}) {
+  const dataDir = options.dataDir || DEFAULT_DATA_DIR;
+  const maxScans = options.maxScans ?? DEFAULT_MAX_SCANS;
+  const maxAgeDays = options.maxAgeDays ?? DEFAULT_MAX_AGE_DAYS;
+
+  const scansDir = path.join(dataDir, 'scans');
+  const indexPath = path.join(dataDir, 'index.json');
+
+  // Concurrent scans write the index one at a time
+  const serialize = createWriteQueue();
+
+  function scanPath(scanId) {
+    // Scan ids are generated by us, but never let one escape the scans dir
+    if (!/^[\w-]+$/.test(scanId)) {
+      throw new Error(`Invalid scan id: ${scanId}`);
+    }
+    return path.join(scansDir, `${scanId}.json`);
+  }
+
+  function readIndex() {
+    return readJSON(indexPath, []);
+  }
+
+  async function removeScans(index, scanIds) {
+    for (const scanId of scanIds) {
+      await fs.rm(scanPath(scanId), { force: true });
+    }
+    const remaining = index.filter(entry => !scanIds.includes(entry.id));
+    await writeJSON(indexPath, remaining);
+    return remaining;
+  }
+
+  // Returns ids of scans that fall outside the retention settings
+  function findExpired(index) {
+    const expired = [];
+    const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+    index.forEach((entry, position) => {
+      if (maxScans > 0 && position >= maxScans) {
+        expired.push(entry.id);
+      } else if (cutoff && entry.startedAt < cutoff) {
+        expired.push(entry.id);
+      }
+    });
+
+    return expired;
+  }
+
+  /**
+   * Save (or overwrite) a scan and apply retention
+   */
+  function saveScan(scan) {
+    return serialize(async () => {
+      await fs.mkdir(scansDir, { recursive: true });
+
+      // liveBrokenLinks duplicates results.brokenLinks once a scan is done
+      const { liveBrokenLinks, ...record } = scan;
+      if (!record.results) {
+        record.liveBrokenLinks = liveBrokenLinks;
+      }
+      await writeJSON(scanPath(scan.id), record);
+
+      const index = (await readIndex()).filter(entry => entry.id !== scan.id);
+      index.unshift(toIndexEntry(scan));
+      index.sort((a, b) => b.startedAt - a.startedAt);
+
+      const expired = findExpired(index);
+      if (expired.length > 0) {
+        console.log(`🧹 Removing ${expired.length} scan(s) outside retention`);
+      }
+      await removeScans(index, expired);
+    });
+  }
+
+  /**
+   * Load a full scan record, or null if it isn't stored
+   */
+  async function getScan(scanId) {
+    try {
+      const scan = JSON.parse(await fs.readFile(scanPath(scanId), 'utf8'));
+      scan.liveBrokenLinks = scan.liveBrokenLinks || (scan.results ? scan.results.brokenLinks : []);
+      return scan;
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.message.startsWith('Invalid scan id')) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * List stored scan summaries, newest first
+   */
+  async function listScans(filter = {}) {
+    let index = await readIndex();
+    if (filter.url) {
+      index = index.filter(entry => entry.url === filter.url);
+    }
+    if (filter.limit) {
+      index = index.slice(0, filter.limit);
+    }
+    return index;
+  }
+
+  /**
+   * Delete a stored scan; resolves to false if it didn't exist
+   */
+  function deleteScan(scanId) {
+    return serialize(async () => {
+      const index = await readIndex();
+      if (!index.some(entry => entry.id === scanId)) {
+        return false;
+      }
+      await removeScans(index, [scanId]);
+      return true;
+    });
+  }
+
+  /**
+   * Delete scans outside the retention settings (e.g. at startup)
+   */
+  function applyRetention() {
+    return serialize(async () => {
+      const index = await readIndex();
+      const expired = findExpired(index);
+      if (expired.length > 0) {
+        await removeScans(index, expired);
+      }
+      return expired.length;
+    });
+  }
+
+  return {
+    saveScan,
+    getScan,
+    listScans,
+    deleteScan,
+    applyRetention,
+    dataDir
+  };
+}
+
+module.exports = { createScanStore };
@@ -0,0 +1,80 @@
+const { parseCron, nextCronRun } = require('./cron');
+
+const CHECK_INTERVAL_MS = 30000; // Look for due schedules every 30 seconds
+
+/**
+ * Next run time (ms) for a cron expression, or null if it never runs
+ */
+function nextRunAt(cron, after = Date.now()) {
+  const next = nextCronRun(parseCron(cron), after);
+  return next ? next.getTime() : null;
+}
+
+/**
+ * Runs scheduled scans when they're due
+ *
+ * A run that comes due while the server is down starts once when it's back.
+ *
+ * @param {Object} options
+ *   - store: schedules (see list-store.js)
+ *   - startRun(schedule): start a scan and return its id, or null to skip
+ *     this run (e.g. the site is still being scanned)
+ *   - checkIntervalMs: how often to look for due schedules
+ * @returns {Object} - { start(), stop(), checkDue(now) }
+ */
+function createScheduler({ store, startRun, checkIntervalMs = CHECK_INTERVAL_MS }) {
+  let timer = null;
+  let checking = null;
+
+  async function runDue(now) {
+    for (const schedule of await store.list()) {
+      if (schedule.nextRunAt === null || schedule.nextRunAt > now) continue;
+
+      const scanId = startRun(schedule);
+      if (scanId) {
+        console.log(`🕒 Scheduled scan ${scanId} started for ${schedule.url}`);
+      } else {
+        console.log(`⏭️  Skipping scheduled scan of ${schedule.url}: a scan of it is still running`);
+      }
+
+      await store.update(schedule.id, {
+        nextRunAt: nextRunAt(schedule.cron, now),
+        lastRun: { at: now, scanId, skipped: !scanId }
+      });
+    }
+  }
+
+  /**
+   * Start every schedule that is due (one check at a time)
+   */
+  function checkDue(now = Date.now()) {
+    if (!checking) {
+      checking = runDue(now)
+        .catch((error) => {
+          console.error('❌ Scheduler check failed:', error.message);
+        })
+        .finally(() => {
+          checking = null;
+        });
+    }
+    return checking;
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      timer = setInterval(() => checkDue(), checkIntervalMs);
+      timer.unref();
+      checkDue();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    checkDue
+  };
+}
+
+module.exports = { createScheduler, nextRunAt };
@@ -1,23 +1,126 @@
 const express = require('express');
 const path = require('path');
 const { smartCrawl } = require('./smart-crawler');
-const { checkLinks, checkPageLinks } = require('./checker');
+const { createLinkChecker, summarizeChecks } = require('./checker');
+const { createScanStore } = require('./scan-store');
+const { createCheckpointStore } = require('./checkpoint-store');
+const { diffScans, isSameSite } = require('./scan-diff');
+const { resolveScanOptions } = require('./scan-options');
+const { findMissingAnchors } = require('./anchor-checker');
+const { findSoft404Pages } = require('./soft-404');
+const { findPageRedirects } = require('./redirects');
+const { createScanControl } = require('./scan-control');
+const { createSiteAuth, redactAuth, REDACTED } = require('./auth');
+const { createListStore } = require('./list-store');
+const { createScheduler, nextRunAt } = require('./scheduler');
+const { validateWebhook, buildEvent, deliverWebhook, wantsEvent } = require('./webhooks');
+const { REPORT_FORMATS } = require('./report-formats');
+const { createEventLog, formatEvent } = require('./scan-events');
+const { createRequestBudget, DEFAULT_MAX_REQUESTS } = require('./request-budget');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const ACTIVE_SCAN_TTL_MS = 60000; // Keep finished scans in memory for 1 minute
+const FINISHED_STATUSES = ['completed', 'error', 'cancelled', 'interrupted'];
+const CHECKPOINT_INTERVAL_MS = 30000; // Also checkpoint link checks every 30s
+const HEARTBEAT_INTERVAL_MS = 15000; // Keep idle progress streams open through proxies
+const MAX_CONCURRENT_SCANS = envLimit('MAX_CONCURRENT_SCANS') ?? 3; // More scans wait in the queue
+const SHUTDOWN_GRACE_MS = envNumber('SHUTDOWN_GRACE_MS') ?? 10000; // In-flight requests get this long to finish on shutdown
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${PORT}`; // For report links in webhooks
+
+// Read an optional numeric setting from the environment
+function envNumber(name) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? undefined : value;
+}
+
+// Read an optional limit from the environment; below 1 nothing could ever run
+function envLimit(name) {
+  const value = envNumber(name);
+  if (value !== undefined && value < 1) {
+    throw new Error(`${name} must be at least 1 (got ${process.env[name]})`);
+  }
+  return value;
+}
+
+// Scan history persisted to disk (DATA_DIR, default ./data)
+const scanStore = createScanStore({
+  dataDir: process.env.DATA_DIR,
+  maxScans: envNumber('SCAN_RETENTION_COUNT'),
+  maxAgeDays: envNumber('SCAN_RETENTION_DAYS')
+});
+
+// Progress of running scans, so interrupted ones can resume
+const checkpointStore = createCheckpointStore({ dataDir: scanStore.dataDir });
+
+// Recurring scans (started by the scheduler when the server runs)
+const scheduleStore = createListStore({ name: 'schedules', dataDir: scanStore.dataDir });
+const scheduler = createScheduler({ store: scheduleStore, startRun: startScheduledRun });
+
+// Webhooks told about finished scans
+const webhookStore = createListStore({ name: 'webhooks', dataDir: scanStore.dataDir });
 
 app.use(express.json());
 app.use(express.static('public'));
 
-// Store active scans
+// Send async route errors back as JSON instead of crashing the process
+function asyncRoute(handler) {
+  return (req, res) => handler(req, res).catch((error) => {
+    console.error(`❌ ${req.method} ${req.path} failed:`, error.message);
+    res.status(500).json({ error: error.message });
+  });
+}
+
+// Store active scans (finished scans move to scanStore)
 const activeScans = new Map();
 
-// Start a new scan
-app.post('/api/scan', async (req, res) => {
-  let { url } = req.body;
+// Pause/cancel switches for running scans (kept apart so scans stay serializable)
+const scanControls = new Map();
+
+// Running performScan() calls, awaited on shutdown
+const scanRuns = new Map();
 
-  if (!url) {
-    return res.status(400).json({ error: 'URL is required' });
+// Scans waiting for a free slot, oldest first: { scanId, url, options, checkpoint }
+const scanQueue = [];
+
+// Outbound requests in flight across all running scans (see request-budget.js)
+const requestBudget = createRequestBudget({ maxRequests: envLimit('MAX_OUTBOUND_REQUESTS') ?? DEFAULT_MAX_REQUESTS });
+
+// Set once the server starts shutting down: no new scans from then on
+let shuttingDown = false;
+
+// Progress events of active scans, streamed to browsers (see scan-events.js)
+const scanEvents = new Map();
+
+function emitScanEvent(scanId, type, data) {
+  const log = scanEvents.get(scanId);
+  if (log) log.emit(type, data);
+}
+
+// Change a scan's status (and stage) and tell connected browsers
+function setScanStatus(scan, status, stage = scan.progress.stage) {
+  scan.status = status;
+  scan.progress.stage = stage;
+  emitScanEvent(scan.id, 'stage-changed', { status, stage });
+}
+
+// Forget a finished scan that's no longer needed in memory
+function dropActiveScan(scanId) {
+  activeScans.delete(scanId);
+  scanEvents.delete(scanId);
+}
+
+// Scan ids are start times, bumped when two scans start in the same millisecond
+let lastScanId = 0;
+function newScanId() {
+  lastScanId = Math.max(Date.now(), lastScanId + 1);
+  return lastScanId.toString();
+}
+
+// Validate the URL to scan, adding https:// if no protocol is given
+function normalizeScanUrl(url) {
+  if (!url || typeof url !== 'string') {
+    throw new Error('URL is required');
   }
 
   // Auto-add https:// if no protocol specified
@@ -29,15 +132,60 @@ app.post('/api/scan', async (req, res) => {
   try {
     new URL(url);
   } catch (e) {
-    return res.status(400).json({ error: 'Invalid URL format' });
+    throw new Error('Invalid URL format');
   }
+  return url;
+}
 
-  const scanId = Date.now().toString();
+// Start a new scan
+app.post('/api/scan', async (req, res) => {
+  if (shuttingDown) {
+    return res.status(503).json({ error: 'Server is shutting down' });
+  }
+
+  let url;
+  let options;
+  try {
+    url = normalizeScanUrl(req.body.url);
+
+    // Validate scan options and fill in defaults
+    options = resolveScanOptions(req.body.options);
+    if (options.auth && options.auth.login) {
+      validateLoginUrl(url, options.auth.login.url);
+    }
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  const scanId = newScanId();
+  startScan(scanId, url, options);
+
+  const { status, queuePosition } = activeScans.get(scanId);
+  res.json({ scanId, status, queuePosition });
+});
+
+// Credentials are scoped to the scanned host, so the login form must be there too
+function validateLoginUrl(siteUrl, loginUrl) {
+  if (!createSiteAuth(siteUrl, {}).isInScope(loginUrl)) {
+    throw new Error(`auth.login.url must be on ${new URL(siteUrl).origin}`);
+  }
+}
 
+/**
+ * Register a scan and run it in the background, or queue it while
+ * MAX_CONCURRENT_SCANS are running
+ * (with a checkpoint, it carries on from where an interrupted run stopped)
+ */
+function startScan(scanId, url, options, { checkpoint = null, scheduleId = null } = {}) {
   // Initialize scan data
   activeScans.set(scanId, {
+    id: scanId,
     url,
+    options: redactAuth(options), // Scans are stored and sent to browsers: no credentials
+    scheduleId, // Set when started by a schedule
     status: 'starting',
+    startedAt: checkpoint ? checkpoint.scan.startedAt : Date.now(),
+    completedAt: null,
     progress: {
       stage: 'initializing',
       pagesFound: 0,
@@ -58,23 +206,81 @@ app.post('/api/scan', async (req, res) => {
       'ECONNABORTED': 0,
       'ECONNREFUSED': 0,
       'DNS_FAILED': 0,
+      'MISSING_ANCHOR': 0,
+      'SOFT_404': 0,
       'OTHER': 0
     },
+    queuePosition: null, // 1-based while queued
     results: null,
     liveBrokenLinks: [] // Real-time broken links as they're found
   });
 
-  res.json({ scanId });
+  scanControls.set(scanId, createScanControl({ requestBudget }));
+  scanEvents.set(scanId, createEventLog());
 
-  // Start scanning in background
-  performScan(scanId, url);
-});
+  scanQueue.push({ scanId, url, options, checkpoint });
+  startQueuedScans();
+}
+
+// Start queued scans while there are free slots, and tell the rest where they stand
+function startQueuedScans() {
+  while (scanQueue.length > 0 && scanRuns.size < MAX_CONCURRENT_SCANS && !shuttingDown) {
+    runScan(scanQueue.shift());
+  }
+
+  scanQueue.forEach(({ scanId }, index) => {
+    const scan = activeScans.get(scanId);
+    if (scan.status !== 'queued') {
+      setScanStatus(scan, 'queued', 'queued');
+    }
+    if (scan.queuePosition !== index + 1) {
+      scan.queuePosition = index + 1;
+      emitScanEvent(scanId, 'queue-changed', { queuePosition: scan.queuePosition });
+    }
+  });
+}
+
+// Run a scan in the background; the next queued one starts when it ends
+function runScan({ scanId, url, options, checkpoint }) {
+  const scan = activeScans.get(scanId);
+  scan.queuePosition = null;
+  scan.progress.startTime = Date.now(); // Time spent queued doesn't count
+
+  const run = performScan(scanId, url, options, checkpoint);
+  scanRuns.set(scanId, run);
+  run.finally(() => {
+    if (scanRuns.get(scanId) === run) scanRuns.delete(scanId);
+    startQueuedScans();
+  });
+}
 
-// Server-Sent Events endpoint for progress updates
+// Take a scan out of the queue before it ever ran; it goes to history without results
+// (resolves once saved)
+function dequeueScan(scanId, status) {
+  const scan = activeScans.get(scanId);
+  scanQueue.splice(scanQueue.findIndex(entry => entry.scanId === scanId), 1);
+
+  scan.status = status;
+  scan.progress.stage = status;
+  scan.queuePosition = null;
+  scan.completedAt = Date.now();
+  scan.progress.startTime = scan.completedAt; // It never ran
+  const saved = persistScan(scanId);
+  if (status === 'cancelled') {
+    notifyWebhooks(scan); // Like a scan cancelled while running (shutdowns notify no one)
+  }
+  startQueuedScans();
+  return saved;
+}
+
+// Server-Sent Events endpoint for progress updates: a snapshot of the scan,
+// then incremental events. Reconnecting clients send Last-Event-ID (or
+// ?lastEventId=) and only get the events they missed.
 app.get('/api/scan/:scanId/progress', (req, res) => {
   const { scanId } = req.params;
+  const log = scanEvents.get(scanId);
 
-  if (!activeScans.has(scanId)) {
+  if (!activeScans.has(scanId) || !log) {
     return res.status(404).json({ error: 'Scan not found' });
   }
 
@@ -83,66 +289,407 @@ app.get('/api/scan/:scanId/progress', (req, res) => {
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
 
-  // Send initial data
   const scan = activeScans.get(scanId);
-  res.write(`data: ${JSON.stringify(scan)}\n\n`);
+  const missed = log.since(req.get('Last-Event-ID') || req.query.lastEventId);
+  if (missed) {
+    missed.forEach(event => res.write(formatEvent(event)));
+  } else {
+    scan.progress.elapsedTime = (scan.completedAt || Date.now()) - scan.progress.startTime;
+    res.write(formatEvent({ id: log.lastId, type: 'snapshot', data: scan }));
+  }
 
-  // Send updates every 500ms
-  const intervalId = setInterval(() => {
-    const scan = activeScans.get(scanId);
-    if (!scan) {
-      clearInterval(intervalId);
+  if (FINISHED_STATUSES.includes(scan.status)) {
+    return res.end();
+  }
+
+  const unsubscribe = log.subscribe((event) => {
+    res.write(formatEvent(event));
+    if (event.type === 'scan-finished') {
       res.end();
-      return;
     }
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  // Clean up when the stream ends (finished scan or client disconnect)
+  res.on('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+  });
+});
 
-    // Calculate elapsed time
-    scan.progress.elapsedTime = Date.now() - scan.progress.startTime;
+// Find a running scan for the control endpoints, or send the error response
+function getRunningScan(req, res) {
+  const { scanId } = req.params;
+  const scan = activeScans.get(scanId);
+  const control = scanControls.get(scanId);
 
-    res.write(`data: ${JSON.stringify(scan)}\n\n`);
+  if (!scan) {
+    res.status(404).json({ error: 'Scan not found' });
+    return null;
+  }
 
-    // Close connection when scan is complete
-    if (scan.status === 'completed' || scan.status === 'error') {
-      clearInterval(intervalId);
-      setTimeout(() => res.end(), 1000);
-    }
-  }, 500);
+  if (shuttingDown) {
+    res.status(503).json({ error: 'Server is shutting down' });
+    return null;
+  }
 
-  // Clean up on client disconnect
-  req.on('close', () => {
-    clearInterval(intervalId);
-  });
+  if (!control || control.cancelled || FINISHED_STATUSES.includes(scan.status)) {
+    res.status(409).json({ error: 'Scan is not running' });
+    return null;
+  }
+
+  return { scan, control };
+}
+
+// Cancel a running scan: in-flight requests are aborted, partial results kept
+app.delete('/api/scan/:scanId', (req, res) => {
+  const running = getRunningScan(req, res);
+  if (!running) return;
+
+  if (running.scan.status === 'queued') {
+    console.log(`🛑 Removing queued scan ${req.params.scanId}`);
+    dequeueScan(running.scan.id, 'cancelled');
+    return res.json({ status: 'cancelled' });
+  }
+
+  console.log(`🛑 Cancelling scan ${req.params.scanId}`);
+  running.control.cancel();
+  setScanStatus(running.scan, 'cancelling');
+  res.json({ status: running.scan.status });
 });
 
-// Get scan results
-app.get('/api/scan/:scanId', (req, res) => {
+// Pause a running scan: requests already in flight finish, nothing new starts
+app.post('/api/scan/:scanId/pause', (req, res) => {
+  const running = getRunningScan(req, res);
+  if (!running) return;
+
+  if (running.control.paused) {
+    return res.status(409).json({ error: 'Scan is already paused' });
+  }
+  if (running.scan.status === 'queued') {
+    return res.status(409).json({ error: 'Scan is queued' });
+  }
+
+  console.log(`⏸️  Pausing scan ${req.params.scanId}`);
+  running.control.pause();
+  setScanStatus(running.scan, 'paused');
+  res.json({ status: running.scan.status });
+});
+
+// Resume a paused scan, or restart an interrupted one from its checkpoint
+app.post('/api/scan/:scanId/resume', asyncRoute(async (req, res) => {
+  if (shuttingDown) {
+    return res.status(503).json({ error: 'Server is shutting down' });
+  }
+
   const { scanId } = req.params;
-  const scan = activeScans.get(scanId);
+  const isRunning = () => activeScans.has(scanId) && !FINISHED_STATUSES.includes(activeScans.get(scanId).status);
+
+  if (!isRunning()) {
+    const checkpoint = await checkpointStore.load(scanId);
+    if (checkpoint && !isRunning()) {
+      // Credentials aren't saved with the checkpoint, so they can be sent again
+      let options;
+      try {
+        options = resolveScanOptions({ ...checkpoint.scan.options, auth: req.body && req.body.auth });
+        if (options.auth && options.auth.login) {
+          validateLoginUrl(checkpoint.scan.url, options.auth.login.url);
+        }
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+
+      console.log(`♻️  Resuming interrupted scan ${scanId} from checkpoint`);
+      startScan(scanId, checkpoint.scan.url, options, { checkpoint, scheduleId: checkpoint.scan.scheduleId });
+      const { status, queuePosition } = activeScans.get(scanId);
+      return res.json({ status, queuePosition });
+    }
+  }
+
+  const running = getRunningScan(req, res);
+  if (!running) return;
+
+  if (!running.control.paused) {
+    return res.status(409).json({ error: 'Scan is not paused' });
+  }
+
+  console.log(`▶️  Resuming scan ${req.params.scanId}`);
+  running.control.resume();
+  setScanStatus(running.scan, 'scanning');
+  res.json({ status: running.scan.status });
+}));
+
+// Get scan results (running or from history)
+app.get('/api/scan/:scanId', asyncRoute(async (req, res) => {
+  const { scanId } = req.params;
+  const scan = activeScans.get(scanId) || await scanStore.getScan(scanId);
 
   if (!scan) {
     return res.status(404).json({ error: 'Scan not found' });
   }
 
   res.json(scan);
-});
+}));
+
+// Download a finished scan as a report: ?format=junit (JUnit XML), sarif or html (standalone page)
+app.get('/api/scan/:scanId/report', asyncRoute(async (req, res) => {
+  const { scanId } = req.params;
+  const format = REPORT_FORMATS[req.query.format];
+
+  if (!format) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}` });
+  }
+
+  const scan = activeScans.get(scanId) || await scanStore.getScan(scanId);
+  if (!scan) {
+    return res.status(404).json({ error: 'Scan not found' });
+  }
+
+  if (!scan.results) {
+    return res.status(409).json({ error: 'Scan has no results yet' });
+  }
+
+  res.attachment(`dead-links-${scanId}.${format.extension}`);
+  res.type(format.contentType); // After attachment(), which guesses from the extension
+  res.send(format.render(scan));
+}));
+
+// List past, running and interrupted scans, newest first
+app.get('/api/scans', asyncRoute(async (req, res) => {
+  const { url } = req.query;
+  const limit = parseInt(req.query.limit, 10) || undefined;
+
+  // A scan in memory is the freshest copy (a resumed scan may also be stored)
+  const stored = (await scanStore.listScans({ url })).filter(entry => !activeScans.has(entry.id));
+  const storedIds = new Set(stored.map(entry => entry.id));
+
+  // Checkpoints left behind by a scan that never finished, e.g. the server stopped
+  const interrupted = (await checkpointStore.list())
+    .filter(checkpoint => !activeScans.has(checkpoint.id) && !storedIds.has(checkpoint.id) &&
+      (!url || checkpoint.url === url))
+    .map(checkpoint => ({
+      id: checkpoint.id,
+      url: checkpoint.url,
+      status: 'interrupted',
+      startedAt: checkpoint.startedAt,
+      completedAt: null,
+      summary: null
+    }));
+
+  const running = Array.from(activeScans.values())
+    .filter(scan => !url || scan.url === url)
+    .map(scan => ({
+      id: scan.id,
+      url: scan.url,
+      status: scan.status,
+      startedAt: scan.startedAt,
+      completedAt: scan.completedAt,
+      summary: scan.results ? scan.results.summary : null
+    }));
+
+  const scans = [...running, ...interrupted, ...stored].sort((a, b) => b.startedAt - a.startedAt);
+  res.json({ scans: limit ? scans.slice(0, limit) : scans });
+}));
+
+// Compare two scans of the same site: newly broken, still broken and fixed links
+app.get('/api/scans/:baseId/diff/:compareId', asyncRoute(async (req, res) => {
+  const { baseId, compareId } = req.params;
+  const baseScan = activeScans.get(baseId) || await scanStore.getScan(baseId);
+  const compareScan = activeScans.get(compareId) || await scanStore.getScan(compareId);
+
+  if (!baseScan || !compareScan) {
+    return res.status(404).json({ error: 'Scan not found' });
+  }
+
+  // Partial (cancelled or interrupted) scans would report unscanned links as fixed
+  if (baseScan.status !== 'completed' || compareScan.status !== 'completed') {
+    return res.status(409).json({ error: 'Both scans must be completed' });
+  }
+
+  if (!isSameSite(baseScan.url, compareScan.url)) {
+    return res.status(400).json({ error: 'Scans are for different sites' });
+  }
+
+  res.json(diffScans(baseScan, compareScan));
+}));
+
+// Delete a scan from history
+app.delete('/api/scans/:scanId', asyncRoute(async (req, res) => {
+  const { scanId } = req.params;
+  const active = activeScans.get(scanId);
+
+  if (active && !FINISHED_STATUSES.includes(active.status)) {
+    return res.status(409).json({ error: 'Scan is still running' });
+  }
+
+  dropActiveScan(scanId);
+  const deleted = await scanStore.deleteScan(scanId);
+  const hadCheckpoint = await checkpointStore.remove(scanId);
+
+  if (!deleted && !active && !hadCheckpoint) {
+    return res.status(404).json({ error: 'Scan not found' });
+  }
+
+  res.json({ deleted: true });
+}));
+
+// List recurring scans, oldest first
+app.get('/api/schedules', asyncRoute(async (req, res) => {
+  res.json({ schedules: await scheduleStore.list() });
+}));
+
+// Add a recurring scan: { url, cron, options }
+app.post('/api/schedules', asyncRoute(async (req, res) => {
+  let url;
+  let options;
+  let cron;
+  let next;
+  try {
+    url = normalizeScanUrl(req.body.url);
+    options = resolveScanOptions(req.body.options);
+    if (options.auth) {
+      throw new Error('Schedules can\'t use auth: credentials are never saved');
+    }
+    cron = typeof req.body.cron === 'string' ? req.body.cron.trim() : req.body.cron;
+    next = nextRunAt(cron);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  if (next === null) {
+    return res.status(400).json({ error: `Cron expression never matches: ${cron}` });
+  }
+
+  const schedule = {
+    id: `schedule-${newScanId()}`,
+    url,
+    cron,
+    options,
+    createdAt: Date.now(),
+    nextRunAt: next,
+    lastRun: null // { at, scanId, skipped }
+  };
+  await scheduleStore.save(schedule);
+
+  console.log(`🕒 Scheduled ${url} (${cron})`);
+  res.json(schedule);
+}));
+
+// Delete a recurring scan (scans it already ran stay in history)
+app.delete('/api/schedules/:scheduleId', asyncRoute(async (req, res) => {
+  const deleted = await scheduleStore.remove(req.params.scheduleId);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  res.json({ deleted: true });
+}));
+
+// Start a scheduled run, unless the site is still being scanned (runs never overlap)
+function startScheduledRun(schedule) {
+  if (shuttingDown) {
+    return null;
+  }
+
+  const siteBusy = Array.from(activeScans.values()).some(scan =>
+    !FINISHED_STATUSES.includes(scan.status) && isSameSite(scan.url, schedule.url));
+  if (siteBusy) {
+    return null;
+  }
+
+  const scanId = newScanId();
+  startScan(scanId, schedule.url, schedule.options, { scheduleId: schedule.id });
+  return scanId;
+}
+
+// Webhook secrets are write-only
+function publicWebhook(webhook) {
+  return { ...webhook, secret: webhook.secret ? REDACTED : null };
+}
+
+// List webhooks, oldest first
+app.get('/api/webhooks', asyncRoute(async (req, res) => {
+  res.json({ webhooks: (await webhookStore.list()).map(publicWebhook) });
+}));
+
+// Add a webhook: { url, format, events, secret, site }
+app.post('/api/webhooks', asyncRoute(async (req, res) => {
+  let settings;
+  try {
+    settings = validateWebhook(req.body);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  const webhook = { id: `webhook-${newScanId()}`, ...settings, createdAt: Date.now(), lastDelivery: null };
+  await webhookStore.save(webhook);
+
+  console.log(`📣 Added ${webhook.format} webhook ${webhook.url}`);
+  res.json(publicWebhook(webhook));
+}));
+
+// Delete a webhook
+app.delete('/api/webhooks/:webhookId', asyncRoute(async (req, res) => {
+  const deleted = await webhookStore.remove(req.params.webhookId);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json({ deleted: true });
+}));
+
+// Broken links that weren't broken in the previous completed scan of the URL
+// (null when there's nothing to compare with)
+async function countNewBrokenLinks(scan) {
+  if (!scan.results) return null;
+
+  const previous = (await scanStore.listScans({ url: scan.url }))
+    .find(entry => entry.id !== scan.id && entry.status === 'completed' && entry.startedAt < scan.startedAt);
+  const previousScan = previous && await scanStore.getScan(previous.id);
+  if (!previousScan || !previousScan.results) return null;
+
+  return diffScans(previousScan, scan).newBroken.length;
+}
+
+// POST a finished scan to the webhooks that want it (failures are logged, never thrown)
+async function notifyWebhooks(scan) {
+  try {
+    const webhooks = (await webhookStore.list()).filter(webhook => wantsEvent(webhook, scan));
+    if (webhooks.length === 0) return;
+
+    const event = buildEvent(scan, {
+      newBrokenLinks: await countNewBrokenLinks(scan),
+      reportUrl: `${PUBLIC_URL}/?scan=${encodeURIComponent(scan.id)}`
+    });
+
+    await Promise.all(webhooks.map(async (webhook) => {
+      const { ok, status, attempts } = await deliverWebhook(webhook, event);
+      await webhookStore.update(webhook.id, {
+        lastDelivery: { at: Date.now(), event: event.event, scanId: scan.id, ok, status, attempts }
+      });
+    }));
+  } catch (error) {
+    console.error(`❌ Failed to notify webhooks for ${scan.id}:`, error.message);
+  }
+}
 
 // Perform the actual scanning with TRUE PIPELINE ARCHITECTURE
 // Check links as pages are crawled for maximum speed!
-async function performScan(scanId, url) {
+async function performScan(scanId, url, options = {}, checkpoint = null) {
   const scan = activeScans.get(scanId);
+  const control = scanControls.get(scanId) || createScanControl();
+  let checkpointTimer;
 
   try {
     // Start scanning
-    scan.status = 'scanning';
-    scan.progress.stage = 'scanning';
+    setScanStatus(scan, 'scanning', 'scanning');
 
     console.log(`🚀 Starting TURBO scan for ${url}`);
 
+    // One set of credentials (and login session) for crawler and checker
+    const siteAuth = options.auth ? createSiteAuth(url, options.auth) : null;
+
     let linksChecked = 0;
     let totalLinksFound = 0;
-    const checkedUrls = new Set();
     const crawledUrls = new Set(); // Create this BEFORE crawlWebsite to avoid reference error
-    const allBrokenLinks = [];
 
     // Activity tracker: Auto-complete if 30s pass with no activity
     let lastActivityTime = Date.now();
@@ -150,8 +697,73 @@ async function performScan(scanId, url) {
     let lastLinksChecked = 0;
     let shouldForceComplete = false; // Flag to force completion on timeout
 
+    // Shared checking engine from checker.js: per-domain rate limiting, circuit
+    // breaker, DNS pre-check, redirect tracking and 401/403 warnings
+    const checker = createLinkChecker(crawledUrls, {
+      onChecked: ({ url, outcome }) => {
+        lastActivityTime = Date.now(); // Update activity time
+        if (outcome === 'skipped' || outcome === 'excluded') return;
+
+        linksChecked++;
+        scan.progress.linksChecked = linksChecked;
+
+        // Calculate ETA
+        const { queued, checked, skipped } = checker.getStats();
+        const elapsed = Date.now() - scan.progress.startTime;
+        const rate = checked / elapsed;
+        const remaining = Math.max(0, queued - checked - skipped);
+        scan.progress.eta = remaining > 0 ? Math.round(remaining / rate) : 0;
+
+        emitScanEvent(scanId, 'link-checked', {
+          url,
+          outcome,
+          linksChecked,
+          eta: scan.progress.eta,
+          elapsedTime: Date.now() - scan.progress.startTime
+        });
+      },
+      onBrokenLinkFound: (brokenLink) => {
+        trackError(scan, brokenLink.status, brokenLink.message);
+        scan.liveBrokenLinks.push(brokenLink);
+        scan.progress.brokenLinks = scan.liveBrokenLinks.length;
+        emitScanEvent(scanId, 'broken-found', { link: brokenLink, brokenLinks: scan.progress.brokenLinks });
+      },
+      onSoft404Found: () => {
+        scan.errorBreakdown['SOFT_404']++;
+        emitScanEvent(scanId, 'breakdown-changed', { errorBreakdown: scan.errorBreakdown });
+      },
+      onWarningFound: (warning) => {
+        // Circuit-broken links are unverified, not access errors
+        if (warning.status) {
+          trackError(scan, warning.status, warning.message);
+        }
+      }
+    }, { ...options, control, siteAuth, previousChecks: checkpoint ? checkpoint.checks : undefined });
+
+    // Checkpoint progress so an interrupted scan can resume: the crawler
+    // reports its state every 100 pages, link checks are saved every 30s
+    let crawlState = checkpoint && checkpoint.crawl ? { ...checkpoint.crawl, pages: checkpoint.pages } : null;
+    const saveCheckpoint = () => {
+      const { pages: crawlPages = [], ...crawl } = crawlState || {};
+      return checkpointStore.save(scanId, {
+        scan: { id: scanId, url, options: redactAuth(options), scheduleId: scan.scheduleId, startedAt: scan.startedAt },
+        crawl: crawlState ? crawl : null,
+        pages: crawlPages,
+        checks: checker.getCompletedChecks()
+      }).catch((error) => {
+        console.error(`❌ Failed to checkpoint scan ${scanId}:`, error.message);
+      });
+    };
+    checkpointTimer = setInterval(saveCheckpoint, CHECKPOINT_INTERVAL_MS);
+
     // Monitor for inactivity and auto-complete if stuck
     const activityMonitor = setInterval(() => {
+      // A paused scan is idle on purpose, and a host's Retry-After can be long
+      if (control.paused || checker.waitingForRateLimit()) {
+        lastActivityTime = Date.now();
+        return;
+      }
+
       const currentPagesCrawled = scan.progress.pagesCrawled || 0;
       const currentLinksChecked = linksChecked;
 
@@ -179,67 +791,79 @@ async function performScan(scanId, url) {
       url,
       // Progress callback
       (progress) => {
+        const changed = progress.pagesFound !== scan.progress.pagesFound ||
+          progress.pagesCrawled !== scan.progress.pagesCrawled;
         scan.progress.pagesFound = progress.pagesFound;
         scan.progress.pagesCrawled = progress.pagesCrawled;
         lastActivityTime = Date.now(); // Update activity time
+
+        if (changed) {
+          emitScanEvent(scanId, 'crawl-progress', {
+            pagesFound: progress.pagesFound,
+            pagesCrawled: progress.pagesCrawled,
+            elapsedTime: Date.now() - scan.progress.startTime
+          });
+        }
       },
       // Page crawled callback - THE MAGIC HAPPENS HERE!
-      async (page) => {
+      (page) => {
         // Track this page as crawled
         crawledUrls.add(page.url);
         lastActivityTime = Date.now(); // Update activity time
 
-        // Immediately check links from this page (don't wait for all crawling!)
-        const linksToCheck = page.links.filter(link => {
-          if (checkedUrls.has(link.url)) return false;
-          checkedUrls.add(link.url);
-          return !crawledUrls.has(link.url); // Skip internal pages we crawled
-        });
-
         totalLinksFound += page.links.length;
         scan.progress.totalLinks = totalLinksFound;
+        emitScanEvent(scanId, 'page-crawled', {
+          url: page.url,
+          title: page.title,
+          links: page.links.length,
+          totalLinks: totalLinksFound
+        });
 
-        // Check this page's links in parallel with crawling other pages
-        for (const link of linksToCheck) {
-          // Fire and forget - check in background
-          // IMPORTANT: Use .finally() to ensure counter always increments, even on errors
-          checkUrlInBackground(link, page, scan, crawledUrls)
-            .then((result) => {
-              if (result && !result.ok) {
-                scan.progress.brokenLinks = (scan.progress.brokenLinks || 0) + 1;
-              }
-            })
-            .catch((error) => {
-              // Log but don't crash - some links will fail
-              console.error(`Error checking ${link.url}:`, error.message);
-            })
-            .finally(() => {
-              // ALWAYS increment counter, even if check failed/timed out
-              linksChecked++;
-              scan.progress.linksChecked = linksChecked;
-              lastActivityTime = Date.now(); // Update activity time
-
-              // Calculate ETA
-              const elapsed = Date.now() - scan.progress.startTime;
-              const rate = linksChecked / elapsed;
-              const remaining = Math.max(0, totalLinksFound - linksChecked);
-              scan.progress.eta = remaining > 0 ? Math.round(remaining / rate) : 0;
-            });
+        // Queue this page's links right away (don't wait for all crawling!)
+        // The checker dedupes URLs and records every occurrence
+        checker.addPageLinks(page);
+      },
+      {
+        ...options,
+        siteAuth,
+        control,
+        resumeFrom: crawlState || undefined,
+        onCheckpoint: (state) => {
+          crawlState = state;
+          saveCheckpoint();
         }
       }
     );
 
     console.log(`✅ Crawling complete: ${pages.length} pages`);
+    setScanStatus(scan, scan.status, 'checking');
+
+    // Every page's anchors are known now, so #fragment links can be validated
+    const missingAnchors = findMissingAnchors(pages, options);
+    scan.errorBreakdown['MISSING_ANCHOR'] = missingAnchors.length;
+    if (missingAnchors.length > 0) {
+      console.log(`⚓ Found ${missingAnchors.length} links to missing anchors`);
+    }
+    const soft404Pages = findSoft404Pages(pages, options);
+    const pageRedirects = findPageRedirects(pages, options);
+    scan.errorBreakdown['SOFT_404'] += soft404Pages.length;
+    emitScanEvent(scanId, 'breakdown-changed', { errorBreakdown: scan.errorBreakdown });
     console.log(`🔍 Waiting for remaining link checks to complete...`);
-    console.log(`   Expected: ${checkedUrls.size} checks, Completed: ${linksChecked}`);
+    const { queued, skipped } = checker.getStats();
+    console.log(`   Expected: ${queued - skipped} checks, Completed: ${linksChecked}`);
 
     // Wait for all background checks to finish with timeout protection
     let lastProgress = linksChecked;
     let noProgressCount = 0;
+    let checksDone = false;
     const MAX_NO_PROGRESS_CYCLES = 30; // 30 seconds without progress = give up
+    const checksIdle = checker.idle().then(() => { checksDone = true; });
+
+    while (!checksDone && !shouldForceComplete) {
+      await Promise.race([checksIdle, new Promise(resolve => setTimeout(resolve, 1000))]);
 
-    while (linksChecked < checkedUrls.size && !shouldForceComplete) {
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      if (checksDone || control.cancelled) break;
 
       // Check if forced to complete by activity monitor
       if (shouldForceComplete) {
@@ -248,16 +872,18 @@ async function performScan(scanId, url) {
       }
 
       // Check if we made progress
-      if (linksChecked > lastProgress) {
+      if (control.paused || checker.waitingForRateLimit()) {
+        noProgressCount = 0; // A paused or rate limited scan isn't stuck
+      } else if (linksChecked > lastProgress) {
         lastProgress = linksChecked;
         noProgressCount = 0;
-        console.log(`   Progress: ${linksChecked}/${checkedUrls.size} checks complete`);
+        console.log(`   Progress: ${linksChecked} checks complete`);
       } else {
         noProgressCount++;
 
         // If no progress for 30 seconds, give up waiting
         if (noProgressCount >= MAX_NO_PROGRESS_CYCLES) {
-          console.log(`⚠️  No progress for ${MAX_NO_PROGRESS_CYCLES}s, completing scan with ${linksChecked}/${checkedUrls.size} checks`);
+          console.log(`⚠️  No progress for ${MAX_NO_PROGRESS_CYCLES}s, completing scan with ${linksChecked} checks`);
           break;
         }
       }
@@ -265,22 +891,17 @@ async function performScan(scanId, url) {
 
     // Clean up activity monitor
     clearInterval(activityMonitor);
+    clearInterval(checkpointTimer);
 
     console.log(`✅ All link checks complete!`);
     console.log(`⚡ Checked ${linksChecked} links across ${pages.length} pages`);
 
     // Compile final results from what we already checked (no need to re-check!)
+    const { warnings, excluded } = checker.getResults();
+    const redirects = [...checker.getResults().redirects, ...pageRedirects];
+    const soft404s = [...checker.getResults().soft404s, ...soft404Pages];
     const results = {
-      summary: {
-        totalPages: pages.length,
-        totalLinks: totalLinksFound,
-        linksChecked: linksChecked,
-        linksSkipped: totalLinksFound - checkedUrls.size,
-        brokenLinks: scan.liveBrokenLinks.length,
-        workingLinks: linksChecked - scan.liveBrokenLinks.length,
-        redirects: 0, // TODO: track redirects in pipeline
-        warnings: 0   // TODO: track 403/401 in pipeline
-      },
+      summary: summarizeChecks(checker, { pages, totalLinks: totalLinksFound, redirects, missingAnchors, soft404s }),
       pages: pages.map(page => ({
         url: page.url,
         title: page.title,
@@ -293,29 +914,78 @@ async function performScan(scanId, url) {
         )
       })),
       brokenLinks: scan.liveBrokenLinks,
-      redirects: [], // TODO: implement in pipeline
-      warnings: []   // TODO: implement in pipeline
+      redirects,
+      warnings,
+      missingAnchors,
+      soft404s,
+      excluded
     };
 
-    // Complete
-    scan.status = 'completed';
-    scan.progress.stage = 'completed';
+    // Complete (a cancelled scan keeps the results gathered so far; one
+    // interrupted by a shutdown also keeps its checkpoint to resume from)
+    const interrupted = scan.status === 'interrupting';
+    scan.status = interrupted ? 'interrupted' : control.cancelled ? 'cancelled' : 'completed';
+    scan.progress.stage = scan.status;
+    scan.completedAt = Date.now();
     scan.results = results;
 
-    console.log(`✅ TURBO scan complete! Found ${scan.liveBrokenLinks.length} broken links`);
+    if (interrupted) {
+      await saveCheckpoint();
+      await persistScan(scanId);
+      console.log(`💾 Scan ${scanId} interrupted after ${linksChecked} checks, saved to resume later`);
+      return;
+    }
+
+    persistScan(scanId);
+    notifyWebhooks(scan);
+    checkpointStore.remove(scanId).catch((error) => {
+      console.error(`❌ Failed to remove checkpoint for ${scanId}:`, error.message);
+    });
+
+    if (control.cancelled) {
+      console.log(`🛑 Scan cancelled after ${linksChecked} checks`);
+    } else {
+      console.log(`✅ TURBO scan complete! Found ${scan.liveBrokenLinks.length} broken links`);
+    }
 
   } catch (error) {
     console.error('Scan error:', error);
     scan.status = 'error';
     scan.error = error.message;
+    scan.completedAt = Date.now();
+    await persistScan(scanId);
+    notifyWebhooks(scan);
 
-    // Clean up activity monitor on error
+    // Clean up activity monitor on error (the last checkpoint stays, so the scan can be resumed)
     if (typeof activityMonitor !== 'undefined') {
       clearInterval(activityMonitor);
     }
+    clearInterval(checkpointTimer);
   }
 }
 
+// Save a finished scan to history, then drop it from memory once
+// SSE clients have had time to receive the final update
+// (resolves once saved, it never rejects)
+function persistScan(scanId) {
+  const scan = activeScans.get(scanId);
+  scanControls.delete(scanId);
+
+  scan.progress.elapsedTime = scan.completedAt - scan.progress.startTime;
+  emitScanEvent(scanId, 'scan-finished', scan);
+  return scanStore.saveScan(scan)
+    .then(() => {
+      setTimeout(() => {
+        // Unless it has been resumed since
+        if (activeScans.get(scanId) === scan) dropActiveScan(scanId);
+      }, ACTIVE_SCAN_TTL_MS).unref();
+    })
+    .catch((error) => {
+      // Keep it in memory so results are still reachable
+      console.error(`❌ Failed to save scan ${scanId}:`, error.message);
+    });
+}
+
 // Helper to categorize and track error types
 function trackError(scan, status, message) {
   let errorType = 'OTHER';
@@ -334,121 +1004,58 @@ function trackError(scan, status, message) {
   } else {
     scan.errorBreakdown['OTHER']++;
   }
+  emitScanEvent(scan.id, 'breakdown-changed', { errorBreakdown: scan.errorBreakdown });
 }
 
-// Helper to check a single URL in background (for pipeline) with retry + fallback
-async function checkUrlInBackground(link, page, scan, crawledUrls) {
-  const axios = require('axios');
-  const http = require('http');
-  const https = require('https');
-  const { HttpsProxyAgent } = require('https-proxy-agent');
-
-  const TIMEOUT = 10000; // 10 seconds
-  const MAX_RETRIES = 2;
-
-  // Use proxy if configured in environment
-  const proxyUrl = process.env.https_proxy || process.env.HTTPS_PROXY || process.env.http_proxy || process.env.HTTP_PROXY;
-  const httpAgent = new http.Agent({ keepAlive: true, maxSockets: 200, timeout: TIMEOUT });
-  const httpsAgent = proxyUrl
-    ? new HttpsProxyAgent(proxyUrl)
-    : new https.Agent({ keepAlive: true, maxSockets: 200, timeout: TIMEOUT });
-
-  // Try with retry and HEAD->GET fallback
-  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
-    try {
-      // Try HEAD first
-      const response = await axios.head(link.url, {
-        timeout: TIMEOUT,
-        maxRedirects: 5,
-        validateStatus: null,
-        httpAgent,
-        httpsAgent,
-        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; DeadLinkChecker/4.0; +https://github.com/deadlinks)' }
+/**
+ * Stop scanning for a shutdown without losing running scans
+ *
+ * No new scans start. Running scans pause so in-flight requests can finish
+ * (up to graceMs), then whatever is still in flight is aborted and each scan
+ * is saved as `interrupted`: its partial results go to history and its
+ * checkpoint stays, so it can be resumed after the next start.
+ *
+ * @param {Object} options - graceMs (how long in-flight requests may take)
+ * @returns {Promise} - Resolves once every scan has been saved
+ */
+async function shutdown({ graceMs = SHUTDOWN_GRACE_MS } = {}) {
+  shuttingDown = true;
+  scheduler.stop();
+
+  // Queued scans never started: checkpoint them so they can be resumed too
+  for (const { scanId, checkpoint } of scanQueue.slice()) {
+    const scan = activeScans.get(scanId);
+    if (!checkpoint) {
+      await checkpointStore.save(scanId, {
+        scan: { id: scanId, url: scan.url, options: scan.options, scheduleId: scan.scheduleId, startedAt: scan.startedAt },
+        crawl: null
+      }).catch((error) => {
+        console.error(`❌ Failed to checkpoint queued scan ${scanId}:`, error.message);
       });
+    }
+    await dequeueScan(scanId, 'interrupted');
+  }
 
-      const ok = response.status >= 200 && response.status < 400;
-
-      // If HEAD returned 404/405, try GET as fallback
-      if (!ok && (response.status === 404 || response.status === 405)) {
-        try {
-          const getResponse = await axios.get(link.url, {
-            timeout: TIMEOUT,
-            maxRedirects: 5,
-            validateStatus: null,
-            httpAgent,
-            httpsAgent,
-            maxContentLength: 1024 * 1024, // 1MB max
-            responseType: 'stream',
-            headers: { 'User-Agent': 'Mozilla/5.0 (compatible; DeadLinkChecker/4.0; +https://github.com/deadlinks)' }
-          });
-
-          // Destroy stream immediately
-          if (getResponse.data && getResponse.data.destroy) {
-            getResponse.data.destroy();
-          }
-
-          const getOk = getResponse.status >= 200 && getResponse.status < 400;
-
-          if (getOk) {
-            return { ok: true, status: getResponse.status };
-          }
-
-          // GET also failed, use GET result
-          if (getResponse.status !== 403 && getResponse.status !== 401) {
-            const message = `HTTP ${getResponse.status}`;
-            trackError(scan, getResponse.status, message);
-            scan.liveBrokenLinks.push({
-              url: link.url,
-              status: getResponse.status,
-              message,
-              occurrences: [{ page: page.url, text: link.text, type: link.type }]
-            });
-          }
-          return { ok: false, status: getResponse.status };
-
-        } catch (getError) {
-          // GET failed too, continue to retry logic below
-        }
-      }
-
-      // Process HEAD result
-      if (!ok && response.status !== 403 && response.status !== 401) {
-        const message = `HTTP ${response.status}`;
-        trackError(scan, response.status, message);
-        scan.liveBrokenLinks.push({
-          url: link.url,
-          status: response.status,
-          message,
-          occurrences: [{ page: page.url, text: link.text, type: link.type }]
-        });
-      }
-
-      return { ok, status: response.status };
-
-    } catch (error) {
-      // Network error or timeout
-      if (attempt < MAX_RETRIES) {
-        // Wait before retry (exponential backoff)
-        const delay = Math.pow(2, attempt) * 1000; // 1s, 2s
-        await new Promise(resolve => setTimeout(resolve, delay));
-        continue;
-      }
+  const running = [];
+  for (const [scanId, run] of scanRuns) {
+    const control = scanControls.get(scanId);
+    if (!control) continue;
 
-      // Final attempt failed
-      const message = error.code || error.message || 'Request failed';
-      trackError(scan, 0, message);
-      scan.liveBrokenLinks.push({
-        url: link.url,
-        status: 0,
-        message,
-        occurrences: [{ page: page.url, text: link.text, type: link.type }]
-      });
-      return { ok: false, status: 0 };
+    // Scans already being cancelled just finish as cancelled
+    if (!control.cancelled) {
+      control.pause();
+      setScanStatus(activeScans.get(scanId), 'interrupting');
     }
+    running.push({ control, run });
   }
+  if (running.length === 0) return;
 
-  // Should never reach here
-  return { ok: false, status: 0 };
+  const deadline = (ms) => new Promise(resolve => setTimeout(resolve, ms).unref());
+  console.log(`⏳ Waiting up to ${graceMs / 1000}s for ${running.length} running scan(s) to finish in-flight requests...`);
+  await Promise.race([Promise.all(running.map(({ control }) => control.whenIdle())), deadline(graceMs)]);
+
+  running.forEach(({ control }) => control.cancel());
+  await Promise.race([Promise.all(running.map(({ run }) => run)), deadline(graceMs)]);
 }
 
 function startServer(port) {
@@ -475,4 +1082,27 @@ function startServer(port) {
   });
 }
 
-startServer(PORT);
+if (require.main === module) {
+  scanStore.applyRetention().catch((error) => {
+    console.error('❌ Failed to apply scan retention:', error.message);
+  });
+  checkpointStore.list().then((checkpoints) => {
+    if (checkpoints.length > 0) {
+      console.log(`♻️  ${checkpoints.length} interrupted scan(s) can be resumed from the scan history`);
+    }
+  }).catch((error) => {
+    console.error('❌ Failed to list checkpoints:', error.message);
+  });
+  scheduler.start();
+  startServer(PORT);
+
+  // Save running scans before exiting (a second signal exits right away)
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.once(signal, () => {
+      console.log(`\n🛑 ${signal} received, shutting down...`);
+      shutdown().then(() => process.exit(0));
+    });
+  }
+}
+
+module.exports = { app, startServer, scheduler, shutdown };
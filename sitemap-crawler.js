@@ -2,35 +2,21 @@ const https = require('https');
 const http = require('http');
 const cheerio = require('cheerio');
 const { URL } = require('url');
-const { HttpsProxyAgent } = require('https-proxy-agent');
-const { HttpProxyAgent } = require('http-proxy-agent');
-
-const proxyUrl = process.env.https_proxy || process.env.HTTPS_PROXY || process.env.http_proxy || process.env.HTTP_PROXY;
-const noProxy = (process.env.no_proxy || process.env.NO_PROXY || '').split(',').map(h => h.trim().toLowerCase());
-
-// Check if a hostname should bypass the proxy
-function shouldBypassProxy(hostname) {
-  if (!proxyUrl) return true;
-  const lowerHost = hostname.toLowerCase();
-  return noProxy.some(pattern => {
-    if (pattern === lowerHost) return true;
-    if (pattern.startsWith('*') && lowerHost.endsWith(pattern.slice(1))) return true;
-    if (pattern.startsWith('.') && lowerHost.endsWith(pattern)) return true;
-    return false;
-  });
-}
-
-// Fetch content via native https
-async function fetchContent(url, timeout = 10000) {
+const { proxyAgentFor } = require('./proxy');
+const { createRobotsCache } = require('./robots');
+const { requestThrough } = require('./scan-control');
+const { DEFAULT_SCAN_OPTIONS } = require('./scan-options');
+const { createUrlFilter } = require('./url-filter');
+const { LINK_TYPES, extractLinks, extractAnchors } = require('./link-extractor');
+
+// Fetch content via native https (`signal` cancels the request, `auth` adds the site's credentials)
+async function fetchContent(url, timeout = 10000, { signal, auth } = {}) {
   return new Promise((resolve, reject) => {
     const parsedUrl = new URL(url);
     const isHttps = parsedUrl.protocol === 'https:';
     const lib = isHttps ? https : http;
 
-    const useProxy = !shouldBypassProxy(parsedUrl.hostname);
-    const agent = useProxy && proxyUrl
-      ? (isHttps ? new HttpsProxyAgent(proxyUrl) : new HttpProxyAgent(proxyUrl))
-      : undefined;
+    const agent = proxyAgentFor(url);
 
     const options = {
       hostname: parsedUrl.hostname,
@@ -41,21 +27,24 @@ async function fetchContent(url, timeout = 10000) {
       headers: {
         'User-Agent': 'Mozilla/5.0 (compatible; DeadLinkChecker/4.0; +https://github.com/deadlinks)',
         'Accept': 'application/xml,text/xml,*/*',
-        'Host': parsedUrl.hostname
+        'Host': parsedUrl.hostname,
+        ...(auth ? auth.headersFor(url) : {})
       },
-      timeout: timeout
+      timeout: timeout,
+      signal
     };
 
     const req = lib.request(options, (res) => {
       if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
         const redirectUrl = new URL(res.headers.location, url).href;
         res.resume();
-        fetchContent(redirectUrl, timeout).then(resolve).catch(reject);
+        fetchContent(redirectUrl, timeout, { signal, auth }).then(resolve).catch(reject);
         return;
       }
 
       let data = '';
       res.setEncoding('utf8');
+      res.on('error', reject); // Aborted mid-response
       res.on('data', (chunk) => { data += chunk; });
       res.on('end', () => resolve({ data, status: res.statusCode }));
     });
@@ -89,15 +78,20 @@ function isSitemapIndex(xml) {
   return xml.includes('<sitemapindex') || xml.includes('<sitemap>');
 }
 
+// fetchContent through the scan's request budget when requestOptions has a control
+function fetchThrough(url, timeout, { control, ...requestOptions } = {}) {
+  return requestThrough(control, () => fetchContent(url, timeout, requestOptions));
+}
+
 // Recursively fetch all URLs from sitemap(s)
-async function fetchAllSitemapUrls(sitemapUrl, visited = new Set()) {
+async function fetchAllSitemapUrls(sitemapUrl, visited = new Set(), requestOptions = {}) {
   if (visited.has(sitemapUrl)) return [];
   visited.add(sitemapUrl);
 
   console.log(`  📄 Fetching sitemap: ${sitemapUrl}`);
 
   try {
-    const { data } = await fetchContent(sitemapUrl);
+    const { data } = await fetchThrough(sitemapUrl, undefined, requestOptions);
 
     // Check if this is a sitemap index pointing to other sitemaps
     if (isSitemapIndex(data)) {
@@ -106,7 +100,7 @@ async function fetchAllSitemapUrls(sitemapUrl, visited = new Set()) {
       let allUrls = [];
 
       for (const nestedUrl of nestedSitemaps) {
-        const urls = await fetchAllSitemapUrls(nestedUrl, visited);
+        const urls = await fetchAllSitemapUrls(nestedUrl, visited, requestOptions);
         allUrls = allUrls.concat(urls);
       }
 
@@ -124,71 +118,60 @@ async function fetchAllSitemapUrls(sitemapUrl, visited = new Set()) {
   }
 }
 
-// Helper: Extract links and images from HTML
-function extractLinksFromHTML(html, pageUrl) {
-  const $ = cheerio.load(html);
-  const links = [];
-  const images = [];
-
-  // Convert relative URLs to absolute
-  function toAbsoluteUrl(url, currentPage) {
-    try {
-      return new URL(url, currentPage).href;
-    } catch (e) {
-      return null;
-    }
-  }
-
-  // Extract all links
-  $('a[href]').each((i, elem) => {
-    const href = $(elem).attr('href');
-    if (!href) return;
-
-    const absoluteUrl = toAbsoluteUrl(href, pageUrl);
-    if (!absoluteUrl) return;
-
-    const text = $(elem).text().trim().substring(0, 100);
-    links.push({
-      url: absoluteUrl,
-      text: text || '(no text)',
-      type: 'link'
-    });
-  });
-
-  // Extract all images
-  $('img[src]').each((i, elem) => {
-    const src = $(elem).attr('src');
-    if (!src) return;
-
-    const absoluteUrl = toAbsoluteUrl(src, pageUrl);
-    if (!absoluteUrl) return;
-
-    const alt = $(elem).attr('alt') || '(no alt text)';
-    images.push({
-      url: absoluteUrl,
-      text: alt,
-      type: 'image'
-    });
-  });
-
-  return { links, images };
-}
-
 /**
  * Discover pages from sitemap.xml for JavaScript SPAs
  * Fetches each page to extract links for checking
  * @param {string} baseUrl - Base URL of the site (e.g., "https://learn.netdata.cloud")
  * @param {boolean} fetchPages - Whether to fetch each page to extract links (default: true)
+ * @param {Object} options - Scan options (crawlTimeout, maxPages, ignoreRobots, include,
+ *   exclude), plus getRobots (shared robots.txt lookup), siteAuth (credentials) and
+ *   control (pause/cancel)
  * @returns {Promise<Array>} - Array of page objects with URLs and links
  */
-async function discoverFromSitemap(baseUrl, fetchPages = true) {
+async function discoverFromSitemap(baseUrl, fetchPages = true, options = {}) {
   console.log(`\n🗺️  Discovering pages from sitemap for: ${baseUrl}`);
 
-  // Use new URL to properly handle port numbers
-  const sitemapUrl = new URL('/sitemap.xml', baseUrl).href;
+  const { crawlTimeout, maxPages, include, exclude } = { ...DEFAULT_SCAN_OPTIONS, ...options };
+  const isIncluded = createUrlFilter({ include, exclude });
+  const { control, siteAuth } = options;
+  const requestOptions = { signal: control && control.signal, auth: siteAuth, control };
+
+  const getRobots = options.ignoreRobots ? null
+    : (options.getRobots || createRobotsCache(url => fetchThrough(url, crawlTimeout, requestOptions)));
+  const robots = getRobots ? await getRobots(baseUrl) : null;
+
+  // Sitemaps declared in robots.txt, falling back to /sitemap.xml
+  // (use new URL to properly handle port numbers)
+  const sitemapUrls = robots && robots.sitemaps.length > 0
+    ? robots.sitemaps
+    : [new URL('/sitemap.xml', baseUrl).href];
 
   try {
-    const urls = await fetchAllSitemapUrls(sitemapUrl);
+    const visitedSitemaps = new Set();
+    let urls = [];
+    for (const sitemapUrl of sitemapUrls) {
+      urls = urls.concat(await fetchAllSitemapUrls(sitemapUrl, visitedSitemaps, requestOptions));
+    }
+    urls = [...new Set(urls)];
+
+    if (robots) {
+      const allowed = urls.filter(url => robots.isAllowed(url));
+      if (allowed.length < urls.length) {
+        console.log(`🤖 Skipped ${urls.length - allowed.length} pages disallowed by robots.txt`);
+      }
+      urls = allowed;
+    }
+
+    const included = urls.filter(isIncluded);
+    if (included.length < urls.length) {
+      console.log(`🚫 Skipped ${urls.length - included.length} pages excluded by URL patterns`);
+      urls = included;
+    }
+
+    if (urls.length > maxPages) {
+      console.log(`Reached page limit (${maxPages}), ignoring ${urls.length - maxPages} sitemap URLs`);
+      urls = urls.slice(0, maxPages);
+    }
 
     console.log(`\n✅ Sitemap discovery complete: ${urls.length} pages found`);
 
@@ -209,15 +192,28 @@ async function discoverFromSitemap(baseUrl, fetchPages = true) {
     console.log(`📥 Fetching ${urls.length} pages to extract links...`);
 
     const pages = [];
-    const BATCH_SIZE = 10; // Fetch 10 pages at a time
+    const crawlDelayMs = robots && robots.crawlDelay ? robots.crawlDelay * 1000 : 0;
+    const BATCH_SIZE = crawlDelayMs ? 1 : 10; // Fetch 10 pages at a time (one at a time with Crawl-delay)
 
     for (let i = 0; i < urls.length; i += BATCH_SIZE) {
       const batch = urls.slice(i, i + BATCH_SIZE);
 
+      if (control) {
+        await control.whenRunning();
+        if (control.cancelled) {
+          console.log(`🛑 Sitemap fetch cancelled`);
+          break;
+        }
+      }
+
+      if (crawlDelayMs && i > 0) {
+        await new Promise(resolve => setTimeout(resolve, crawlDelayMs));
+      }
+
       const batchResults = await Promise.all(
         batch.map(async (url) => {
           try {
-            const { data, status } = await fetchContent(url);
+            const { data, status } = await fetchThrough(url, crawlTimeout, requestOptions);
 
             if (status !== 200) {
               return {
@@ -233,14 +229,15 @@ async function discoverFromSitemap(baseUrl, fetchPages = true) {
 
             const $ = cheerio.load(data);
             const title = $('title').text() || 'Untitled';
-            const { links, images } = extractLinksFromHTML(data, url);
+            const links = extractLinks($, url);
 
             return {
               url,
               title,
-              links: [...links, ...images],
-              linksCount: links.length,
-              imagesCount: images.length,
+              links,
+              linksCount: links.filter(link => link.type === LINK_TYPES.link).length,
+              imagesCount: links.filter(link => link.type === LINK_TYPES.image).length,
+              anchors: extractAnchors($),
               source: 'sitemap'
             };
           } catch (error) {
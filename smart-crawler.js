@@ -1,5 +1,9 @@
-const { crawlWebsite } = require('./crawler');
+const { crawlWebsite, fetchPage } = require('./crawler');
 const { discoverFromSitemap } = require('./sitemap-crawler');
+const { createRobotsCache } = require('./robots');
+const { createBrowserRenderer, RENDER_CONCURRENCY } = require('./browser-renderer');
+const { createSiteAuth } = require('./auth');
+const { requestThrough } = require('./scan-control');
 
 /**
  * Intelligent crawler that automatically handles both traditional sites and SPAs
@@ -7,23 +11,65 @@ const { discoverFromSitemap } = require('./sitemap-crawler');
  * Strategy:
  * 1. Try traditional HTML crawling first (fast, works for 95% of sites)
  * 2. Detect if site is a SPA (only 1 page with 0 links found)
- * 3. Automatically fallback to sitemap.xml discovery
+ * 3. Render the site in headless Chromium (renderMode 'auto'), then
+ *    fallback to sitemap.xml discovery
  * 4. Return best available results
  *
+ * With renderMode 'always' every page is rendered and steps 1-3 are skipped.
+ *
  * @param {string} startUrl - URL to start crawling
  * @param {function} onProgress - Progress callback
  * @param {function} onPageCrawled - Page crawled callback
+ * @param {Object} options - Scan options (see scan-options.js), plus siteAuth
+ *   (shared with the link checker; built from options.auth when missing)
  * @returns {Promise<Object>} - Crawl results with method indicator
  */
-async function smartCrawl(startUrl, onProgress, onPageCrawled) {
+async function smartCrawl(startUrl, onProgress, onPageCrawled, options = {}) {
   console.log(`\n🔍 Starting intelligent crawl of ${startUrl}`);
+  const { renderMode = 'off' } = options;
+
+  // Credentials for the site's own host; log in before anything is fetched
+  const { control } = options;
+  const siteAuth = options.siteAuth || (options.auth ? createSiteAuth(startUrl, options.auth) : null);
+  if (siteAuth) {
+    await requestThrough(control, () => siteAuth.login());
+  }
+
+  // Share one robots.txt lookup between both crawlers so it's only fetched once
+  const fetchRobots = url => requestThrough(control, () =>
+    fetchPage(url, options.crawlTimeout, { signal: control && control.signal, auth: siteAuth }));
+  const crawlOptions = options.ignoreRobots
+    ? { ...options, siteAuth }
+    : { ...options, siteAuth, getRobots: options.getRobots || createRobotsCache(fetchRobots) };
+  if (options.ignoreRobots) {
+    console.log(`🤖 Ignoring robots.txt`);
+  }
+
+  if (renderMode === 'always') {
+    console.log(`🖥️  Rendering every page in headless Chromium...`);
+    const renderedResult = await renderCrawl(startUrl, onProgress, onPageCrawled, crawlOptions);
+    if (renderedResult) {
+      return { ...renderedResult, isSPA: false };
+    }
+
+    // No browser available - a plain crawl is better than nothing
+    const result = await smartCrawl(startUrl, onProgress, onPageCrawled, { ...crawlOptions, renderMode: 'off' });
+    return { ...result, warning: 'Render mode unavailable - pages crawled without JavaScript' };
+  }
 
   // Step 1: Try traditional crawling first
   console.log(`📊 Attempting traditional HTML crawling...`);
 
-  const traditionalResult = await crawlWebsite(startUrl, onProgress, onPageCrawled);
+  const shell = holdBackShellPage(onPageCrawled);
+  const traditionalResult = await crawlWebsite(startUrl, onProgress, shell.report, crawlOptions);
   const { pages } = traditionalResult;
 
+  // Cancelled: keep whatever was crawled, don't try other methods
+  if (control && control.cancelled) {
+    shell.release();
+    return { ...traditionalResult, method: 'traditional', isSPA: false };
+  }
+
   // Step 2: Check if we got meaningful results
   const successfulPages = pages.filter(p => !p.error);
   const hasLinks = successfulPages.some(p => p.linksCount > 0);
@@ -31,6 +77,7 @@ async function smartCrawl(startUrl, onProgress, onPageCrawled) {
   // Success criteria: Multiple pages OR at least one page with links
   if (pages.length > 1 || hasLinks) {
     console.log(`✅ Traditional crawling successful: ${pages.length} pages discovered`);
+    shell.release();
     return {
       ...traditionalResult,
       method: 'traditional',
@@ -38,12 +85,22 @@ async function smartCrawl(startUrl, onProgress, onPageCrawled) {
     };
   }
 
-  // Step 3: Looks like a SPA - try sitemap
+  // Step 3: Looks like a SPA - render it if allowed, else try sitemap
   console.log(`\n🔍 SPA detected (${pages.length} page, 0 links)`);
+
+  if (renderMode === 'auto') {
+    console.log(`🖥️  Rendering pages in headless Chromium...`);
+    const renderedResult = await renderCrawl(startUrl, onProgress, onPageCrawled, crawlOptions);
+    if (renderedResult) {
+      shell.release(renderedResult.pages);
+      return { ...renderedResult, isSPA: true };
+    }
+  }
+
   console.log(`📋 Attempting sitemap.xml discovery...`);
 
   try {
-    const sitemapPages = await discoverFromSitemap(startUrl);
+    const sitemapPages = await discoverFromSitemap(startUrl, true, crawlOptions);
 
     if (sitemapPages.length > 1) {
       console.log(`✅ Sitemap crawling successful: ${sitemapPages.length} pages discovered`);
@@ -52,6 +109,7 @@ async function smartCrawl(startUrl, onProgress, onPageCrawled) {
       if (onPageCrawled) {
         sitemapPages.forEach(page => onPageCrawled(page));
       }
+      shell.release(sitemapPages);
 
       return {
         pages: sitemapPages,
@@ -67,9 +125,12 @@ async function smartCrawl(startUrl, onProgress, onPageCrawled) {
   }
 
   // Step 4: Both methods failed - return traditional results with warning
+  shell.release();
   console.log(`⚠️  Unable to discover additional pages`);
   console.log(`   This may be a SPA without a sitemap.xml`);
-  console.log(`   Consider using a headless browser (Puppeteer) for complete coverage`);
+  if (renderMode === 'off') {
+    console.log(`   Consider renderMode 'auto' (headless Chromium) for complete coverage`);
+  }
 
   return {
     ...traditionalResult,
@@ -79,6 +140,68 @@ async function smartCrawl(startUrl, onProgress, onPageCrawled) {
   };
 }
 
+/**
+ * Wrap onPageCrawled for the traditional pass so a lone page without links
+ * (maybe a SPA's empty shell) is held back instead of reported right away
+ *
+ * A SPA is crawled again (rendered, or from the sitemap) and its pages are
+ * reported then, so the shell must not be reported twice. Any other page, or
+ * a page with links, means it's no SPA and the held page goes out at once.
+ *
+ * @returns {Object} - { report(page), release(laterPages) - report the held
+ *   page unless laterPages (from the second pass) already include its URL }
+ */
+function holdBackShellPage(onPageCrawled) {
+  let held = null;
+  let reported = false;
+
+  function release(laterPages = []) {
+    if (held && !laterPages.some(page => page.url === held.url)) {
+      onPageCrawled(held);
+    }
+    held = null;
+  }
+
+  function report(page) {
+    if (!reported && !held && !(page.linksCount > 0)) {
+      held = page;
+      return;
+    }
+    release();
+    reported = true;
+    onPageCrawled(page);
+  }
+
+  return { report: onPageCrawled ? report : null, release };
+}
+
+/**
+ * Crawl with every page rendered in headless Chromium
+ *
+ * @returns {Promise<Object|null>} - Crawl results, or null when no browser could be launched
+ */
+async function renderCrawl(startUrl, onProgress, onPageCrawled, crawlOptions) {
+  let renderer;
+  try {
+    renderer = await createBrowserRenderer();
+  } catch (error) {
+    console.log(`⚠️  Render mode unavailable: ${error.message}`);
+    return null;
+  }
+
+  try {
+    const result = await crawlWebsite(startUrl, onProgress, onPageCrawled, {
+      ...crawlOptions,
+      crawlConcurrency: Math.min(crawlOptions.crawlConcurrency || RENDER_CONCURRENCY, RENDER_CONCURRENCY),
+      loadPage: renderer.loadPage
+    });
+    console.log(`✅ Rendered crawling complete: ${result.pages.length} pages discovered`);
+    return { ...result, method: 'render' };
+  } finally {
+    await renderer.close();
+  }
+}
+
 /**
  * Helper function to check if a site is likely a SPA
  *
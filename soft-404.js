@@ -0,0 +1,202 @@
+/**
+ * Soft-404 detection: pages that answer 200 but are really "not found" pages
+ *
+ * Many CMSes serve their error page with a 200 status. For each host we
+ * request a URL that can't exist and fingerprint the answer; pages that look
+ * like it (same title, near-identical text and size) are suspected soft 404s.
+ * Hosts that answer the bogus URL with a real 404 never have soft 404s.
+ */
+const cheerio = require('cheerio');
+const crypto = require('crypto');
+const { URL } = require('url');
+const { createUrlFilter } = require('./url-filter');
+const { pageKey } = require('./anchor-checker');
+const { toOccurrence } = require('./link-extractor');
+
+const SHINGLE_SIZE = 3; // Compare text as overlapping 3-word sequences
+const SIMILAR_TEXT = 0.9; // Text this similar (and about the same size) is the error page
+const SIMILAR_SIZE = 0.8; // Shorter text is at least 80% of the longer one
+const SIMILAR_TEXT_SAME_TITLE = 0.6; // With the same title, less similar text is enough
+
+const SOFT_404_MESSAGE = 'Looks like a "not found" page (soft 404)';
+
+/**
+ * Reduce a page to what's compared: its title and visible text, with the
+ * requested path removed (error pages often repeat it)
+ *
+ * @param {string} html - Page HTML
+ * @param {string} url - URL the page was requested as
+ * @returns {Object} - { title, text, shingles }
+ */
+function fingerprintPage(html, url) {
+  const $ = cheerio.load(html || '');
+  $('script, style, noscript, template').remove();
+
+  // Text nodes joined with spaces, so "<li>Home</li><li>Blog</li>" stays two words
+  const body = $('body').length > 0 ? $('body') : $.root();
+  let text = body.find('*').addBack().contents()
+    .filter((i, node) => node.type === 'text')
+    .map((i, node) => node.data)
+    .get()
+    .join(' ');
+  let title = $('title').text();
+
+  const { pathname } = new URL(url);
+  const decodedPath = safeDecode(pathname);
+  const lastSegment = decodedPath.split('/').filter(Boolean).pop();
+  for (const echo of [pathname, decodedPath, lastSegment].filter(value => value && value !== '/')) {
+    text = text.split(echo).join(' ');
+    title = title.split(echo).join(' ');
+  }
+
+  text = normalizeText(text);
+  return { title: normalizeText(title), text, shingles: shingle(text) };
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+function normalizeText(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function shingle(text) {
+  const words = text.split(' ').filter(Boolean);
+  const shingles = new Set();
+  if (words.length <= SHINGLE_SIZE) {
+    shingles.add(words.join(' '));
+    return shingles;
+  }
+  for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+    shingles.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return shingles;
+}
+
+/**
+ * How much two fingerprints' text overlaps (Jaccard similarity, 0-1)
+ */
+function textSimilarity(a, b) {
+  let shared = 0;
+  for (const value of a.shingles) {
+    if (b.shingles.has(value)) shared++;
+  }
+  const total = a.shingles.size + b.shingles.size - shared;
+  return total === 0 ? 1 : shared / total;
+}
+
+/**
+ * Does a page look like the host's error page?
+ *
+ * @param {Object} page - Fingerprint of the candidate page
+ * @param {Object} errorPage - Fingerprint of the host's answer to a bogus URL
+ */
+function looksLikeErrorPage(page, errorPage) {
+  const similarity = textSimilarity(page, errorPage);
+  const sizeRatio = Math.min(page.text.length, errorPage.text.length) /
+    (Math.max(page.text.length, errorPage.text.length) || 1);
+  const sameTitle = page.title !== '' && page.title === errorPage.title;
+
+  return (similarity >= SIMILAR_TEXT && sizeRatio >= SIMILAR_SIZE) ||
+    (sameTitle && similarity >= SIMILAR_TEXT_SAME_TITLE);
+}
+
+/**
+ * Create a soft-404 detector that fingerprints each host's error page once
+ *
+ * @param {function} loadPage - (url) => { status, headers, data }, e.g. the
+ *   crawler's fetchPage or a browser renderer's loadPage
+ * @returns {Object} - { isSoft404(url, html), check(url) }
+ */
+function createSoft404Detector(loadPage) {
+  const errorPages = new Map(); // origin -> Promise<fingerprint|null>
+
+  // Fingerprint of the host's error page, or null when it sends real 404s
+  function errorPageFor(url) {
+    const { origin } = new URL(url);
+    if (!errorPages.has(origin)) {
+      const probeUrl = `${origin}/dead-links-must-die-${crypto.randomBytes(8).toString('hex')}`;
+      errorPages.set(origin, loadPage(probeUrl)
+        .then((response) => {
+          if (!isHtmlSuccess(response)) return null;
+          console.log(`🕵️  ${origin} answers missing pages with ${response.status} - checking for soft 404s`);
+          return fingerprintPage(response.data, probeUrl);
+        })
+        .catch(() => null));
+    }
+    return errorPages.get(origin);
+  }
+
+  /**
+   * Is this page (already loaded with a 2xx status) a soft 404?
+   * The home page never is: some sites send every unknown URL there.
+   */
+  async function isSoft404(url, html) {
+    if (new URL(url).pathname === '/') return false;
+
+    const errorPage = await errorPageFor(url);
+    return errorPage !== null && looksLikeErrorPage(fingerprintPage(html, url), errorPage);
+  }
+
+  return {
+    isSoft404,
+
+    /**
+     * Load a link's target and check it (false for anything but 2xx HTML)
+     */
+    async check(url) {
+      try {
+        const response = await loadPage(url);
+        return isHtmlSuccess(response) && await isSoft404(url, response.data);
+      } catch (e) {
+        return false;
+      }
+    }
+  };
+}
+
+function isHtmlSuccess(response) {
+  const contentType = (response.headers && response.headers['content-type']) || '';
+  return response.status >= 200 && response.status < 300 && contentType.includes('text/html');
+}
+
+/**
+ * Find links to crawled pages that were flagged as soft 404s
+ *
+ * @param {Array} pages - Crawled pages (soft 404s have soft404: true)
+ * @param {Object} options - Scan options (include/exclude patterns are honoured)
+ * @returns {Array} - Soft 404s as { url, status, message, occurrences }
+ */
+function findSoft404Pages(pages, options = {}) {
+  const isIncluded = createUrlFilter(options);
+  const soft404Pages = new Set(pages.filter(page => page.soft404).map(page => pageKey(page.url)));
+  const found = new Map(); // url -> { url, status, message, occurrences }
+
+  if (soft404Pages.size === 0) return [];
+
+  for (const page of pages) {
+    for (const link of page.links || []) {
+      if (!soft404Pages.has(pageKey(link.url)) || !isIncluded(link.url)) continue;
+
+      if (!found.has(link.url)) {
+        found.set(link.url, { url: link.url, status: 200, message: SOFT_404_MESSAGE, occurrences: [] });
+      }
+      found.get(link.url).occurrences.push(toOccurrence(page.url, link));
+    }
+  }
+
+  return [...found.values()];
+}
+
+module.exports = {
+  createSoft404Detector,
+  findSoft404Pages,
+  fingerprintPage,
+  looksLikeErrorPage,
+  SOFT_404_MESSAGE
+};
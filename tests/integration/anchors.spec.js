@@ -0,0 +1,65 @@
+const { test, expect } = require('@playwright/test');
+const { smartCrawl } = require('../../smart-crawler');
+const { checkLinks } = require('../../checker');
+const express = require('express');
+
+test.describe('Fragment Link Validation', () => {
+  let server;
+  let baseUrl;
+
+  test.beforeAll(async () => {
+    const app = express();
+
+    app.get('/', (req, res) => {
+      res.send(`
+        <!DOCTYPE html>
+        <html>
+          <head><title>Home</title></head>
+          <body>
+            <h1 id="welcome">Welcome</h1>
+            <a href="#welcome">Back to top</a>
+            <a href="#contact">Contact (missing in-page anchor)</a>
+            <a href="/docs#install">Install guide</a>
+            <a href="/docs#configuration">Configuration (missing cross-page anchor)</a>
+          </body>
+        </html>
+      `);
+    });
+
+    app.get('/docs', (req, res) => {
+      res.send(`
+        <!DOCTYPE html>
+        <html>
+          <head><title>Docs</title></head>
+          <body>
+            <h2 id="install">Install</h2>
+            <a href="/">Home</a>
+          </body>
+        </html>
+      `);
+    });
+
+    server = app.listen(0);
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  test.afterAll(async () => {
+    server.close();
+  });
+
+  test('reports links to anchors that do not exist', async () => {
+    const { pages } = await smartCrawl(baseUrl);
+    const crawledUrls = new Set(pages.map(p => p.url));
+    const results = await checkLinks(pages, crawledUrls);
+
+    expect(results.missingAnchors.map(a => a.url).sort()).toEqual([
+      `${baseUrl}/#contact`,
+      `${baseUrl}/docs#configuration`
+    ]);
+    expect(results.summary.missingAnchors).toBe(2);
+
+    // Fragment links to crawled pages aren't requested again
+    expect(results.brokenLinks).toEqual([]);
+    expect(results.summary.linksSkipped).toBe(results.summary.totalLinks);
+  });
+});
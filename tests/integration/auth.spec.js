@@ -0,0 +1,162 @@
+const { test, expect } = require('@playwright/test');
+const { smartCrawl } = require('../../smart-crawler');
+const { checkLinks } = require('../../checker');
+const { createSiteAuth } = require('../../auth');
+const { createScanControl } = require('../../scan-control');
+const { createRequestBudget } = require('../../request-budget');
+const express = require('express');
+
+test.describe('Authenticated Crawling', () => {
+  let siteServer;
+  let externalServer;
+  let siteUrl;
+  let externalUrl;
+  let externalRequests;
+  let requestBudget = null; // Set by tests that check the login waits for the budget
+  let loginSlotsInUse;
+
+  const BASIC = `Basic ${Buffer.from('preview:s3cret').toString('base64')}`;
+
+  test.beforeAll(async () => {
+    // Staging site: Basic auth everywhere, plus a members area behind a login form
+    const site = express();
+    site.use(express.urlencoded({ extended: false }));
+
+    site.use((req, res, next) => {
+      if (req.headers.authorization !== BASIC) {
+        return res.status(401).set('WWW-Authenticate', 'Basic').send('Unauthorized');
+      }
+      next();
+    });
+
+    site.post('/login', (req, res) => {
+      loginSlotsInUse = requestBudget ? requestBudget.active : null;
+      if (req.body.email !== 'me@example.com' || req.body.password !== 'hunter2') {
+        return res.status(403).send('Wrong password');
+      }
+      res.cookie('session', 'member-1').redirect('/members');
+    });
+
+    site.get('/', (req, res) => {
+      res.send(`
+        <html><head><title>Home</title></head><body>
+          <a href="/docs">Docs</a>
+          <a href="/members">Members</a>
+          <a href="/go-external">Partner</a>
+          <a href="${externalUrl}/page">External</a>
+        </body></html>
+      `);
+    });
+
+    site.get('/docs', (req, res) => {
+      res.send('<html><head><title>Docs</title></head><body><a href="/">Home</a></body></html>');
+    });
+
+    site.get('/members', (req, res) => {
+      if (!/session=member-1/.test(req.headers.cookie || '')) {
+        return res.status(403).send('Members only');
+      }
+      res.send('<html><head><title>Members</title></head><body><a href="/members/guide">Guide</a></body></html>');
+    });
+
+    site.get('/members/guide', (req, res) => {
+      res.send('<html><head><title>Guide</title></head><body><a href="/">Home</a></body></html>');
+    });
+
+    // On-site link that redirects off-site
+    site.get('/go-external', (req, res) => {
+      res.redirect(`${externalUrl}/landing`);
+    });
+
+    siteServer = site.listen(0);
+    siteUrl = `http://localhost:${siteServer.address().port}`;
+
+    // A different host (127.0.0.1 vs localhost) that records what it was sent
+    const external = express();
+    external.use((req, res) => {
+      externalRequests.push({ path: req.path, authorization: req.headers.authorization, cookie: req.headers.cookie });
+      res.send('<html><head><title>Partner</title></head><body>Hello</body></html>');
+    });
+
+    externalServer = external.listen(0);
+    externalUrl = `http://127.0.0.1:${externalServer.address().port}`;
+  });
+
+  test.beforeEach(() => {
+    externalRequests = [];
+  });
+
+  test.afterAll(async () => {
+    siteServer.close();
+    externalServer.close();
+  });
+
+  test('without credentials the site is unreachable', async () => {
+    const crawlResult = await smartCrawl(siteUrl, null, null, { ignoreRobots: true });
+
+    expect(crawlResult.pages.map(p => p.url)).not.toContain(`${siteUrl}/docs`);
+  });
+
+  test('crawls a Basic auth site without leaking credentials', async () => {
+    const options = { ignoreRobots: true, auth: { username: 'preview', password: 's3cret' } };
+    const siteAuth = createSiteAuth(siteUrl, options.auth);
+
+    const crawlResult = await smartCrawl(siteUrl, null, null, { ...options, siteAuth });
+    const crawledUrls = new Set(crawlResult.pages.map(p => p.url));
+    expect(crawledUrls).toContain(`${siteUrl}/docs`);
+    expect(crawledUrls).not.toContain(`${siteUrl}/members/guide`); // Needs the login
+
+    const checkResult = await checkLinks(crawlResult.pages, crawledUrls, null, null, { ...options, siteAuth, domainDelayMs: 0 });
+    expect(checkResult.summary.linksChecked).toBeGreaterThan(0);
+
+    expect(externalRequests.map(r => r.path)).toEqual(expect.arrayContaining(['/page', '/landing']));
+    for (const request of externalRequests) {
+      expect(request.authorization).toBeUndefined();
+      expect(request.cookie).toBeUndefined();
+    }
+  });
+
+  test('logs in with a form and crawls behind it', async () => {
+    const crawlResult = await smartCrawl(siteUrl, null, null, {
+      ignoreRobots: true,
+      auth: {
+        username: 'preview',
+        password: 's3cret',
+        login: { url: `${siteUrl}/login`, fields: { email: 'me@example.com', password: 'hunter2' } }
+      }
+    });
+
+    expect(crawlResult.pages.map(p => p.url)).toContain(`${siteUrl}/members/guide`);
+  });
+
+  test('the login takes from the request budget', async () => {
+    requestBudget = createRequestBudget({ maxRequests: 1 });
+    try {
+      await smartCrawl(siteUrl, null, null, {
+        ignoreRobots: true,
+        maxPages: 1,
+        control: createScanControl({ requestBudget }),
+        auth: {
+          username: 'preview',
+          password: 's3cret',
+          login: { url: `${siteUrl}/login`, fields: { email: 'me@example.com', password: 'hunter2' } }
+        }
+      });
+
+      expect(loginSlotsInUse).toBe(1);
+    } finally {
+      requestBudget = null;
+    }
+  });
+
+  test('fails the scan when the login is rejected', async () => {
+    await expect(smartCrawl(siteUrl, null, null, {
+      ignoreRobots: true,
+      auth: {
+        username: 'preview',
+        password: 's3cret',
+        login: { url: `${siteUrl}/login`, fields: { email: 'me@example.com', password: 'wrong' } }
+      }
+    })).rejects.toThrow('Login failed: HTTP 403');
+  });
+});
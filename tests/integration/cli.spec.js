@@ -0,0 +1,159 @@
+const { test, expect } = require('@playwright/test');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const CLI_PATH = path.join(__dirname, '../../cli.js');
+
+// Run the CLI as a child process and collect its output
+function runCli(args) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [CLI_PATH, ...args]);
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', (chunk) => { stdout += chunk; });
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    child.on('close', (code) => resolve({ code, stdout, stderr }));
+  });
+}
+
+test.describe('Command-line Interface', () => {
+  let server;
+  let baseUrl;
+
+  test.beforeAll(async () => {
+    const app = express();
+
+    // Healthy site section
+    app.get('/clean', (req, res) => {
+      res.send(`
+        <!DOCTYPE html>
+        <html>
+          <head><title>Clean Page</title></head>
+          <body>
+            <a href="/clean/about">About</a>
+          </body>
+        </html>
+      `);
+    });
+
+    app.get('/clean/about', (req, res) => {
+      res.send(`
+        <!DOCTYPE html>
+        <html>
+          <head><title>About</title></head>
+          <body>
+            <a href="/clean">Home</a>
+          </body>
+        </html>
+      `);
+    });
+
+    // Site section with a broken image
+    app.get('/', (req, res) => {
+      res.send(`
+        <!DOCTYPE html>
+        <html>
+          <head><title>Broken Page</title></head>
+          <body>
+            <img src="/missing.png" alt="Missing">
+          </body>
+        </html>
+      `);
+    });
+
+    server = app.listen(0);
+    const port = server.address().port;
+    baseUrl = `http://localhost:${port}`;
+  });
+
+  test.afterAll(async () => {
+    server.close();
+  });
+
+  test('exits 0 and prints a summary when no links are broken', async () => {
+    const { code, stdout } = await runCli([`${baseUrl}/clean`]);
+
+    expect(code).toBe(0);
+    expect(stdout).toContain('No broken links found');
+  });
+
+  test('exits 1 and lists broken links when some are found', async () => {
+    const { code, stdout } = await runCli([baseUrl]);
+
+    expect(code).toBe(1);
+    expect(stdout).toContain(`${baseUrl}/missing.png`);
+    expect(stdout).toContain('404');
+  });
+
+  test('prints parseable JSON results with --json', async () => {
+    const { code, stdout } = await runCli([baseUrl, '--json']);
+
+    expect(code).toBe(1);
+    const results = JSON.parse(stdout);
+    expect(results.url).toBe(baseUrl);
+    expect(results.summary.brokenLinks).toBe(1);
+    expect(results.brokenLinks[0].occurrences[0].page).toBe(`${baseUrl}/`);
+  });
+
+  test('checks a build directory with --dir, still requesting external links', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-dir-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'index.html'), `
+        <a href="about">About</a>
+        <a href="/gone/">Gone</a>
+        <a href="${baseUrl}/clean">External (working)</a>
+        <img src="${baseUrl}/missing.png" alt="External (broken)">
+      `);
+      fs.writeFileSync(path.join(dir, 'about.html'), '<a href="./">Home</a>');
+
+      const { code, stdout } = await runCli(['--dir', dir, 'https://docs.example.com/', '--json']);
+
+      expect(code).toBe(1);
+      const results = JSON.parse(stdout);
+      expect(results.summary.method).toBe('filesystem');
+      expect(results.summary.totalPages).toBe(2);
+      expect(results.brokenLinks.map(link => `${link.status} ${link.url}`).sort()).toEqual([
+        `404 ${baseUrl}/missing.png`,
+        '404 https://docs.example.com/gone/'
+      ]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('checks Markdown files with --markdown, reporting file and line', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-markdown-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'README.md'), [
+        '# Docs',
+        `[Working](${baseUrl}/clean) and [Install](INSTALL.md)`,
+        '',
+        `![Broken](${baseUrl}/missing.png)`
+      ].join('\n'));
+
+      const { code, stdout } = await runCli(['--markdown', dir]);
+
+      expect(code).toBe(1);
+      expect(stdout).toContain('File not found: INSTALL.md');
+      expect(stdout).toContain('in README.md:2');
+      expect(stdout).toContain(`${baseUrl}/missing.png`);
+      expect(stdout).toContain('in README.md:4');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('exits 2 on missing URL or unknown options', async () => {
+    const missing = await runCli([]);
+    expect(missing.code).toBe(2);
+    expect(missing.stderr).toContain('URL is required');
+
+    const unknown = await runCli([baseUrl, '--bogus']);
+    expect(unknown.code).toBe(2);
+    expect(unknown.stderr).toContain('Unknown option');
+  });
+});
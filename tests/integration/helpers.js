@@ -0,0 +1,49 @@
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+
+/**
+ * Helpers shared by the integration specs
+ */
+
+const SERVER_PATH = path.join(__dirname, '../../server.js');
+
+// Poll until the predicate returns a truthy value
+async function waitFor(fn, timeout = 20000) {
+  const start = Date.now();
+  while (Date.now() - start < timeout) {
+    const value = await fn();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Timed out waiting for condition');
+}
+
+// A port nothing listens on right now
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = net.createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start server.js as a child process and wait until it listens
+ *
+ * @param {Object} env - Extra environment variables (PORT, DATA_DIR...)
+ * @returns {Promise<Object>} - { child, output (stdout + stderr so far), exited (resolves to the exit code) }
+ */
+async function startServerProcess(env) {
+  const child = spawn(process.execPath, [SERVER_PATH], { env: { ...process.env, ...env } });
+  const server = { child, output: '' };
+  child.stdout.on('data', (chunk) => { server.output += chunk; });
+  child.stderr.on('data', (chunk) => { server.output += chunk; });
+  server.exited = new Promise(resolve => child.on('close', resolve));
+
+  await waitFor(() => server.output.includes('Server running'));
+  return server;
+}
+
+module.exports = { waitFor, freePort, startServerProcess, SERVER_PATH };
@@ -0,0 +1,144 @@
+const { test, expect } = require('@playwright/test');
+const { smartCrawl } = require('../../smart-crawler');
+const { crawlWebsite } = require('../../crawler');
+const { createScanControl } = require('../../scan-control');
+const { createRequestBudget } = require('../../request-budget');
+const express = require('express');
+
+test.describe('robots.txt Support', () => {
+  let siteServer;
+  let spaServer;
+  let siteUrl;
+  let spaUrl;
+  let requestBudget = null; // Set by tests that check requests wait for the budget
+  let unbudgeted = []; // Paths requested while no budget slot was taken
+
+  test.beforeAll(async () => {
+    // Traditional site that keeps crawlers out of /private
+    const site = express();
+
+    site.get('/robots.txt', (req, res) => {
+      res.type('text/plain').send('User-agent: *\nDisallow: /private\n');
+    });
+
+    site.get('/', (req, res) => {
+      res.send(`
+        <!DOCTYPE html>
+        <html>
+          <head><title>Home</title></head>
+          <body>
+            <a href="/about">About</a>
+            <a href="/private/admin">Admin</a>
+          </body>
+        </html>
+      `);
+    });
+
+    // Links to disallowed pages first
+    site.get('/index', (req, res) => {
+      res.send(`
+        <html><head><title>Index</title></head><body>
+          <a href="/private/one">One</a>
+          <a href="/private/two">Two</a>
+          <a href="/about">About</a>
+        </body></html>
+      `);
+    });
+
+    site.get('/about', (req, res) => {
+      res.send('<html><head><title>About</title></head><body><a href="/">Home</a></body></html>');
+    });
+
+    site.get('/private/admin', (req, res) => {
+      res.send('<html><head><title>Admin</title></head><body><a href="/">Home</a></body></html>');
+    });
+
+    siteServer = site.listen(0);
+    siteUrl = `http://localhost:${siteServer.address().port}`;
+
+    // SPA whose sitemap lives at a non-standard path, declared in robots.txt
+    const spa = express();
+
+    spa.use((req, res, next) => {
+      if (requestBudget && requestBudget.active === 0) unbudgeted.push(req.path);
+      next();
+    });
+
+    spa.get('/robots.txt', (req, res) => {
+      res.type('text/plain').send(`User-agent: *\nDisallow: /drafts\n\nSitemap: ${spaUrl}/maps/pages.xml\n`);
+    });
+
+    spa.get('/', (req, res) => {
+      res.send('<html><head><title>SPA</title></head><body><div id="root"></div></body></html>');
+    });
+
+    spa.get('/maps/pages.xml', (req, res) => {
+      res.set('Content-Type', 'application/xml');
+      res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>${spaUrl}/docs/intro</loc></url>
+  <url><loc>${spaUrl}/docs/guide</loc></url>
+  <url><loc>${spaUrl}/drafts/wip</loc></url>
+</urlset>`);
+    });
+
+    spa.get(['/docs/intro', '/docs/guide', '/drafts/wip'], (req, res) => {
+      res.send(`<html><head><title>${req.path}</title></head><body><a href="/">Home</a></body></html>`);
+    });
+
+    spaServer = spa.listen(0);
+    spaUrl = `http://localhost:${spaServer.address().port}`;
+  });
+
+  test.afterAll(async () => {
+    siteServer.close();
+    spaServer.close();
+  });
+
+  test('does not crawl pages disallowed by robots.txt', async () => {
+    const result = await smartCrawl(siteUrl);
+    const urls = result.pages.map(p => p.url);
+
+    expect(urls).toContain(`${siteUrl}/about`);
+    expect(urls).not.toContain(`${siteUrl}/private/admin`);
+  });
+
+  test('disallowed pages do not count toward the page limit', async () => {
+    const result = await crawlWebsite(`${siteUrl}/index`, null, null, { maxPages: 2 });
+    const urls = result.pages.map(p => p.url);
+
+    expect(urls).toEqual([`${siteUrl}/index`, `${siteUrl}/about`]);
+  });
+
+  test('crawls disallowed pages when robots.txt is ignored', async () => {
+    const result = await smartCrawl(siteUrl, null, null, { ignoreRobots: true });
+    const urls = result.pages.map(p => p.url);
+
+    expect(urls).toContain(`${siteUrl}/private/admin`);
+  });
+
+  test('seeds sitemap discovery from Sitemap: lines in robots.txt', async () => {
+    const result = await smartCrawl(spaUrl);
+    const urls = result.pages.map(p => p.url);
+
+    expect(result.method).toBe('sitemap');
+    expect(urls).toContain(`${spaUrl}/docs/intro`);
+    expect(urls).toContain(`${spaUrl}/docs/guide`);
+    expect(urls).not.toContain(`${spaUrl}/drafts/wip`);
+  });
+
+  test('robots.txt, sitemaps and soft 404 probes take from the request budget', async () => {
+    requestBudget = createRequestBudget({ maxRequests: 1 });
+    unbudgeted = [];
+    try {
+      const control = createScanControl({ requestBudget });
+      const result = await smartCrawl(spaUrl, null, null, { control });
+
+      expect(result.method).toBe('sitemap');
+      expect(unbudgeted).toEqual([]);
+      expect(requestBudget.active).toBe(0);
+    } finally {
+      requestBudget = null;
+    }
+  });
+});
@@ -0,0 +1,671 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+/**
+ * Integration tests for persistent scan history
+ * Runs the real API (in-process) against a mock site with a temporary data dir
+ */
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-history-'));
+process.env.DATA_DIR = dataDir;
+const { app, scheduler } = require('../../server');
+const { createScanStore } = require('../../scan-store');
+const { createCheckpointStore } = require('../../checkpoint-store');
+const { smartCrawl } = require('../../smart-crawler');
+const { checkLinks } = require('../../checker');
+const { waitFor } = require('./helpers');
+
+// Read Server-Sent Events until the stream ends or stop(event) returns true
+async function readEvents(url, { headers = {}, stop = () => false } = {}) {
+  const controller = new AbortController();
+  const response = await fetch(url, { headers, signal: controller.signal });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const events = [];
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return events;
+    buffer += decoder.decode(value, { stream: true });
+
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const event = {};
+      for (const line of buffer.slice(0, end).split('\n')) {
+        const separator = line.indexOf(': ');
+        const [field, text] = [line.slice(0, separator), line.slice(separator + 2)];
+        if (field === 'id') event.id = text;
+        if (field === 'event') event.type = text;
+        if (field === 'data') event.data = JSON.parse(text);
+      }
+      buffer = buffer.slice(end + 2);
+
+      if (!event.type) continue; // Heartbeat comment
+      events.push(event);
+      if (stop(event)) {
+        controller.abort();
+        return events;
+      }
+    }
+  }
+}
+
+test.describe('Scan History API', () => {
+  let siteServer;
+  let apiServer;
+  let siteUrl;
+  let apiUrl;
+
+  test.beforeAll(async () => {
+    const site = express();
+
+    site.get('/', (req, res) => {
+      res.send(`
+        <!DOCTYPE html>
+        <html>
+          <head><title>History Test</title></head>
+          <body>
+            <a href="/about">About</a>
+            <img src="/missing.png" alt="Missing">
+          </body>
+        </html>
+      `);
+    });
+
+    site.get('/about', (req, res) => {
+      res.send('<html><head><title>About</title></head><body><a href="/">Home</a></body></html>');
+    });
+
+    siteServer = site.listen(0);
+    siteUrl = `http://localhost:${siteServer.address().port}`;
+
+    apiServer = app.listen(0);
+    apiUrl = `http://localhost:${apiServer.address().port}`;
+  });
+
+  test.afterAll(async () => {
+    siteServer.close();
+    apiServer.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('completed scans are saved, listed and deletable', async () => {
+    const startResponse = await fetch(`${apiUrl}/api/scan`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: siteUrl })
+    });
+    const { scanId } = await startResponse.json();
+
+    // Wait for the scan to be written to disk
+    const scanFile = path.join(dataDir, 'scans', `${scanId}.json`);
+    await waitFor(() => fs.existsSync(scanFile));
+
+    const stored = JSON.parse(fs.readFileSync(scanFile, 'utf8'));
+    expect(stored.status).toBe('completed');
+    expect(stored.results.summary.brokenLinks).toBe(1);
+
+    // Listed in history
+    const listResponse = await fetch(`${apiUrl}/api/scans?url=${encodeURIComponent(siteUrl)}`);
+    const { scans } = await listResponse.json();
+    expect(scans.map(s => s.id)).toContain(scanId);
+    expect(scans.find(s => s.id === scanId).summary.brokenLinks).toBe(1);
+
+    // CI reports
+    const junit = await fetch(`${apiUrl}/api/scan/${scanId}/report?format=junit`);
+    expect(junit.headers.get('content-type')).toContain('application/xml');
+    expect(junit.headers.get('content-disposition')).toContain(`dead-links-${scanId}.xml`);
+    expect(await junit.text()).toContain('missing.png');
+
+    const sarif = await fetch(`${apiUrl}/api/scan/${scanId}/report?format=sarif`);
+    expect(sarif.headers.get('content-type')).toContain('application/sarif+json');
+    expect((await sarif.json()).runs[0].results[0].ruleId).toBe('broken-link');
+
+    const html = await fetch(`${apiUrl}/api/scan/${scanId}/report?format=html`);
+    expect(html.headers.get('content-type')).toContain('text/html');
+    expect(await html.text()).toContain('missing.png');
+
+    const unknownFormat = await fetch(`${apiUrl}/api/scan/${scanId}/report?format=pdf`);
+    expect(unknownFormat.status).toBe(400);
+    expect((await unknownFormat.json()).error).toBe('format must be one of: junit, sarif, html');
+
+    // Deleted from history
+    const deleteResponse = await fetch(`${apiUrl}/api/scans/${scanId}`, { method: 'DELETE' });
+    expect(deleteResponse.status).toBe(200);
+    expect(fs.existsSync(scanFile)).toBe(false);
+
+    const missing = await fetch(`${apiUrl}/api/scan/${scanId}`);
+    expect(missing.status).toBe(404);
+  });
+
+  test('soft 404 pages that were only crawled are not subtracted from working links', async () => {
+    // Every unknown URL answers 200 with the same "not found" page
+    const cms = express();
+    cms.get('/', (req, res) => {
+      res.send('<html><head><title>Home</title></head><body><a href="/gone">Gone</a></body></html>');
+    });
+    cms.use((req, res) => {
+      res.send('<html><head><title>Page not found</title></head><body><h1>Oops!</h1><p>We could not find that page.</p></body></html>');
+    });
+    const cmsServer = cms.listen(0);
+    const cmsUrl = `http://localhost:${cmsServer.address().port}`;
+
+    try {
+      const startResponse = await fetch(`${apiUrl}/api/scan`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url: cmsUrl, options: { soft404Detection: 'pages' } })
+      });
+      const { scanId } = await startResponse.json();
+
+      const scanFile = path.join(dataDir, 'scans', `${scanId}.json`);
+      await waitFor(() => fs.existsSync(scanFile));
+      const { summary } = JSON.parse(fs.readFileSync(scanFile, 'utf8')).results;
+      expect(summary.soft404s).toBe(1);
+      expect(summary.workingLinks).toBe(summary.linksChecked);
+    } finally {
+      cmsServer.close();
+    }
+  });
+
+  test('summarizes a scan the same way as the command line', async () => {
+    // Checked links of every kind: working, redirected, broken and a warning
+    const mixed = express();
+    mixed.get('/', (req, res) => {
+      const other = `http://127.0.0.1:${mixedServer.address().port}`;
+      res.send(`<html><head><title>Home</title></head><body>
+        <a href="${other}/ok">OK</a>
+        <a href="${other}/moved">Moved</a>
+        <a href="${other}/gone">Gone</a>
+        <a href="${other}/secret">Secret</a>
+      </body></html>`);
+    });
+    mixed.get('/ok', (req, res) => res.send('<html><head><title>OK</title></head><body></body></html>'));
+    mixed.get('/moved', (req, res) => res.redirect(301, '/ok'));
+    mixed.get('/secret', (req, res) => res.status(403).send('Forbidden'));
+    const mixedServer = mixed.listen(0);
+    const mixedUrl = `http://localhost:${mixedServer.address().port}`;
+
+    try {
+      const startResponse = await fetch(`${apiUrl}/api/scan`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url: mixedUrl })
+      });
+      const { scanId } = await startResponse.json();
+      const scanFile = path.join(dataDir, 'scans', `${scanId}.json`);
+      await waitFor(() => fs.existsSync(scanFile));
+      const { summary } = JSON.parse(fs.readFileSync(scanFile, 'utf8')).results;
+
+      const { pages } = await smartCrawl(mixedUrl);
+      const cli = (await checkLinks(pages, new Set(pages.map(p => p.url)))).summary;
+
+      expect(summary).toMatchObject({ linksChecked: 4, workingLinks: 1, brokenLinks: 1, redirects: 1, warnings: 1 });
+      for (const key of ['linksChecked', 'linksSkipped', 'workingLinks', 'brokenLinks', 'redirects', 'warnings']) {
+        expect(cli[key]).toBe(summary[key]);
+      }
+    } finally {
+      mixedServer.close();
+    }
+  });
+
+  test('waits out a Retry-After longer than the inactivity timeout', async () => {
+    test.setTimeout(90000);
+
+    // A different host that asks for a 32s pause before it answers
+    let busyUntil = null;
+    const receiver = express();
+    receiver.use((req, res) => {
+      busyUntil = busyUntil || Date.now() + 32000;
+      if (Date.now() < busyUntil) {
+        return res.status(429).set('Retry-After', '32').send('Slow down');
+      }
+      res.send('OK');
+    });
+    const receiverServer = receiver.listen(0);
+    const receiverUrl = `http://127.0.0.1:${receiverServer.address().port}/busy`;
+
+    const busySite = express();
+    busySite.get('/', (req, res) => {
+      res.send(`<html><head><title>Home</title></head><body><a href="${receiverUrl}">Busy</a></body></html>`);
+    });
+    const busySiteServer = busySite.listen(0);
+
+    try {
+      const startResponse = await fetch(`${apiUrl}/api/scan`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url: `http://localhost:${busySiteServer.address().port}` })
+      });
+      const { scanId } = await startResponse.json();
+
+      const scanFile = path.join(dataDir, 'scans', `${scanId}.json`);
+      await waitFor(() => fs.existsSync(scanFile), 80000);
+      const stored = JSON.parse(fs.readFileSync(scanFile, 'utf8'));
+      expect(stored.status).toBe('completed');
+      expect(stored.results.summary).toMatchObject({ linksChecked: 1, workingLinks: 1, warnings: 0 });
+    } finally {
+      receiverServer.close();
+      busySiteServer.close();
+    }
+  });
+
+  test('rejects invalid scan options', async () => {
+    const post = (options) => fetch(`${apiUrl}/api/scan`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: siteUrl, options })
+    });
+
+    const outOfRange = await post({ maxPages: 0 });
+    expect(outOfRange.status).toBe(400);
+    expect((await outOfRange.json()).error).toContain('maxPages');
+
+    const unknown = await post({ turbo: true });
+    expect(unknown.status).toBe(400);
+    expect((await unknown.json()).error).toContain('turbo');
+
+    const offSiteLogin = await post({ auth: { login: { url: 'https://example.com/login' } } });
+    expect(offSiteLogin.status).toBe(400);
+    expect((await offSiteLogin.json()).error).toBe(`auth.login.url must be on ${siteUrl}`);
+  });
+
+  test('never stores credentials', async () => {
+    const startResponse = await fetch(`${apiUrl}/api/scan`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: siteUrl, options: { auth: { cookie: 'session=top-secret' } } })
+    });
+    const { scanId } = await startResponse.json();
+
+    const scanFile = path.join(dataDir, 'scans', `${scanId}.json`);
+    await waitFor(() => fs.existsSync(scanFile));
+
+    const stored = fs.readFileSync(scanFile, 'utf8');
+    expect(JSON.parse(stored).options.auth).toBe('[redacted]');
+    expect(stored).not.toContain('top-secret');
+
+    const scan = await (await fetch(`${apiUrl}/api/scan/${scanId}`)).json();
+    expect(scan.options.auth).toBe('[redacted]');
+  });
+
+  test('returns 404 when deleting an unknown scan', async () => {
+    const response = await fetch(`${apiUrl}/api/scans/does-not-exist`, { method: 'DELETE' });
+    expect(response.status).toBe(404);
+  });
+
+  test('resumes an interrupted scan from its checkpoint', async () => {
+    const home = `${siteUrl}/`;
+    await createCheckpointStore({ dataDir }).save('interrupted-1', {
+      scan: { id: 'interrupted-1', url: siteUrl, options: {}, startedAt: Date.now() - 60000 },
+      crawl: { baseUrl: home, visited: [home], toVisit: [`${siteUrl}/about`] },
+      pages: [{
+        url: home,
+        title: 'History Test',
+        links: [
+          { url: `${siteUrl}/about`, text: 'About', type: 'link' },
+          { url: `${siteUrl}/missing.png`, text: 'Missing', type: 'image' }
+        ],
+        linksCount: 1,
+        imagesCount: 1,
+        anchors: []
+      }],
+      checks: []
+    });
+
+    const listResponse = await fetch(`${apiUrl}/api/scans`);
+    const { scans } = await listResponse.json();
+    expect(scans.find(s => s.id === 'interrupted-1').status).toBe('interrupted');
+
+    const resume = await fetch(`${apiUrl}/api/scan/interrupted-1/resume`, { method: 'POST' });
+    expect(resume.status).toBe(200);
+
+    const scanFile = path.join(dataDir, 'scans', 'interrupted-1.json');
+    await waitFor(() => fs.existsSync(scanFile));
+    const stored = JSON.parse(fs.readFileSync(scanFile, 'utf8'));
+    expect(stored.status).toBe('completed');
+    expect(stored.results.summary.totalPages).toBe(2);
+    expect(stored.results.summary.brokenLinks).toBe(1);
+
+    // Finished scans don't keep a checkpoint
+    await waitFor(() => !fs.existsSync(path.join(dataDir, 'checkpoints', 'interrupted-1')));
+  });
+
+  test('diffs two stored scans of the same site', async () => {
+    const store = createScanStore({ dataDir });
+    const brokenLink = (url) => ({ url, status: 404, message: 'Not Found', occurrences: [{ page: 'https://example.com/', text: 'x', type: 'link' }] });
+    const scan = (id, startedAt, brokenLinks, url = 'https://example.com', status = 'completed') => ({
+      id, url, status, startedAt, completedAt: startedAt, progress: {},
+      results: { summary: { brokenLinks: brokenLinks.length }, brokenLinks }
+    });
+
+    await store.saveScan(scan('diff-a', Date.now() - 2000, [brokenLink('https://example.com/old'), brokenLink('https://example.com/fixed')]));
+    await store.saveScan(scan('diff-b', Date.now() - 1000, [brokenLink('https://example.com/old'), brokenLink('https://example.com/new')]));
+    await store.saveScan(scan('diff-other', Date.now(), [], 'https://other.example'));
+    await store.saveScan(scan('diff-partial', Date.now(), [], 'https://example.com', 'cancelled'));
+
+    const response = await fetch(`${apiUrl}/api/scans/diff-a/diff/diff-b`);
+    expect(response.status).toBe(200);
+    const diff = await response.json();
+    expect(diff.newBroken.map(l => l.url)).toEqual(['https://example.com/new']);
+    expect(diff.stillBroken.map(l => l.url)).toEqual(['https://example.com/old']);
+    expect(diff.fixed.map(l => l.url)).toEqual(['https://example.com/fixed']);
+
+    const otherSite = await fetch(`${apiUrl}/api/scans/diff-a/diff/diff-other`);
+    expect(otherSite.status).toBe(400);
+
+    // A partial scan would report every link it never got to as fixed
+    const partial = await fetch(`${apiUrl}/api/scans/diff-a/diff/diff-partial`);
+    expect(partial.status).toBe(409);
+
+    const unknown = await fetch(`${apiUrl}/api/scans/diff-a/diff/nope`);
+    expect(unknown.status).toBe(404);
+  });
+});
+
+test.describe('Scan Control API', () => {
+  let siteServer;
+  let apiServer;
+  let siteUrl;
+  let apiUrl;
+
+  test.beforeAll(async () => {
+    const site = express();
+
+    // A chain of slow pages, so scans are still running when we act on them
+    site.get('/page/:n', (req, res) => {
+      const n = Number(req.params.n);
+      setTimeout(() => {
+        res.send(`<html><head><title>Page ${n}</title></head><body><a href="/page/${n + 1}">Next</a></body></html>`);
+      }, 200);
+    });
+
+    siteServer = site.listen(0);
+    siteUrl = `http://localhost:${siteServer.address().port}`;
+
+    apiServer = app.listen(0);
+    apiUrl = `http://localhost:${apiServer.address().port}`;
+  });
+
+  test.afterAll(async () => {
+    siteServer.close();
+    apiServer.close();
+  });
+
+  async function startScan() {
+    const response = await fetch(`${apiUrl}/api/scan`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: `${siteUrl}/page/1`, options: { crawlConcurrency: 1, maxPages: 100 } })
+    });
+    return (await response.json()).scanId;
+  }
+
+  const getScan = async (scanId) => (await fetch(`${apiUrl}/api/scan/${scanId}`)).json();
+
+  test('pauses, resumes and cancels a running scan', async () => {
+    const scanId = await startScan();
+    await waitFor(async () => (await getScan(scanId)).progress.pagesCrawled >= 1);
+
+    const pause = await fetch(`${apiUrl}/api/scan/${scanId}/pause`, { method: 'POST' });
+    expect(pause.status).toBe(200);
+    expect((await pause.json()).status).toBe('paused');
+
+    // The page in flight may finish, then nothing new is crawled
+    await new Promise(resolve => setTimeout(resolve, 500));
+    const pausedAt = (await getScan(scanId)).progress.pagesCrawled;
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    const stillPaused = await getScan(scanId);
+    expect(stillPaused.status).toBe('paused');
+    expect(stillPaused.progress.pagesCrawled).toBe(pausedAt);
+
+    const pauseAgain = await fetch(`${apiUrl}/api/scan/${scanId}/pause`, { method: 'POST' });
+    expect(pauseAgain.status).toBe(409);
+
+    const resume = await fetch(`${apiUrl}/api/scan/${scanId}/resume`, { method: 'POST' });
+    expect((await resume.json()).status).toBe('scanning');
+    await waitFor(async () => (await getScan(scanId)).progress.pagesCrawled > pausedAt);
+
+    const cancel = await fetch(`${apiUrl}/api/scan/${scanId}`, { method: 'DELETE' });
+    expect(cancel.status).toBe(200);
+
+    // Cancelled scans keep their partial results in history
+    const scanFile = path.join(dataDir, 'scans', `${scanId}.json`);
+    await waitFor(() => fs.existsSync(scanFile));
+    const stored = JSON.parse(fs.readFileSync(scanFile, 'utf8'));
+    expect(stored.status).toBe('cancelled');
+    expect(stored.results.summary.totalPages).toBeGreaterThan(pausedAt);
+    expect(stored.results.summary.totalPages).toBeLessThan(100);
+
+    const cancelAgain = await fetch(`${apiUrl}/api/scan/${scanId}`, { method: 'DELETE' });
+    expect(cancelAgain.status).toBe(409);
+  });
+
+  test('streams typed progress events and resumes from the last event id', async () => {
+    const scanId = await startScan();
+    const progressUrl = `${apiUrl}/api/scan/${scanId}/progress`;
+
+    // A snapshot first, then incremental events
+    let pagesSeen = 0;
+    const first = await readEvents(progressUrl, { stop: event => event.type === 'page-crawled' && ++pagesSeen === 2 });
+    expect(first[0].type).toBe('snapshot');
+    expect(first[0].data.id).toBe(scanId);
+    expect(first.map(event => event.type)).toContain('crawl-progress');
+    const crawled = first.filter(event => event.type === 'page-crawled');
+    expect(crawled[0].data).toMatchObject({ url: `${siteUrl}/page/1`, title: 'Page 1', links: 1 });
+
+    await fetch(`${apiUrl}/api/scan/${scanId}`, { method: 'DELETE' });
+
+    // Reconnecting only replays what was missed, up to the end of the scan
+    const lastSeen = first[first.length - 1].id;
+    const rest = await readEvents(progressUrl, { headers: { 'Last-Event-ID': lastSeen } });
+    expect(rest.map(event => event.type)).not.toContain('snapshot');
+    expect(Number(rest[0].id.split('-')[1])).toBe(Number(lastSeen.split('-')[1]) + 1);
+    expect(rest.filter(event => event.type === 'stage-changed').map(event => event.data.status)).toContain('cancelling');
+    const finished = rest[rest.length - 1];
+    expect(finished.type).toBe('scan-finished');
+    expect(finished.data.status).toBe('cancelled');
+
+    // An id that can't be resumed from gets a fresh snapshot
+    const fresh = await readEvents(`${progressUrl}?lastEventId=unknown-1`);
+    expect(fresh.map(event => event.type)).toEqual(['snapshot']);
+    expect(fresh[0].data.status).toBe('cancelled');
+  });
+
+  test('returns 404 for unknown scans', async () => {
+    const progress = await fetch(`${apiUrl}/api/scan/does-not-exist/progress`);
+    expect(progress.status).toBe(404);
+
+    const cancel = await fetch(`${apiUrl}/api/scan/does-not-exist`, { method: 'DELETE' });
+    expect(cancel.status).toBe(404);
+
+    const resume = await fetch(`${apiUrl}/api/scan/does-not-exist/resume`, { method: 'POST' });
+    expect(resume.status).toBe(404);
+  });
+});
+
+test.describe('Schedules API', () => {
+  let siteServer;
+  let apiServer;
+  let siteUrl;
+  let apiUrl;
+
+  test.beforeAll(async () => {
+    const site = express();
+
+    // A chain of slow pages, so a scheduled run is still going when the next one is due
+    site.get('/page/:n', (req, res) => {
+      const n = Number(req.params.n);
+      setTimeout(() => {
+        res.send(`<html><head><title>Page ${n}</title></head><body><a href="/page/${n + 1}">Next</a></body></html>`);
+      }, 200);
+    });
+
+    siteServer = site.listen(0);
+    siteUrl = `http://localhost:${siteServer.address().port}`;
+
+    apiServer = app.listen(0);
+    apiUrl = `http://localhost:${apiServer.address().port}`;
+  });
+
+  test.afterAll(async () => {
+    siteServer.close();
+    apiServer.close();
+  });
+
+  const addSchedule = (body) => fetch(`${apiUrl}/api/schedules`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  test('rejects invalid schedules', async () => {
+    const badCron = await addSchedule({ url: siteUrl, cron: '0 25 * * *' });
+    expect(badCron.status).toBe(400);
+    expect((await badCron.json()).error).toContain('Invalid cron hour: 25');
+
+    const never = await addSchedule({ url: siteUrl, cron: '0 0 31 2 *' });
+    expect(never.status).toBe(400);
+
+    const noUrl = await addSchedule({ cron: '@daily' });
+    expect((await noUrl.json()).error).toBe('URL is required');
+
+    const withAuth = await addSchedule({ url: siteUrl, cron: '@daily', options: { auth: { cookie: 'session=1' } } });
+    expect(withAuth.status).toBe(400);
+    expect((await withAuth.json()).error).toContain('credentials are never saved');
+
+    const unknown = await fetch(`${apiUrl}/api/schedules/nope`, { method: 'DELETE' });
+    expect(unknown.status).toBe(404);
+  });
+
+  test('runs due schedules without overlapping runs of a site', async () => {
+    const url = `${siteUrl}/page/1`;
+    const response = await addSchedule({ url, cron: '*/5 * * * *', options: { crawlConcurrency: 1, maxPages: 100 } });
+    expect(response.status).toBe(200);
+    const schedule = await response.json();
+    expect(schedule.nextRunAt).toBeGreaterThan(Date.now());
+
+    const { schedules } = await (await fetch(`${apiUrl}/api/schedules`)).json();
+    expect(schedules.map(s => s.id)).toContain(schedule.id);
+
+    const getSchedule = async () => (await (await fetch(`${apiUrl}/api/schedules`)).json())
+      .schedules.find(s => s.id === schedule.id);
+
+    // First run is due: a scan starts and is tagged with the schedule
+    await scheduler.checkDue(schedule.nextRunAt);
+    const first = await getSchedule();
+    expect(first.lastRun.skipped).toBe(false);
+    const scan = await (await fetch(`${apiUrl}/api/scan/${first.lastRun.scanId}`)).json();
+    expect(scan.url).toBe(url);
+    expect(scan.scheduleId).toBe(schedule.id);
+
+    // The next run comes due while the first is still crawling, so it's skipped
+    await scheduler.checkDue(first.nextRunAt);
+    const second = await getSchedule();
+    expect(second.lastRun).toEqual({ at: first.nextRunAt, scanId: null, skipped: true });
+
+    await fetch(`${apiUrl}/api/scan/${first.lastRun.scanId}`, { method: 'DELETE' });
+    await waitFor(() => fs.existsSync(path.join(dataDir, 'scans', `${first.lastRun.scanId}.json`)));
+
+    const deleted = await fetch(`${apiUrl}/api/schedules/${schedule.id}`, { method: 'DELETE' });
+    expect(deleted.status).toBe(200);
+    expect(await getSchedule()).toBeUndefined();
+  });
+});
+
+test.describe('Webhooks API', () => {
+  let siteServer;
+  let receiverServer;
+  let apiServer;
+  let siteUrl;
+  let receiverUrl;
+  let apiUrl;
+  let brokenImages;
+  const received = [];
+
+  test.beforeAll(async () => {
+    // Site whose broken images change between scans
+    brokenImages = ['/missing.png'];
+    const site = express();
+    site.get('/', (req, res) => {
+      res.send(`<html><head><title>Webhooks</title></head><body>${brokenImages.map(src => `<img src="${src}">`).join('')}</body></html>`);
+    });
+    siteServer = site.listen(0);
+    siteUrl = `http://localhost:${siteServer.address().port}`;
+
+    const receiver = express();
+    receiver.use(express.json());
+    receiver.post('/hook', (req, res) => {
+      received.push({ headers: req.headers, body: req.body });
+      res.send('ok');
+    });
+    receiverServer = receiver.listen(0);
+    receiverUrl = `http://localhost:${receiverServer.address().port}/hook`;
+
+    apiServer = app.listen(0);
+    apiUrl = `http://localhost:${apiServer.address().port}`;
+  });
+
+  test.afterAll(async () => {
+    siteServer.close();
+    receiverServer.close();
+    apiServer.close();
+  });
+
+  const post = (pathname, body) => fetch(`${apiUrl}${pathname}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  test('rejects invalid webhooks', async () => {
+    const response = await post('/api/webhooks', { url: 'not a url' });
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toBe('Webhook url must be an http(s) URL');
+
+    const unknown = await fetch(`${apiUrl}/api/webhooks/nope`, { method: 'DELETE' });
+    expect(unknown.status).toBe(404);
+  });
+
+  test('notifies webhooks when a scan finishes, with the new broken count', async () => {
+    const response = await post('/api/webhooks', { url: receiverUrl, secret: 'shh', site: siteUrl });
+    const webhook = await response.json();
+    expect(webhook.secret).toBe('[redacted]');
+
+    const { webhooks } = await (await fetch(`${apiUrl}/api/webhooks`)).json();
+    expect(webhooks.find(w => w.id === webhook.id).secret).toBe('[redacted]');
+
+    // First scan of the site: nothing to compare with
+    const first = await (await post('/api/scan', { url: siteUrl })).json();
+    await waitFor(() => received.length === 1);
+    expect(received[0].headers['x-deadlinks-signature']).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(received[0].body).toMatchObject({
+      event: 'scan.completed',
+      scan: { id: first.scanId, url: siteUrl },
+      brokenLinks: 1,
+      newBrokenLinks: null
+    });
+    expect(received[0].body.reportUrl).toMatch(new RegExp(`/\\?scan=${first.scanId}$`));
+
+    // Second scan finds one more broken image
+    await waitFor(() => fs.existsSync(path.join(dataDir, 'scans', `${first.scanId}.json`)));
+    brokenImages.push('/gone.png');
+    const second = await (await post('/api/scan', { url: siteUrl })).json();
+    await waitFor(() => received.length === 2);
+    expect(received[1].body).toMatchObject({ scan: { id: second.scanId }, brokenLinks: 2, newBrokenLinks: 1 });
+
+    const delivered = await waitFor(async () => {
+      const { webhooks: list } = await (await fetch(`${apiUrl}/api/webhooks`)).json();
+      const current = list.find(w => w.id === webhook.id);
+      return current.lastDelivery && current.lastDelivery.scanId === second.scanId && current.lastDelivery;
+    });
+    expect(delivered).toMatchObject({ ok: true, status: 200, attempts: 1, event: 'scan.completed' });
+
+    const deleted = await fetch(`${apiUrl}/api/webhooks/${webhook.id}`, { method: 'DELETE' });
+    expect(deleted.status).toBe(200);
+  });
+});
@@ -0,0 +1,156 @@
+const { test, expect } = require('@playwright/test');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { waitFor, freePort, startServerProcess, SERVER_PATH } = require('./helpers');
+
+/**
+ * Integration tests for the scan queue
+ * Runs the real server as a child process allowing one scan at a time
+ */
+
+test.describe('Scan Queue', () => {
+  let site;
+  let siteUrl;
+  let dataDir;
+  let port;
+  let server;
+  let api;
+  let receiverServer;
+  const received = [];
+
+  test.beforeAll(async () => {
+    const siteApp = express();
+
+    // Slow pages, each linking to the next few
+    siteApp.get('/page/:n', (req, res) => {
+      const n = parseInt(req.params.n, 10);
+      const links = [1, 2, 3].map(i => `<a href="/page/${n + i}">Page ${n + i}</a>`).join('');
+      setTimeout(() => {
+        res.send(`<!DOCTYPE html><html><head><title>Page ${n}</title></head><body>${links}</body></html>`);
+      }, 500);
+    });
+
+    await new Promise((resolve) => {
+      site = siteApp.listen(0, () => {
+        siteUrl = `http://localhost:${site.address().port}`;
+        resolve();
+      });
+    });
+
+    // Webhook receiver
+    const receiver = express();
+    receiver.use(express.json());
+    receiver.post('/hook', (req, res) => {
+      received.push(req.body);
+      res.send('ok');
+    });
+    await new Promise((resolve) => {
+      receiverServer = receiver.listen(0, resolve);
+    });
+
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-queue-'));
+    port = await freePort();
+    api = `http://localhost:${port}/api`;
+    server = await startQueueServer();
+  });
+
+  function startQueueServer() {
+    return startServerProcess({ PORT: String(port), DATA_DIR: dataDir, MAX_CONCURRENT_SCANS: '1', SHUTDOWN_GRACE_MS: '2000' });
+  }
+
+  test.afterAll(async () => {
+    if (server.child.exitCode === null) {
+      server.child.kill('SIGKILL');
+      await server.exited;
+    }
+    await new Promise(resolve => site.close(resolve));
+    await new Promise(resolve => receiverServer.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  async function startScan(n) {
+    const response = await fetch(`${api}/scan`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: `${siteUrl}/page/${n}`, options: { maxPages: 100 } })
+    });
+    return response.json();
+  }
+
+  const getScan = async (scanId) => (await fetch(`${api}/scan/${scanId}`)).json();
+
+  test('queues scans beyond the limit and starts them in order', async () => {
+    test.setTimeout(60000);
+
+    const first = await startScan(0);
+    expect(first.status).toBe('scanning');
+
+    const second = await startScan(1000);
+    const third = await startScan(2000);
+    expect(second).toMatchObject({ status: 'queued', queuePosition: 1 });
+    expect(third).toMatchObject({ status: 'queued', queuePosition: 2 });
+
+    const queued = await getScan(second.scanId);
+    expect(queued.progress.stage).toBe('queued');
+    const { scans } = await (await fetch(`${api}/scans`)).json();
+    expect(scans.find(scan => scan.id === third.scanId).status).toBe('queued');
+
+    // Queued scans can't be paused, but can be taken out of the queue
+    const paused = await fetch(`${api}/scan/${second.scanId}/pause`, { method: 'POST' });
+    expect(paused.status).toBe(409);
+
+    const hook = await fetch(`${api}/webhooks`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: `http://localhost:${receiverServer.address().port}/hook`, events: ['cancelled'] })
+    });
+    expect(hook.ok).toBe(true);
+
+    const removed = await fetch(`${api}/scan/${second.scanId}`, { method: 'DELETE' });
+    expect((await removed.json()).status).toBe('cancelled');
+    expect(await getScan(second.scanId)).toMatchObject({ status: 'cancelled', queuePosition: null });
+    await waitFor(() => received.length === 1);
+    expect(received[0]).toMatchObject({ event: 'scan.cancelled', scan: { id: second.scanId }, summary: null });
+    expect((await getScan(third.scanId)).queuePosition).toBe(1);
+
+    // The next scan starts once the running one ends
+    await fetch(`${api}/scan/${first.scanId}`, { method: 'DELETE' });
+    await waitFor(async () => (await getScan(first.scanId)).status === 'cancelled');
+    await waitFor(async () => (await getScan(third.scanId)).status === 'scanning');
+    expect((await getScan(third.scanId)).queuePosition).toBe(null);
+
+    // A scan still queued at shutdown is checkpointed so it can be resumed
+    const fourth = await startScan(3000);
+    expect(fourth.status).toBe('queued');
+
+    server.child.kill('SIGTERM');
+    expect(await server.exited).toBe(0);
+    expect(fs.existsSync(path.join(dataDir, 'checkpoints', fourth.scanId, 'state.json'))).toBe(true);
+    const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'scans', `${fourth.scanId}.json`), 'utf8'));
+    expect(stored.status).toBe('interrupted');
+
+    // Resuming it while another scan runs queues it again
+    server = await startQueueServer();
+    expect((await startScan(4000)).status).toBe('scanning');
+    const resumed = await fetch(`${api}/scan/${fourth.scanId}/resume`, { method: 'POST' });
+    expect(await resumed.json()).toEqual({ status: 'queued', queuePosition: 1 });
+
+    server.child.kill('SIGTERM');
+    expect(await server.exited).toBe(0);
+  });
+
+  test('refuses to start when no scan could ever run', () => {
+    for (const name of ['MAX_CONCURRENT_SCANS', 'MAX_OUTBOUND_REQUESTS']) {
+      const result = spawnSync(process.execPath, [SERVER_PATH], {
+        env: { ...process.env, PORT: '0', DATA_DIR: dataDir, [name]: '-1' },
+        encoding: 'utf8',
+        timeout: 10000
+      });
+      expect(result.status).not.toBe(0);
+      expect(result.stderr).toContain(`${name} must be at least 1`);
+    }
+  });
+});
@@ -0,0 +1,111 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { waitFor, freePort, startServerProcess } = require('./helpers');
+
+/**
+ * Integration tests for graceful shutdown
+ * Runs the real server as a child process, stops it with SIGTERM mid-scan and
+ * starts it again on the same data dir
+ */
+
+// Start server.js on the shared data dir
+function startServer(port, dataDir) {
+  return startServerProcess({ PORT: String(port), DATA_DIR: dataDir, SHUTDOWN_GRACE_MS: '5000' });
+}
+
+test.describe('Graceful Shutdown', () => {
+  let site;
+  let siteUrl;
+  let dataDir;
+  const servers = [];
+
+  test.beforeAll(async () => {
+    const siteApp = express();
+
+    // Slow pages, each linking to the next few
+    siteApp.get('/page/:n', (req, res) => {
+      const n = parseInt(req.params.n, 10);
+      const links = [1, 2, 3].map(i => `<a href="/page/${n + i}">Page ${n + i}</a>`).join('');
+      setTimeout(() => {
+        res.send(`<!DOCTYPE html><html><head><title>Page ${n}</title></head><body>${links}</body></html>`);
+      }, 1000);
+    });
+
+    await new Promise((resolve) => {
+      site = siteApp.listen(0, () => {
+        siteUrl = `http://localhost:${site.address().port}`;
+        resolve();
+      });
+    });
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shutdown-'));
+  });
+
+  test.afterAll(async () => {
+    for (const server of servers) {
+      if (server.child.exitCode === null) {
+        server.child.kill('SIGKILL');
+        await server.exited;
+      }
+    }
+    await new Promise(resolve => site.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('saves running scans as interrupted on SIGTERM and resumes them after a restart', async () => {
+    test.setTimeout(60000);
+    const port = await freePort();
+    const api = `http://localhost:${port}/api`;
+
+    const first = await startServer(port, dataDir);
+    servers.push(first);
+
+    const started = await fetch(`${api}/scan`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: `${siteUrl}/page/0`, options: { maxPages: 200 } })
+    });
+    const { scanId } = await started.json();
+
+    await waitFor(async () => {
+      const scan = await (await fetch(`${api}/scan/${scanId}`)).json();
+      return scan.progress.pagesCrawled >= 2;
+    });
+
+    first.child.kill('SIGTERM');
+
+    // No new scans while in-flight pages finish loading
+    await waitFor(() => first.output.includes('shutting down'));
+    const refused = await fetch(`${api}/scan`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: `${siteUrl}/page/0` })
+    });
+    expect(refused.status).toBe(503);
+
+    expect(await first.exited).toBe(0);
+
+    // Partial results are in history, and the checkpoint stays to resume from
+    const stored = JSON.parse(fs.readFileSync(path.join(dataDir, 'scans', `${scanId}.json`), 'utf8'));
+    expect(stored.status).toBe('interrupted');
+    expect(stored.results.pages.length).toBeGreaterThanOrEqual(2);
+    expect(fs.existsSync(path.join(dataDir, 'checkpoints', scanId, 'state.json'))).toBe(true);
+
+    // The next start offers to resume it
+    const second = await startServer(port, dataDir);
+    servers.push(second);
+    await waitFor(() => second.output.includes('can be resumed'));
+
+    const { scans } = await (await fetch(`${api}/scans`)).json();
+    expect(scans.find(scan => scan.id === scanId).status).toBe('interrupted');
+
+    const resumed = await fetch(`${api}/scan/${scanId}/resume`, { method: 'POST' });
+    expect((await resumed.json()).status).toBe('scanning');
+    await waitFor(() => second.output.includes('Resuming crawl'));
+
+    second.child.kill('SIGTERM');
+    expect(await second.exited).toBe(0);
+  });
+});
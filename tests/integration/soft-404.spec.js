@@ -0,0 +1,100 @@
+const { test, expect } = require('@playwright/test');
+const { crawlWebsite } = require('../../crawler');
+const { checkLinks } = require('../../checker');
+const express = require('express');
+
+const NOT_FOUND_PAGE = `
+  <!DOCTYPE html>
+  <html>
+    <head><title>Page not found</title></head>
+    <body>
+      <h1>Oops!</h1>
+      <p>We couldn't find the page you were looking for. It may have been moved or deleted.</p>
+      <a href="/">Back to the home page</a>
+    </body>
+  </html>
+`;
+
+test.describe('Soft 404 Detection', () => {
+  let server;
+  let baseUrl;
+
+  test.beforeAll(async () => {
+    const app = express();
+
+    app.get('/', (req, res) => {
+      res.send(`
+        <!DOCTYPE html>
+        <html>
+          <head><title>Home</title></head>
+          <body>
+            <a href="/pricing">Pricing</a>
+            <a href="/old-blog-post">An old post</a>
+          </body>
+        </html>
+      `);
+    });
+
+    app.get('/pricing', (req, res) => {
+      res.send(`
+        <!DOCTYPE html>
+        <html>
+          <head><title>Pricing</title></head>
+          <body>
+            <h1>Pricing</h1>
+            <p>Free for open source projects, and fair prices for everyone else.</p>
+            <a href="/">Home</a>
+          </body>
+        </html>
+      `);
+    });
+
+    // Like many CMSes: every unknown URL gets the error page with a 200
+    app.use((req, res) => {
+      res.status(200).send(NOT_FOUND_PAGE);
+    });
+
+    server = app.listen(0);
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  test.afterAll(async () => {
+    server.close();
+  });
+
+  test('reports crawled pages that are really "not found" pages', async () => {
+    const { pages, crawledUrls } = await crawlWebsite(baseUrl);
+    const results = await checkLinks(pages, crawledUrls);
+
+    expect(pages.filter(page => page.soft404).map(page => page.url)).toEqual([`${baseUrl}/old-blog-post`]);
+    expect(results.soft404s).toEqual([{
+      url: `${baseUrl}/old-blog-post`,
+      status: 200,
+      message: 'Looks like a "not found" page (soft 404)',
+      occurrences: [{ page: `${baseUrl}/`, text: 'An old post', type: 'link' }]
+    }]);
+    expect(results.summary.soft404s).toBe(1);
+    expect(results.brokenLinks).toEqual([]);
+  });
+
+  test('checks links to pages that were not crawled in "all" mode', async () => {
+    const pages = [{
+      url: 'https://example.com/',
+      links: [
+        { url: `${baseUrl}/pricing`, text: 'Pricing', type: 'link' },
+        { url: `${baseUrl}/moved-away`, text: 'Moved', type: 'link' }
+      ]
+    }];
+    const results = await checkLinks(pages, new Set(), null, null, { soft404Detection: 'all', domainDelayMs: 0 });
+
+    expect(results.soft404s.map(link => link.url)).toEqual([`${baseUrl}/moved-away`]);
+    expect(results.summary.workingLinks).toBe(1);
+  });
+
+  test('can be turned off', async () => {
+    const { pages, crawledUrls } = await crawlWebsite(baseUrl, null, null, { soft404Detection: 'off' });
+    const results = await checkLinks(pages, crawledUrls, null, null, { soft404Detection: 'off' });
+
+    expect(results.soft404s).toEqual([]);
+  });
+});
@@ -1,6 +1,8 @@
 const { test, expect } = require('@playwright/test');
 const { smartCrawl } = require('../../smart-crawler');
 const express = require('express');
+const fs = require('fs');
+const { chromium } = require('playwright');
 
 test.describe('SPA Site with Sitemap', () => {
   let server;
@@ -120,3 +122,104 @@ test.describe('SPA Site with Sitemap', () => {
     expect(introPage.title).toContain('Introduction');
   });
 });
+
+test.describe('SPA Rendering', () => {
+  let server;
+  let baseUrl;
+  const hasChromium = fs.existsSync(chromium.executablePath());
+
+  test.beforeAll(async () => {
+    const app = express();
+
+    // Links only exist once the inline script has run
+    app.get('/', (req, res) => {
+      res.send(`
+        <!DOCTYPE html>
+        <html>
+          <head><title>Rendered SPA</title></head>
+          <body>
+            <div id="root"></div>
+            <script>
+              document.getElementById('root').innerHTML = '<a href="/docs">Docs</a>';
+            </script>
+          </body>
+        </html>
+      `);
+    });
+
+    app.get('/docs', (req, res) => {
+      res.send('<html><head><title>Docs</title></head><body><h1>Docs</h1></body></html>');
+    });
+
+    server = app.listen(0);
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  test.afterAll(async () => {
+    server.close();
+  });
+
+  test('does not render by default', async () => {
+    const result = await smartCrawl(baseUrl);
+
+    expect(result.method).toBe('traditional');
+    expect(result.pages).toHaveLength(1);
+  });
+
+  test('renders SPAs in auto mode', async () => {
+    test.skip(!hasChromium, 'Chromium is not installed');
+
+    const reported = [];
+    const result = await smartCrawl(baseUrl, null, page => reported.push(page.url), { renderMode: 'auto' });
+
+    expect(result.method).toBe('render');
+    expect(result.isSPA).toBe(true);
+    expect(result.pages.map(p => p.url)).toContain(`${baseUrl}/docs`);
+
+    // The shell from the plain crawl isn't reported again once rendered
+    expect(reported.sort()).toEqual(result.pages.map(p => p.url).sort());
+  });
+
+  test('reports each page once when the sitemap lists the start page', async () => {
+    const app = express();
+    app.get('/', (req, res) => res.send('<html><head><title>SPA</title></head><body><div id="root"></div></body></html>'));
+    app.get('/sitemap.xml', (req, res) => {
+      const origin = `http://localhost:${spa.address().port}`;
+      res.set('Content-Type', 'application/xml');
+      res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>${origin}/</loc></url>
+  <url><loc>${origin}/about</loc></url>
+</urlset>`);
+    });
+    app.get('/about', (req, res) => res.send('<html><head><title>About</title></head><body></body></html>'));
+    const spa = app.listen(0);
+
+    try {
+      const reported = [];
+      const result = await smartCrawl(`http://localhost:${spa.address().port}/`, null, page => reported.push(page.url));
+
+      expect(result.method).toBe('sitemap');
+      expect(reported.sort()).toEqual(result.pages.map(p => p.url).sort());
+      expect(new Set(reported).size).toBe(reported.length);
+    } finally {
+      spa.close();
+    }
+  });
+
+  test('reports a lone shell page once when nothing else is found', async () => {
+    const reported = [];
+    await smartCrawl(`${baseUrl}/docs`, null, page => reported.push(page.url));
+
+    expect(reported).toEqual([`${baseUrl}/docs`]);
+  });
+
+  test('falls back to plain crawling when Chromium is missing', async () => {
+    test.skip(hasChromium, 'Chromium is installed');
+
+    const result = await smartCrawl(baseUrl, null, null, { renderMode: 'always' });
+
+    expect(result.method).toBe('traditional');
+    expect(result.warning).toContain('Render mode unavailable');
+  });
+});
@@ -1,15 +1,21 @@
 const { test, expect } = require('@playwright/test');
-const { smartCrawl } = require('../../smart-crawler');
+const { smartCrawl, crawlWebsite } = require('../../smart-crawler');
 const express = require('express');
 
 test.describe('Traditional HTML Site Crawling', () => {
   let server;
   let baseUrl;
+  const requestedPaths = [];
 
   // Set up mock server before tests
   test.beforeAll(async () => {
     const app = express();
 
+    app.use((req, res, next) => {
+      requestedPaths.push(req.path);
+      next();
+    });
+
     // Home page with links
     app.get('/', (req, res) => {
       res.send(`
@@ -150,4 +156,40 @@ test.describe('Traditional HTML Site Crawling', () => {
 
     expect(urls.length).toBe(uniqueUrls.size);
   });
+
+  test('stops at the maxPages scan option', async () => {
+    const result = await smartCrawl(baseUrl, null, null, { maxPages: 2 });
+
+    expect(result.pages.length).toBe(2);
+  });
+
+  test('does not follow internal links excluded by URL patterns', async () => {
+    const result = await smartCrawl(baseUrl, null, null, { exclude: ['/products*'] });
+    const urls = result.pages.map(p => p.url);
+
+    expect(urls).toContain(`${baseUrl}/about`);
+    expect(urls.some(url => url.includes('/products'))).toBe(false);
+  });
+
+  test('resumes from a checkpoint without refetching crawled pages', async () => {
+    const checkpoints = [];
+    const full = await crawlWebsite(baseUrl, null, null, { onCheckpoint: state => checkpoints.push(state) });
+
+    // Pretend the crawl died after the home page
+    const home = full.pages.find(p => p.url === baseUrl || p.url === `${baseUrl}/`);
+    const resumeFrom = {
+      baseUrl: checkpoints[0].baseUrl,
+      visited: [home.url],
+      toVisit: home.links.filter(link => link.type === 'link').map(link => link.url),
+      pages: [home]
+    };
+
+    const reported = [];
+    requestedPaths.length = 0;
+    const resumed = await crawlWebsite(baseUrl, null, page => reported.push(page.url), { resumeFrom });
+
+    expect(resumed.pages.map(p => p.url).sort()).toEqual(full.pages.map(p => p.url).sort());
+    expect(reported.filter(url => url === home.url)).toHaveLength(1);
+    expect(requestedPaths).not.toContain('/');
+  });
 });
@@ -0,0 +1,105 @@
+const { test, expect } = require('@playwright/test');
+const crypto = require('crypto');
+const express = require('express');
+const { validateWebhook, buildEvent, deliverWebhook } = require('../../webhooks');
+
+test.describe('Webhook Delivery', () => {
+  let receiverServer;
+  let receiverUrl;
+  let received;
+  let failuresLeft;
+  let failureStatus;
+
+  test.beforeAll(async () => {
+    // Stand-in receiver that records deliveries (raw bodies, to check signatures)
+    const receiver = express();
+    receiver.use(express.text({ type: 'application/json' }));
+
+    receiver.post('/hook', (req, res) => {
+      received.push({ headers: req.headers, body: req.body });
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        return res.status(failureStatus).send('Try again');
+      }
+      res.send('ok');
+    });
+
+    receiverServer = receiver.listen(0);
+    receiverUrl = `http://localhost:${receiverServer.address().port}/hook`;
+  });
+
+  test.beforeEach(() => {
+    received = [];
+    failuresLeft = 0;
+    failureStatus = 503;
+  });
+
+  test.afterAll(async () => {
+    receiverServer.close();
+  });
+
+  const event = buildEvent({
+    id: '1700000000000',
+    url: 'https://example.com',
+    status: 'completed',
+    startedAt: 1700000000000,
+    completedAt: 1700000060000,
+    results: { summary: { brokenLinks: 2 } }
+  }, { newBrokenLinks: 1, reportUrl: 'http://localhost:3000/?scan=1700000000000' });
+
+  test('posts a signed JSON event', async () => {
+    const webhook = validateWebhook({ url: receiverUrl, secret: 'shh' });
+    const result = await deliverWebhook(webhook, event);
+
+    expect(result).toEqual({ ok: true, status: 200, attempts: 1, error: null });
+    expect(received).toHaveLength(1);
+
+    const [{ headers, body }] = received;
+    expect(JSON.parse(body)).toEqual(event);
+    expect(headers['x-deadlinks-event']).toBe('scan.completed');
+    expect(headers['x-deadlinks-delivery']).toBeTruthy();
+
+    const expected = `sha256=${crypto.createHmac('sha256', 'shh').update(body).digest('hex')}`;
+    expect(headers['x-deadlinks-signature']).toBe(expected);
+  });
+
+  test('posts Slack messages without a signature when there is no secret', async () => {
+    await deliverWebhook(validateWebhook({ url: receiverUrl, format: 'slack' }), event);
+
+    const [{ headers, body }] = received;
+    expect(JSON.parse(body).text).toContain('2 broken links (1 new)');
+    expect(headers['x-deadlinks-signature']).toBeUndefined();
+  });
+
+  test('retries server errors until delivered', async () => {
+    failuresLeft = 2;
+    const result = await deliverWebhook(validateWebhook({ url: receiverUrl }), event, { retryDelaysMs: [10, 10, 10] });
+
+    expect(result).toMatchObject({ ok: true, attempts: 3 });
+    expect(received).toHaveLength(3);
+
+    // Every attempt is the same delivery
+    expect(new Set(received.map(r => r.headers['x-deadlinks-delivery'])).size).toBe(1);
+  });
+
+  test('gives up on client errors and after the last retry', async () => {
+    failuresLeft = 1;
+    failureStatus = 404;
+    const rejected = await deliverWebhook(validateWebhook({ url: receiverUrl }), event, { retryDelaysMs: [10, 10] });
+    expect(rejected).toMatchObject({ ok: false, status: 404, attempts: 1 });
+
+    failuresLeft = 5;
+    failureStatus = 503;
+    const exhausted = await deliverWebhook(validateWebhook({ url: receiverUrl }), event, { retryDelaysMs: [10, 10] });
+    expect(exhausted).toMatchObject({ ok: false, status: 503, attempts: 3 });
+  });
+
+  test('reports unreachable receivers without throwing', async () => {
+    const closed = express().listen(0);
+    const port = closed.address().port;
+    await new Promise(resolve => closed.close(resolve));
+
+    const result = await deliverWebhook(validateWebhook({ url: `http://localhost:${port}/hook` }), event, { retryDelaysMs: [10] });
+    expect(result).toMatchObject({ ok: false, status: null, attempts: 2, error: 'ECONNREFUSED' });
+  });
+});
@@ -0,0 +1,64 @@
+const { test, expect } = require('@playwright/test');
+const { findMissingAnchors, getFragment } = require('../../anchor-checker');
+
+const page = (url, links, anchors) => ({
+  url,
+  title: url,
+  links: links.map(linkUrl => ({ url: linkUrl, text: 'link', type: 'link' })),
+  anchors
+});
+
+test.describe('Anchor Checker', () => {
+  test('reports fragments missing from crawled pages', () => {
+    const pages = [
+      page('https://example.com/', [
+        'https://example.com/docs#install',
+        'https://example.com/docs#missing',
+        'https://example.com/#intro'
+      ], ['intro']),
+      page('https://example.com/docs', ['https://example.com/docs#missing'], ['install'])
+    ];
+
+    const missing = findMissingAnchors(pages);
+
+    expect(missing).toHaveLength(1);
+    expect(missing[0]).toMatchObject({
+      url: 'https://example.com/docs#missing',
+      fragment: 'missing',
+      message: 'Missing anchor #missing'
+    });
+    expect(missing[0].occurrences.map(o => o.page)).toEqual(['https://example.com/', 'https://example.com/docs']);
+  });
+
+  test('matches pages regardless of trailing slash and decodes fragments', () => {
+    const pages = [
+      page('https://example.com/guide', ['https://example.com/guide/#caf%C3%A9'], ['café'])
+    ];
+
+    expect(findMissingAnchors(pages)).toEqual([]);
+  });
+
+  test('ignores uncrawled pages, failed pages and excluded links', () => {
+    const pages = [
+      page('https://example.com/', [
+        'https://other.com/page#section',
+        'https://example.com/broken#section',
+        'https://example.com/api/ref#section'
+      ], []),
+      { ...page('https://example.com/broken', [], []), error: 'HTTP 500' },
+      page('https://example.com/api/ref', [], [])
+    ];
+
+    expect(findMissingAnchors(pages, { exclude: ['/api/'] })).toEqual([]);
+  });
+
+  test('skips fragments that never need a target', () => {
+    expect(getFragment('https://example.com/page')).toBeNull();
+    expect(getFragment('https://example.com/page#')).toBeNull();
+    expect(getFragment('https://example.com/page#top')).toBeNull();
+    expect(getFragment('https://example.com/#/dashboard')).toBeNull();
+    expect(getFragment('https://example.com/#!/dashboard')).toBeNull();
+    expect(getFragment('https://example.com/page#:~:text=hello')).toBeNull();
+    expect(getFragment('https://example.com/page#Install')).toBe('Install');
+  });
+});
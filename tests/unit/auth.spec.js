@@ -0,0 +1,59 @@
+const { test, expect } = require('@playwright/test');
+const { createSiteAuth, redactAuth } = require('../../auth');
+
+test.describe('Site Auth', () => {
+  test('only sends credentials to the scanned origin', () => {
+    const auth = createSiteAuth('https://staging.example.com/', {
+      username: 'preview',
+      password: 's3cret',
+      headers: { 'X-Preview-Token': 'abc123' }
+    });
+
+    expect(auth.headersFor('https://staging.example.com/docs')).toEqual({
+      'X-Preview-Token': 'abc123',
+      Authorization: `Basic ${Buffer.from('preview:s3cret').toString('base64')}`
+    });
+
+    // Same host, but another port or a downgrade to http://
+    expect(auth.headersFor('https://staging.example.com:8443/')).toEqual({});
+    expect(auth.headersFor('http://staging.example.com/docs')).toEqual({});
+    expect(auth.headersFor('https://example.com/')).toEqual({});
+    expect(auth.headersFor('https://cdn.staging.example.com/app.js')).toEqual({});
+    expect(auth.headersFor('not a url')).toEqual({});
+  });
+
+  test('keeps credentials when an http:// site upgrades to https://', () => {
+    const auth = createSiteAuth('http://intranet.example.com/', { bearerToken: 'token-1' });
+
+    expect(auth.headersFor('http://intranet.example.com/a')).toHaveProperty('Authorization');
+    expect(auth.headersFor('https://intranet.example.com/a')).toHaveProperty('Authorization');
+    expect(auth.headersFor('https://intranet.example.com:8443/a')).toEqual({});
+  });
+
+  test('sends a bearer token and cookies', () => {
+    const auth = createSiteAuth('https://app.example.com', {
+      bearerToken: 'token-1',
+      cookie: 'session=abc; theme=dark'
+    });
+
+    expect(auth.headersFor('https://app.example.com/')).toEqual({
+      Authorization: 'Bearer token-1',
+      Cookie: 'session=abc; theme=dark'
+    });
+  });
+
+  test('refuses to log in on another host', async () => {
+    const auth = createSiteAuth('https://app.example.com', {
+      login: { url: 'https://evil.example.net/login', fields: { user: 'me' } }
+    });
+
+    await expect(auth.login()).rejects.toThrow('Login URL must be on https://app.example.com');
+  });
+
+  test('redacts credentials from options', () => {
+    const options = { maxPages: 10, auth: { bearerToken: 'token-1' } };
+    expect(redactAuth(options)).toEqual({ maxPages: 10, auth: '[redacted]' });
+    expect(options.auth.bearerToken).toBe('token-1');
+    expect(redactAuth({ maxPages: 10, auth: null })).toEqual({ maxPages: 10, auth: null });
+  });
+});
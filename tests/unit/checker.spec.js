@@ -1,5 +1,5 @@
 const { test, expect } = require('@playwright/test');
-const { checkLinks } = require('../../checker');
+const { checkLinks, createLinkChecker } = require('../../checker');
 const express = require('express');
 
 test.describe('Link Checker - Unit Tests', () => {
@@ -34,11 +34,36 @@ test.describe('Link Checker - Unit Tests', () => {
       res.status(401).send('<html><body>Unauthorized</body></html>');
     });
 
+    // Rate limited twice, then fine
+    let busyRequests = 0;
+    app.all('/busy-then-ok', (req, res) => {
+      busyRequests++;
+      if (busyRequests <= 2) {
+        return res.status(429).set('Retry-After', '0').send('Slow down');
+      }
+      res.send('OK');
+    });
+
+    // Always rate limited
+    app.all('/always-busy', (req, res) => {
+      res.status(429).set('Retry-After', '0').send('Slow down');
+    });
+
     // Redirect endpoint
     app.get('/redirect-me', (req, res) => {
       res.redirect(302, '/working');
     });
 
+    // Moved for good, through a chain of four hops
+    app.get('/moved/:hop', (req, res) => {
+      const hop = Number(req.params.hop);
+      res.redirect(301, hop < 4 ? `/moved/${hop + 1}` : '/working');
+    });
+
+    // Redirects back and forth forever
+    app.get('/loop-a', (req, res) => res.redirect(302, '/loop-b'));
+    app.get('/loop-b', (req, res) => res.redirect(302, '/loop-a'));
+
     // Homepage that links to various endpoints
     app.get('/', (req, res) => {
       res.send(`
@@ -139,6 +164,34 @@ test.describe('Link Checker - Unit Tests', () => {
     const redirect = result.redirects.find(r => r.url === `${baseUrl}/redirect-me`);
     expect(redirect).toBeDefined();
     expect(redirect.redirectTo).toBe(`${baseUrl}/working`);
+    expect(redirect.chain).toEqual([{ url: `${baseUrl}/redirect-me`, status: 302, location: `${baseUrl}/working` }]);
+    expect(redirect.issues).toEqual([]);
+  });
+
+  test('keeps every hop of long permanent chains and reports loops as broken', async () => {
+    const pages = [{
+      url: `${baseUrl}/`,
+      title: 'Test Page',
+      links: [
+        { url: `${baseUrl}/moved/1`, text: 'Moved', type: 'link' },
+        { url: `${baseUrl}/loop-a`, text: 'Loop', type: 'link' }
+      ]
+    }];
+
+    const result = await checkLinks(pages, new Set([`${baseUrl}/`]), null, null, { domainDelayMs: 0 });
+
+    const [moved] = result.redirects;
+    expect(moved.chain.map(hop => `${hop.status} ${hop.location}`)).toEqual([
+      `301 ${baseUrl}/moved/2`,
+      `301 ${baseUrl}/moved/3`,
+      `301 ${baseUrl}/moved/4`,
+      `301 ${baseUrl}/working`
+    ]);
+    expect(moved.issues).toEqual(['long-chain', 'permanent']);
+
+    const [loop] = result.brokenLinks;
+    expect(loop).toMatchObject({ url: `${baseUrl}/loop-a`, status: 302, message: 'Redirect loop' });
+    expect(loop.chain.map(hop => hop.location)).toEqual([`${baseUrl}/loop-b`, `${baseUrl}/loop-a`]);
   });
 
   test('skips internal links that were already crawled', async () => {
@@ -234,4 +287,118 @@ test.describe('Link Checker - Unit Tests', () => {
     expect(brokenLink.occurrences.some(o => o.page === `${baseUrl}/page1`)).toBe(true);
     expect(brokenLink.occurrences.some(o => o.page === `${baseUrl}/page2`)).toBe(true);
   });
+
+  test('streaming checker reports broken links, warnings and redirects as links arrive', async () => {
+    const broken = [];
+    const warnings = [];
+    const redirects = [];
+    const checker = createLinkChecker(new Set([`${baseUrl}/`]), {
+      onBrokenLinkFound: (link) => broken.push(link),
+      onWarningFound: (link) => warnings.push(link),
+      onRedirectFound: (link) => redirects.push(link)
+    });
+
+    checker.addPageLinks({
+      url: `${baseUrl}/`,
+      links: [
+        { url: `${baseUrl}/not-found`, text: 'Broken', type: 'link' },
+        { url: `${baseUrl}/forbidden`, text: 'Forbidden', type: 'link' }
+      ]
+    });
+    checker.addPageLinks({
+      url: `${baseUrl}/page2`,
+      links: [
+        { url: `${baseUrl}/redirect-me`, text: 'Redirect', type: 'link' }
+      ]
+    });
+
+    await checker.idle();
+
+    expect(broken.map(bl => bl.url)).toEqual([`${baseUrl}/not-found`]);
+    expect(warnings.map(w => w.status)).toEqual([403]);
+    expect(redirects.map(r => r.redirectTo)).toEqual([`${baseUrl}/working`]);
+    expect(checker.getStats()).toMatchObject({ queued: 3, checked: 3, skipped: 0 });
+  });
+
+  test('streaming checker records later occurrences and skips crawled pages', async () => {
+    const crawledPages = new Set();
+    const checker = createLinkChecker(crawledPages);
+
+    checker.addLink({ url: `${baseUrl}/shared-missing`, text: 'First', type: 'link' }, `${baseUrl}/page1`);
+    checker.addLink({ url: `${baseUrl}/working`, text: 'Working', type: 'link' }, `${baseUrl}/page1`);
+
+    // Page crawled while its link was still queued
+    crawledPages.add(`${baseUrl}/working`);
+    checker.addLink({ url: `${baseUrl}/shared-missing`, text: 'Second', type: 'image' }, `${baseUrl}/page2`);
+
+    await checker.idle();
+
+    const [brokenLink] = checker.getResults().broken;
+    expect(brokenLink.url).toBe(`${baseUrl}/shared-missing`);
+    expect(brokenLink.occurrences.map(o => o.page)).toEqual([`${baseUrl}/page1`, `${baseUrl}/page2`]);
+    expect(checker.getStats()).toMatchObject({ queued: 2, checked: 1, skipped: 1 });
+  });
+
+  test('reports links excluded by URL patterns as skipped without requesting them', async () => {
+    const requested = [];
+    const checker = createLinkChecker(new Set(), {
+      onChecked: ({ url, outcome }) => requested.push({ url, outcome })
+    }, { exclude: ['/server-error', '?page='] });
+
+    checker.addLink({ url: `${baseUrl}/server-error`, text: 'Error', type: 'link' }, `${baseUrl}/`);
+    checker.addLink({ url: `${baseUrl}/not-found?page=2`, text: 'Page 2', type: 'link' }, `${baseUrl}/`);
+    checker.addLink({ url: `${baseUrl}/not-found-endpoint`, text: 'Missing', type: 'link' }, `${baseUrl}/`);
+
+    await checker.idle();
+
+    const { broken, excluded } = checker.getResults();
+    expect(broken.map(b => b.url)).toEqual([`${baseUrl}/not-found-endpoint`]);
+    expect(excluded.map(e => e.url)).toEqual([`${baseUrl}/server-error`, `${baseUrl}/not-found?page=2`]);
+    expect(requested.filter(r => r.outcome === 'excluded')).toHaveLength(2);
+    expect(checker.getStats()).toMatchObject({ queued: 3, checked: 1, skipped: 2, excluded: 2 });
+  });
+
+  test('reuses checks from an interrupted scan instead of requesting them again', async () => {
+    const first = createLinkChecker(new Set());
+    first.addLink({ url: `${baseUrl}/not-found-endpoint`, text: 'Missing', type: 'link' }, `${baseUrl}/`);
+    await first.idle();
+
+    const previousChecks = first.getCompletedChecks();
+    expect(previousChecks.map(check => check.url)).toEqual([`${baseUrl}/not-found-endpoint`]);
+
+    // A result the server would never give proves nothing was requested
+    previousChecks.push({ url: `${baseUrl}/not-found-endpoint-2`, result: { ok: true, status: 200 } });
+
+    const resumed = createLinkChecker(new Set(), {}, { previousChecks });
+    resumed.addLink({ url: `${baseUrl}/not-found-endpoint`, text: 'Missing', type: 'link' }, `${baseUrl}/`);
+    resumed.addLink({ url: `${baseUrl}/not-found-endpoint-2`, text: 'Fine', type: 'link' }, `${baseUrl}/`);
+    await resumed.idle();
+
+    expect(resumed.getResults().broken.map(b => b.url)).toEqual([`${baseUrl}/not-found-endpoint`]);
+    expect(resumed.getCompletedChecks()).toHaveLength(2);
+    expect(resumed.getStats()).toMatchObject({ queued: 2, checked: 2, domains: 0 });
+  });
+
+  test('retries links answered with 429 after the host cools down', async () => {
+    const checker = createLinkChecker(new Set(), {}, { domainDelayMs: 0 });
+    checker.addLink({ url: `${baseUrl}/busy-then-ok`, text: 'Busy', type: 'link' }, `${baseUrl}/`);
+    await checker.idle();
+
+    const { broken, warnings } = checker.getResults();
+    expect(broken).toEqual([]);
+    expect(warnings).toEqual([]);
+    expect(checker.getStats()).toMatchObject({ queued: 1, checked: 1 });
+  });
+
+  test('reports a link as rate limited only when the host stays busy', async () => {
+    const checker = createLinkChecker(new Set(), {}, { domainDelayMs: 0, rateLimitRetries: 1 });
+    checker.addLink({ url: `${baseUrl}/always-busy`, text: 'Busy', type: 'link' }, `${baseUrl}/`);
+    await checker.idle();
+
+    const { broken, warnings } = checker.getResults();
+    expect(broken).toEqual([]);
+    expect(warnings.map(w => `${w.status} ${w.message}`)).toEqual(['429 Rate limited (host still busy after retries)']);
+    // Not saved for resuming, so an interrupted scan tries it again
+    expect(checker.getCompletedChecks()).toEqual([]);
+  });
 });
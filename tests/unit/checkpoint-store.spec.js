@@ -0,0 +1,69 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCheckpointStore } = require('../../checkpoint-store');
+
+test.describe('Checkpoint Store', () => {
+  let dataDir;
+  let store;
+
+  test.beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-store-'));
+    store = createCheckpointStore({ dataDir });
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const scan = { id: 'scan-1', url: 'https://example.com', options: {}, startedAt: 1000 };
+  const page = (n) => ({ url: `https://example.com/${n}`, title: `Page ${n}`, links: [] });
+
+  test('saves and loads a checkpoint', async () => {
+    const crawl = { baseUrl: 'https://example.com/', visited: ['https://example.com/1'], toVisit: ['https://example.com/2'] };
+    await store.save('scan-1', { scan, crawl, pages: [page(1)], checks: [{ url: 'https://other.com', result: { ok: true, status: 200 } }] });
+
+    const checkpoint = await store.load('scan-1');
+    expect(checkpoint.scan).toEqual(scan);
+    expect(checkpoint.crawl).toEqual(crawl);
+    expect(checkpoint.pages).toEqual([page(1)]);
+    expect(checkpoint.checks).toHaveLength(1);
+  });
+
+  test('appends new pages on later saves', async () => {
+    const pages = [page(1)];
+    await store.save('scan-1', { scan, crawl: null, pages });
+    pages.push(page(2), page(3));
+    await store.save('scan-1', { scan, crawl: null, pages });
+
+    const lines = fs.readFileSync(path.join(dataDir, 'checkpoints', 'scan-1', 'pages.jsonl'), 'utf8').trim().split('\n');
+    expect(lines).toHaveLength(3);
+    expect((await store.load('scan-1')).pages.map(p => p.title)).toEqual(['Page 1', 'Page 2', 'Page 3']);
+  });
+
+  test('ignores lines written after the last state', async () => {
+    await store.save('scan-1', { scan, crawl: null, pages: [page(1)] });
+
+    // A crash between appending pages and writing state.json
+    fs.appendFileSync(path.join(dataDir, 'checkpoints', 'scan-1', 'pages.jsonl'), JSON.stringify(page(2)) + '\n{"half');
+
+    expect((await store.load('scan-1')).pages).toEqual([page(1)]);
+  });
+
+  test('lists and removes checkpoints', async () => {
+    await store.save('scan-1', { scan, crawl: null, pages: [page(1)] });
+
+    expect(await store.list()).toEqual([{ ...scan, savedAt: expect.any(Number), pagesCrawled: 1 }]);
+
+    expect(await store.remove('scan-1')).toBe(true);
+    expect(await store.remove('scan-1')).toBe(false);
+    expect(await store.load('scan-1')).toBeNull();
+    expect(await store.list()).toEqual([]);
+  });
+
+  test('rejects unsafe scan ids', async () => {
+    expect(await store.load('../escape')).toBeNull();
+    expect(await store.remove('../escape')).toBe(false);
+  });
+});
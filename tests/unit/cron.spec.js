@@ -0,0 +1,51 @@
+const { test, expect } = require('@playwright/test');
+const { parseCron, nextCronRun } = require('../../cron');
+
+// Next run as a local "YYYY-MM-DD HH:MM" string
+function next(expression, after) {
+  const date = nextCronRun(parseCron(expression), new Date(after));
+  if (!date) return null;
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+test.describe('Cron Expressions', () => {
+  test('finds the next matching minute', () => {
+    expect(next('0 2 * * *', '2026-10-19T10:00:00')).toBe('2026-10-20 02:00');
+    expect(next('0 2 * * *', '2026-10-19T01:59:30')).toBe('2026-10-19 02:00');
+    expect(next('*/15 * * * *', '2026-10-19T10:07:30')).toBe('2026-10-19 10:15');
+    expect(next('30 9-17/4 * * *', '2026-10-19T14:00:00')).toBe('2026-10-19 17:30');
+  });
+
+  test('never returns the start time itself', () => {
+    expect(next('0 2 * * *', '2026-10-19T02:00:00')).toBe('2026-10-20 02:00');
+  });
+
+  test('handles months, weekdays and shorthands', () => {
+    expect(next('0 0 1 1,7 *', '2026-10-19T00:00:00')).toBe('2027-01-01 00:00');
+    expect(next('0 6 * * 1-5', '2026-10-23T07:00:00')).toBe('2026-10-26 06:00'); // Friday -> Monday
+    expect(next('0 0 * * 7', '2026-10-19T00:00:00')).toBe('2026-10-25 00:00'); // 7 is Sunday too
+    expect(next('@weekly', '2026-10-19T00:00:00')).toBe('2026-10-25 00:00');
+    expect(next('@daily', '2026-10-19T12:00:00')).toBe('2026-10-20 00:00');
+  });
+
+  test('matches either day field when both are set, like cron', () => {
+    // The 1st of the month or any Monday
+    expect(next('0 9 1 * 1', '2026-10-19T10:00:00')).toBe('2026-10-26 09:00');
+    expect(next('0 9 1 * 1', '2026-10-27T10:00:00')).toBe('2026-11-01 09:00');
+  });
+
+  test('returns null for dates that never happen', () => {
+    expect(next('0 0 29 2 *', '2026-10-19T00:00:00')).toBe('2028-02-29 00:00');
+    expect(next('0 0 31 2 *', '2026-10-19T00:00:00')).toBeNull();
+  });
+
+  test('rejects invalid expressions', () => {
+    expect(() => parseCron('* * *')).toThrow('Cron expression needs 5 fields');
+    expect(() => parseCron('60 * * * *')).toThrow('Invalid cron minute: 60');
+    expect(() => parseCron('0 0 0 * *')).toThrow('Invalid cron day of month: 0');
+    expect(() => parseCron('0 5-1 * * *')).toThrow('Invalid cron hour: 5-1');
+    expect(() => parseCron('0 0 * JAN *')).toThrow('Invalid cron month: JAN');
+    expect(() => parseCron(42)).toThrow('Cron expression must be a string');
+  });
+});
@@ -0,0 +1,114 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { crawlDirectory, createFileMap } = require('../../fs-crawler');
+const { checkLinks } = require('../../checker');
+
+const BASE_URL = 'https://docs.example.com/';
+
+// Write { 'relative/path': 'contents' } into a directory
+function writeFiles(dir, files) {
+  for (const [file, contents] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), contents);
+  }
+}
+
+test.describe('Filesystem Crawler', () => {
+  let dir;
+
+  test.beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fs-crawler-'));
+    writeFiles(dir, {
+      'index.html': `
+        <html><head><title>Home</title></head><body>
+          <a href="guide/">Guide</a>
+          <a href="about">About</a>
+          <a href="/missing.html">Missing</a>
+          <img src="img/logo.png" alt="Logo">
+        </body></html>`,
+      'about.html': '<html><head><title>About</title></head><body><a href="./">Home</a></body></html>',
+      'guide/index.html': `
+        <html><head><title>Guide</title></head><body>
+          <h2 id="setup">Setup</h2>
+          <a href="install">Install</a>
+          <a href="../img/missing.png">Broken image</a>
+          <a href="#setup">Setup</a>
+        </body></html>`,
+      'guide/install.html': '<html><head><title>Install</title></head><body><a href="/guide/#setup">Back</a></body></html>',
+      'img/logo.png': 'not really a png'
+    });
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('maps URLs to files the way a static file server does', () => {
+    const fileMap = createFileMap(['index.html', 'about.html', 'guide/index.html', 'a b.txt'], 'https://example.com/docs');
+
+    expect(fileMap.urlFor('index.html')).toBe('https://example.com/docs/');
+    expect(fileMap.urlFor('guide/index.html')).toBe('https://example.com/docs/guide/');
+    expect(fileMap.urlFor('a b.txt')).toBe('https://example.com/docs/a%20b.txt');
+
+    expect(fileMap.fileFor('https://example.com/docs')).toBe('index.html');
+    expect(fileMap.fileFor('https://example.com/docs/about?ref=nav#team')).toBe('about.html');
+    expect(fileMap.fileFor('https://example.com/docs/guide')).toBe('guide/index.html');
+    expect(fileMap.fileFor('https://example.com/docs/a%20b.txt')).toBe('a b.txt');
+    expect(fileMap.fileFor('https://example.com/docs/nope/')).toBeNull();
+
+    // Outside the base URL: not a file in this directory
+    expect(fileMap.isLocal('https://example.com/blog/')).toBe(false);
+    expect(fileMap.isLocal('https://other.example.com/docs/')).toBe(false);
+  });
+
+  test('reads every HTML file with links resolved against the file tree', async () => {
+    const crawled = [];
+    const { pages, crawledUrls } = await crawlDirectory(dir, BASE_URL, null, page => crawled.push(page.url));
+
+    expect(pages.map(page => page.file)).toEqual(['about.html', 'guide/index.html', 'guide/install.html', 'index.html']);
+    expect(crawled).toEqual(pages.map(page => page.url));
+    expect(crawledUrls.has('https://docs.example.com/guide')).toBe(true);
+
+    const guide = pages.find(page => page.file === 'guide/index.html');
+    expect(guide.title).toBe('Guide');
+    expect(guide.anchors).toContain('setup');
+    expect(guide.links.map(link => link.url)).toContain('https://docs.example.com/guide/install');
+    expect(guide.links.map(link => link.url)).toContain('https://docs.example.com/img/missing.png');
+  });
+
+  test('reports links to missing files as broken without any requests', async () => {
+    const { pages, crawledUrls, checkLocal } = await crawlDirectory(dir, BASE_URL);
+    const results = await checkLinks(pages, crawledUrls, null, null, { checkLocal });
+
+    expect(results.brokenLinks.map(link => link.url).sort()).toEqual([
+      'https://docs.example.com/img/missing.png',
+      'https://docs.example.com/missing.html'
+    ]);
+    const missingImage = results.brokenLinks.find(link => link.url.endsWith('missing.png'));
+    expect(missingImage.status).toBe(404);
+    expect(missingImage.message).toBe('File not found: img/missing.png');
+    expect(missingImage.occurrences[0].page).toBe('https://docs.example.com/guide');
+    expect(results.missingAnchors).toEqual([]);
+  });
+
+  test('leaves links outside the base URL to the checker', async () => {
+    const { checkLocal } = await crawlDirectory(dir, BASE_URL);
+
+    expect(checkLocal('https://docs.example.com/img/logo.png')).toEqual({ ok: true, status: 200 });
+    expect(checkLocal('https://example.org/')).toBeNull();
+  });
+
+  test('honours include/exclude patterns and maxPages', async () => {
+    const excluded = await crawlDirectory(dir, BASE_URL, null, null, { exclude: ['/guide/'] });
+    expect(excluded.pages.map(page => page.file)).toEqual(['about.html', 'index.html']);
+
+    const limited = await crawlDirectory(dir, BASE_URL, null, null, { maxPages: 2 });
+    expect(limited.pages).toHaveLength(2);
+  });
+
+  test('rejects a directory that does not exist', async () => {
+    await expect(crawlDirectory(path.join(dir, 'nope'), BASE_URL)).rejects.toThrow('Not a directory');
+  });
+});
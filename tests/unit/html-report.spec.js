@@ -0,0 +1,125 @@
+const { test, expect } = require('@playwright/test');
+const { toHTMLReport } = require('../../html-report');
+
+// Minimal finished scan, shaped like the server's scan objects
+function makeScan() {
+  return {
+    id: '1700000000000',
+    url: 'https://example.com',
+    status: 'completed',
+    startedAt: Date.UTC(2026, 9, 19, 2, 0, 0),
+    completedAt: Date.UTC(2026, 9, 19, 2, 1, 0),
+    results: {
+      summary: { totalPages: 2, totalLinks: 10, workingLinks: 7, redirects: 0, warnings: 1, missingAnchors: 0, brokenLinks: 2 },
+      pages: [],
+      brokenLinks: [
+        {
+          url: 'https://example.com/old</script><script>alert(1)</script>',
+          status: 404,
+          message: 'Not Found',
+          occurrences: [
+            { page: 'https://example.com/', text: 'Old page', type: 'link' },
+            { page: 'https://example.com/about', text: '', type: 'image' }
+          ]
+        },
+        {
+          url: 'https://gone.example.net/',
+          status: 'ENOTFOUND',
+          message: 'DNS lookup failed',
+          occurrences: [{ page: 'https://example.com/about', text: 'Partner', type: 'link' }]
+        }
+      ],
+      warnings: [
+        { url: 'https://example.com/admin', status: 403, message: 'Forbidden', occurrences: [{ page: 'https://example.com/', text: 'Admin', type: 'link' }] }
+      ],
+      missingAnchors: []
+    }
+  };
+}
+
+// Run the report's inline script against a stand-in for the few DOM nodes it uses
+function openReport(html) {
+  const dataJson = html.match(/<script type="application\/json" id="report-data">([\s\S]*?)<\/script>/)[1];
+  const script = html.match(/<script>([\s\S]*?)<\/script>\s*<\/body>/)[1];
+
+  const listeners = {};
+  const element = (id, props = {}) => ({
+    id,
+    value: '',
+    textContent: '',
+    innerHTML: '',
+    addEventListener: (type, fn) => { listeners[`${id}:${type}`] = fn; },
+    ...props
+  });
+  const elements = {
+    'report-data': element('report-data', { textContent: dataJson }),
+    'search-box': element('search-box'),
+    'group-by-select': element('group-by-select', { value: 'none' }),
+    'broken-links-container': element('broken-links-container'),
+    'results-count': element('results-count')
+  };
+
+  new Function('document', script)({ getElementById: id => elements[id] });
+  return { elements, listeners };
+}
+
+test.describe('HTML Report', () => {
+  test('is a single page with inline styles, script and data', () => {
+    const html = toHTMLReport(makeScan());
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<style>');
+    expect(html).not.toMatch(/<(link|script)[^>]+(href|src)=/); // Nothing to fetch
+    expect(html).toContain('https://example.com · scanned Mon, 19 Oct 2026 02:00:00 GMT');
+
+    // The broken URL can't break out of the data block
+    expect(html.match(/<\/script>/g)).toHaveLength(2);
+    expect(html).toContain('⚠️ Warnings (1)');
+  });
+
+  test('lists, searches and groups broken links', () => {
+    const { elements, listeners } = openReport(toHTMLReport(makeScan()));
+    const container = elements['broken-links-container'];
+
+    expect(elements['results-count'].textContent).toBe('Showing all 2 broken links');
+    expect(container.innerHTML).toContain('https://example.com/old&lt;/script&gt;');
+    expect(container.innerHTML).toContain('DNS lookup failed');
+
+    elements['search-box'].value = 'gone';
+    listeners['search-box:input']();
+    expect(elements['results-count'].textContent).toBe('Showing 1 of 2 broken links');
+    expect(container.innerHTML).not.toContain('Old page');
+
+    elements['search-box'].value = '';
+    elements['group-by-select'].value = 'page';
+    listeners['group-by-select:change']();
+    expect(container.innerHTML.match(/<details class="group"/g)).toHaveLength(2);
+    expect(container.innerHTML).toMatch(/https:\/\/example\.com\/about<\/span><span class="badge">2</);
+
+    elements['group-by-select'].value = 'error-type';
+    listeners['group-by-select:change']();
+    expect(container.innerHTML).toContain('404 - Not Found');
+    expect(container.innerHTML).toContain('ENOTFOUND - DNS lookup failed');
+
+    elements['group-by-select'].value = 'link-type';
+    listeners['group-by-select:change']();
+    expect(container.innerHTML).toContain('🔗 Link</span><span class="badge">2<');
+    expect(container.innerHTML).toContain('🖼️ Image</span><span class="badge">1<');
+  });
+
+  test('says so when nothing is broken', () => {
+    const scan = makeScan();
+    scan.results.brokenLinks = [];
+    const { elements } = openReport(toHTMLReport(scan));
+
+    expect(elements['broken-links-container'].innerHTML).toContain('No broken links found');
+  });
+
+  test('marks cancelled and interrupted scans as partial', () => {
+    expect(toHTMLReport(makeScan())).toContain('<h1>💀 Dead link report</h1>');
+    for (const status of ['cancelled', 'interrupted']) {
+      const scan = { ...makeScan(), status };
+      expect(toHTMLReport(scan)).toContain(`<h1>💀 Dead link report (${status}, partial results)</h1>`);
+    }
+  });
+});
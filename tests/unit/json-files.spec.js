@@ -0,0 +1,47 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readJSON, writeJSON, createWriteQueue } = require('../../json-files');
+
+test.describe('JSON Files', () => {
+  let dataDir;
+
+  test.beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-files-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('writes atomically and reads back, with a fallback for missing files', async () => {
+    const filePath = path.join(dataDir, 'records.json');
+
+    expect(await readJSON(filePath, [])).toEqual([]);
+    await writeJSON(filePath, [{ id: 'a' }]);
+
+    expect(await readJSON(filePath, [])).toEqual([{ id: 'a' }]);
+    expect(fs.readdirSync(dataDir)).toEqual(['records.json']); // No temp file left behind
+  });
+
+  test('runs queued writes one at a time, even after a failure', async () => {
+    const serialize = createWriteQueue();
+    const order = [];
+
+    const slow = serialize(async () => {
+      await new Promise(resolve => setTimeout(resolve, 30));
+      order.push('slow');
+    });
+    const failing = serialize(async () => { throw new Error('disk full'); });
+    const fast = serialize(async () => {
+      order.push('fast');
+      return 'done';
+    });
+
+    await slow;
+    await expect(failing).rejects.toThrow('disk full');
+    expect(await fast).toBe('done');
+    expect(order).toEqual(['slow', 'fast']);
+  });
+});
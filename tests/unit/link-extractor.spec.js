@@ -0,0 +1,109 @@
+const { test, expect } = require('@playwright/test');
+const { extractLinks, extractAnchors, isPageLink, parseSrcset } = require('../../link-extractor');
+
+const pageUrl = 'https://example.com/blog/post';
+
+// Find the types extracted for a URL
+function typesFor(links, url) {
+  return links.filter(link => link.url === url).map(link => link.type);
+}
+
+test.describe('Link Extractor', () => {
+  test('extracts anchors and images with text', () => {
+    const links = extractLinks(`
+      <a href="/about">About us</a>
+      <a href="https://other.com/">   </a>
+      <img src="logo.png" alt="Logo">
+    `, pageUrl);
+
+    expect(links).toEqual([
+      { url: 'https://example.com/about', text: 'About us', type: 'link' },
+      { url: 'https://other.com/', text: '(no text)', type: 'link' },
+      { url: 'https://example.com/blog/logo.png', text: 'Logo', type: 'image' }
+    ]);
+  });
+
+  test('extracts every srcset candidate once per element', () => {
+    const links = extractLinks(`
+      <img src="/a.png" srcset="/a.png 1x, /a@2x.png 2x" alt="A">
+      <picture>
+        <source srcset="/b.webp 640w,/b-large.webp 1280w" type="image/webp">
+        <img src="/b.png" alt="B">
+      </picture>
+    `, pageUrl);
+
+    expect(links.map(l => l.url)).toEqual([
+      'https://example.com/a.png',
+      'https://example.com/a@2x.png',
+      'https://example.com/b.png',
+      'https://example.com/b.webp',
+      'https://example.com/b-large.webp'
+    ]);
+    expect(links.every(l => l.type === 'image')).toBe(true);
+  });
+
+  test('extracts stylesheets, scripts, media, iframes and GET forms', () => {
+    const links = extractLinks(`
+      <link rel="stylesheet" href="/main.css">
+      <link rel="preconnect" href="https://cdn.example.com">
+      <script src="/app.js"></script>
+      <script>inline()</script>
+      <video src="/intro.mp4" poster="/poster.jpg">
+        <source src="/intro.webm" type="video/webm">
+      </video>
+      <audio src="/podcast.mp3"></audio>
+      <iframe src="https://www.youtube.com/embed/abc" title="Demo video"></iframe>
+      <form action="/search"><input name="q"></form>
+      <form action="/login" method="post"></form>
+    `, pageUrl);
+
+    expect(typesFor(links, 'https://example.com/main.css')).toEqual(['stylesheet']);
+    expect(typesFor(links, 'https://cdn.example.com/')).toEqual([]);
+    expect(typesFor(links, 'https://example.com/app.js')).toEqual(['script']);
+    expect(typesFor(links, 'https://example.com/intro.mp4')).toEqual(['media']);
+    expect(typesFor(links, 'https://example.com/intro.webm')).toEqual(['media']);
+    expect(typesFor(links, 'https://example.com/podcast.mp3')).toEqual(['media']);
+    expect(typesFor(links, 'https://example.com/poster.jpg')).toEqual(['image']);
+    expect(links.find(l => l.type === 'iframe')).toEqual({
+      url: 'https://www.youtube.com/embed/abc', text: 'Demo video', type: 'iframe'
+    });
+    expect(typesFor(links, 'https://example.com/search')).toEqual(['form']);
+    expect(typesFor(links, 'https://example.com/login')).toEqual([]);
+  });
+
+  test('extracts meta refresh targets and Open Graph images', () => {
+    const links = extractLinks(`
+      <head>
+        <meta http-equiv="Refresh" content="5; URL='/new-home'">
+        <meta property="og:image" content="https://cdn.example.com/share.png">
+      </head>
+    `, pageUrl);
+
+    expect(links).toEqual([
+      { url: 'https://example.com/new-home', text: '(meta refresh)', type: 'meta-refresh' },
+      { url: 'https://cdn.example.com/share.png', text: '(og:image)', type: 'og-image' }
+    ]);
+    expect(links.filter(isPageLink).map(l => l.url)).toEqual(['https://example.com/new-home']);
+  });
+
+  test('resolves relative URLs against <base href>', () => {
+    const links = extractLinks('<base href="/docs/v2/"><a href="intro">Intro</a>', pageUrl);
+    expect(links[0].url).toBe('https://example.com/docs/v2/intro');
+  });
+
+  test('parses srcset like browsers do', () => {
+    expect(parseSrcset('a.jpg, b.jpg 2x')).toEqual(['a.jpg', 'b.jpg']);
+    expect(parseSrcset(' a.jpg 640w ,b.jpg 1280w ')).toEqual(['a.jpg', 'b.jpg']);
+    expect(parseSrcset('')).toEqual([]);
+  });
+
+  test('collects ids and named anchors', () => {
+    const anchors = extractAnchors(`
+      <h2 id="install">Install</h2>
+      <section id="usage"><a name="legacy-anchor"></a></section>
+      <div id="install">Duplicate</div>
+    `);
+
+    expect(anchors).toEqual(['install', 'usage', 'legacy-anchor']);
+  });
+});
@@ -0,0 +1,141 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { crawlMarkdown, extractMarkdownLinks, extractMarkdownAnchors } = require('../../markdown-crawler');
+const { checkLinks } = require('../../checker');
+
+const FILE_URL = 'file:///repo/docs/guide.md';
+const ROOT_URL = 'file:///repo/';
+
+// Links as "line type url" for compact assertions
+function summarize(links) {
+  return links.map(link => `${link.line} ${link.type} ${link.url}`);
+}
+
+test.describe('Markdown Crawler', () => {
+  test('extracts inline, reference-style and image links with line numbers', () => {
+    const source = [
+      '# Guide',
+      'See [setup](setup.md#install "Setup") and ![diagram](../img/flow.png).',
+      'Read [the spec][spec], the [FAQ][] or just [Spec].',
+      '',
+      '[spec]: https://example.com/spec "Spec"',
+      '[faq]: <./faq page.md>'
+    ].join('\n');
+
+    expect(summarize(extractMarkdownLinks(source, FILE_URL, ROOT_URL))).toEqual([
+      '2 link file:///repo/docs/setup.md#install',
+      '2 image file:///repo/img/flow.png',
+      '3 link https://example.com/spec',
+      '3 link file:///repo/docs/faq%20page.md',
+      '3 link https://example.com/spec'
+    ]);
+  });
+
+  test('extracts autolinks, bare URLs and badges inside links', () => {
+    const source = [
+      'Mail <https://lists.example.com/join> or visit https://example.com/docs.',
+      '[![build](https://ci.example.com/badge.svg)](https://ci.example.com/)',
+      '[Parens](https://en.wikipedia.org/wiki/Link_(disambiguation)) and [root](/README.md)'
+    ].join('\n');
+
+    expect(summarize(extractMarkdownLinks(source, FILE_URL, ROOT_URL))).toEqual([
+      '1 link https://lists.example.com/join',
+      '1 link https://example.com/docs',
+      '2 image https://ci.example.com/badge.svg',
+      '2 link https://ci.example.com/',
+      '3 link https://en.wikipedia.org/wiki/Link_(disambiguation)',
+      '3 link file:///repo/README.md'
+    ]);
+  });
+
+  test('ignores code, escaped brackets, task lists and undefined references', () => {
+    const source = [
+      '```js',
+      'fetch("https://example.com/in-a-fence");',
+      '```',
+      'Use `[text](url)` or \\[not a link\\](nope.md).',
+      '- [x] done, see [unknown] or [also][missing]',
+      '<!-- https://example.com/commented-out -->'
+    ].join('\n');
+
+    expect(extractMarkdownLinks(source, FILE_URL, ROOT_URL)).toEqual([]);
+  });
+
+  test('checks unused reference definitions too', () => {
+    const links = extractMarkdownLinks('Nothing here\n\n[old]: https://example.com/old', FILE_URL, ROOT_URL);
+
+    expect(links).toEqual([{ url: 'https://example.com/old', text: '(reference definition)', type: 'link', line: 3 }]);
+  });
+
+  test('collects GitHub-style heading anchors and HTML ids', () => {
+    const source = [
+      '# Getting Started!',
+      '## Install `npm` [packages](https://npmjs.com)',
+      '## Getting started',
+      'Setext heading',
+      '--------------',
+      '<a name="legacy"></a>',
+      '```',
+      '# not a heading',
+      '```'
+    ].join('\n');
+
+    expect(extractMarkdownAnchors(source)).toEqual([
+      'getting-started',
+      'install-npm-packages',
+      'getting-started-1',
+      'setext-heading',
+      'legacy'
+    ]);
+  });
+
+  test.describe('crawlMarkdown', () => {
+    let dir;
+
+    test.beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'markdown-crawler-'));
+      fs.mkdirSync(path.join(dir, 'docs'));
+      fs.mkdirSync(path.join(dir, 'node_modules', 'pkg'), { recursive: true });
+      fs.writeFileSync(path.join(dir, 'README.md'), [
+        '# Project',
+        'See the [guide](docs/guide.md) and [setup](docs/guide.md#setup).',
+        'Also [missing](docs/missing.md) and [bad anchor](docs/guide.md#nope).',
+        '![logo](/logo.png)'
+      ].join('\n'));
+      fs.writeFileSync(path.join(dir, 'docs', 'guide.md'), '## Setup\nBack to [the readme](../README.md) and [docs](./).');
+      fs.writeFileSync(path.join(dir, 'node_modules', 'pkg', 'README.md'), '[dead](nowhere.md)');
+    });
+
+    test.afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('reads Markdown files, skipping node_modules', async () => {
+      const { pages } = await crawlMarkdown(dir);
+
+      expect(pages.map(page => page.file)).toEqual(['docs/guide.md', 'README.md']);
+      expect(pages[0].url).toBe(pathToFileURL(path.join(dir, 'docs', 'guide.md')).href);
+      expect(pages[0].anchors).toEqual(['setup']);
+      expect(pages[0].links[0]).toMatchObject({ file: 'docs/guide.md', line: 2, text: 'the readme' });
+    });
+
+    test('reports missing files and anchors by file and line', async () => {
+      const { pages, crawledUrls, checkLocal } = await crawlMarkdown(dir);
+      const results = await checkLinks(pages, crawledUrls, null, null, { checkLocal });
+
+      expect(results.brokenLinks.map(link => `${link.status} ${link.message}`).sort()).toEqual([
+        '404 File not found: docs/missing.md',
+        '404 File not found: logo.png'
+      ]);
+      const missing = results.brokenLinks.find(link => link.url.endsWith('missing.md'));
+      expect(missing.occurrences).toEqual([{ file: 'README.md', line: 3, text: 'missing', type: 'link' }]);
+
+      expect(results.missingAnchors).toHaveLength(1);
+      expect(results.missingAnchors[0].fragment).toBe('nope');
+      expect(results.missingAnchors[0].occurrences).toEqual([{ file: 'README.md', line: 3, text: 'bad anchor', type: 'link' }]);
+    });
+  });
+});
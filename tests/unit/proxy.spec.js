@@ -0,0 +1,39 @@
+const { test, expect } = require('@playwright/test');
+
+// proxy.js reads the environment once, so load a fresh copy with a proxy configured
+function loadProxy(env) {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  try {
+    delete require.cache[require.resolve('../../proxy')];
+    return require('../../proxy');
+  } finally {
+    process.env = saved;
+    delete require.cache[require.resolve('../../proxy')];
+  }
+}
+
+test.describe('Proxy', () => {
+  test('goes direct when no proxy is configured', () => {
+    const { proxyAgentFor } = loadProxy({ https_proxy: '', HTTPS_PROXY: '', http_proxy: '', HTTP_PROXY: '' });
+
+    expect(proxyAgentFor('https://example.com/')).toBeUndefined();
+  });
+
+  test('proxies both protocols except NO_PROXY hosts', () => {
+    const { proxyAgentFor } = loadProxy({
+      https_proxy: '', http_proxy: '', HTTP_PROXY: '',
+      HTTPS_PROXY: 'http://proxy.internal:3128',
+      no_proxy: '', NO_PROXY: 'localhost, .internal.example.com'
+    });
+
+    const httpsAgent = proxyAgentFor('https://example.com/');
+    expect(httpsAgent).toBeDefined();
+    expect(proxyAgentFor('https://other.com/page')).toBe(httpsAgent); // Shared per protocol
+    expect(proxyAgentFor('http://example.com/')).toBeDefined();
+    expect(proxyAgentFor('http://example.com/')).not.toBe(httpsAgent);
+
+    expect(proxyAgentFor('http://localhost:3000/')).toBeUndefined();
+    expect(proxyAgentFor('https://docs.internal.example.com/')).toBeUndefined();
+  });
+});
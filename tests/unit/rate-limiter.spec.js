@@ -0,0 +1,63 @@
+const { test, expect } = require('@playwright/test');
+const { createRateLimiter, parseRetryAfter } = require('../../rate-limiter');
+
+test.describe('Rate Limiter', () => {
+  test('parses Retry-After as seconds or an HTTP date', () => {
+    const now = Date.parse('2024-01-01T00:00:00Z');
+
+    expect(parseRetryAfter('120', now)).toBe(120000);
+    expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:30 GMT', now)).toBe(30000);
+    expect(parseRetryAfter('Sun, 31 Dec 2023 23:00:00 GMT', now)).toBe(0);
+    expect(parseRetryAfter(undefined, now)).toBeNull();
+    expect(parseRetryAfter('soon', now)).toBeNull();
+  });
+
+  test('spaces requests by the normal delay', async () => {
+    const limiter = createRateLimiter({ delayMs: 100 });
+    const started = Date.now();
+
+    await Promise.all([limiter.acquire(), limiter.acquire(), limiter.acquire()]);
+
+    expect(Date.now() - started).toBeGreaterThanOrEqual(190);
+  });
+
+  test('backs off on 429/503 and eases back on success', () => {
+    const limiter = createRateLimiter({ delayMs: 500 });
+
+    limiter.throttled();
+    expect(limiter.delayMs).toBe(1000);
+    limiter.throttled();
+    expect(limiter.delayMs).toBe(2000);
+
+    limiter.succeeded();
+    expect(limiter.delayMs).toBe(1000);
+    limiter.succeeded();
+    limiter.succeeded();
+    expect(limiter.delayMs).toBe(500);
+  });
+
+  test('pauses the host for as long as Retry-After asks', async () => {
+    const limiter = createRateLimiter({ delayMs: 0 });
+    await limiter.acquire();
+
+    limiter.throttled(300);
+    expect(limiter.paused).toBe(true);
+    const started = Date.now();
+    await limiter.acquire();
+
+    expect(Date.now() - started).toBeGreaterThanOrEqual(290);
+    expect(limiter.paused).toBe(false);
+  });
+
+  test('holds back callers that were already waiting when the host asks for a pause', async () => {
+    const limiter = createRateLimiter({ delayMs: 50 });
+    await limiter.acquire();
+
+    const started = Date.now();
+    const waiting = limiter.acquire(); // Slot in 50ms
+    limiter.throttled(300);
+    await waiting;
+
+    expect(Date.now() - started).toBeGreaterThanOrEqual(290);
+  });
+});
@@ -0,0 +1,93 @@
+const { test, expect } = require('@playwright/test');
+const { analyzeRedirectChain, describeRedirect, findPageRedirects, followRedirects } = require('../../redirects');
+
+// request() over a fake site: { url: [status, location] }, anything else is a 200
+function fakeSite(routes) {
+  return async (url) => {
+    const [status, location] = routes[url] || [200];
+    return { status, headers: location ? { location } : {} };
+  };
+}
+
+test.describe('Redirect Chains', () => {
+  test('follows redirects hop by hop, resolving relative locations', async () => {
+    const { response, url, redirects } = await followRedirects('http://example.com/old', fakeSite({
+      'http://example.com/old': [301, 'https://example.com/old'],
+      'https://example.com/old': [302, '/new']
+    }));
+
+    expect(response.status).toBe(200);
+    expect(url).toBe('https://example.com/new');
+    expect(redirects).toEqual([
+      { url: 'http://example.com/old', status: 301, location: 'https://example.com/old' },
+      { url: 'https://example.com/old', status: 302, location: 'https://example.com/new' }
+    ]);
+  });
+
+  test('stops at loops and overly long chains', async () => {
+    const loop = fakeSite({
+      'https://example.com/a': [302, '/b'],
+      'https://example.com/b': [302, '/a']
+    });
+    await expect(followRedirects('https://example.com/a', loop)).rejects.toMatchObject({
+      code: 'REDIRECT_LOOP',
+      status: 302,
+      redirects: [
+        { url: 'https://example.com/a', status: 302, location: 'https://example.com/b' },
+        { url: 'https://example.com/b', status: 302, location: 'https://example.com/a' }
+      ]
+    });
+
+    const endless = async (url) => ({ status: 307, headers: { location: `${url}x` } });
+    const error = await followRedirects('https://example.com/', endless, 3).catch(e => e);
+    expect(error.code).toBe('TOO_MANY_REDIRECTS');
+    expect(error.redirects).toHaveLength(4);
+  });
+
+  test('flags loops, long chains, HTTPS downgrades and permanent redirects', () => {
+    const hop = (url, status, location) => ({ url, status, location });
+
+    expect(analyzeRedirectChain([])).toEqual([]);
+    expect(analyzeRedirectChain([hop('https://a.com/x', 302, 'https://a.com/y')])).toEqual([]);
+    expect(analyzeRedirectChain([
+      hop('https://a.com/1', 302, 'https://a.com/2'),
+      hop('https://a.com/2', 302, 'https://a.com/1')
+    ])).toEqual(['loop']);
+    expect(analyzeRedirectChain([
+      hop('https://a.com/1', 308, 'https://a.com/2'),
+      hop('https://a.com/2', 302, 'http://b.com/'),
+      hop('http://b.com/', 302, 'http://b.com/home')
+    ], { redirectChainLimit: 2 })).toEqual(['long-chain', 'downgrade', 'permanent']);
+  });
+
+  test('leaves out trivial redirects unless the chain has a real problem', () => {
+    const upgrade = [{ url: 'http://a.com/docs', status: 301, location: 'https://a.com/docs' }];
+    expect(describeRedirect('http://a.com/docs', 'https://a.com/docs', upgrade)).toBeNull();
+
+    const downgrade = [{ url: 'https://a.com/docs', status: 302, location: 'http://a.com/docs' }];
+    expect(describeRedirect('https://a.com/docs', 'http://a.com/docs', downgrade)).toEqual({
+      redirectTo: 'http://a.com/docs',
+      chain: downgrade,
+      issues: ['downgrade']
+    });
+  });
+
+  test('reports links to crawled pages that redirected during the crawl', () => {
+    const pages = [
+      { url: 'https://a.com/', links: [{ url: 'https://a.com/old', text: 'Old', type: 'link' }] },
+      {
+        url: 'https://a.com/old',
+        redirects: [{ url: 'https://a.com/old', status: 301, location: 'https://a.com/new' }],
+        links: []
+      }
+    ];
+
+    expect(findPageRedirects(pages)).toEqual([{
+      url: 'https://a.com/old',
+      redirectTo: 'https://a.com/new',
+      chain: pages[1].redirects,
+      issues: ['permanent'],
+      occurrences: [{ page: 'https://a.com/', text: 'Old', type: 'link' }]
+    }]);
+  });
+});
@@ -0,0 +1,94 @@
+const { test, expect } = require('@playwright/test');
+const { toJUnit, toSARIF } = require('../../report-formats');
+
+// Minimal finished scan, shaped like the server's scan objects
+function makeScan() {
+  return {
+    id: '1700000000000',
+    url: 'https://example.com',
+    status: 'completed',
+    startedAt: Date.UTC(2026, 9, 19, 2, 0, 0),
+    completedAt: Date.UTC(2026, 9, 19, 2, 0, 42, 500),
+    results: {
+      summary: { totalPages: 2, brokenLinks: 2 },
+      pages: [{ url: 'https://example.com/' }, { url: 'https://example.com/about' }],
+      brokenLinks: [
+        {
+          url: 'https://example.com/missing?a=1&b=<2>',
+          status: 404,
+          message: 'Not Found',
+          occurrences: [
+            { page: 'https://example.com/', text: 'Fish & "chips"', type: 'link' },
+            { page: 'https://example.com/about', text: '', type: 'image' }
+          ]
+        },
+        {
+          url: 'https://gone.example.net/',
+          status: 'ENOTFOUND',
+          message: 'DNS lookup failed',
+          occurrences: [{ page: 'https://example.com/', text: 'Partner', type: 'link' }]
+        }
+      ],
+      warnings: [
+        { url: 'https://example.com/admin', status: 403, message: 'Forbidden', occurrences: [{ page: 'https://example.com/about', text: 'Admin', type: 'link' }] }
+      ],
+      missingAnchors: [
+        { url: 'https://example.com/about', fragment: 'team', message: 'Missing anchor #team', occurrences: [{ page: 'https://example.com/', text: 'Team', type: 'link' }] }
+      ],
+      soft404s: [
+        { url: 'https://example.com/old', status: 200, message: 'Looks like a "not found" page (soft 404)', occurrences: [{ page: 'https://example.com/', text: 'Old', type: 'link' }] }
+      ]
+    }
+  };
+}
+
+test.describe('Report Formats', () => {
+  test('JUnit: one testcase per page, one failure per broken link', () => {
+    const xml = toJUnit(makeScan());
+
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+    expect(xml).toContain('<testsuite name="https://example.com" tests="2" failures="2" errors="0" skipped="0" time="42.500" timestamp="2026-10-19T02:00:00">');
+    expect(xml.match(/<testcase /g)).toHaveLength(2);
+    expect(xml.match(/<failure /g)).toHaveLength(3);
+
+    // Everything is escaped
+    expect(xml).toContain('message="404 Not Found: https://example.com/missing?a=1&amp;b=&lt;2&gt;" type="404"');
+    expect(xml).toContain('Link text: Fish &amp; &quot;chips&quot;');
+    expect(xml).toContain('type="ENOTFOUND"');
+  });
+
+  test('JUnit: pages without broken links pass', () => {
+    const scan = makeScan();
+    scan.results.brokenLinks = [];
+    const xml = toJUnit(scan);
+
+    expect(xml).toContain('failures="0"');
+    expect(xml).toContain('<testcase classname="https://example.com" name="https://example.com/about" time="0"/>');
+    expect(xml).not.toContain('<failure');
+  });
+
+  test('SARIF: broken links are errors, warnings, missing anchors and soft 404s are warnings', () => {
+    const log = toSARIF(makeScan());
+
+    expect(log.version).toBe('2.1.0');
+    const [run] = log.runs;
+    expect(run.tool.driver.rules.map(rule => rule.id)).toEqual(['broken-link', 'link-warning', 'missing-anchor', 'soft-404']);
+    expect(run.invocations[0].executionSuccessful).toBe(true);
+
+    expect(run.results.map(result => [result.ruleId, result.level])).toEqual([
+      ['broken-link', 'error'],
+      ['broken-link', 'error'],
+      ['broken-link', 'error'],
+      ['link-warning', 'warning'],
+      ['missing-anchor', 'warning'],
+      ['soft-404', 'warning']
+    ]);
+
+    const [first] = run.results;
+    expect(first.message.text).toBe('Broken link to https://example.com/missing?a=1&b=<2> (404 Not Found)');
+    expect(first.locations[0].physicalLocation.artifactLocation.uri).toBe('https://example.com/');
+    expect(first.properties).toEqual({ url: 'https://example.com/missing?a=1&b=<2>', status: 404, linkType: 'link', linkText: 'Fish & "chips"' });
+    expect(run.results[4].message.text).toBe('Missing anchor #team on https://example.com/about');
+    expect(run.results[5].message.text).toBe('Link to https://example.com/old looks like a "not found" page (soft 404)');
+  });
+});
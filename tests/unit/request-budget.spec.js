@@ -0,0 +1,33 @@
+const { test, expect } = require('@playwright/test');
+const { createRequestBudget } = require('../../request-budget');
+
+test.describe('Request Budget', () => {
+  test('hands out slots up to the limit, then queues in order', async () => {
+    const budget = createRequestBudget({ maxRequests: 2 });
+    const releaseA = await budget.acquire();
+    const releaseB = await budget.acquire();
+    expect(budget.active).toBe(2);
+
+    const started = [];
+    const waitingC = budget.acquire().then((release) => { started.push('C'); return release; });
+    const waitingD = budget.acquire().then((release) => { started.push('D'); return release; });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(budget.waiting).toBe(2);
+    expect(started).toEqual([]);
+
+    releaseA();
+    const releaseC = await waitingC;
+    expect(started).toEqual(['C']);
+    expect(budget.active).toBe(2);
+
+    releaseB();
+    releaseB(); // Releasing twice frees one slot only
+    const releaseD = await waitingD;
+    expect(started).toEqual(['C', 'D']);
+
+    releaseC();
+    releaseD();
+    expect(budget.active).toBe(0);
+    expect(budget.waiting).toBe(0);
+  });
+});
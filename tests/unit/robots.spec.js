@@ -0,0 +1,110 @@
+const { test, expect } = require('@playwright/test');
+const { parseRobotsTxt, loadRobotsTxt } = require('../../robots');
+
+test.describe('robots.txt Parser', () => {
+  test('applies the wildcard group when no group names us', () => {
+    const robots = parseRobotsTxt(`
+User-agent: *
+Disallow: /private
+Disallow: /tmp/
+`);
+
+    expect(robots.isAllowed('https://example.com/')).toBe(true);
+    expect(robots.isAllowed('https://example.com/private')).toBe(false);
+    expect(robots.isAllowed('https://example.com/private/page')).toBe(false);
+    expect(robots.isAllowed('https://example.com/tmp')).toBe(true);
+    expect(robots.isAllowed('https://example.com/tmp/file')).toBe(false);
+  });
+
+  test('prefers a group naming our user agent over the wildcard', () => {
+    const robots = parseRobotsTxt(`
+User-agent: *
+Disallow: /
+
+User-agent: Googlebot
+User-agent: DeadLinkChecker
+Disallow: /admin
+`);
+
+    expect(robots.isAllowed('https://example.com/docs')).toBe(true);
+    expect(robots.isAllowed('https://example.com/admin')).toBe(false);
+  });
+
+  test('matches our product token exactly, ignoring case', () => {
+    const robots = parseRobotsTxt(`
+User-agent: link
+User-agent: checker
+Disallow: /
+
+User-agent: deadlinkchecker
+Disallow: /admin
+`);
+
+    expect(robots.isAllowed('https://example.com/docs')).toBe(true);
+    expect(robots.isAllowed('https://example.com/admin')).toBe(false);
+
+    // A group for another bot whose name is part of ours doesn't apply
+    const other = parseRobotsTxt(`
+User-agent: Checker
+Disallow: /
+`);
+    expect(other.isAllowed('https://example.com/docs')).toBe(true);
+  });
+
+  test('longest matching rule wins and Allow wins ties', () => {
+    const robots = parseRobotsTxt(`
+User-agent: *
+Disallow: /docs
+Allow: /docs/public
+Allow: /same
+Disallow: /same
+`);
+
+    expect(robots.isAllowed('https://example.com/docs/secret')).toBe(false);
+    expect(robots.isAllowed('https://example.com/docs/public/page')).toBe(true);
+    expect(robots.isAllowed('https://example.com/same')).toBe(true);
+  });
+
+  test('supports * and $ in patterns', () => {
+    const robots = parseRobotsTxt(`
+User-agent: *
+Disallow: /*.pdf$
+Disallow: /*?session=
+`);
+
+    expect(robots.isAllowed('https://example.com/files/report.pdf')).toBe(false);
+    expect(robots.isAllowed('https://example.com/files/report.pdf.html')).toBe(true);
+    expect(robots.isAllowed('https://example.com/page?session=abc')).toBe(false);
+    expect(robots.isAllowed('https://example.com/page?lang=en')).toBe(true);
+  });
+
+  test('ignores empty Disallow, reads Crawl-delay and Sitemap lines', () => {
+    const robots = parseRobotsTxt(`
+# Comments are ignored
+User-agent: *
+Disallow:
+Crawl-delay: 2
+
+Sitemap: https://example.com/sitemaps/main.xml
+`);
+
+    expect(robots.isAllowed('https://example.com/anything')).toBe(true);
+    expect(robots.crawlDelay).toBe(2);
+    expect(robots.sitemaps).toEqual(['https://example.com/sitemaps/main.xml']);
+  });
+
+  test('caps very large Crawl-delay values', () => {
+    const robots = parseRobotsTxt('User-agent: *\nCrawl-delay: 3600\n');
+    expect(robots.crawlDelay).toBe(60);
+  });
+
+  test('allows everything when robots.txt is missing or unreachable', async () => {
+    const missing = await loadRobotsTxt('https://example.com', async () => ({ status: 404, data: 'Not Found' }));
+    expect(missing.isAllowed('https://example.com/private')).toBe(true);
+
+    const unreachable = await loadRobotsTxt('https://example.com', async () => {
+      throw new Error('ECONNREFUSED');
+    });
+    expect(unreachable.isAllowed('https://example.com/private')).toBe(true);
+  });
+});
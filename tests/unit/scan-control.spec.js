@@ -0,0 +1,93 @@
+const { test, expect } = require('@playwright/test');
+const { createScanControl, requestThrough } = require('../../scan-control');
+const { createRequestBudget } = require('../../request-budget');
+
+test.describe('Scan Control', () => {
+  test('runs freely until paused', async () => {
+    const control = createScanControl();
+
+    expect(control.paused).toBe(false);
+    await control.whenRunning();
+  });
+
+  test('holds waiters while paused and releases them on resume', async () => {
+    const control = createScanControl();
+    control.pause();
+
+    let released = false;
+    const waiting = control.whenRunning().then(() => { released = true; });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(released).toBe(false);
+
+    control.resume();
+    await waiting;
+    expect(released).toBe(true);
+  });
+
+  test('cancel aborts the signal and releases paused waiters', async () => {
+    const control = createScanControl();
+    control.pause();
+    const waiting = control.whenRunning();
+
+    control.cancel();
+    await waiting;
+
+    expect(control.cancelled).toBe(true);
+    expect(control.signal.aborted).toBe(true);
+    expect(control.paused).toBe(false);
+
+    // A cancelled scan can't be paused again
+    control.pause();
+    expect(control.paused).toBe(false);
+  });
+
+  test('tracks in-flight requests until they settle', async () => {
+    const control = createScanControl();
+    await control.whenIdle();
+
+    let finish;
+    const request = control.track(new Promise(resolve => { finish = resolve; }));
+    const failing = control.track(Promise.reject(new Error('boom')));
+    expect(control.inFlight).toBe(2);
+
+    let idle = false;
+    const waiting = control.whenIdle().then(() => { idle = true; });
+    await expect(failing).rejects.toThrow('boom');
+    expect(control.inFlight).toBe(1);
+    expect(idle).toBe(false);
+
+    finish('done');
+    expect(await request).toBe('done');
+    await waiting;
+    expect(idle).toBe(true);
+    expect(control.inFlight).toBe(0);
+  });
+
+  test('requests wait for the shared request budget', async () => {
+    const requestBudget = createRequestBudget({ maxRequests: 1 });
+    const scanA = createScanControl({ requestBudget });
+    const scanB = createScanControl({ requestBudget });
+
+    let finishA;
+    const requestA = scanA.request(() => new Promise(resolve => { finishA = resolve; }));
+    let startedB = false;
+    const requestB = scanB.request(async () => { startedB = true; return 'B'; });
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(startedB).toBe(false);
+    expect(scanB.inFlight).toBe(1); // Waiting for a slot counts as in flight
+
+    finishA('A');
+    expect(await requestA).toBe('A');
+    expect(await requestB).toBe('B');
+    expect(requestBudget.active).toBe(0);
+  });
+
+  test('requestThrough uses the control when there is one', async () => {
+    const requestBudget = createRequestBudget({ maxRequests: 1 });
+    const control = createScanControl({ requestBudget });
+
+    expect(await requestThrough(control, async () => requestBudget.active)).toBe(1);
+    expect(await requestThrough(null, async () => requestBudget.active)).toBe(0);
+  });
+});
@@ -0,0 +1,62 @@
+const { test, expect } = require('@playwright/test');
+const { diffScans, isSameSite } = require('../../scan-diff');
+
+// Build a completed scan from { url: [pages...] } broken link map
+function makeScan(id, broken) {
+  return {
+    id,
+    url: 'https://example.com',
+    startedAt: Number(id),
+    results: {
+      brokenLinks: Object.entries(broken).map(([url, pages]) => ({
+        url,
+        status: 404,
+        message: 'Not Found',
+        occurrences: pages.map(page => ({ page, text: 'link', type: 'link' }))
+      }))
+    }
+  };
+}
+
+test.describe('Scan Diff', () => {
+  test('sorts broken links into new, still broken and fixed', () => {
+    const base = makeScan('1', {
+      'https://vendor.com/old': ['https://example.com/'],
+      'https://example.com/gone': ['https://example.com/about']
+    });
+    const compare = makeScan('2', {
+      'https://vendor.com/old': ['https://example.com/'],
+      'https://example.com/new-404': ['https://example.com/blog']
+    });
+
+    const diff = diffScans(base, compare);
+
+    expect(diff.newBroken.map(l => l.url)).toEqual(['https://example.com/new-404']);
+    expect(diff.stillBroken.map(l => l.url)).toEqual(['https://vendor.com/old']);
+    expect(diff.fixed.map(l => l.url)).toEqual(['https://example.com/gone']);
+    expect(diff.summary).toEqual({ newBroken: 1, stillBroken: 1, fixed: 1 });
+    expect(diff.base.id).toBe('1');
+    expect(diff.compare.id).toBe('2');
+  });
+
+  test('keys occurrences by URL and page', () => {
+    const base = makeScan('1', {
+      'https://vendor.com/old': ['https://example.com/a', 'https://example.com/b']
+    });
+    const compare = makeScan('2', {
+      'https://vendor.com/old': ['https://example.com/a', 'https://example.com/c']
+    });
+
+    const diff = diffScans(base, compare);
+
+    expect(diff.newBroken[0].occurrences.map(o => o.page)).toEqual(['https://example.com/c']);
+    expect(diff.stillBroken[0].occurrences.map(o => o.page)).toEqual(['https://example.com/a']);
+    expect(diff.fixed[0].occurrences.map(o => o.page)).toEqual(['https://example.com/b']);
+  });
+
+  test('compares sites by origin', () => {
+    expect(isSameSite('https://example.com', 'https://example.com/docs')).toBe(true);
+    expect(isSameSite('https://example.com', 'http://example.com')).toBe(false);
+    expect(isSameSite('https://example.com', 'https://other.com')).toBe(false);
+  });
+});
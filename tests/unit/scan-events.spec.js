@@ -0,0 +1,39 @@
+const { test, expect } = require('@playwright/test');
+const { createEventLog, formatEvent } = require('../../scan-events');
+
+test.describe('Scan Events', () => {
+  test('numbers events and replays the ones after a given id', () => {
+    const log = createEventLog();
+    const seen = [];
+    const unsubscribe = log.subscribe(event => seen.push(event.type));
+
+    const first = log.emit('page-crawled', { url: 'https://example.com/' });
+    log.emit('link-checked', { url: 'https://example.com/a' });
+    unsubscribe();
+    log.emit('broken-found', { url: 'https://example.com/b' });
+
+    expect(seen).toEqual(['page-crawled', 'link-checked']);
+    expect(log.lastId).toMatch(/-3$/);
+    expect(log.since(first.id).map(event => event.type)).toEqual(['link-checked', 'broken-found']);
+    expect(log.since(log.lastId)).toEqual([]);
+  });
+
+  test('can\'t resume from dropped events, other logs or made-up ids', () => {
+    const log = createEventLog({ maxEvents: 2 });
+    const start = log.lastId;
+    const first = log.emit('a', {});
+    log.emit('b', {});
+    log.emit('c', {});
+
+    expect(log.since(start)).toBeNull();
+    expect(log.since(first.id).map(event => event.type)).toEqual(['b', 'c']);
+    expect(log.since('zzzz-1')).toBeNull();
+    expect(log.since(log.lastId.replace(/\d+$/, '99'))).toBeNull();
+    expect(log.since(undefined)).toBeNull();
+  });
+
+  test('formats events for text/event-stream', () => {
+    expect(formatEvent({ id: 'k1-7', type: 'stage-changed', data: { status: 'paused' } }))
+      .toBe('id: k1-7\nevent: stage-changed\ndata: {"status":"paused"}\n\n');
+  });
+});
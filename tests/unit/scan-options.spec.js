@@ -0,0 +1,76 @@
+const { test, expect } = require('@playwright/test');
+const { DEFAULT_SCAN_OPTIONS, resolveScanOptions } = require('../../scan-options');
+
+test.describe('Scan Options', () => {
+  test('fills in defaults for missing options', () => {
+    expect(resolveScanOptions()).toEqual(DEFAULT_SCAN_OPTIONS);
+    expect(resolveScanOptions(null)).toEqual(DEFAULT_SCAN_OPTIONS);
+
+    const options = resolveScanOptions({ maxPages: 50000, domainDelayMs: 0, timeout: null });
+    expect(options.maxPages).toBe(50000);
+    expect(options.domainDelayMs).toBe(0);
+    expect(options.timeout).toBe(DEFAULT_SCAN_OPTIONS.timeout);
+    expect(options.crawlConcurrency).toBe(DEFAULT_SCAN_OPTIONS.crawlConcurrency);
+  });
+
+  test('rejects unknown options', () => {
+    expect(() => resolveScanOptions({ turbo: true })).toThrow('Unknown scan option: turbo');
+    expect(() => resolveScanOptions({ toString: 1 })).toThrow('Unknown scan option');
+  });
+
+  test('rejects out-of-range and non-integer values', () => {
+    expect(() => resolveScanOptions({ maxPages: 0 })).toThrow('maxPages must be an integer between 1 and 100000');
+    expect(() => resolveScanOptions({ crawlConcurrency: 1000 })).toThrow('crawlConcurrency');
+    expect(() => resolveScanOptions({ timeout: 1500.5 })).toThrow('timeout');
+    expect(() => resolveScanOptions({ maxRetries: '2' })).toThrow('maxRetries');
+  });
+
+  test('requires booleans for flags', () => {
+    expect(resolveScanOptions({ ignoreRobots: true }).ignoreRobots).toBe(true);
+    expect(() => resolveScanOptions({ ignoreRobots: 'yes' })).toThrow('ignoreRobots must be true or false');
+  });
+
+  test('only accepts known render modes', () => {
+    expect(resolveScanOptions({ renderMode: 'auto' }).renderMode).toBe('auto');
+    expect(() => resolveScanOptions({ renderMode: 'yes' })).toThrow('renderMode must be one of: off, auto, always');
+  });
+
+  test('rejects non-object input', () => {
+    expect(() => resolveScanOptions('fast')).toThrow('Scan options must be an object');
+    expect(() => resolveScanOptions([])).toThrow('Scan options must be an object');
+  });
+
+  test('validates include/exclude patterns', () => {
+    const options = resolveScanOptions({ exclude: [' /api/ ', '/tag/*'] });
+    expect(options.exclude).toEqual(['/api/', '/tag/*']);
+    expect(options.include).toEqual([]);
+
+    expect(() => resolveScanOptions({ exclude: '/api/' })).toThrow('exclude must be a list');
+    expect(() => resolveScanOptions({ include: [''] })).toThrow('include must be a list');
+  });
+
+  test('accepts regex: patterns only when allowed (from the CLI)', () => {
+    expect(() => resolveScanOptions({ exclude: ['regex:(a+)+$'] })).toThrow('only allowed from the command line');
+
+    const options = resolveScanOptions({ exclude: ['regex:/tag/\\w+'] }, { allowRegex: true });
+    expect(options.exclude).toEqual(['regex:/tag/\\w+']);
+    expect(() => resolveScanOptions({ exclude: ['regex:('] }, { allowRegex: true })).toThrow('Invalid regular expression');
+  });
+
+  test('validates auth settings', () => {
+    const options = resolveScanOptions({
+      auth: { username: 'me', password: 'pw', bearerToken: '', login: { url: 'https://example.com/login', fields: { user: 'me' } } }
+    });
+    expect(options.auth).toEqual({ username: 'me', password: 'pw', login: { url: 'https://example.com/login', fields: { user: 'me' } } });
+    expect(resolveScanOptions({ auth: { cookie: '' } }).auth).toBeNull();
+
+    expect(() => resolveScanOptions({ auth: 'me:pw' })).toThrow('auth must be an object');
+    expect(() => resolveScanOptions({ auth: { token: 'x' } })).toThrow('Unknown auth setting: token');
+    expect(() => resolveScanOptions({ auth: { cookie: 'a=1\r\nX-Evil: 1' } })).toThrow('auth.cookie must be a single-line string');
+    expect(() => resolveScanOptions({ auth: { password: 'pw' } })).toThrow('auth.password needs auth.username');
+    expect(() => resolveScanOptions({ auth: { username: 'me', bearerToken: 't' } })).toThrow('not both');
+    expect(() => resolveScanOptions({ auth: { headers: { 'Bad Name': 'x' } } })).toThrow('auth.headers must map header names to values');
+    expect(() => resolveScanOptions({ auth: { login: { url: 'ftp://example.com' } } })).toThrow('auth.login.url must be an http(s) URL');
+    expect(() => resolveScanOptions({ auth: { login: { url: 'https://example.com', fields: { user: 1 } } } })).toThrow('auth.login.fields');
+  });
+});
@@ -0,0 +1,98 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createScanStore } = require('../../scan-store');
+
+// Minimal finished scan, shaped like the server's scan objects
+function makeScan(id, overrides = {}) {
+  const brokenLinks = [{ url: 'https://example.com/missing', status: 404, message: 'Not Found', occurrences: [] }];
+  return {
+    id,
+    url: 'https://example.com',
+    status: 'completed',
+    startedAt: Date.now(),
+    completedAt: Date.now(),
+    progress: { stage: 'completed' },
+    results: { summary: { totalPages: 1, brokenLinks: 1 }, brokenLinks },
+    liveBrokenLinks: brokenLinks,
+    ...overrides
+  };
+}
+
+test.describe('Scan Store', () => {
+  let dataDir;
+
+  test.beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-store-'));
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('saves scans and reads them back', async () => {
+    const store = createScanStore({ dataDir });
+    await store.saveScan(makeScan('100'));
+
+    const scan = await store.getScan('100');
+    expect(scan.url).toBe('https://example.com');
+    expect(scan.results.summary.brokenLinks).toBe(1);
+    expect(scan.liveBrokenLinks).toHaveLength(1);
+
+    // Survives a new store instance (i.e. a server restart)
+    const reopened = createScanStore({ dataDir });
+    expect(await reopened.getScan('100')).not.toBeNull();
+  });
+
+  test('lists scans newest first and filters by URL', async () => {
+    const store = createScanStore({ dataDir });
+    await store.saveScan(makeScan('1', { startedAt: Date.now() - 5000 }));
+    await store.saveScan(makeScan('2', { startedAt: Date.now(), url: 'https://other.example' }));
+    await store.saveScan(makeScan('3', { startedAt: Date.now() - 1000 }));
+
+    const all = await store.listScans();
+    expect(all.map(s => s.id)).toEqual(['2', '3', '1']);
+    expect(all[0].summary.brokenLinks).toBe(1);
+
+    const filtered = await store.listScans({ url: 'https://example.com', limit: 1 });
+    expect(filtered.map(s => s.id)).toEqual(['3']);
+  });
+
+  test('deletes scans', async () => {
+    const store = createScanStore({ dataDir });
+    await store.saveScan(makeScan('1'));
+
+    expect(await store.deleteScan('1')).toBe(true);
+    expect(await store.getScan('1')).toBeNull();
+    expect(await store.listScans()).toEqual([]);
+    expect(await store.deleteScan('1')).toBe(false);
+  });
+
+  test('keeps at most maxScans scans', async () => {
+    const store = createScanStore({ dataDir, maxScans: 2 });
+    await store.saveScan(makeScan('1', { startedAt: Date.now() - 3000 }));
+    await store.saveScan(makeScan('2', { startedAt: Date.now() - 2000 }));
+    await store.saveScan(makeScan('3', { startedAt: Date.now() - 1000 }));
+
+    const ids = (await store.listScans()).map(s => s.id);
+    expect(ids).toEqual(['3', '2']);
+    expect(await store.getScan('1')).toBeNull();
+  });
+
+  test('removes scans older than maxAgeDays', async () => {
+    const writer = createScanStore({ dataDir, maxAgeDays: 0 });
+    const tenDaysAgo = Date.now() - 10 * 24 * 60 * 60 * 1000;
+    await writer.saveScan(makeScan('old', { startedAt: tenDaysAgo }));
+    await writer.saveScan(makeScan('new'));
+
+    const store = createScanStore({ dataDir, maxAgeDays: 7 });
+    expect(await store.applyRetention()).toBe(1);
+    expect((await store.listScans()).map(s => s.id)).toEqual(['new']);
+  });
+
+  test('rejects scan ids that could escape the data directory', async () => {
+    const store = createScanStore({ dataDir });
+    expect(await store.getScan('../index')).toBeNull();
+  });
+});
@@ -0,0 +1,85 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createListStore } = require('../../list-store');
+const { createScheduler, nextRunAt } = require('../../scheduler');
+
+test.describe('Scheduler', () => {
+  let dataDir;
+  let store;
+
+  test.beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+    store = createListStore({ name: 'schedules', dataDir });
+  });
+
+  test.afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  function addSchedule(id, cron, now) {
+    return store.save({ id, url: `https://${id}.example.com`, cron, options: {}, nextRunAt: nextRunAt(cron, now), lastRun: null });
+  }
+
+  test('starts due schedules and moves them to their next run', async () => {
+    const now = new Date('2026-10-19T01:00:00').getTime();
+    await addSchedule('nightly', '0 2 * * *', now);
+    await addSchedule('weekly', '@weekly', now);
+
+    const started = [];
+    const scheduler = createScheduler({ store, startRun: (schedule) => started.push(schedule.id) && `scan-${schedule.id}` });
+
+    await scheduler.checkDue(now);
+    expect(started).toEqual([]);
+
+    const twoAm = new Date('2026-10-19T02:00:00').getTime();
+    await scheduler.checkDue(twoAm);
+    expect(started).toEqual(['nightly']);
+
+    const [nightly, weekly] = await store.list();
+    expect(nightly.lastRun).toEqual({ at: twoAm, scanId: 'scan-nightly', skipped: false });
+    expect(nightly.nextRunAt).toBe(new Date('2026-10-20T02:00:00').getTime());
+    expect(weekly.lastRun).toBeNull();
+
+    // Already moved on, so checking again doesn't start it twice
+    await scheduler.checkDue(twoAm + 30000);
+    expect(started).toEqual(['nightly']);
+  });
+
+  test('skips a run when startRun declines it', async () => {
+    const now = new Date('2026-10-19T01:00:00').getTime();
+    await addSchedule('busy', '0 2 * * *', now);
+
+    const scheduler = createScheduler({ store, startRun: () => null });
+    const twoAm = new Date('2026-10-19T02:00:00').getTime();
+    await scheduler.checkDue(twoAm);
+
+    const [busy] = await store.list();
+    expect(busy.lastRun).toEqual({ at: twoAm, scanId: null, skipped: true });
+    expect(busy.nextRunAt).toBe(new Date('2026-10-20T02:00:00').getTime());
+  });
+
+  test('runs a missed schedule once, not once per missed run', async () => {
+    const now = new Date('2026-10-19T01:00:00').getTime();
+    await addSchedule('hourly', '@hourly', now);
+
+    const started = [];
+    const scheduler = createScheduler({ store, startRun: (schedule) => started.push(schedule.id) && 'scan' });
+
+    // Server was down for a day
+    const later = new Date('2026-10-20T01:30:00').getTime();
+    await scheduler.checkDue(later);
+    await scheduler.checkDue(later + 1000);
+
+    expect(started).toEqual(['hourly']);
+    expect((await store.list())[0].nextRunAt).toBe(new Date('2026-10-20T02:00:00').getTime());
+  });
+
+  test('deletes schedules', async () => {
+    await addSchedule('gone', '@daily', Date.now());
+    expect(await store.remove('gone')).toBe(true);
+    expect(await store.remove('gone')).toBe(false);
+    expect(await store.list()).toEqual([]);
+  });
+});
@@ -0,0 +1,81 @@
+const { test, expect } = require('@playwright/test');
+const { createSoft404Detector, findSoft404Pages, fingerprintPage, looksLikeErrorPage } = require('../../soft-404');
+
+const NOT_FOUND_TEXT = 'Sorry, we could not find that page. It may have moved or been deleted. Try the search box or go back to the home page.';
+
+function page(title, body) {
+  return `<html><head><title>${title}</title></head><body><nav>Home Blog About</nav><p>${body}</p><script>var x = Math.random();</script></body></html>`;
+}
+
+// loadPage over a fake site: known paths answer with their HTML, others with notFound
+function fakeSite(known, notFound) {
+  const requested = [];
+  const loadPage = async (url) => {
+    requested.push(url);
+    const { pathname } = new URL(url);
+    if (known[pathname]) {
+      return { status: 200, headers: { 'content-type': 'text/html' }, data: known[pathname] };
+    }
+    return { status: notFound.status, headers: { 'content-type': 'text/html' }, data: notFound.html(pathname) };
+  };
+  return { loadPage, requested };
+}
+
+test.describe('Soft 404 Detection', () => {
+  test('fingerprints visible text without scripts or the requested path', () => {
+    const fingerprint = fingerprintPage(page('Not Found', 'No page at /blog/old-post here'), 'https://example.com/blog/old-post');
+
+    expect(fingerprint.title).toBe('not found');
+    expect(fingerprint.text).toBe('home blog about no page at here');
+    expect(fingerprint.text).not.toContain('math.random');
+  });
+
+  test('matches error pages by title and text, not ordinary pages', () => {
+    const errorPage = fingerprintPage(page('Page not found', NOT_FOUND_TEXT), 'https://example.com/bogus-123');
+
+    expect(looksLikeErrorPage(fingerprintPage(page('Page not found', NOT_FOUND_TEXT), 'https://example.com/old'), errorPage)).toBe(true);
+    // A different title is fine when the text is (nearly) the same
+    expect(looksLikeErrorPage(fingerprintPage(page('Oops', NOT_FOUND_TEXT), 'https://example.com/old'), errorPage)).toBe(true);
+    expect(looksLikeErrorPage(fingerprintPage(page('Our Blog', 'Ten tips for writing better documentation, with examples from real projects and a checklist you can copy.'), 'https://example.com/blog'), errorPage)).toBe(false);
+  });
+
+  test('flags pages that look like the host\'s answer to a bogus URL, probing once per host', async () => {
+    const site = fakeSite({
+      '/': page('Home', NOT_FOUND_TEXT),
+      '/about': page('About us', 'We build tools that find dead links before your visitors do, and we have done so since 2019.')
+    }, { status: 200, html: path => page('Page not found', `${NOT_FOUND_TEXT} (${path})`) });
+    const detector = createSoft404Detector(site.loadPage);
+
+    expect(await detector.check('https://example.com/old-page')).toBe(true);
+    expect(await detector.check('https://example.com/about')).toBe(false);
+    // Sites that send unknown URLs to the home page don't make it a soft 404
+    expect(await detector.check('https://example.com/')).toBe(false);
+
+    const probes = site.requested.filter(url => url.includes('/dead-links-must-die-'));
+    expect(probes).toHaveLength(1);
+  });
+
+  test('never flags pages on hosts that send real 404s', async () => {
+    const site = fakeSite({}, { status: 404, html: () => page('Page not found', NOT_FOUND_TEXT) });
+    const detector = createSoft404Detector(site.loadPage);
+
+    expect(await detector.isSoft404('https://example.com/old-page', page('Page not found', NOT_FOUND_TEXT))).toBe(false);
+  });
+
+  test('reports links to crawled soft 404 pages with their occurrences', () => {
+    const pages = [
+      { url: 'https://example.com/', links: [
+        { url: 'https://example.com/old-page', text: 'Old page', type: 'link' },
+        { url: 'https://example.com/about', text: 'About', type: 'link' }
+      ] },
+      { url: 'https://example.com/about', links: [{ url: 'https://example.com/old-page/', text: 'Old', type: 'link' }] },
+      { url: 'https://example.com/old-page', soft404: true, links: [] }
+    ];
+
+    expect(findSoft404Pages(pages)).toEqual([
+      { url: 'https://example.com/old-page', status: 200, message: 'Looks like a "not found" page (soft 404)', occurrences: [{ page: 'https://example.com/', text: 'Old page', type: 'link' }] },
+      { url: 'https://example.com/old-page/', status: 200, message: 'Looks like a "not found" page (soft 404)', occurrences: [{ page: 'https://example.com/about', text: 'Old', type: 'link' }] }
+    ]);
+    expect(findSoft404Pages(pages, { exclude: ['/old-page/'] })).toHaveLength(1);
+  });
+});
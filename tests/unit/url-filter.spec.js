@@ -0,0 +1,48 @@
+const { test, expect } = require('@playwright/test');
+const { createUrlFilter } = require('../../url-filter');
+
+test.describe('URL Filter', () => {
+  test('lets everything through without rules', () => {
+    const isIncluded = createUrlFilter();
+    expect(isIncluded('https://example.com/anything')).toBe(true);
+  });
+
+  test('treats plain patterns as literal text matched anywhere in the URL', () => {
+    const isIncluded = createUrlFilter({ exclude: ['/api/', '?page=', 'mailto:'] });
+
+    expect(isIncluded('https://example.com/api/v1/users')).toBe(false);
+    expect(isIncluded('https://example.com/blog?page=2')).toBe(false);
+    expect(isIncluded('mailto:hello@example.com')).toBe(false);
+    expect(isIncluded('https://example.com/apis')).toBe(true);
+    expect(isIncluded('https://example.com/blog?pages')).toBe(true);
+  });
+
+  test('supports * wildcards and regex: patterns', () => {
+    const isIncluded = createUrlFilter({ exclude: ['https://example.com/*/tag/*', 'regex:/archive/\\d{4}/'] });
+
+    expect(isIncluded('https://example.com/blog/tag/javascript')).toBe(false);
+    expect(isIncluded('https://example.com/archive/2023/')).toBe(false);
+    expect(isIncluded('https://example.com/archive/latest/')).toBe(true);
+    expect(isIncluded('https://other.com/blog/tag/javascript')).toBe(true);
+  });
+
+  test('requires an include match and lets exclude win', () => {
+    const isIncluded = createUrlFilter({ include: ['/docs/'], exclude: ['/docs/drafts/'] });
+
+    expect(isIncluded('https://example.com/docs/intro')).toBe(true);
+    expect(isIncluded('https://example.com/blog/post')).toBe(false);
+    expect(isIncluded('https://example.com/docs/drafts/wip')).toBe(false);
+  });
+
+  test('matches many * wildcards in linear time', () => {
+    const isIncluded = createUrlFilter({ exclude: ['*a'.repeat(12) + '*b', '**/docs/**'] });
+    const url = `https://example.com/${'a'.repeat(2048)}`;
+
+    const start = Date.now();
+    expect(isIncluded(url)).toBe(true);
+    expect(Date.now() - start).toBeLessThan(100);
+
+    expect(isIncluded(`${url}b`)).toBe(false);
+    expect(isIncluded('https://example.com/docs/intro')).toBe(false);
+  });
+});
@@ -0,0 +1,78 @@
+const { test, expect } = require('@playwright/test');
+const { validateWebhook, buildEvent, toSlackMessage, wantsEvent } = require('../../webhooks');
+
+// Minimal finished scan, shaped like the server's scan objects
+function makeScan(overrides = {}) {
+  return {
+    id: '1700000000000',
+    url: 'https://example.com',
+    status: 'completed',
+    startedAt: 1700000000000,
+    completedAt: 1700000060000,
+    results: { summary: { totalPages: 10, brokenLinks: 3 } },
+    ...overrides
+  };
+}
+
+test.describe('Webhooks', () => {
+  test('validates webhook settings and fills in defaults', () => {
+    expect(validateWebhook({ url: 'https://hooks.example.com/x' })).toEqual({
+      url: 'https://hooks.example.com/x',
+      format: 'json',
+      events: ['completed', 'error'],
+      secret: null,
+      site: null
+    });
+
+    expect(() => validateWebhook({ url: 'ftp://example.com' })).toThrow('Webhook url must be an http(s) URL');
+    expect(() => validateWebhook({ url: 'https://x.com', format: 'teams' })).toThrow('Webhook format must be one of: json, slack');
+    expect(() => validateWebhook({ url: 'https://x.com', events: ['started'] })).toThrow('Webhook events must be a list of');
+    expect(() => validateWebhook({ url: 'https://x.com', events: [] })).toThrow('Webhook events');
+    expect(() => validateWebhook({ url: 'https://x.com', secret: 42 })).toThrow('Webhook secret must be a non-empty string');
+    expect(() => validateWebhook({ url: 'https://x.com', site: 'example.com' })).toThrow('Webhook site must be an http(s) URL');
+  });
+
+  test('builds a JSON event for a finished scan', () => {
+    const event = buildEvent(makeScan(), { newBrokenLinks: 1, reportUrl: 'http://localhost:3000/?scan=1700000000000' });
+
+    expect(event).toMatchObject({
+      event: 'scan.completed',
+      scan: { id: '1700000000000', url: 'https://example.com', status: 'completed', error: null },
+      summary: { totalPages: 10, brokenLinks: 3 },
+      brokenLinks: 3,
+      newBrokenLinks: 1,
+      reportUrl: 'http://localhost:3000/?scan=1700000000000'
+    });
+
+    const failed = buildEvent(makeScan({ status: 'error', error: 'DNS lookup failed', results: null }));
+    expect(failed).toMatchObject({ event: 'scan.error', brokenLinks: null, newBrokenLinks: null });
+    expect(failed.scan.error).toBe('DNS lookup failed');
+  });
+
+  test('formats Slack messages', () => {
+    const reportUrl = 'http://localhost:3000/?scan=1';
+
+    expect(toSlackMessage(buildEvent(makeScan(), { newBrokenLinks: 1, reportUrl })).text)
+      .toBe(`✅ Scan of https://example.com completed: 3 broken links (1 new)\n<${reportUrl}|View report>`);
+
+    // First scan of a site: nothing to compare with
+    expect(toSlackMessage(buildEvent(makeScan(), { reportUrl })).text)
+      .toContain('completed: 3 broken links\n');
+
+    expect(toSlackMessage(buildEvent(makeScan({ status: 'error', error: 'Timed out' }), { reportUrl })).text)
+      .toContain('❌ Scan of https://example.com failed: Timed out');
+
+    // Cancelled while still queued: no results
+    expect(toSlackMessage(buildEvent(makeScan({ status: 'cancelled', results: null }), { reportUrl })).text)
+      .toContain('Scan of https://example.com cancelled before it started\n');
+  });
+
+  test('filters by event and site', () => {
+    const webhook = validateWebhook({ url: 'https://hooks.example.com', site: 'https://example.com/docs' });
+
+    expect(wantsEvent(webhook, makeScan())).toBe(true);
+    expect(wantsEvent(webhook, makeScan({ url: 'https://other.example.com' }))).toBe(false);
+    expect(wantsEvent(webhook, makeScan({ status: 'cancelled' }))).toBe(false);
+    expect(wantsEvent({ ...webhook, site: null, events: ['cancelled'] }, makeScan({ status: 'cancelled', url: 'https://a.com' }))).toBe(true);
+  });
+});
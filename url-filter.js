@@ -0,0 +1,64 @@
+const REGEX_PREFIX = 'regex:';
+
+/**
+ * Compile an include/exclude pattern into a matcher
+ *
+ * - "regex:<expression>" is used as a regular expression
+ * - Anything else is a glob matched anywhere in the URL, where * matches any
+ *   characters and everything else is literal (so "?page=" works as written)
+ *
+ * Globs come from API clients too, so they never become a RegExp: the literal
+ * parts are found left to right, which can't backtrack however many * there are.
+ *
+ * @returns {function} - (url) => true if the URL matches
+ * @throws {Error} - When a regex pattern is invalid
+ */
+function compilePattern(pattern) {
+  if (pattern.startsWith(REGEX_PREFIX)) {
+    let regex;
+    try {
+      regex = new RegExp(pattern.slice(REGEX_PREFIX.length));
+    } catch (e) {
+      throw new Error(`Invalid regular expression: ${pattern}`);
+    }
+    return url => regex.test(url);
+  }
+
+  const parts = pattern.split('*').filter(part => part !== ''); // "a**b" is "a*b"
+  return (url) => {
+    let from = 0;
+    for (const part of parts) {
+      const index = url.indexOf(part, from);
+      if (index === -1) return false;
+      from = index + part.length;
+    }
+    return true;
+  };
+}
+
+/**
+ * Build a URL filter from include/exclude patterns
+ *
+ * A URL passes when it matches at least one include pattern (or there are
+ * none) and no exclude pattern. Exclude always wins.
+ *
+ * @param {Object} rules - { include: [patterns], exclude: [patterns] }
+ * @returns {function} - (url) => true if the URL should be crawled/checked
+ */
+function createUrlFilter({ include = [], exclude = [] } = {}) {
+  const includeMatchers = include.map(compilePattern);
+  const excludeMatchers = exclude.map(compilePattern);
+
+  if (includeMatchers.length === 0 && excludeMatchers.length === 0) {
+    return () => true;
+  }
+
+  return (url) => {
+    if (excludeMatchers.some(matches => matches(url))) {
+      return false;
+    }
+    return includeMatchers.length === 0 || includeMatchers.some(matches => matches(url));
+  };
+}
+
+module.exports = { createUrlFilter, compilePattern, REGEX_PREFIX };
@@ -0,0 +1,175 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { isSameSite } = require('./scan-diff');
+
+const WEBHOOK_FORMATS = ['json', 'slack'];
+const WEBHOOK_EVENTS = ['completed', 'error', 'cancelled'];
+const DEFAULT_EVENTS = ['completed', 'error'];
+const DELIVERY_TIMEOUT = 10000; // 10 seconds per attempt
+const RETRY_DELAYS_MS = [1000, 5000, 15000]; // Up to 3 retries, backing off
+
+const STATUS_EMOJI = { completed: '✅', error: '❌', cancelled: '🛑' };
+
+/**
+ * Validate a webhook from the API and fill in defaults
+ *
+ * @param {Object} input - { url, format, events, secret, site }
+ * @returns {Object} - Webhook settings (without an id)
+ * @throws {Error} - When a setting is missing or invalid
+ */
+function validateWebhook(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Webhook must be an object');
+  }
+
+  const { url, format = 'json', events = DEFAULT_EVENTS, secret, site } = input;
+
+  if (!isHttpUrl(url)) {
+    throw new Error('Webhook url must be an http(s) URL');
+  }
+
+  if (!WEBHOOK_FORMATS.includes(format)) {
+    throw new Error(`Webhook format must be one of: ${WEBHOOK_FORMATS.join(', ')}`);
+  }
+
+  if (!Array.isArray(events) || events.length === 0 || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+    throw new Error(`Webhook events must be a list of: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+
+  if (secret !== undefined && secret !== null && (typeof secret !== 'string' || secret === '')) {
+    throw new Error('Webhook secret must be a non-empty string');
+  }
+
+  if (site !== undefined && site !== null && !isHttpUrl(site)) {
+    throw new Error('Webhook site must be an http(s) URL');
+  }
+
+  return { url, format, events: [...new Set(events)], secret: secret || null, site: site || null };
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * The generic JSON payload for a finished scan
+ *
+ * @param {Object} scan - Finished scan (completed, error or cancelled)
+ * @param {Object} details - newBrokenLinks (null without a previous scan to compare with) and reportUrl
+ */
+function buildEvent(scan, { newBrokenLinks = null, reportUrl } = {}) {
+  return {
+    event: `scan.${scan.status}`,
+    scan: {
+      id: scan.id,
+      url: scan.url,
+      status: scan.status,
+      startedAt: scan.startedAt,
+      completedAt: scan.completedAt,
+      scheduleId: scan.scheduleId || null,
+      error: scan.error || null
+    },
+    summary: scan.results ? scan.results.summary : null,
+    brokenLinks: scan.results ? scan.results.summary.brokenLinks : null,
+    newBrokenLinks,
+    reportUrl
+  };
+}
+
+// Slack-compatible message (also accepted by Mattermost and Rocket.Chat)
+function toSlackMessage(event) {
+  const { scan } = event;
+  const emoji = STATUS_EMOJI[scan.status] || '';
+
+  let text;
+  if (scan.status === 'error') {
+    text = `${emoji} Scan of ${scan.url} failed: ${scan.error}`;
+  } else if (event.brokenLinks === null) {
+    text = `${emoji} Scan of ${scan.url} ${scan.status} before it started`; // Taken out of the queue
+  } else {
+    const newBroken = event.newBrokenLinks === null ? '' : ` (${event.newBrokenLinks} new)`;
+    text = `${emoji} Scan of ${scan.url} ${scan.status}: ${event.brokenLinks} broken link${event.brokenLinks === 1 ? '' : 's'}${newBroken}`;
+  }
+
+  return { text: `${text}\n<${event.reportUrl}|View report>` };
+}
+
+/**
+ * HMAC-SHA256 signature of a request body, as sent in X-DeadLinks-Signature
+ */
+function signBody(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * POST a scan event to one webhook, retrying network errors, 429s and 5xx
+ *
+ * @param {Object} webhook - From validateWebhook()
+ * @param {Object} event - From buildEvent()
+ * @param {Object} options - retryDelaysMs (delay before each retry)
+ * @returns {Promise<Object>} - { ok, status, attempts, error } (never rejects)
+ */
+async function deliverWebhook(webhook, event, { retryDelaysMs = RETRY_DELAYS_MS } = {}) {
+  const body = JSON.stringify(webhook.format === 'slack' ? toSlackMessage(event) : event);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'Mozilla/5.0 (compatible; DeadLinkChecker/4.0; +https://github.com/deadlinks)',
+    'X-DeadLinks-Event': event.event,
+    'X-DeadLinks-Delivery': crypto.randomUUID()
+  };
+  if (webhook.secret) {
+    headers['X-DeadLinks-Signature'] = signBody(body, webhook.secret);
+  }
+
+  let result;
+  for (let attempt = 0; attempt <= retryDelaysMs.length; attempt++) {
+    if (attempt > 0) {
+      await sleep(retryDelaysMs[attempt - 1]);
+    }
+
+    try {
+      const response = await axios.post(webhook.url, body, {
+        headers,
+        timeout: DELIVERY_TIMEOUT,
+        maxRedirects: 0,
+        validateStatus: null
+      });
+      result = { ok: response.status < 300, status: response.status, attempts: attempt + 1, error: null };
+    } catch (error) {
+      result = { ok: false, status: null, attempts: attempt + 1, error: error.code || error.message };
+    }
+
+    // Other 4xx responses won't get better by retrying
+    const retryable = result.status === null || result.status === 429 || result.status >= 500;
+    if (result.ok || !retryable) break;
+  }
+
+  if (result.ok) {
+    console.log(`📣 Webhook delivered to ${webhook.url} (${event.event})`);
+  } else {
+    console.log(`⚠️  Webhook to ${webhook.url} failed after ${result.attempts} attempt(s): ${result.error || `HTTP ${result.status}`}`);
+  }
+  return result;
+}
+
+/**
+ * Does this webhook want to hear about this scan?
+ */
+function wantsEvent(webhook, scan) {
+  return webhook.events.includes(scan.status) && (!webhook.site || isSameSite(webhook.site, scan.url));
+}
+
+module.exports = {
+  validateWebhook,
+  buildEvent,
+  toSlackMessage,
+  signBody,
+  deliverWebhook,
+  wantsEvent
+};